@@ -6,15 +6,34 @@ import { HSCodeStep } from "./components/HSCodeStep";
 import { ComplianceStep } from "./components/ComplianceStep";
 import { GenerateStep } from "./components/GenerateStep";
 import { ReviewStep } from "./components/ReviewStep";
+import { StylePicker } from "./components/StylePicker";
 import { Button } from "./components/ui/button";
 import { Trash2 } from "lucide-react";
 import { localStorageManager } from "./utils/localStorage";
+import api from "./services/api";
 import type {
   TechPackSummary,
+  TechPackStyle,
+  TechPackUploadResponse,
   HSCodeSuggestion,
   ComplianceData,
+  TechPackRecord,
+  TechPackRecordInput,
 } from "./types";
 
+const TECH_PACK_URL_PARAM = "techPack";
+
+// Keep the tech pack id in the URL so the session can be reopened elsewhere
+const setTechPackIdInUrl = (id: string | null) => {
+  const url = new URL(window.location.href);
+  if (id) {
+    url.searchParams.set(TECH_PACK_URL_PARAM, id);
+  } else {
+    url.searchParams.delete(TECH_PACK_URL_PARAM);
+  }
+  window.history.replaceState(null, "", url.toString());
+};
+
 export default function App() {
   const [currentStep, setCurrentStep] = useState(1);
   const [completedSteps, setCompletedSteps] = useState<number[]>([]);
@@ -26,12 +45,39 @@ export default function App() {
   const [complianceData, setComplianceData] = useState<ComplianceData | null>(
     null
   );
+  const [styles, setStyles] = useState<TechPackStyle[]>([]);
+  const [activeStyleIndex, setActiveStyleIndex] = useState(0);
   const [isLoaded, setIsLoaded] = useState(false);
 
-  // Load data from localStorage on component mount
+  // Load data on component mount: a tech pack id in the URL takes precedence
+  // over localStorage so a shared link reopens the server-side record
   useEffect(() => {
+    const urlTechPackId = new URLSearchParams(window.location.search).get(
+      TECH_PACK_URL_PARAM
+    );
+
+    if (urlTechPackId && urlTechPackId !== localStorageManager.getTechPackId()) {
+      api
+        .getTechPack(urlTechPackId)
+        .then((response) => {
+          if (response.data) {
+            restoreFromRecord(response.data);
+          }
+        })
+        .catch((error) => {
+          console.warn("Could not load tech pack from server:", error);
+          setTechPackIdInUrl(null);
+        })
+        .finally(() => setIsLoaded(true));
+      return;
+    }
+
     const storedData = localStorageManager.loadStoredData();
 
+    if (storedData.techPackId) {
+      setTechPackIdInUrl(storedData.techPackId);
+    }
+
     // Restore file from localStorage if available
     if (storedData.fileInfo) {
       // Try to recreate file if we have the data
@@ -49,6 +95,11 @@ export default function App() {
       setCompletedSteps((prev) => (prev.includes(1) ? prev : [...prev, 1]));
     }
 
+    if (storedData.techPackStyles) {
+      setStyles(storedData.techPackStyles);
+      setActiveStyleIndex(storedData.activeStyleIndex);
+    }
+
     if (storedData.techPackData) {
       setTechPackData(storedData.techPackData);
       setCompletedSteps((prev) => (prev.includes(2) ? prev : [...prev, 2]));
@@ -81,6 +132,54 @@ export default function App() {
     setIsLoaded(true);
   }, []);
 
+  // Hydrate the session from a server-side tech pack record
+  const restoreFromRecord = (record: TechPackRecord) => {
+    localStorageManager.clearAllData();
+    localStorageManager.saveTechPackId(record.id);
+    setStyles([]);
+
+    const steps: number[] = [1];
+    let targetStep = 2;
+
+    if (record.techPackSummary) {
+      setTechPackData(record.techPackSummary);
+      localStorageManager.saveTechPackData(record.techPackSummary);
+      steps.push(2);
+      targetStep = 3;
+    }
+
+    if (record.selectedHsCode) {
+      setHSCodeData(record.selectedHsCode);
+      localStorageManager.saveHSCodeSuggestions([record.selectedHsCode]);
+      localStorageManager.saveHSCodeData(record.selectedHsCode);
+      steps.push(3);
+      targetStep = 4;
+    }
+
+    setCompletedSteps(steps);
+    setCurrentStep(targetStep);
+    setTechPackIdInUrl(record.id);
+    console.log(`📂 Restored tech pack ${record.id} from server`);
+  };
+
+  // Persist changes to the server-side record, creating it if needed
+  const persistTechPack = async (changes: TechPackRecordInput) => {
+    try {
+      const techPackId = localStorageManager.getTechPackId();
+      const response = techPackId
+        ? await api.updateTechPack(techPackId, changes)
+        : await api.createTechPack(changes);
+
+      if (response.data && response.data.id !== techPackId) {
+        localStorageManager.saveTechPackId(response.data.id);
+      }
+      setTechPackIdInUrl(response.data?.id || techPackId);
+    } catch (error) {
+      // The session still works from localStorage if the server is unavailable
+      console.warn("⚠️ Failed to persist tech pack to server:", error);
+    }
+  };
+
   // Save app state to localStorage whenever it changes
   useEffect(() => {
     if (isLoaded) {
@@ -88,6 +187,53 @@ export default function App() {
     }
   }, [completedSteps, currentStep, isLoaded]);
 
+  const updateStyles = (nextStyles: TechPackStyle[], activeIndex: number) => {
+    setStyles(nextStyles);
+    setActiveStyleIndex(activeIndex);
+    localStorageManager.saveTechPackStyles(nextStyles, activeIndex);
+  };
+
+  // Record progress on the active style of a multi-style tech pack
+  const updateActiveStyle = (changes: Partial<TechPackStyle>) => {
+    if (styles.length < 2) return;
+    updateStyles(
+      styles.map((style, index) =>
+        index === activeStyleIndex ? { ...style, ...changes } : style
+      ),
+      activeStyleIndex
+    );
+  };
+
+  // Switch to another style: its details (and HS code, if it was already
+  // classified) replace the current ones, which are kept on their own style
+  const handleSelectStyle = (index: number) => {
+    const style = styles[index];
+    if (!style || index === activeStyleIndex) return;
+
+    localStorageManager.saveTechPackData(style.techPackSummary);
+    if (style.techPackId) {
+      localStorageManager.saveTechPackId(style.techPackId);
+    } else {
+      localStorageManager.clearTechPackId();
+    }
+    setTechPackIdInUrl(style.techPackId);
+
+    const steps = [1, 2];
+    if (style.selectedHsCode) {
+      localStorageManager.saveHSCodeSuggestions([style.selectedHsCode]);
+      localStorageManager.saveHSCodeData(style.selectedHsCode);
+      steps.push(3);
+    }
+
+    setTechPackData(style.techPackSummary);
+    setHSCodeData(style.selectedHsCode || null);
+    setComplianceData(null);
+    setCompletedSteps(steps);
+    setCurrentStep(2);
+    updateStyles(styles, index);
+    console.log(`👕 Switched to style ${style.styleNumber || index + 1}`);
+  };
+
   const handleStepComplete = (step: number) => {
     if (!completedSteps.includes(step)) {
       setCompletedSteps([...completedSteps, step]);
@@ -104,9 +250,30 @@ export default function App() {
     }
   };
 
-  const handleUploadNext = async (file?: File) => {
+  const handleUploadNext = async (
+    file?: File,
+    uploadResult?: TechPackUploadResponse
+  ) => {
     setUploadedFile(file || null);
     await localStorageManager.saveFileInfo(file!);
+
+    // Extraction already ran in the upload step - hand the result to step 2
+    if (uploadResult?.techPackSummary) {
+      setTechPackData(uploadResult.techPackSummary);
+      localStorageManager.saveTechPackData(uploadResult.techPackSummary);
+      if (uploadResult.techPackId) {
+        localStorageManager.saveTechPackId(uploadResult.techPackId);
+        setTechPackIdInUrl(uploadResult.techPackId);
+      }
+    }
+
+    // Several styles in one file: start with the first, offer the others
+    if (uploadResult?.styles && uploadResult.styles.length > 1) {
+      updateStyles(uploadResult.styles, 0);
+    } else {
+      setStyles([]);
+    }
+
     handleStepComplete(1);
     setCurrentStep(2);
   };
@@ -114,6 +281,8 @@ export default function App() {
   const handleTechPackNext = (techPackData: TechPackSummary) => {
     setTechPackData(techPackData);
     localStorageManager.saveTechPackData(techPackData);
+    persistTechPack({ userEdits: techPackData });
+    updateActiveStyle({ techPackSummary: techPackData, selectedHsCode: null });
     handleStepComplete(2);
     setCurrentStep(3);
   };
@@ -121,6 +290,8 @@ export default function App() {
   const handleHSCodeNext = (selectedCode: HSCodeSuggestion) => {
     setHSCodeData(selectedCode);
     localStorageManager.saveHSCodeData(selectedCode);
+    persistTechPack({ selectedHsCode: selectedCode });
+    updateActiveStyle({ selectedHsCode: selectedCode });
     handleStepComplete(3);
     setCurrentStep(4);
   };
@@ -145,10 +316,12 @@ export default function App() {
 
   const handleClearData = () => {
     localStorageManager.clearAllData();
+    setTechPackIdInUrl(null);
     setTechPackData(null);
     setUploadedFile(null);
     setHSCodeData(null);
     setComplianceData(null);
+    setStyles([]);
     setCompletedSteps([]);
     setCurrentStep(1);
   };
@@ -206,6 +379,14 @@ export default function App() {
       />
 
       <main className="max-w-6xl mx-auto px-6 py-8">
+        {styles.length > 1 && currentStep > 1 && (
+          <StylePicker
+            styles={styles}
+            activeIndex={activeStyleIndex}
+            onSelect={handleSelectStyle}
+          />
+        )}
+
         {currentStep === 1 && (
           <UploadStep
             onNext={handleUploadNext}
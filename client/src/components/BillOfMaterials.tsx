@@ -0,0 +1,258 @@
+import React from "react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "./ui/table";
+import { ClipboardList, Palette, Trash2 } from "lucide-react";
+import type { BomFabric, BomTrim, Colorway } from "../types";
+
+interface Column<Row> {
+  key: keyof Row & string;
+  label: string;
+  placeholder?: string;
+  numeric?: boolean;
+  className?: string;
+}
+
+interface EditableTableProps<Row> {
+  columns: Column<Row>[];
+  rows: Row[];
+  emptyRow: Row;
+  addLabel: string;
+  emptyMessage: string;
+  onChange: (rows: Row[]) => void;
+}
+
+function EditableTable<Row extends object>({
+  columns,
+  rows,
+  emptyRow,
+  addLabel,
+  emptyMessage,
+  onChange,
+}: EditableTableProps<Row>) {
+  const updateCell = (index: number, column: Column<Row>, value: string) => {
+    const cellValue = column.numeric
+      ? value === ""
+        ? null
+        : Number(value)
+      : value;
+    onChange(
+      rows.map((row, i) =>
+        i === index ? { ...row, [column.key]: cellValue } : row
+      )
+    );
+  };
+
+  return (
+    <div className="space-y-2">
+      {rows.length > 0 ? (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              {columns.map((column) => (
+                <TableHead key={column.key} className={column.className}>
+                  {column.label}
+                </TableHead>
+              ))}
+              <TableHead className="w-12" />
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {rows.map((row, index) => (
+              <TableRow key={index}>
+                {columns.map((column) => (
+                  <TableCell key={column.key} className={column.className}>
+                    <Input
+                      type={column.numeric ? "number" : "text"}
+                      min={column.numeric ? "0" : undefined}
+                      step={column.numeric ? "any" : undefined}
+                      placeholder={column.placeholder}
+                      value={(row[column.key] as string | number | null) ?? ""}
+                      onChange={(e) =>
+                        updateCell(index, column, e.target.value)
+                      }
+                    />
+                  </TableCell>
+                ))}
+                <TableCell>
+                  <Button
+                    variant="outline"
+                    size="icon"
+                    onClick={() => onChange(rows.filter((_, i) => i !== index))}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      ) : (
+        <p className="text-sm text-muted-foreground">{emptyMessage}</p>
+      )}
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => onChange([...rows, { ...emptyRow }])}
+      >
+        {addLabel}
+      </Button>
+    </div>
+  );
+}
+
+const FABRIC_COLUMNS: Column<BomFabric>[] = [
+  { key: "component", label: "Component", placeholder: "Shell" },
+  { key: "description", label: "Fabric", placeholder: "Cotton twill 3/1" },
+  { key: "composition", label: "Composition", placeholder: "100% Cotton" },
+  { key: "gsm", label: "GSM", numeric: true, className: "w-24" },
+  { key: "supplier", label: "Supplier" },
+  {
+    key: "consumption",
+    label: "Consumption",
+    numeric: true,
+    className: "w-28",
+  },
+  { key: "unit", label: "Unit", placeholder: "m", className: "w-20" },
+];
+
+const TRIM_COLUMNS: Column<BomTrim>[] = [
+  { key: "type", label: "Type", placeholder: "Button" },
+  { key: "description", label: "Description", placeholder: "18L 4-hole horn" },
+  { key: "supplier", label: "Supplier" },
+  {
+    key: "consumption",
+    label: "Consumption",
+    numeric: true,
+    className: "w-28",
+  },
+  { key: "unit", label: "Unit", placeholder: "pcs", className: "w-20" },
+];
+
+const COLORWAY_COLUMNS: Column<Colorway>[] = [
+  { key: "name", label: "Color", placeholder: "Navy" },
+  { key: "code", label: "Code", placeholder: "19-4052 TCX" },
+];
+
+interface BillOfMaterialsProps {
+  fabrics: BomFabric[];
+  trims: BomTrim[];
+  colorways: Colorway[];
+  sizeRange: string[];
+  onFabricsChange: (fabrics: BomFabric[]) => void;
+  onTrimsChange: (trims: BomTrim[]) => void;
+  onColorwaysChange: (colorways: Colorway[]) => void;
+  onSizeRangeChange: (sizeRange: string[]) => void;
+}
+
+/**
+ * Editable bill of materials (fabrics and trims with supplier and
+ * per-garment consumption), colorways and size range, used for costing,
+ * BTB LC planning and packing lists
+ */
+export function BillOfMaterials({
+  fabrics,
+  trims,
+  colorways,
+  sizeRange,
+  onFabricsChange,
+  onTrimsChange,
+  onColorwaysChange,
+  onSizeRangeChange,
+}: BillOfMaterialsProps) {
+  return (
+    <>
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <ClipboardList className="h-5 w-5" />
+            Bill of Materials
+          </CardTitle>
+          <CardDescription>
+            Fabrics and trims with supplier and consumption per garment
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          <div className="space-y-2">
+            <Label>Fabrics</Label>
+            <EditableTable
+              columns={FABRIC_COLUMNS}
+              rows={fabrics}
+              emptyRow={{ component: "", description: "" }}
+              addLabel="Add Fabric"
+              emptyMessage="No fabrics listed"
+              onChange={onFabricsChange}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label>Trims</Label>
+            <EditableTable
+              columns={TRIM_COLUMNS}
+              rows={trims}
+              emptyRow={{ type: "", description: "" }}
+              addLabel="Add Trim"
+              emptyMessage="No trims listed"
+              onChange={onTrimsChange}
+            />
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Palette className="h-5 w-5" />
+            Colorways & Sizes
+          </CardTitle>
+          <CardDescription>Colors and size range of the style</CardDescription>
+        </CardHeader>
+        <CardContent className="grid md:grid-cols-2 gap-6">
+          <div className="space-y-2">
+            <Label>Colorways</Label>
+            <EditableTable
+              columns={COLORWAY_COLUMNS}
+              rows={colorways}
+              emptyRow={{ name: "" }}
+              addLabel="Add Colorway"
+              emptyMessage="No colorways listed"
+              onChange={onColorwaysChange}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="sizeRange">Size Range</Label>
+            <Input
+              id="sizeRange"
+              placeholder="e.g., S, M, L, XL"
+              value={sizeRange.join(", ")}
+              onChange={(e) =>
+                onSizeRangeChange(
+                  e.target.value === ""
+                    ? []
+                    : e.target.value.split(",").map((size) => size.trim())
+                )
+              }
+            />
+            <p className="text-xs text-muted-foreground">
+              Comma-separated, in grading order
+            </p>
+          </div>
+        </CardContent>
+      </Card>
+    </>
+  );
+}
@@ -0,0 +1,370 @@
+import React, { useState, useEffect } from "react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "./ui/table";
+import { Calculator, AlertTriangle, Info } from "lucide-react";
+import type { DutyCalculation, Incoterm } from "../types";
+import api, { ApiError } from "../services/api";
+
+const INCOTERM_OPTIONS: { value: Incoterm; label: string }[] = [
+  { value: "EXW", label: "EXW (Ex Works)" },
+  { value: "FCA", label: "FCA (Free Carrier)" },
+  { value: "FAS", label: "FAS (Free Alongside Ship)" },
+  { value: "FOB", label: "FOB (Free on Board)" },
+  { value: "CFR", label: "CFR (Cost and Freight)" },
+  { value: "CPT", label: "CPT (Carriage Paid To)" },
+  { value: "CIF", label: "CIF (Cost, Insurance & Freight)" },
+  { value: "CIP", label: "CIP (Carriage and Insurance Paid To)" },
+  { value: "DAP", label: "DAP (Delivered at Place)" },
+  { value: "DPU", label: "DPU (Delivered at Place Unloaded)" },
+  { value: "DDP", label: "DDP (Delivered Duty Paid)" },
+];
+
+// Terms whose price already covers freight / insurance to the port of entry
+const INCLUDES_FREIGHT = ["CFR", "CPT", "CIF", "CIP", "DAP", "DPU", "DDP"];
+const INCLUDES_INSURANCE = ["CIF", "CIP", "DAP", "DPU", "DDP"];
+
+const formatBDT = (value: number) =>
+  value.toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+const parseOptional = (value: string) =>
+  value.trim() === "" ? undefined : Number(value);
+
+interface DutyCalculatorProps {
+  hsCode: string;
+  tariffVersion?: string;
+  defaultIncoterm?: string;
+}
+
+export function DutyCalculator({
+  hsCode,
+  tariffVersion,
+  defaultIncoterm,
+}: DutyCalculatorProps) {
+  const [value, setValue] = useState("");
+  const [currency, setCurrency] = useState("USD");
+  const [exchangeRate, setExchangeRate] = useState("");
+  const [incoterm, setIncoterm] = useState<Incoterm>(
+    INCOTERM_OPTIONS.some((o) => o.value === defaultIncoterm)
+      ? (defaultIncoterm as Incoterm)
+      : "FOB"
+  );
+  const [freight, setFreight] = useState("");
+  const [insurance, setInsurance] = useState("");
+  const [result, setResult] = useState<DutyCalculation | null>(null);
+  const [isCalculating, setIsCalculating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // A breakdown for another code would be misleading
+  useEffect(() => {
+    setResult(null);
+    setError(null);
+  }, [hsCode, tariffVersion]);
+
+  const isBDT = currency.trim().toUpperCase() === "BDT";
+  const canCalculate =
+    Number(value) > 0 &&
+    currency.trim().length === 3 &&
+    (isBDT || Number(exchangeRate) > 0);
+
+  const handleCalculate = async () => {
+    setIsCalculating(true);
+    setError(null);
+
+    try {
+      const response = await api.calculateDuty({
+        hsCode,
+        tariffVersion,
+        value: Number(value),
+        currency: currency.trim().toUpperCase(),
+        exchangeRate: isBDT ? undefined : Number(exchangeRate),
+        incoterm,
+        freight: INCLUDES_FREIGHT.includes(incoterm)
+          ? undefined
+          : parseOptional(freight),
+        insurance: INCLUDES_INSURANCE.includes(incoterm)
+          ? undefined
+          : parseOptional(insurance),
+      });
+
+      if (!response.success || !response.data) {
+        throw new Error(response.message || "Failed to calculate duty");
+      }
+
+      setResult(response.data);
+    } catch (err) {
+      console.error("Error calculating duty:", err);
+      setResult(null);
+
+      if (err instanceof ApiError) {
+        setError(err.message);
+      } else {
+        setError(
+          err instanceof Error ? err.message : "Failed to calculate duty"
+        );
+      }
+    } finally {
+      setIsCalculating(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Calculator className="h-5 w-5" />
+          Duty Calculator
+        </CardTitle>
+        <CardDescription>
+          Estimate import duties and landed cost for HS {hsCode}
+          {tariffVersion ? ` (tariff ${tariffVersion})` : ""}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor="dutyValue">Invoice Value *</Label>
+            <Input
+              id="dutyValue"
+              type="number"
+              min="0"
+              step="0.01"
+              placeholder="e.g., 10000"
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="dutyCurrency">Currency *</Label>
+            <Input
+              id="dutyCurrency"
+              maxLength={3}
+              placeholder="USD"
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value.toUpperCase())}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="dutyExchangeRate">
+              Exchange Rate (BDT per {isBDT ? "BDT" : currency || "unit"})
+            </Label>
+            <Input
+              id="dutyExchangeRate"
+              type="number"
+              min="0"
+              step="0.0001"
+              placeholder={isBDT ? "1" : "e.g., 120"}
+              value={isBDT ? "1" : exchangeRate}
+              disabled={isBDT}
+              onChange={(e) => setExchangeRate(e.target.value)}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label>Incoterm</Label>
+            <Select
+              value={incoterm}
+              onValueChange={(term) => setIncoterm(term as Incoterm)}
+            >
+              <SelectTrigger>
+                <SelectValue placeholder="Select incoterm" />
+              </SelectTrigger>
+              <SelectContent>
+                {INCOTERM_OPTIONS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          {!INCLUDES_FREIGHT.includes(incoterm) && (
+            <div className="space-y-2">
+              <Label htmlFor="dutyFreight">Freight (optional)</Label>
+              <Input
+                id="dutyFreight"
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Defaults to 20% of value"
+                value={freight}
+                onChange={(e) => setFreight(e.target.value)}
+              />
+            </div>
+          )}
+          {!INCLUDES_INSURANCE.includes(incoterm) && (
+            <div className="space-y-2">
+              <Label htmlFor="dutyInsurance">Insurance (optional)</Label>
+              <Input
+                id="dutyInsurance"
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Defaults to 1% of C&F"
+                value={insurance}
+                onChange={(e) => setInsurance(e.target.value)}
+              />
+            </div>
+          )}
+        </div>
+
+        <Button
+          onClick={handleCalculate}
+          disabled={!canCalculate || isCalculating}
+        >
+          {isCalculating ? "Calculating..." : "Calculate Duty"}
+        </Button>
+
+        {error && (
+          <div className="flex items-start gap-2 p-3 rounded-lg bg-destructive/10 text-destructive">
+            <AlertTriangle className="h-4 w-4 mt-0.5" />
+            <p className="text-sm">{error}</p>
+          </div>
+        )}
+
+        {result && (
+          <div className="space-y-4">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Valuation</TableHead>
+                  <TableHead className="text-right">BDT</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                <TableRow>
+                  <TableCell>
+                    Invoice value ({result.incoterm}, {result.currency} @{" "}
+                    {result.exchangeRate})
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {formatBDT(result.valuation.invoiceValue)}
+                  </TableCell>
+                </TableRow>
+                <TableRow>
+                  <TableCell>Freight</TableCell>
+                  <TableCell className="text-right">
+                    {formatBDT(result.valuation.freight)}
+                  </TableCell>
+                </TableRow>
+                <TableRow>
+                  <TableCell>Insurance</TableCell>
+                  <TableCell className="text-right">
+                    {formatBDT(result.valuation.insurance)}
+                  </TableCell>
+                </TableRow>
+                <TableRow>
+                  <TableCell>Landing charge (1% of CIF)</TableCell>
+                  <TableCell className="text-right">
+                    {formatBDT(result.valuation.landingCharge)}
+                  </TableCell>
+                </TableRow>
+                <TableRow className="font-medium">
+                  <TableCell>Assessable value (AV)</TableCell>
+                  <TableCell className="text-right">
+                    {formatBDT(result.valuation.assessableValue)}
+                  </TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Component</TableHead>
+                  <TableHead className="text-right">Rate</TableHead>
+                  <TableHead>Base</TableHead>
+                  <TableHead className="text-right">Amount (BDT)</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {result.components.map((component) => (
+                  <TableRow key={component.code}>
+                    <TableCell>
+                      {component.label} ({component.code})
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {component.rate}%
+                    </TableCell>
+                    <TableCell className="text-muted-foreground">
+                      {component.baseComponents.join(" + ")} ={" "}
+                      {formatBDT(component.base)}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {formatBDT(component.amount)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+                <TableRow className="font-medium">
+                  <TableCell>Total duty and taxes</TableCell>
+                  <TableCell className="text-right">
+                    {result.totalTaxIncidence}%
+                  </TableCell>
+                  <TableCell className="text-muted-foreground">
+                    Tariff TTI {result.tariffTTI}%
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {formatBDT(result.totalDuty)}
+                  </TableCell>
+                </TableRow>
+              </TableBody>
+            </Table>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="text-center p-3 bg-muted/50 rounded-lg">
+                <div className="text-sm text-muted-foreground">
+                  Landed cost (BDT)
+                </div>
+                <div>{formatBDT(result.landedCost)}</div>
+              </div>
+              <div className="text-center p-3 bg-muted/50 rounded-lg">
+                <div className="text-sm text-muted-foreground">
+                  Landed cost ({result.currency})
+                </div>
+                <div>{formatBDT(result.landedCostInCurrency)}</div>
+              </div>
+            </div>
+
+            {result.notes.length > 0 && (
+              <div className="space-y-1">
+                {result.notes.map((note, idx) => (
+                  <div
+                    key={idx}
+                    className="flex items-start gap-2 text-sm text-muted-foreground"
+                  >
+                    <Info className="h-4 w-4 mt-0.5" />
+                    <span>{note}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,45 @@
+import React from "react";
+import { AlertTriangle, FileText } from "lucide-react";
+import type { FieldEvidence } from "../types";
+
+interface FieldEvidenceNoteProps {
+  evidence?: FieldEvidence;
+}
+
+const formatConfidence = (confidence: number) =>
+  `${Math.round(confidence * 100)}% confidence`;
+
+/**
+ * Where an extracted value came from: the quoted source text for values read
+ * from the document, or a review prompt for values the AI inferred
+ */
+export function FieldEvidenceNote({ evidence }: FieldEvidenceNoteProps) {
+  if (!evidence || evidence.reviewed) return null;
+
+  const source = evidence.snippet
+    ? `"${evidence.snippet}"${evidence.page ? ` (page ${evidence.page})` : ""}`
+    : null;
+
+  if (evidence.inferred) {
+    return (
+      <div className="flex items-start gap-1 text-xs text-amber-700 mt-1">
+        <AlertTriangle className="h-3 w-3 mt-0.5 shrink-0" />
+        <span>
+          Inferred, not stated in the document (
+          {formatConfidence(evidence.confidence)}).
+          {evidence.unverifiedQuote && " The quoted source could not be found."}
+          {source && ` Based on ${source}.`} Please review.
+        </span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-start gap-1 text-xs text-muted-foreground mt-1">
+      <FileText className="h-3 w-3 mt-0.5 shrink-0" />
+      <span>
+        {source} · {formatConfidence(evidence.confidence)}
+      </span>
+    </div>
+  );
+}
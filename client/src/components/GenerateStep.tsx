@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import {
   Card,
   CardContent,
@@ -16,6 +16,12 @@ import {
   Building2,
   CheckCircle,
 } from "lucide-react";
+import api from "../services/api";
+import { localStorageManager } from "../utils/localStorage";
+import type { InvoiceDescription } from "../types";
+
+// Documents that carry the goods description
+const INVOICE_DOCUMENTS = ["pi", "ci"];
 
 interface DocumentType {
   id: string;
@@ -71,6 +77,21 @@ export function GenerateStep({ onNext, onBack }: GenerateStepProps) {
 
   const [generationProgress, setGenerationProgress] = useState(0);
   const [isGenerating, setIsGenerating] = useState(false);
+  const [invoiceDescription, setInvoiceDescription] =
+    useState<InvoiceDescription | null>(null);
+
+  // Goods description with the certifications of the stored tech pack
+  useEffect(() => {
+    const techPackId = localStorageManager.getTechPackId();
+    if (!techPackId) return;
+
+    api
+      .getInvoiceDescription(techPackId)
+      .then((response) => setInvoiceDescription(response.data ?? null))
+      .catch((err) =>
+        console.warn("⚠️ Failed to load the invoice description:", err)
+      );
+  }, []);
 
   const generateDocument = async (docId: string) => {
     setDocuments((prev) =>
@@ -159,6 +180,14 @@ export function GenerateStep({ onNext, onBack }: GenerateStepProps) {
                     <p className="text-sm text-muted-foreground">
                       {doc.description}
                     </p>
+                    {invoiceDescription &&
+                      INVOICE_DOCUMENTS.includes(doc.id) && (
+                        <p className="text-sm mt-1">
+                          Goods description: {invoiceDescription.description}
+                          {invoiceDescription.hsCode &&
+                            ` (HS ${invoiceDescription.hsCode})`}
+                        </p>
+                      )}
                   </div>
                 </div>
 
@@ -9,20 +9,32 @@ import {
 import { Button } from "./ui/button";
 import { Badge } from "./ui/badge";
 import { Progress } from "./ui/progress";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Textarea } from "./ui/textarea";
 import {
   CheckCircle,
   Info,
-  Loader2,
   ExternalLink,
   FileText,
+  PencilLine,
+  AlertTriangle,
+  ListChecks,
 } from "lucide-react";
 import { localStorageManager } from "../utils/localStorage";
 import type {
   HSCodeSuggestion,
   TechPackSummary,
   HSCodeClassificationResponse,
+  JobStatus,
+  PipelineEvent,
 } from "../types";
 import api, { ApiError } from "../services/api";
+import { PipelineProgress } from "./PipelineProgress";
+import { DutyCalculator } from "./DutyCalculator";
+
+// 4-digit heading with optional 2-digit groups, e.g. 6109, 6109.10.00, 61091000
+const HS_CODE_PATTERN = /^\d{4}(\.?\d{2}){0,3}$/;
 
 interface HSCodeStepProps {
   onNext: (selectedCode: HSCodeSuggestion) => void;
@@ -36,8 +48,12 @@ export function HSCodeStep({ onNext, onBack, techPackData }: HSCodeStepProps) {
   );
   const [suggestions, setSuggestions] = useState<HSCodeSuggestion[]>([]);
   const [isLoading, setIsLoading] = useState(false);
+  const [jobStatus, setJobStatus] = useState<JobStatus>("queued");
+  const [jobEvents, setJobEvents] = useState<PipelineEvent[]>([]);
   const [error, setError] = useState<string | null>(null);
   const [isFromStorage, setIsFromStorage] = useState(false);
+  const [manualCode, setManualCode] = useState("");
+  const [feedbackReason, setFeedbackReason] = useState("");
 
   // Load stored HS code data on mount
   useEffect(() => {
@@ -58,6 +74,14 @@ export function HSCodeStep({ onNext, onBack, techPackData }: HSCodeStepProps) {
           `🔄 Restoring selected HS code: ${storedData.hsCodeData.code}`
         );
         setSelectedCode(storedData.hsCodeData);
+        // A code that isn't one of the suggestions was typed in by the user
+        if (
+          !storedData.hsCodeSuggestions.some(
+            (s) => s.code === storedData.hsCodeData!.code
+          )
+        ) {
+          setManualCode(storedData.hsCodeData.code);
+        }
       } else {
         // Auto-select the first suggestion if nothing was previously selected
         console.log(`✅ Auto-selecting first HS code suggestion`);
@@ -81,10 +105,15 @@ export function HSCodeStep({ onNext, onBack, techPackData }: HSCodeStepProps) {
     if (!techPackData) return;
 
     setIsLoading(true);
+    setJobStatus("queued");
+    setJobEvents([]);
     setError(null);
 
     try {
-      const response = await api.getHSCodeSuggestions(techPackData);
+      const response = await api.getHSCodeSuggestions(techPackData, {
+        onUpdate: (job) => setJobStatus(job.status),
+        onEvent: (event) => setJobEvents((prev) => [...prev, event]),
+      });
 
       if (!response.success) {
         throw new Error(
@@ -143,12 +172,55 @@ export function HSCodeStep({ onNext, onBack, techPackData }: HSCodeStepProps) {
   };
 
   const handleSelect = (suggestion: HSCodeSuggestion) => {
+    setManualCode("");
     setSelectedCode(suggestion);
     localStorageManager.saveHSCodeData(suggestion);
   };
 
+  // A valid typed code replaces the selected suggestion
+  const handleManualCodeChange = (value: string) => {
+    setManualCode(value);
+    const code = value.trim();
+
+    if (HS_CODE_PATTERN.test(code)) {
+      const manualSuggestion: HSCodeSuggestion = {
+        code,
+        description: "Entered manually",
+        confidence: 1,
+        rationale: ["Entered by user"],
+      };
+      setSelectedCode(manualSuggestion);
+      localStorageManager.saveHSCodeData(manualSuggestion);
+    } else if (
+      selectedCode &&
+      !suggestions.some((s) => s.code === selectedCode.code)
+    ) {
+      setSelectedCode(null);
+    }
+  };
+
+  // Report the decision so similar tech packs can reuse it as a precedent
+  const submitFeedback = async (code: HSCodeSuggestion) => {
+    if (!techPackData) return;
+
+    try {
+      await api.submitHSCodeFeedback({
+        techPackId: localStorageManager.getTechPackId(),
+        techPackInfo: techPackData,
+        suggestions,
+        acceptedCode: code.code,
+        acceptedDescription: manualCode ? undefined : code.description,
+        reason: feedbackReason.trim() || undefined,
+      });
+    } catch (err) {
+      console.warn("⚠️ Failed to record HS code feedback:", err);
+    }
+  };
+
   const handleNext = () => {
     if (selectedCode) {
+      // Feedback is best effort and must not hold up the next step
+      submitFeedback(selectedCode);
       onNext(selectedCode);
     }
   };
@@ -182,14 +254,7 @@ export function HSCodeStep({ onNext, onBack, techPackData }: HSCodeStepProps) {
       )}
 
       {isLoading ? (
-        <Card>
-          <CardContent className="pt-6">
-            <div className="flex items-center justify-center gap-2">
-              <Loader2 className="w-4 h-4 animate-spin" />
-              <p>Generating HS code suggestions...</p>
-            </div>
-          </CardContent>
-        </Card>
+        <PipelineProgress status={jobStatus} events={jobEvents} />
       ) : (
         <div className="space-y-4">
           {Array.isArray(suggestions) && suggestions.length > 0 ? (
@@ -229,6 +294,35 @@ export function HSCodeStep({ onNext, onBack, techPackData }: HSCodeStepProps) {
                             : "Mixed Sources"}
                         </Badge>
 
+                        {/* Rule engine second opinion */}
+                        {suggestion.suggestedBy === "both" && (
+                          <Badge variant="default" className="text-xs">
+                            AI + rules agree
+                          </Badge>
+                        )}
+                        {suggestion.suggestedBy === "rules" && (
+                          <Badge variant="outline" className="text-xs">
+                            Rule engine
+                          </Badge>
+                        )}
+
+                        {/* Tariff table check */}
+                        {suggestion.validationStatus === "mapped" && (
+                          <Badge variant="outline" className="text-xs">
+                            Mapped from {suggestion.originalCode}
+                          </Badge>
+                        )}
+                        {suggestion.validationStatus === "unknownCode" && (
+                          <Badge variant="destructive" className="text-xs">
+                            Not in tariff
+                          </Badge>
+                        )}
+                        {suggestion.validationStatus === "unverified" && (
+                          <Badge variant="outline" className="text-xs">
+                            Unverified
+                          </Badge>
+                        )}
+
                         {/* NBR Chapter and PDF Link */}
                         {suggestion.source === "nbr" && suggestion.chapter && (
                           <div className="flex items-center gap-1">
@@ -302,6 +396,79 @@ export function HSCodeStep({ onNext, onBack, techPackData }: HSCodeStepProps) {
         </div>
       )}
 
+      {!isLoading && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <PencilLine className="h-5 w-5" />
+              Not the right code?
+            </CardTitle>
+            <CardDescription>
+              Enter the HS code you use instead. Your choice is used as an
+              example when classifying similar tech packs.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="manualHsCode">HS Code</Label>
+              <Input
+                id="manualHsCode"
+                placeholder="e.g., 6109.10.00"
+                value={manualCode}
+                onChange={(e) => handleManualCodeChange(e.target.value)}
+              />
+              {manualCode.trim() &&
+                !HS_CODE_PATTERN.test(manualCode.trim()) && (
+                  <p className="text-sm text-destructive">
+                    Use a 4 to 10 digit code, e.g. 6109.10.00
+                  </p>
+                )}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="hsCodeReason">Reason (optional)</Label>
+              <Textarea
+                id="hsCodeReason"
+                placeholder="Why is this the right code for the product?"
+                value={feedbackReason}
+                onChange={(e) => setFeedbackReason(e.target.value)}
+                maxLength={1000}
+              />
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {selectedCode?.ruleTrace && selectedCode.ruleTrace.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <ListChecks className="h-5 w-5" />
+              Rule Engine Trace
+            </CardTitle>
+            <CardDescription>
+              How the chapter 61/62 rules arrived at HS {selectedCode.code}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <ol className="space-y-2 text-sm">
+              {selectedCode.ruleTrace.map((step, idx) => (
+                <li key={idx} className="flex items-start gap-3">
+                  <Badge variant="secondary" className="text-xs capitalize">
+                    {step.step}
+                  </Badge>
+                  <span className="flex-1">{step.rule}</span>
+                  {step.result && (
+                    <span className="font-mono text-muted-foreground">
+                      {step.result}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </CardContent>
+        </Card>
+      )}
+
       {selectedCode && (
         <Card>
           <CardHeader>
@@ -355,40 +522,60 @@ export function HSCodeStep({ onNext, onBack, techPackData }: HSCodeStepProps) {
               </div>
             )} */}
 
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-              <div className="text-center p-3 bg-muted/50 rounded-lg">
-                <div className="text-sm text-muted-foreground">CD</div>
-                <div>{selectedCode.tariffInfo?.CD || 0}%</div>
-              </div>
-              <div className="text-center p-3 bg-muted/50 rounded-lg">
-                <div className="text-sm text-muted-foreground">SD</div>
-                <div>{selectedCode.tariffInfo?.SD || 0}%</div>
-              </div>
-              <div className="text-center p-3 bg-muted/50 rounded-lg">
-                <div className="text-sm text-muted-foreground">VAT</div>
-                <div>{selectedCode.tariffInfo?.VAT || 0}%</div>
-              </div>
-              <div className="text-center p-3 bg-muted/50 rounded-lg">
-                <div className="text-sm text-muted-foreground">AIT</div>
-                <div>{selectedCode.tariffInfo?.AIT || 0}%</div>
-              </div>
-              <div className="text-center p-3 bg-muted/50 rounded-lg">
-                <div className="text-sm text-muted-foreground">AT</div>
-                <div>{selectedCode.tariffInfo?.AT || 0}%</div>
-              </div>
-              <div className="text-center p-3 bg-muted/50 rounded-lg">
-                <div className="text-sm text-muted-foreground">RD</div>
-                <div>{selectedCode.tariffInfo?.RD || 0}%</div>
+            {/* Codes not found in the tariff have no rates; never show them as 0% */}
+            {selectedCode.tariffInfo ? (
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div className="text-center p-3 bg-muted/50 rounded-lg">
+                  <div className="text-sm text-muted-foreground">CD</div>
+                  <div>{selectedCode.tariffInfo.CD}%</div>
+                </div>
+                <div className="text-center p-3 bg-muted/50 rounded-lg">
+                  <div className="text-sm text-muted-foreground">SD</div>
+                  <div>{selectedCode.tariffInfo.SD}%</div>
+                </div>
+                <div className="text-center p-3 bg-muted/50 rounded-lg">
+                  <div className="text-sm text-muted-foreground">VAT</div>
+                  <div>{selectedCode.tariffInfo.VAT}%</div>
+                </div>
+                <div className="text-center p-3 bg-muted/50 rounded-lg">
+                  <div className="text-sm text-muted-foreground">AIT</div>
+                  <div>{selectedCode.tariffInfo.AIT}%</div>
+                </div>
+                <div className="text-center p-3 bg-muted/50 rounded-lg">
+                  <div className="text-sm text-muted-foreground">AT</div>
+                  <div>{selectedCode.tariffInfo.AT}%</div>
+                </div>
+                <div className="text-center p-3 bg-muted/50 rounded-lg">
+                  <div className="text-sm text-muted-foreground">RD</div>
+                  <div>{selectedCode.tariffInfo.RD}%</div>
+                </div>
+                <div className="text-center p-3 bg-muted/50 rounded-lg">
+                  <div className="text-sm text-muted-foreground">TTI</div>
+                  <div>{selectedCode.tariffInfo.TTI}%</div>
+                </div>
               </div>
-              <div className="text-center p-3 bg-muted/50 rounded-lg">
-                <div className="text-sm text-muted-foreground">TTI</div>
-                <div>{selectedCode.tariffInfo?.TTI || 0}%</div>
+            ) : (
+              <div className="flex items-start gap-2 p-3 rounded-lg bg-yellow-50 text-yellow-800">
+                <AlertTriangle className="h-4 w-4 mt-0.5" />
+                <p className="text-sm">
+                  {selectedCode.validationStatus === "unknownCode"
+                    ? `HS ${selectedCode.code} was not found in the current tariff schedule. Verify the code before using it; duty rates are unavailable.`
+                    : "This code hasn't been checked against the tariff table, so duty rates are unavailable."}
+                </p>
               </div>
-            </div>
+            )}
           </CardContent>
         </Card>
       )}
 
+      {selectedCode?.tariffInfo && (
+        <DutyCalculator
+          hsCode={selectedCode.code}
+          tariffVersion={selectedCode.tariffVersion}
+          defaultIncoterm={techPackData?.incoterm}
+        />
+      )}
+
       <div className="flex gap-3">
         <Button variant="outline" onClick={onBack}>
           Back
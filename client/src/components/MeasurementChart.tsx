@@ -0,0 +1,107 @@
+import React from "react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "./ui/card";
+import { Button } from "./ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "./ui/table";
+import { Download, Ruler } from "lucide-react";
+import type { MeasurementChart as MeasurementChartData } from "../types";
+import { measurementsCsvUrl } from "../services/api";
+
+interface MeasurementChartProps {
+  measurements: MeasurementChartData;
+  techPackId?: string | null; // Stored record, needed for the CSV export
+}
+
+const SOURCE_LABELS: Record<string, string> = {
+  spreadsheet: "read from the POM sheet",
+  text: "read from the measurement table",
+  model: "read by AI from the measurement pages",
+};
+
+const formatTolerance = (
+  tolerance: MeasurementChartData["points"][number]["tolerance"]
+) => {
+  if (!tolerance) return "";
+  return tolerance.minus === tolerance.plus
+    ? `±${tolerance.minus}`
+    : `-${tolerance.minus} / +${tolerance.plus}`;
+};
+
+/**
+ * Read-only measurement (POM) chart with per-size values and tolerances,
+ * exportable as a CSV size spec
+ */
+export function MeasurementChart({
+  measurements,
+  techPackId,
+}: MeasurementChartProps) {
+  const { unit, sizes, points, source } = measurements;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between gap-2">
+          <span className="flex items-center gap-2">
+            <Ruler className="h-5 w-5" />
+            Measurements
+          </span>
+          {techPackId && (
+            <Button variant="outline" size="sm" asChild>
+              <a href={measurementsCsvUrl(techPackId)} download>
+                <Download className="h-4 w-4 mr-2" />
+                Export CSV
+              </a>
+            </Button>
+          )}
+        </CardTitle>
+        <CardDescription>
+          {points.length} points of measure
+          {unit ? ` in ${unit === "in" ? "inches" : "cm"}` : ""}
+          {source ? `, ${SOURCE_LABELS[source]}` : ""}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="overflow-x-auto">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>POM</TableHead>
+              <TableHead>Description</TableHead>
+              <TableHead>Tol.</TableHead>
+              {sizes.map((size) => (
+                <TableHead key={size} className="text-right">
+                  {size}
+                </TableHead>
+              ))}
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {points.map((point, index) => (
+              <TableRow key={`${point.code || ""}-${index}`}>
+                <TableCell>{point.code}</TableCell>
+                <TableCell>{point.description}</TableCell>
+                <TableCell>{formatTolerance(point.tolerance)}</TableCell>
+                {sizes.map((size) => (
+                  <TableCell key={size} className="text-right">
+                    {point.values[size] ?? ""}
+                  </TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,55 @@
+import React from "react";
+import { Card, CardContent } from "./ui/card";
+import { CheckCircle, Loader2 } from "lucide-react";
+import { cn } from "./ui/utils";
+import type { JobStatus, PipelineEvent } from "../types";
+import { JOB_STATUS_LABELS, PIPELINE_STAGE_LABELS } from "../types";
+
+interface PipelineProgressProps {
+  status: JobStatus;
+  events: PipelineEvent[];
+}
+
+// Live view of a background job: current status plus each stage event
+export function PipelineProgress({ status, events }: PipelineProgressProps) {
+  return (
+    <Card>
+      <CardContent className="pt-6 space-y-4">
+        <div className="flex items-center justify-center gap-2">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          <p>{JOB_STATUS_LABELS[status]}</p>
+        </div>
+
+        {events.length > 0 && (
+          <ul className="space-y-2 text-sm">
+            {events.map((event, index) => {
+              const isLatest = index === events.length - 1;
+              return (
+                <li
+                  key={`${event.timestamp}-${index}`}
+                  className={cn(
+                    "flex items-start gap-2",
+                    !isLatest && "text-muted-foreground"
+                  )}
+                >
+                  {isLatest ? (
+                    <Loader2 className="w-4 h-4 mt-0.5 animate-spin text-primary" />
+                  ) : (
+                    <CheckCircle className="w-4 h-4 mt-0.5 text-green-600" />
+                  )}
+                  <span className="font-medium min-w-32">
+                    {PIPELINE_STAGE_LABELS[event.stage] || event.stage}
+                  </span>
+                  <span className="flex-1">{event.message}</span>
+                  <span className="text-xs text-muted-foreground">
+                    {new Date(event.timestamp).toLocaleTimeString()}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
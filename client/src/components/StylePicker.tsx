@@ -0,0 +1,85 @@
+import React from "react";
+import { Card, CardContent } from "./ui/card";
+import { Button } from "./ui/button";
+import { Badge } from "./ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import { Layers, ChevronRight } from "lucide-react";
+import type { TechPackStyle } from "../types";
+
+interface StylePickerProps {
+  styles: TechPackStyle[];
+  activeIndex: number;
+  onSelect: (index: number) => void;
+}
+
+const styleLabel = (style: TechPackStyle, index: number) =>
+  `${style.styleNumber || `Style ${index + 1}`} - ${
+    style.techPackSummary.garmentType
+  }`;
+
+/**
+ * Switch between the styles of a multi-style tech pack. Each style is
+ * reviewed and classified on its own.
+ */
+export function StylePicker({
+  styles,
+  activeIndex,
+  onSelect,
+}: StylePickerProps) {
+  const classifiedCount = styles.filter((style) => style.selectedHsCode).length;
+  const nextIndex = styles.findIndex(
+    (style, index) => index !== activeIndex && !style.selectedHsCode
+  );
+
+  return (
+    <Card className="mb-6">
+      <CardContent className="pt-6">
+        <div className="flex flex-col md:flex-row md:items-center gap-4">
+          <div className="flex items-center gap-2">
+            <Layers className="h-5 w-5" />
+            <span className="font-medium">
+              This file contains {styles.length} styles
+            </span>
+            <Badge variant="secondary">
+              {classifiedCount}/{styles.length} classified
+            </Badge>
+          </div>
+
+          <div className="flex-1">
+            <Select
+              value={activeIndex.toString()}
+              onValueChange={(value) => onSelect(parseInt(value, 10))}
+            >
+              <SelectTrigger>
+                <SelectValue placeholder="Select style" />
+              </SelectTrigger>
+              <SelectContent>
+                {styles.map((style, index) => (
+                  <SelectItem key={index} value={index.toString()}>
+                    {styleLabel(style, index)}
+                    {style.selectedHsCode
+                      ? ` (HS ${style.selectedHsCode.code})`
+                      : ""}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {nextIndex !== -1 && (
+            <Button variant="outline" onClick={() => onSelect(nextIndex)}>
+              Next unclassified style
+              <ChevronRight className="h-4 w-4 ml-1" />
+            </Button>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
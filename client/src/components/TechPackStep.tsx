@@ -25,12 +25,41 @@ import {
   Package,
   AlertCircle,
   Trash2,
-  Loader2,
+  Leaf,
 } from "lucide-react";
 import { localStorageManager } from "../utils/localStorage";
-import type { TechPackSummary } from "../types";
-import { GARMENT_TYPE_OPTIONS } from "../types";
+import type {
+  TechPackSummary,
+  JobStatus,
+  PipelineEvent,
+  EvidenceField,
+  FieldEvidence,
+  BomFabric,
+  BomTrim,
+  Colorway,
+  FabricType,
+  ExtractionWarning,
+} from "../types";
+import { GARMENT_TYPE_OPTIONS, FABRIC_TYPE_OPTIONS } from "../types";
 import api, { ApiError } from "../services/api";
+import { PipelineProgress } from "./PipelineProgress";
+import { FieldEvidenceNote } from "./FieldEvidenceNote";
+import { BillOfMaterials } from "./BillOfMaterials";
+import { MeasurementChart } from "./MeasurementChart";
+
+const FIELD_LABELS: Record<EvidenceField, string> = {
+  materialPercentage: "Fiber composition",
+  fabricType: "Construction type",
+  garmentType: "Garment type",
+  gender: "Gender/age category",
+  description: "Product description",
+  gsm: "GSM",
+  countryOfOrigin: "Country of origin",
+  destinationMarket: "Destination market",
+  incoterm: "Incoterm",
+};
+
+const REVIEW_HIGHLIGHT = "rounded-md border border-amber-300 bg-amber-50 p-2";
 
 interface TechPackStepProps {
   onNext: (techPackData: TechPackSummary) => void;
@@ -48,7 +77,7 @@ export function TechPackStep({
   const [description, setDescription] = useState("");
   const [garmentType, setGarmentType] = useState("");
   const [customGarmentType, setCustomGarmentType] = useState("");
-  const [fabricType, setFabricType] = useState<"knit" | "woven">("knit");
+  const [fabricType, setFabricType] = useState<FabricType>("knit");
   const [gender, setGender] = useState("");
   const [materialPercentage, setMaterialPercentage] = useState<
     Array<{ material: string; percentage: number }>
@@ -57,8 +86,24 @@ export function TechPackStep({
   const [countryOfOrigin, setCountryOfOrigin] = useState("");
   const [destinationMarket, setDestinationMarket] = useState("");
   const [incoterm, setIncoterm] = useState("");
+  const [fabrics, setFabrics] = useState<BomFabric[]>([]);
+  const [trims, setTrims] = useState<BomTrim[]>([]);
+  const [colorways, setColorways] = useState<Colorway[]>([]);
+  const [sizeRange, setSizeRange] = useState<string[]>([]);
+  const [fieldEvidence, setFieldEvidence] = useState<
+    TechPackSummary["fieldEvidence"]
+  >({});
+  const [compositionAnalysis, setCompositionAnalysis] =
+    useState<TechPackSummary["compositionAnalysis"]>();
+  const [measurements, setMeasurements] =
+    useState<TechPackSummary["measurements"]>();
+  const [sustainability, setSustainability] =
+    useState<TechPackSummary["sustainability"]>();
   const [isProcessing, setIsProcessing] = useState(false);
+  const [jobStatus, setJobStatus] = useState<JobStatus>("queued");
+  const [jobEvents, setJobEvents] = useState<PipelineEvent[]>([]);
   const [processingError, setProcessingError] = useState<string | null>(null);
+  const [warnings, setWarnings] = useState<ExtractionWarning[]>([]);
 
   const genderOptions = ["Men", "Women", "Unisex", "Infant", "Kids"];
 
@@ -100,10 +145,18 @@ export function TechPackStep({
       setFabricType(techPackData.fabricType || "knit");
       setGender(techPackData.gender || "");
       setMaterialPercentage(techPackData.materialPercentage || []);
+      setCompositionAnalysis(techPackData.compositionAnalysis);
       setGsm(techPackData.gsm);
       setCountryOfOrigin(techPackData.countryOfOrigin || "");
       setDestinationMarket(techPackData.destinationMarket || "");
       setIncoterm(techPackData.incoterm || "");
+      setFabrics(techPackData.fabrics || []);
+      setTrims(techPackData.trims || []);
+      setColorways(techPackData.colorways || []);
+      setSizeRange(techPackData.sizeRange || []);
+      setMeasurements(techPackData.measurements);
+      setSustainability(techPackData.sustainability);
+      setFieldEvidence(techPackData.fieldEvidence || {});
 
       // Check if garment type is a predefined option or custom
       const isPredefinedType = GARMENT_TYPE_OPTIONS.includes(
@@ -138,11 +191,17 @@ export function TechPackStep({
       }
 
       setIsProcessing(true);
+      setJobStatus("queued");
+      setJobEvents([]);
       setProcessingError(null);
+      setWarnings([]);
 
       try {
         console.log("📤 Processing file with backend:", uploadedFile.name);
-        const response = await api.uploadTechPack(uploadedFile);
+        const response = await api.uploadTechPack(uploadedFile, {
+          onUpdate: (job) => setJobStatus(job.status),
+          onEvent: (event) => setJobEvents((prev) => [...prev, event]),
+        });
 
         if (!response.success) {
           throw new Error(response.message || "Failed to process file");
@@ -156,10 +215,19 @@ export function TechPackStep({
           setFabricType(extractedData.fabricType || "knit");
           setGender(extractedData.gender || "");
           setMaterialPercentage(extractedData.materialPercentage || []);
+          setCompositionAnalysis(extractedData.compositionAnalysis);
           setGsm(extractedData.gsm);
           setCountryOfOrigin(extractedData.countryOfOrigin || "");
           setDestinationMarket(extractedData.destinationMarket || "");
           setIncoterm(extractedData.incoterm || "");
+          setFabrics(extractedData.fabrics || []);
+          setTrims(extractedData.trims || []);
+          setColorways(extractedData.colorways || []);
+          setSizeRange(extractedData.sizeRange || []);
+          setMeasurements(extractedData.measurements);
+          setSustainability(extractedData.sustainability);
+          setFieldEvidence(extractedData.fieldEvidence || {});
+          setWarnings(response.data.warnings || []);
 
           // Handle garment type
           const isPredefinedType = GARMENT_TYPE_OPTIONS.includes(
@@ -175,6 +243,9 @@ export function TechPackStep({
 
           // Save to localStorage
           localStorageManager.saveTechPackData(extractedData);
+          if (response.data.techPackId) {
+            localStorageManager.saveTechPackId(response.data.techPackId);
+          }
 
           console.log("✅ File processed and saved to localStorage");
         } else {
@@ -200,6 +271,38 @@ export function TechPackStep({
     processUploadedFile();
   }, [uploadedFile, techPackData]);
 
+  // Inferred values stay highlighted until the user edits or confirms them
+  const needsReview = (evidence?: FieldEvidence) =>
+    Boolean(evidence?.inferred && !evidence.reviewed);
+
+  const markReviewed = (...fields: EvidenceField[]) => {
+    setFieldEvidence((prev) => {
+      const next = { ...prev };
+      fields.forEach((field) => {
+        const evidence = next[field];
+        if (evidence) next[field] = { ...evidence, reviewed: true };
+      });
+      return next;
+    });
+  };
+
+  const fieldsToReview = (Object.keys(FIELD_LABELS) as EvidenceField[]).filter(
+    (field) => needsReview(fieldEvidence?.[field])
+  );
+
+  const reviewClass = (field: EvidenceField) =>
+    needsReview(fieldEvidence?.[field]) ? REVIEW_HIGHLIGHT : "";
+
+  // Evidence for one row of the composition, matched by material name
+  const materialEvidence = (material: string) => {
+    const composition = fieldEvidence?.materialPercentage;
+    if (!composition || composition.reviewed) return undefined;
+    return composition.items?.find(
+      (item) =>
+        item.material.trim().toLowerCase() === material.trim().toLowerCase()
+    );
+  };
+
   const handleMaterialChange = (
     index: number,
     field: "material" | "percentage",
@@ -208,9 +311,17 @@ export function TechPackStep({
     const newMaterials = [...materialPercentage];
     newMaterials[index] = { ...newMaterials[index], [field]: value };
     setMaterialPercentage(newMaterials);
+    editComposition();
+  };
+
+  // The server's analysis describes the composition as extracted
+  const editComposition = () => {
+    markReviewed("materialPercentage");
+    setCompositionAnalysis(undefined);
   };
 
   const addMaterial = () => {
+    editComposition();
     setMaterialPercentage([
       ...materialPercentage,
       { material: "", percentage: 0 },
@@ -218,6 +329,7 @@ export function TechPackStep({
   };
 
   const removeMaterial = (index: number) => {
+    editComposition();
     setMaterialPercentage(materialPercentage.filter((_, i) => i !== index));
   };
 
@@ -236,6 +348,9 @@ export function TechPackStep({
     materialPercentage.length > 0 &&
     isValidPercentage;
 
+  // Rows left without their required cells are dropped rather than sent
+  const hasText = (value?: string | null) => Boolean(value?.trim());
+
   const handleNext = () => {
     if (isFormValid) {
       const finalData: TechPackSummary = {
@@ -248,6 +363,22 @@ export function TechPackStep({
         countryOfOrigin: countryOfOrigin || undefined,
         destinationMarket: destinationMarket || undefined,
         incoterm: incoterm || undefined,
+        styleNumber: techPackData?.styleNumber,
+        fabrics: fabrics.filter(
+          (fabric) => hasText(fabric.component) && hasText(fabric.description)
+        ),
+        trims: trims.filter(
+          (trim) => hasText(trim.type) && hasText(trim.description)
+        ),
+        colorways: colorways.filter((colorway) => hasText(colorway.name)),
+        sizeRange: sizeRange.filter(hasText),
+        measurements,
+        sustainability,
+        fieldEvidence:
+          fieldEvidence && Object.keys(fieldEvidence).length > 0
+            ? fieldEvidence
+            : undefined,
+        compositionAnalysis,
       };
 
       // Save to localStorage (without file since we're in TechPackStep)
@@ -269,14 +400,7 @@ export function TechPackStep({
 
       {/* Processing State - Show ONLY loading card, hide all forms */}
       {isProcessing ? (
-        <Card>
-          <CardContent className="pt-6">
-            <div className="flex items-center justify-center gap-2">
-              <Loader2 className="w-4 h-4 animate-spin" />
-              <p>Extracting product details from your file...</p>
-            </div>
-          </CardContent>
-        </Card>
+        <PipelineProgress status={jobStatus} events={jobEvents} />
       ) : (
         <>
           {/* Processing Error */}
@@ -301,6 +425,67 @@ export function TechPackStep({
             </Card>
           )}
 
+          {/* Removed instructions and unsupported values */}
+          {warnings.length > 0 && (
+            <Card className="border-amber-200 bg-amber-50">
+              <CardContent className="pt-6">
+                <div className="flex items-start gap-3">
+                  <AlertCircle className="h-5 w-5 text-amber-600 mt-0.5" />
+                  <div className="flex-1">
+                    <p className="font-medium text-amber-900">
+                      Check the extracted details against the document
+                    </p>
+                    <ul className="text-sm text-amber-800 mt-1 space-y-1">
+                      {warnings.map((warning, index) => (
+                        <li key={index}>
+                          {warning.styleNumber && `${warning.styleNumber}: `}
+                          {warning.message}
+                          {warning.page ? ` (page ${warning.page})` : ""}
+                          {warning.snippet && (
+                            <span className="block text-xs text-amber-700 italic">
+                              "{warning.snippet}"
+                            </span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Inferred fields needing review */}
+          {fieldsToReview.length > 0 && (
+            <Card className="border-amber-200 bg-amber-50">
+              <CardContent className="pt-6">
+                <div className="flex items-start gap-3">
+                  <AlertCircle className="h-5 w-5 text-amber-600 mt-0.5" />
+                  <div className="flex-1">
+                    <p className="font-medium text-amber-900">
+                      {fieldsToReview.length} field
+                      {fieldsToReview.length === 1 ? " was" : "s were"} inferred
+                      rather than read from the document
+                    </p>
+                    <p className="text-sm text-amber-800 mt-1">
+                      {fieldsToReview.map((f) => FIELD_LABELS[f]).join(", ")}.
+                      Estimated fiber percentages can change the HS subheading,
+                      so check the highlighted fields before continuing.
+                    </p>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      className="mt-3"
+                      onClick={() => markReviewed(...fieldsToReview)}
+                    >
+                      Mark all as reviewed
+                    </Button>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
           <div className="grid md:grid-cols-2 gap-6">
             {/* Basic Information Card */}
             <Card>
@@ -315,9 +500,15 @@ export function TechPackStep({
               </CardHeader>
               <CardContent className="space-y-4">
                 {/* Garment Type */}
-                <div>
+                <div className={reviewClass("garmentType")}>
                   <Label htmlFor="garmentType">Garment Type *</Label>
-                  <Select value={garmentType} onValueChange={setGarmentType}>
+                  <Select
+                    value={garmentType}
+                    onValueChange={(value) => {
+                      setGarmentType(value);
+                      markReviewed("garmentType");
+                    }}
+                  >
                     <SelectTrigger>
                       <SelectValue placeholder="Select garment type" />
                     </SelectTrigger>
@@ -329,6 +520,7 @@ export function TechPackStep({
                       ))}
                     </SelectContent>
                   </Select>
+                  <FieldEvidenceNote evidence={fieldEvidence?.garmentType} />
                 </div>
 
                 {/* Custom Garment Type - shown only when Custom is selected */}
@@ -341,34 +533,48 @@ export function TechPackStep({
                       id="customGarmentType"
                       placeholder="Enter custom garment type"
                       value={customGarmentType}
-                      onChange={(e) => setCustomGarmentType(e.target.value)}
+                      onChange={(e) => {
+                        setCustomGarmentType(e.target.value);
+                        markReviewed("garmentType");
+                      }}
                     />
                   </div>
                 )}
 
                 {/* Construction Type */}
-                <div>
+                <div className={reviewClass("fabricType")}>
                   <Label htmlFor="fabricType">Construction Type *</Label>
                   <Select
                     value={fabricType}
-                    onValueChange={(value: "knit" | "woven") =>
-                      setFabricType(value)
-                    }
+                    onValueChange={(value: FabricType) => {
+                      setFabricType(value);
+                      markReviewed("fabricType");
+                    }}
                   >
                     <SelectTrigger>
                       <SelectValue placeholder="Select construction type" />
                     </SelectTrigger>
                     <SelectContent>
-                      <SelectItem value="knit">Knit</SelectItem>
-                      <SelectItem value="woven">Woven</SelectItem>
+                      {FABRIC_TYPE_OPTIONS.map((option) => (
+                        <SelectItem key={option.value} value={option.value}>
+                          {option.label}
+                        </SelectItem>
+                      ))}
                     </SelectContent>
                   </Select>
+                  <FieldEvidenceNote evidence={fieldEvidence?.fabricType} />
                 </div>
 
                 {/* Gender Category */}
-                <div>
+                <div className={reviewClass("gender")}>
                   <Label htmlFor="gender">Gender/Age Category *</Label>
-                  <Select value={gender} onValueChange={setGender}>
+                  <Select
+                    value={gender}
+                    onValueChange={(value) => {
+                      setGender(value);
+                      markReviewed("gender");
+                    }}
+                  >
                     <SelectTrigger>
                       <SelectValue placeholder="Select gender category" />
                     </SelectTrigger>
@@ -380,20 +586,23 @@ export function TechPackStep({
                       ))}
                     </SelectContent>
                   </Select>
+                  <FieldEvidenceNote evidence={fieldEvidence?.gender} />
                 </div>
 
                 {/* GSM */}
-                <div>
+                <div className={reviewClass("gsm")}>
                   <Label htmlFor="gsm">GSM (Grams per Square Meter)</Label>
                   <Input
                     id="gsm"
                     type="number"
                     placeholder="e.g., 180"
                     value={gsm || ""}
-                    onChange={(e) =>
-                      setGsm(parseFloat(e.target.value) || undefined)
-                    }
+                    onChange={(e) => {
+                      setGsm(parseFloat(e.target.value) || undefined);
+                      markReviewed("gsm");
+                    }}
                   />
+                  <FieldEvidenceNote evidence={fieldEvidence?.gsm} />
                   <p className="text-xs text-muted-foreground mt-1">
                     Fabric weight affects HS classification
                   </p>
@@ -413,7 +622,9 @@ export function TechPackStep({
                 </CardDescription>
               </CardHeader>
               <CardContent className="space-y-4">
-                <div className="space-y-2">
+                <div
+                  className={`space-y-2 ${reviewClass("materialPercentage")}`}
+                >
                   <Label>
                     Fiber Composition *
                     <Badge
@@ -425,42 +636,47 @@ export function TechPackStep({
                   </Label>
 
                   {materialPercentage.map((item, index) => (
-                    <div key={index} className="flex gap-2 items-start">
-                      <div className="flex-1">
-                        <Input
-                          placeholder="Material (e.g., Cotton)"
-                          value={item.material}
-                          onChange={(e) =>
-                            handleMaterialChange(
-                              index,
-                              "material",
-                              e.target.value
-                            )
-                          }
-                        />
+                    <div key={index}>
+                      <div className="flex gap-2 items-start">
+                        <div className="flex-1">
+                          <Input
+                            placeholder="Material (e.g., Cotton)"
+                            value={item.material}
+                            onChange={(e) =>
+                              handleMaterialChange(
+                                index,
+                                "material",
+                                e.target.value
+                              )
+                            }
+                          />
+                        </div>
+                        <div className="w-24">
+                          <Input
+                            type="number"
+                            placeholder="%"
+                            value={item.percentage || ""}
+                            onChange={(e) =>
+                              handleMaterialChange(
+                                index,
+                                "percentage",
+                                parseFloat(e.target.value) || 0
+                              )
+                            }
+                          />
+                        </div>
+                        <Button
+                          variant="outline"
+                          size="icon"
+                          onClick={() => removeMaterial(index)}
+                          disabled={materialPercentage.length <= 1}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
                       </div>
-                      <div className="w-24">
-                        <Input
-                          type="number"
-                          placeholder="%"
-                          value={item.percentage || ""}
-                          onChange={(e) =>
-                            handleMaterialChange(
-                              index,
-                              "percentage",
-                              parseFloat(e.target.value) || 0
-                            )
-                          }
-                        />
-                      </div>
-                      <Button
-                        variant="outline"
-                        size="icon"
-                        onClick={() => removeMaterial(index)}
-                        disabled={materialPercentage.length <= 1}
-                      >
-                        <Trash2 className="h-4 w-4" />
-                      </Button>
+                      <FieldEvidenceNote
+                        evidence={materialEvidence(item.material)}
+                      />
                     </div>
                   ))}
 
@@ -479,11 +695,88 @@ export function TechPackStep({
                       <span>Material percentages must sum to 100%</span>
                     </div>
                   )}
+
+                  {!fieldEvidence?.materialPercentage?.items && (
+                    <FieldEvidenceNote
+                      evidence={fieldEvidence?.materialPercentage}
+                    />
+                  )}
+
+                  {compositionAnalysis?.chiefWeight && (
+                    <p className="text-sm text-muted-foreground">
+                      Chief weight: {compositionAnalysis.chiefWeight.percentage}
+                      % {compositionAnalysis.chiefWeight.label}
+                      {compositionAnalysis.chiefWeight.tie &&
+                        " (tie, decided by tariff order)"}
+                    </p>
+                  )}
+                  {compositionAnalysis?.issues.map((issue) => (
+                    <div
+                      key={issue}
+                      className="flex items-center gap-2 text-sm text-amber-700"
+                    >
+                      <AlertCircle className="h-4 w-4" />
+                      <span>{issue}</span>
+                    </div>
+                  ))}
                 </div>
               </CardContent>
             </Card>
           </div>
 
+          {/* Certifications and recycled/organic content */}
+          {sustainability &&
+            (sustainability.certifications.length > 0 ||
+              sustainability.notes.length > 0) && (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <Leaf className="h-5 w-5" />
+                    Certifications
+                  </CardTitle>
+                  <CardDescription>
+                    Claims found in the document, checked against the
+                    composition
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-3">
+                  {sustainability.certifications.map((certification) => (
+                    <div
+                      key={certification.scheme}
+                      className="flex items-center gap-2 text-sm"
+                    >
+                      <Badge variant="secondary">{certification.scheme}</Badge>
+                      <span>{certification.name}</span>
+                      <span className="text-muted-foreground">
+                        {certification.certificateNumber
+                          ? `No. ${certification.certificateNumber}`
+                          : "No certificate number"}
+                        {certification.page
+                          ? ` (page ${certification.page})`
+                          : ""}
+                      </span>
+                    </div>
+                  ))}
+                  {(sustainability.recycledPercentage > 0 ||
+                    sustainability.organicPercentage > 0) && (
+                    <p className="text-sm text-muted-foreground">
+                      Recycled: {sustainability.recycledPercentage}% · Organic:{" "}
+                      {sustainability.organicPercentage}%
+                    </p>
+                  )}
+                  {sustainability.notes.map((note) => (
+                    <div
+                      key={note}
+                      className="flex items-center gap-2 text-sm text-amber-700"
+                    >
+                      <AlertCircle className="h-4 w-4" />
+                      <span>{note}</span>
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+            )}
+
           {/* Product Summary Card */}
           <Card>
             <CardHeader>
@@ -496,19 +789,42 @@ export function TechPackStep({
               </CardDescription>
             </CardHeader>
             <CardContent>
-              <div>
+              <div className={reviewClass("description")}>
                 <Label htmlFor="description">Product Description *</Label>
                 <Textarea
                   id="description"
                   placeholder="Example: Men's 100% cotton jersey T-shirt, 180 GSM, crew neck, short sleeves"
                   value={description}
-                  onChange={(e) => setDescription(e.target.value)}
+                  onChange={(e) => {
+                    setDescription(e.target.value);
+                    markReviewed("description");
+                  }}
                   rows={3}
                 />
+                <FieldEvidenceNote evidence={fieldEvidence?.description} />
               </div>
             </CardContent>
           </Card>
 
+          {/* Bill of Materials, Colorways and Sizes */}
+          <BillOfMaterials
+            fabrics={fabrics}
+            trims={trims}
+            colorways={colorways}
+            sizeRange={sizeRange}
+            onFabricsChange={setFabrics}
+            onTrimsChange={setTrims}
+            onColorwaysChange={setColorways}
+            onSizeRangeChange={setSizeRange}
+          />
+
+          {measurements && measurements.points.length > 0 && (
+            <MeasurementChart
+              measurements={measurements}
+              techPackId={localStorageManager.getTechPackId()}
+            />
+          )}
+
           {/* Trade Information Card */}
           <Card>
             <CardHeader>
@@ -522,11 +838,14 @@ export function TechPackStep({
             </CardHeader>
             <CardContent className="grid md:grid-cols-3 gap-4">
               {/* Country of Origin */}
-              <div>
+              <div className={reviewClass("countryOfOrigin")}>
                 <Label htmlFor="countryOfOrigin">Country of Origin</Label>
                 <Select
                   value={countryOfOrigin}
-                  onValueChange={setCountryOfOrigin}
+                  onValueChange={(value) => {
+                    setCountryOfOrigin(value);
+                    markReviewed("countryOfOrigin");
+                  }}
                 >
                   <SelectTrigger>
                     <SelectValue placeholder="Select country" />
@@ -539,14 +858,18 @@ export function TechPackStep({
                     ))}
                   </SelectContent>
                 </Select>
+                <FieldEvidenceNote evidence={fieldEvidence?.countryOfOrigin} />
               </div>
 
               {/* Destination Market */}
-              <div>
+              <div className={reviewClass("destinationMarket")}>
                 <Label htmlFor="destinationMarket">Destination Market</Label>
                 <Select
                   value={destinationMarket}
-                  onValueChange={setDestinationMarket}
+                  onValueChange={(value) => {
+                    setDestinationMarket(value);
+                    markReviewed("destinationMarket");
+                  }}
                 >
                   <SelectTrigger>
                     <SelectValue placeholder="Select destination" />
@@ -559,12 +882,21 @@ export function TechPackStep({
                     ))}
                   </SelectContent>
                 </Select>
+                <FieldEvidenceNote
+                  evidence={fieldEvidence?.destinationMarket}
+                />
               </div>
 
               {/* Incoterm */}
-              <div>
+              <div className={reviewClass("incoterm")}>
                 <Label htmlFor="incoterm">Incoterm</Label>
-                <Select value={incoterm} onValueChange={setIncoterm}>
+                <Select
+                  value={incoterm}
+                  onValueChange={(value) => {
+                    setIncoterm(value);
+                    markReviewed("incoterm");
+                  }}
+                >
                   <SelectTrigger>
                     <SelectValue placeholder="Select incoterm" />
                   </SelectTrigger>
@@ -576,6 +908,7 @@ export function TechPackStep({
                     ))}
                   </SelectContent>
                 </Select>
+                <FieldEvidenceNote evidence={fieldEvidence?.incoterm} />
               </div>
             </CardContent>
           </Card>
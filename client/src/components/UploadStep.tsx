@@ -17,11 +17,35 @@ import {
   Trash2,
 } from "lucide-react";
 import { localStorageManager } from "../utils/localStorage";
-import type { TechPackSummary, TechPackUploadResponse } from "../types";
+import type {
+  TechPackSummary,
+  TechPackUploadResponse,
+  JobStatus,
+  PipelineEvent,
+} from "../types";
 import api, { ApiError } from "../services/api";
+import { PipelineProgress } from "./PipelineProgress";
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_IMAGES = 10;
+const DOCUMENT_TYPES = [
+  "application/pdf",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+];
+// Files the browser reports without a specific type (common for .doc) are
+// accepted by extension; the server identifies them from their contents
+const DOCUMENT_EXTENSIONS = [".pdf", ".doc", ".docx", ".xls", ".xlsx"];
+const isUntypedDocument = (file: File) =>
+  (file.type === "" || file.type === "application/octet-stream") &&
+  DOCUMENT_EXTENSIONS.some((ext) => file.name.toLowerCase().endsWith(ext));
+// Photos or screenshots of tech pack pages; several can be uploaded together
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp"];
 
 interface UploadStepProps {
-  onNext: (file?: File) => Promise<void>;
+  onNext: (file?: File, uploadResult?: TechPackUploadResponse) => Promise<void>;
   initialData?: TechPackSummary | null;
   uploadedFile?: File | null;
   onClearData?: () => void;
@@ -34,6 +58,8 @@ export function UploadStep({
   onClearData,
 }: UploadStepProps) {
   const [file, setFile] = useState<File | null>(null);
+  // All selected files; more than one only for page images
+  const [files, setFiles] = useState<File[]>([]);
   const [fileInfo, setFileInfo] = useState<{
     name: string;
     size: number;
@@ -43,6 +69,9 @@ export function UploadStep({
   const [error, setError] = useState<string | null>(null);
   const [isFromStorage, setIsFromStorage] = useState(false);
   const [isUploaded, setIsUploaded] = useState(false);
+  const [isExtracting, setIsExtracting] = useState(false);
+  const [jobStatus, setJobStatus] = useState<JobStatus>("queued");
+  const [jobEvents, setJobEvents] = useState<PipelineEvent[]>([]);
 
   // Load file info from localStorage on component mount or use prop
   useEffect(() => {
@@ -107,59 +136,67 @@ export function UploadStep({
     }
   }, [initialData]);
 
-  const handleFileUpload = (event: ChangeEvent<HTMLInputElement>) => {
-    const uploadedFile = event.target.files?.[0];
-    if (uploadedFile) {
-      setFile(uploadedFile);
-      processFile(uploadedFile);
+  const selectFiles = (selected: File[]) => {
+    if (selected.length > 0) {
+      setFile(selected[0]);
+      setFiles(selected);
+      processFiles(selected);
     }
   };
 
+  const handleFileUpload = (event: ChangeEvent<HTMLInputElement>) => {
+    selectFiles(Array.from(event.target.files || []));
+  };
+
   const handleDrop = (event: DragEvent<HTMLDivElement>) => {
     event.preventDefault();
-    const droppedFile = event.dataTransfer.files[0];
-    if (droppedFile) {
-      setFile(droppedFile);
-      processFile(droppedFile);
-    }
+    selectFiles(Array.from(event.dataTransfer.files));
   };
 
-  const processFile = async (file: File) => {
-    // Just validate file - don't process with backend yet
+  const processFiles = async (selected: File[]) => {
+    // Just validate files - don't process with backend yet
     setIsProcessing(true);
     setError(null);
     setIsFromStorage(false);
 
     try {
       // Basic file validation
-      const maxSize = 10 * 1024 * 1024; // 10MB
-      const allowedTypes = [
-        "application/pdf",
-        "application/msword",
-        "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-        "application/vnd.ms-excel",
-        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-      ];
-
-      if (file.size > maxSize) {
-        throw new Error("File size exceeds 10MB limit");
+      for (const selectedFile of selected) {
+        if (selectedFile.size > MAX_FILE_SIZE) {
+          throw new Error(`${selectedFile.name} exceeds the 10MB limit`);
+        }
+
+        if (
+          ![...DOCUMENT_TYPES, ...IMAGE_TYPES].includes(selectedFile.type) &&
+          !isUntypedDocument(selectedFile)
+        ) {
+          throw new Error(
+            "Invalid file type. Please upload PDF, DOC, DOCX, XLS, XLSX, PNG, JPEG or WebP files"
+          );
+        }
       }
 
-      if (!allowedTypes.includes(file.type)) {
-        throw new Error(
-          "Invalid file type. Please upload PDF, DOC, DOCX, XLS, or XLSX files"
-        );
+      if (selected.length > 1) {
+        if (!selected.every((f) => IMAGE_TYPES.includes(f.type))) {
+          throw new Error(
+            "Only images can be uploaded together. Upload documents one at a time"
+          );
+        }
+        if (selected.length > MAX_IMAGES) {
+          throw new Error(`Upload at most ${MAX_IMAGES} images at a time`);
+        }
       }
 
-      // File is valid - save file info to localStorage
+      // Files are valid - save file info to localStorage
       setIsUploaded(true);
       setFileInfo({
-        name: file.name,
-        size: file.size,
-        type: file.type,
+        name:
+          selected.length > 1 ? `${selected.length} images` : selected[0].name,
+        size: selected.reduce((sum, f) => sum + f.size, 0),
+        type: selected.length > 1 ? "Images" : selected[0].type,
       });
 
-      console.log("✅ File validated successfully");
+      console.log(`✅ ${selected.length} file(s) validated successfully`);
     } catch (error) {
       console.error("Error validating file:", error);
       setError(
@@ -172,11 +209,49 @@ export function UploadStep({
   };
 
   const handleNext = async () => {
-    // Pass file if we have it, or allow proceeding with just fileInfo
-    if ((file || fileInfo) && isUploaded) {
-      // Pass the file to next step if available
-      // TechPackStep will process it and get the data
+    if (!(file || fileInfo) || !isUploaded) {
+      return;
+    }
+
+    // Already extracted (restored session) or no File object to send:
+    // proceed with what we have
+    if (!file || (initialData && isFromStorage)) {
       await onNext(file || undefined);
+      return;
+    }
+
+    // Run extraction here so the pipeline progress is visible while it runs
+    setIsExtracting(true);
+    setJobStatus("queued");
+    setJobEvents([]);
+    setError(null);
+
+    try {
+      console.log("📤 Processing file with backend:", fileInfo?.name);
+      const response = await api.uploadTechPack(
+        files.length > 0 ? files : file,
+        {
+          onUpdate: (job) => setJobStatus(job.status),
+          onEvent: (event) => setJobEvents((prev) => [...prev, event]),
+        }
+      );
+
+      if (!response.success || !response.data?.techPackSummary) {
+        throw new Error(response.message || "Failed to process file");
+      }
+
+      await onNext(file, response.data);
+    } catch (error) {
+      console.error("Error processing file:", error);
+      setError(
+        error instanceof ApiError
+          ? `Processing Error (${error.status}): ${error.message}`
+          : error instanceof Error
+          ? error.message
+          : "Failed to process file"
+      );
+    } finally {
+      setIsExtracting(false);
     }
   }; // const handleReupload = () => {
   //   setFile(null);
@@ -231,7 +306,8 @@ export function UploadStep({
               id="file-upload"
               type="file"
               className="hidden"
-              accept=".pdf,.doc,.docx,.xlsx,.xls"
+              accept=".pdf,.doc,.docx,.xlsx,.xls,.png,.jpg,.jpeg,.webp"
+              multiple
               onChange={handleFileUpload}
             />
 
@@ -241,7 +317,8 @@ export function UploadStep({
                 <div>
                   <p>Drop your tech pack here or click to browse</p>
                   <p className="text-sm text-muted-foreground">
-                    Supports PDF, DOC, DOCX, XLS, XLSX
+                    Supports PDF, DOC, DOCX, XLS, XLSX, or up to {MAX_IMAGES}{" "}
+                    PNG, JPEG or WebP images of its pages
                   </p>
                 </div>
               </div>
@@ -250,6 +327,11 @@ export function UploadStep({
                 <FileText className="h-12 w-12 mx-auto text-primary" />
                 <div>
                   <p className="text-sm">{fileInfo?.name || file?.name}</p>
+                  {files.length > 1 && (
+                    <p className="text-xs text-muted-foreground">
+                      {files.map((f) => f.name).join(", ")}
+                    </p>
+                  )}
                   <p className="text-xs text-muted-foreground">
                     {(
                       (fileInfo?.size || file?.size || 0) /
@@ -271,6 +353,10 @@ export function UploadStep({
         </CardContent>
       </Card>
 
+      {isExtracting && (
+        <PipelineProgress status={jobStatus} events={jobEvents} />
+      )}
+
       {isProcessing && (
         <Card>
           <CardContent className="pt-6">
@@ -352,8 +438,12 @@ export function UploadStep({
               className="w-full"
               onClick={() => {
                 setError(null);
-                if (file) {
-                  processFile(file);
+                if (file && isUploaded) {
+                  handleNext();
+                } else if (files.length > 0) {
+                  processFiles(files);
+                } else if (file) {
+                  processFiles([file]);
                 }
               }}
             >
@@ -366,7 +456,11 @@ export function UploadStep({
       {/* Show continue button when file is uploaded successfully, or skip button when no file */}
       {isUploaded ? (
         <div className="flex gap-3">
-          <Button onClick={async () => await handleNext()} className="w-full">
+          <Button
+            onClick={async () => await handleNext()}
+            className="w-full"
+            disabled={isExtracting}
+          >
             Continue to Tech Pack Details
           </Button>
         </div>
@@ -5,6 +5,17 @@ import {
   HSCodeClassificationResponse,
   ComplianceData,
   ApiResponse,
+  TechPackRecord,
+  TechPackRecordInput,
+  JobAccepted,
+  ProcessingJob,
+  PipelineEvent,
+  HSCodeFeedback,
+  HSCodeFeedbackInput,
+  DutyCalculation,
+  DutyCalculationInput,
+  TechPackMeasurements,
+  InvoiceDescription,
 } from "../types";
 
 // API configuration
@@ -62,11 +73,13 @@ async function apiRequest<T>(
 // File upload function
 async function uploadFile(
   endpoint: string,
-  file: File,
+  files: File | File[],
   additionalData?: Record<string, any>
 ): Promise<ApiResponse<any>> {
   const formData = new FormData();
-  formData.append("techpack", file);
+  (Array.isArray(files) ? files : [files]).forEach((file) =>
+    formData.append("techpack", file)
+  );
 
   if (additionalData) {
     Object.keys(additionalData).forEach((key) => {
@@ -105,23 +118,189 @@ async function uploadFile(
   }
 }
 
+const JOB_POLL_INTERVAL_MS = 1500;
+
+// Callbacks for following a background processing job
+export interface JobHandlers<T> {
+  onUpdate?: (job: ProcessingJob<T>) => void;
+  onEvent?: (event: PipelineEvent) => void;
+}
+
+const toJobResult = <T>(job: ProcessingJob<T>): ApiResponse<T> => {
+  if (job.status === "failed") {
+    throw new ApiError(job.error || "Processing failed", 422);
+  }
+  return {
+    success: true,
+    data: job.result as T,
+    message: "Processing job is done",
+  };
+};
+
+// Poll a background processing job until it is done or failed
+async function waitForJob<T>(
+  jobId: string,
+  { onUpdate, onEvent }: JobHandlers<T> = {},
+  seenEvents = 0
+): Promise<ApiResponse<T>> {
+  while (true) {
+    const response = await apiRequest<ProcessingJob<T>>(
+      `/techpack/process/${jobId}`
+    );
+    const job = response.data!;
+
+    const events = job.events || [];
+    events.slice(seenEvents).forEach((event) => onEvent?.(event));
+    seenEvents = events.length;
+    onUpdate?.(job);
+
+    if (job.status === "done" || job.status === "failed") {
+      return toJobResult(job);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+  }
+}
+
+// Follow a background processing job over Server-Sent Events, falling back
+// to polling when the stream is unavailable or drops
+function followJob<T>(
+  jobId: string,
+  handlers: JobHandlers<T> = {}
+): Promise<ApiResponse<T>> {
+  if (typeof EventSource === "undefined") {
+    return waitForJob(jobId, handlers);
+  }
+
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(
+      `${API_BASE_URL}/techpack/process/${jobId}/events`
+    );
+    let seenEvents = 0;
+
+    source.addEventListener("progress", (message) => {
+      seenEvents++;
+      handlers.onEvent?.(JSON.parse((message as MessageEvent).data));
+    });
+
+    source.addEventListener("status", (message) => {
+      const job: ProcessingJob<T> = JSON.parse((message as MessageEvent).data);
+      handlers.onUpdate?.(job);
+
+      if (job.status === "done" || job.status === "failed") {
+        source.close();
+        try {
+          resolve(toJobResult(job));
+        } catch (error) {
+          reject(error);
+        }
+      }
+    });
+
+    source.onerror = () => {
+      console.warn("⚠️ Progress stream unavailable, polling job status");
+      source.close();
+      waitForJob(jobId, handlers, seenEvents).then(resolve, reject);
+    };
+  });
+}
+
 // API service functions
 export const api = {
-  // Upload tech pack file and get summary
+  // Upload a tech pack document, or page images, and wait for the extraction job
   uploadTechPack: async (
-    file: File
+    files: File | File[],
+    handlers?: JobHandlers<TechPackUploadResponse>
   ): Promise<ApiResponse<TechPackUploadResponse>> => {
-    return uploadFile("/techpack/upload", file);
+    const accepted: ApiResponse<JobAccepted> = await uploadFile(
+      "/techpack/upload",
+      files
+    );
+    return followJob(accepted.data!.jobId, handlers);
   },
 
-  // Get HS code suggestions
+  // Get HS code suggestions from a background classification job
   getHSCodeSuggestions: async (
-    techPackData: TechPackSummary
+    techPackData: TechPackSummary,
+    handlers?: JobHandlers<HSCodeClassificationResponse>
   ): Promise<ApiResponse<HSCodeClassificationResponse>> => {
-    return apiRequest("/techpack/hscode", {
+    const accepted = await apiRequest<JobAccepted>("/techpack/hscode", {
       method: "POST",
       body: JSON.stringify(techPackData),
     });
+    return followJob(accepted.data!.jobId, handlers);
+  },
+
+  // Record which HS code the user accepted or entered instead
+  submitHSCodeFeedback: async (
+    feedback: HSCodeFeedbackInput
+  ): Promise<ApiResponse<HSCodeFeedback>> => {
+    return apiRequest("/techpack/hscode/feedback", {
+      method: "POST",
+      body: JSON.stringify(feedback),
+    });
+  },
+
+  // Calculate the landed duty breakdown for a tariff line
+  calculateDuty: async (
+    input: DutyCalculationInput
+  ): Promise<ApiResponse<DutyCalculation>> => {
+    return apiRequest("/techpack/hscode/duty", {
+      method: "POST",
+      body: JSON.stringify(input),
+    });
+  },
+
+  // Get the status of a background processing job
+  getJob: async <T = any>(
+    jobId: string
+  ): Promise<ApiResponse<ProcessingJob<T>>> => {
+    return apiRequest(`/techpack/process/${jobId}`);
+  },
+
+  // Load a stored tech pack record
+  getTechPack: async (id: string): Promise<ApiResponse<TechPackRecord>> => {
+    return apiRequest(`/techpack/${id}`);
+  },
+
+  // Create a tech pack record (e.g. for manually entered details)
+  createTechPack: async (
+    record: TechPackRecordInput
+  ): Promise<ApiResponse<TechPackRecord>> => {
+    return apiRequest("/techpack", {
+      method: "POST",
+      body: JSON.stringify(record),
+    });
+  },
+
+  // Store user edits and/or the selected HS code on a tech pack record
+  updateTechPack: async (
+    id: string,
+    changes: TechPackRecordInput
+  ): Promise<ApiResponse<TechPackRecord>> => {
+    return apiRequest(`/techpack/${id}`, {
+      method: "PATCH",
+      body: JSON.stringify(changes),
+    });
+  },
+
+  // Load the measurement chart of a stored tech pack with weight estimates
+  getMeasurements: async (
+    id: string
+  ): Promise<ApiResponse<TechPackMeasurements>> => {
+    return apiRequest(`/techpack/${id}/measurements`);
+  },
+
+  // Commercial invoice goods description of a stored tech pack
+  getInvoiceDescription: async (
+    id: string
+  ): Promise<ApiResponse<InvoiceDescription>> => {
+    return apiRequest(`/techpack/${id}/invoice-description`);
+  },
+
+  // Delete a stored tech pack record
+  deleteTechPack: async (id: string): Promise<ApiResponse<{ id: string }>> => {
+    return apiRequest(`/techpack/${id}`, { method: "DELETE" });
   },
 
   // Process complete tech pack with compliance data
@@ -146,6 +325,10 @@ export const api = {
   },
 };
 
+// Download link for a stored tech pack's size spec as CSV
+export const measurementsCsvUrl = (id: string) =>
+  `${API_BASE_URL}/techpack/${id}/measurements?format=csv`;
+
 // Export types and utilities
 export { API_BASE_URL };
 export { ApiError };
@@ -23,10 +23,25 @@ export const GARMENT_TYPE_OPTIONS = [
   "Custom",
 ] as const;
 
+// Fabric constructions; felt, nonwoven and coated garments go to heading
+// 6210, leather and other non-textile garments leave chapters 61 and 62
+export const FABRIC_TYPE_OPTIONS = [
+  { value: "knit", label: "Knit" },
+  { value: "woven", label: "Woven" },
+  { value: "crocheted", label: "Crocheted" },
+  { value: "nonwoven", label: "Nonwoven" },
+  { value: "felt", label: "Felt" },
+  { value: "lace", label: "Lace" },
+  { value: "coated", label: "Coated / laminated / bonded" },
+  { value: "other", label: "Leather / other" },
+] as const;
+
+export type FabricType = (typeof FABRIC_TYPE_OPTIONS)[number]["value"];
+
 export interface TechPackSummary {
   // Existing core fields (keeping same names)
   materialPercentage: { material: string; percentage: number }[]; // fiberComposition
-  fabricType: "knit" | "woven"; // constructionType
+  fabricType: FabricType; // constructionType
   garmentType: string; // garmentType (with dropdown support)
   gender: string; // genderCategory
   description: string; // productSummary
@@ -36,15 +51,273 @@ export interface TechPackSummary {
   countryOfOrigin?: string; // Manufacturing country
   destinationMarket?: string; // Target market/country
   incoterm?: string; // International commercial terms
+  styleNumber?: string; // Style declared in the tech pack, if any
+
+  // Bill of materials, colorways and size range
+  fabrics?: BomFabric[];
+  trims?: BomTrim[];
+  colorways?: Colorway[];
+  sizeRange?: string[]; // In grading order, e.g. ["S", "M", "L"]
+  measurements?: MeasurementChart | null; // Points of measure per size
+  sustainability?: Sustainability | null; // Certifications, recycled/organic shares
+
+  // Per-field confidence and source text from extraction
+  fieldEvidence?: Partial<Record<EvidenceField, FieldEvidence>>;
+
+  // Canonical fibers and chief weight; dropped once the composition is edited
+  compositionAnalysis?: CompositionAnalysis;
+}
+
+// Measurement (POM) chart; values are in the chart's unit
+export interface MeasurementChart {
+  unit: "cm" | "in" | null; // Null when neither declared nor inferable
+  sizes: string[];
+  points: MeasurementPoint[];
+  source?: "spreadsheet" | "text" | "model";
+  pages?: number[];
+}
+
+export interface MeasurementPoint {
+  code?: string | null; // POM code, e.g. "A" or "POM-12"
+  description: string;
+  tolerance?: { minus: number; plus: number } | null;
+  values: Record<string, number>; // Per size
+}
+
+// Per-size garment weights estimated from the chart and fabric GSM
+export interface GarmentWeightEstimate {
+  gsm: number | null;
+  basis: "top" | "bottom" | null;
+  weights: Record<string, number>; // Grams per size
+  notes: string[];
+}
+
+export interface TechPackMeasurements {
+  id: string;
+  styleNumber: string | null;
+  measurements: MeasurementChart;
+  weightEstimate: GarmentWeightEstimate;
+}
+
+// Certification claims found in the document, normalized to a known scheme
+export interface Certification {
+  scheme: string; // GOTS, OCS, GRS, RCS, OEKO-TEX 100, BCI, ...
+  name: string; // e.g. "Global Organic Textile Standard"
+  claim: string; // What the scheme vouches for, e.g. "organic"
+  certificateNumber: string | null;
+  snippet?: string | null; // Document line the claim was read from
+  page?: number | null;
+}
+
+export interface Sustainability {
+  certifications: Certification[];
+  // Recycled and organic fibers of the composition
+  fibers: {
+    material: string;
+    percentage: number;
+    attribute: "recycled" | "organic";
+  }[];
+  recycledPercentage: number;
+  organicPercentage: number;
+  notes: string[]; // Claims that don't fit the composition, missing numbers
+}
+
+// Goods description for the commercial invoice
+export interface InvoiceDescription {
+  id: string;
+  description: string; // e.g. "Men's knitted T-shirt of 60% organic cotton, ..."
+  hsCode: string | null; // Selected HS code, once chosen
+  hsDescription: string | null;
+  certifications: Certification[]; // Fiber content certificates quoted
+}
+
+export type FiberOrigin = "natural" | "synthetic" | "artificial";
+
+export interface CompositionAnalysis {
+  // ok: adds up to 100; rebalanced: scaled to 100 from a total within 5
+  // points; flagged: off by more, empty, or with unrecognized fibers
+  status: "ok" | "rebalanced" | "flagged";
+  total: number; // Total before rebalancing
+  issues: string[];
+  fibers: {
+    material: string; // Canonical name with qualifiers, e.g. "Organic Cotton"
+    fiber: string | null; // Null when not recognized
+    origin: FiberOrigin | null;
+    category: string | null; // Tariff fiber category (cotton, wool, synthetic, ...)
+    percentage: number;
+  }[];
+  chiefWeight: {
+    category: string;
+    label: string;
+    percentage: number;
+    tie: boolean;
+  } | null;
+  origins: Partial<Record<FiberOrigin, number>>;
+}
+
+// Consumption is per garment, in the given unit (m, yd, kg, pcs, ...)
+export interface BomFabric {
+  component: string; // Shell, lining, rib, pocketing, ...
+  description: string;
+  composition?: string | null;
+  gsm?: number | null;
+  supplier?: string | null;
+  consumption?: number | null;
+  unit?: string | null;
+}
+
+export interface BomTrim {
+  type: string; // Button, zipper, label, ...
+  description: string;
+  supplier?: string | null;
+  consumption?: number | null;
+  unit?: string | null;
+}
+
+export interface Colorway {
+  name: string;
+  code?: string | null; // Buyer or Pantone code
 }
 
+export type EvidenceField =
+  | "materialPercentage"
+  | "fabricType"
+  | "garmentType"
+  | "gender"
+  | "description"
+  | "gsm"
+  | "countryOfOrigin"
+  | "destinationMarket"
+  | "incoterm";
+
+// How an extracted value was obtained; confidence is 0-1
+export interface FieldEvidence {
+  confidence: number;
+  inferred: boolean; // Estimated or deduced rather than stated in the document
+  snippet: string | null; // Source text, quoted from the document
+  page: number | null; // Null for documents without pages (Word, Excel)
+  unverifiedQuote?: boolean; // Claimed as stated, but the quote wasn't found
+  reviewed?: boolean; // Checked or edited by the user
+  items?: (FieldEvidence & { material: string })[]; // Per material, for materialPercentage
+}
+
+// Per-page OCR report for scanned PDFs; confidence is 0-100
+export interface OcrPage {
+  page: number;
+  method: "text" | "ocr"; // "text" pages kept their PDF text layer
+  characters: number;
+  confidence: number | null;
+}
+
+export interface OcrReport {
+  pages: OcrPage[];
+  ocrPages: number;
+  averageConfidence: number | null;
+}
+
+// Where a field of a map-reduce extraction came from
+export interface ExtractionFieldSource {
+  sectionId: string;
+  sectionType: TechPackSectionType;
+  sectionTitle: string;
+  pages: string; // e.g. "3" or "5-7"
+  agreeingSections: string[];
+}
+
+export type TechPackSectionType =
+  | "cover"
+  | "bom"
+  | "measurements"
+  | "construction"
+  | "other";
+
+export interface ExtractionSection {
+  id: string;
+  type: TechPackSectionType;
+  title: string;
+  pageStart: number;
+  pageEnd: number;
+  characters: number;
+  extracted: boolean; // false if the section's extraction call failed
+}
+
+// Sections that disagreed on a field, and which value was kept
+export interface ExtractionConflict {
+  field: keyof TechPackSummary;
+  chosen: any;
+  chosenFrom: string;
+  resolution: "section priority" | "majority" | "earliest section";
+  alternatives: { value: any; sections: string[] }[];
+}
+
+// How the tech pack fields were extracted: one call (long documents
+// truncated) or one call per section merged map-reduce style
+export type ExtractionReport =
+  | { mode: "single"; truncated: boolean; repairs?: number }
+  | {
+      mode: "map_reduce";
+      repairs?: number; // Re-asks after invalid replies, over all sections
+      sections: ExtractionSection[];
+      fieldSources: Partial<
+        Record<keyof TechPackSummary, ExtractionFieldSource>
+      >;
+      conflicts: ExtractionConflict[];
+    };
+
 export interface TechPackUploadResponse {
+  techPackId: string | null; // Server-side record id (null if persistence failed)
+  techPackSummary: TechPackSummary;
+  fileInfo: TechPackFileInfo;
+  ocr?: OcrReport | null; // Set when the text came (partly) from OCR
+  spreadsheet?: SpreadsheetReport | null; // Set for Excel uploads
+  // Distinct values masked before AI calls, e.g. { EMAIL: 2, PRICE: 4 };
+  // null when redaction is off
+  redaction?: Record<string, number> | null;
+  warnings?: ExtractionWarning[];
+  extraction?: ExtractionReport; // Absent when the basic text fallback was used
+  styles?: TechPackStyle[]; // Every style in the file; the top-level fields are the first
+  skippedStyles?: { styleNumber: string; error: string }[];
+}
+
+// Document text removed as instruction-like, extracted values the document
+// doesn't support, or an AI extraction that fell back to keyword analysis
+export interface ExtractionWarning {
+  type:
+    | "prompt_injection"
+    | "unsupported_value"
+    | "output_rejected"
+    | "ai_fallback"; // Fields came from the basic text analysis
+  message: string;
+  field?: string; // Summary field the value was checked for
+  snippet?: string; // Removed passage (prompt_injection)
+  page?: number | null;
+  styleNumber?: string; // Set for multi-style files
+}
+
+// How an Excel tech pack's sheets were read
+export interface SpreadsheetReport {
+  sheets: {
+    name: string;
+    type: "bom" | "measurements" | "colorway" | "construction" | "other";
+    rows: number; // Typed rows read from the sheet
+  }[];
+  composition: {
+    materials: { material: string; percentage: number }[];
+    value: string; // Cell text the composition was parsed from
+    sheet: string | null; // Null when taken from the shell fabric's BOM line
+    row: number | null; // 1-based spreadsheet row
+  } | null;
+  overridden: string[]; // Summary fields taken from the sheets instead of the model
+}
+
+// One garment of a (possibly multi-style) tech pack file
+export interface TechPackStyle {
+  styleNumber: string | null;
+  pages: number[]; // Pages the style was read from (empty for single-style files)
+  techPackId: string | null;
   techPackSummary: TechPackSummary;
-  fileInfo: {
-    originalName: string;
-    size: number;
-    type: string;
-  };
+  extraction?: ExtractionReport;
+  selectedHsCode?: HSCodeSuggestion | null; // Set once the style is classified in this session
 }
 
 export interface TariffInfo {
@@ -57,6 +330,22 @@ export interface TariffInfo {
   TTI: number;
 }
 
+// Result of checking a suggested code against the active tariff schedule
+// - validated: code is a tariff line; mapped: replaced by the nearest subheading
+// - unknownCode: not in the tariff; unverified: tariff table could not be checked
+export type HSCodeValidationStatus =
+  | "validated"
+  | "mapped"
+  | "unknownCode"
+  | "unverified";
+
+// One step of the chapter 61/62 rule engine (chapter, gender, heading, subheading, gsm)
+export interface RuleTraceStep {
+  step: string;
+  rule: string;
+  result: string | null;
+}
+
 export interface HSCodeSuggestion {
   code: string;
   description: string;
@@ -68,6 +357,116 @@ export interface HSCodeSuggestion {
   chapter?: string;
   pdfLink?: string;
   year?: string;
+  // Tariff table check (tariffInfo is only present for validated/mapped codes)
+  validationStatus?: HSCodeValidationStatus;
+  originalCode?: string; // Code as suggested, when mapped to a subheading
+  tariffVersion?: string;
+  // Which classifier proposed the code; rule engine codes carry their trace
+  suggestedBy?: "rag" | "rules" | "both";
+  ruleTrace?: RuleTraceStep[];
+}
+
+export interface TechPackFileInfo {
+  originalName: string;
+  size: number;
+  type: string;
+  files?: Omit<TechPackFileInfo, "files">[]; // Images uploaded together
+}
+
+// Server-side tech pack record (GET/POST/PATCH /api/techpack/:id)
+export interface TechPackRecord {
+  id: string;
+  fileInfo: TechPackFileInfo | null;
+  aiExtraction: TechPackSummary | null;
+  userEdits: TechPackSummary | null;
+  techPackSummary: TechPackSummary | null; // userEdits, falling back to aiExtraction
+  selectedHsCode: HSCodeSuggestion | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type TechPackRecordInput = Partial<
+  Pick<
+    TechPackRecord,
+    "fileInfo" | "aiExtraction" | "userEdits" | "selectedHsCode"
+  >
+>;
+
+// HS code the user settled on (POST /api/techpack/hscode/feedback)
+export interface HSCodeFeedbackInput {
+  techPackId?: string | null;
+  techPackInfo: TechPackSummary;
+  suggestions: HSCodeSuggestion[]; // Every suggestion shown to the user
+  acceptedCode: string; // Accepted suggestion or a code typed in instead
+  acceptedDescription?: string;
+  reason?: string;
+}
+
+export interface HSCodeFeedback extends HSCodeFeedbackInput {
+  id: string;
+  wasSuggested: boolean;
+  createdAt: string;
+}
+
+export type Incoterm =
+  | "EXW"
+  | "FCA"
+  | "FAS"
+  | "FOB"
+  | "CFR"
+  | "CPT"
+  | "CIF"
+  | "CIP"
+  | "DAP"
+  | "DPU"
+  | "DDP";
+
+// POST /api/techpack/hscode/duty
+export interface DutyCalculationInput {
+  hsCode: string;
+  tariffVersion?: string;
+  value: number; // Quoted price in `currency`
+  currency?: string; // ISO 4217, defaults to BDT
+  exchangeRate?: number; // BDT per unit of `currency`, required unless BDT
+  incoterm?: Incoterm;
+  freight?: number; // In `currency`; assumed when the incoterm excludes it
+  insurance?: number;
+}
+
+// Valuation steps, all in BDT
+export interface DutyValuation {
+  invoiceValue: number;
+  freight: number;
+  insurance: number;
+  cifValue: number;
+  landingCharge: number;
+  assessableValue: number;
+}
+
+export interface DutyComponent {
+  code: "CD" | "RD" | "SD" | "VAT" | "AIT" | "AT";
+  label: string;
+  rate: number; // Percent
+  base: number; // BDT the rate is applied to
+  baseComponents: string[]; // e.g. ["AV", "CD", "RD"]
+  amount: number;
+}
+
+export interface DutyCalculation {
+  hsCode: string;
+  description?: string;
+  tariffVersion: string;
+  currency: string;
+  exchangeRate: number;
+  incoterm: Incoterm;
+  valuation: DutyValuation;
+  components: DutyComponent[];
+  totalDuty: number;
+  totalTaxIncidence: number; // Percent of assessable value
+  tariffTTI: number;
+  landedCost: number; // BDT
+  landedCostInCurrency: number;
+  notes: string[];
 }
 
 export interface ComplianceData {
@@ -87,7 +486,101 @@ export interface ApiResponse<T = any> {
   details?: any[];
 }
 
+export interface RuleEngineResult {
+  chapter: string | null;
+  trace: RuleTraceStep[];
+  suggestions: HSCodeSuggestion[];
+}
+
 export interface HSCodeClassificationResponse {
-  hsCodeSuggestions: HSCodeSuggestion[];
+  hsCodeSuggestions: HSCodeSuggestion[]; // RAG and rule engine suggestions merged
+  ruleEngine?: RuleEngineResult;
   techPackInfo: TechPackSummary;
 }
+
+// Background processing jobs (GET /api/techpack/process/:id)
+export type JobStatus =
+  | "queued"
+  | "extracting"
+  | "analyzing"
+  | "classifying"
+  | "done"
+  | "failed";
+
+// User-facing labels for job statuses
+export const JOB_STATUS_LABELS: Record<JobStatus, string> = {
+  queued: "Waiting in queue...",
+  extracting: "Extracting text from your file...",
+  analyzing: "Analyzing tech pack details with AI...",
+  classifying: "Searching tariff database and classifying...",
+  done: "Done",
+  failed: "Failed",
+};
+
+export interface JobAccepted {
+  jobId: string;
+  status: JobStatus;
+  statusUrl: string;
+}
+
+// Pipeline stages reported as progress events while a job runs
+export type PipelineStage =
+  | "text_extraction"
+  | "ocr"
+  | "image_transcription"
+  | "redaction"
+  | "prompt_injection"
+  | "style_detection"
+  | "ai_extraction"
+  | "measurements"
+  | "certifications"
+  | "rule_engine"
+  | "query_building"
+  | "vector_search"
+  | "precedents"
+  | "llm_classification"
+  | "code_validation"
+  | "metadata_enhancement"
+  | "fallback";
+
+export const PIPELINE_STAGE_LABELS: Record<PipelineStage, string> = {
+  text_extraction: "Text extraction",
+  ocr: "OCR",
+  image_transcription: "Image reading",
+  redaction: "Redaction",
+  prompt_injection: "Injection check",
+  style_detection: "Style detection",
+  ai_extraction: "AI extraction",
+  measurements: "Measurements",
+  certifications: "Certifications",
+  rule_engine: "Rule engine",
+  query_building: "Search query",
+  vector_search: "Tariff search",
+  precedents: "Past decisions",
+  llm_classification: "AI classification",
+  code_validation: "Code validation",
+  metadata_enhancement: "Tariff rates",
+  fallback: "Fallback",
+};
+
+export interface PipelineEvent {
+  stage: PipelineStage;
+  status: JobStatus;
+  message: string;
+  data: Record<string, any>;
+  timestamp: string;
+}
+
+export interface ProcessingJob<T = any> {
+  id: string;
+  type: "upload" | "classification";
+  status: JobStatus;
+  // Omitted from streamed status events, which deliver them one by one
+  events?: PipelineEvent[];
+  partialResult: Record<string, any>;
+  result: T | null;
+  error: string | null;
+  createdAt: string;
+  updatedAt: string;
+  completedAt: string | null;
+}
@@ -1,13 +1,17 @@
 // localStorage utility for tech pack data persistence
 import type {
   TechPackSummary,
+  TechPackStyle,
   HSCodeSuggestion,
   ComplianceData,
 } from "../types";
 
 const STORAGE_KEYS = {
+  TECH_PACK_ID: "techpack_id",
   TECH_PACK_DATA: "techpack_data",
   TECH_PACK_FILE_INFO: "techpack_file_info",
+  TECH_PACK_STYLES: "techpack_styles",
+  ACTIVE_STYLE: "active_style",
   HS_CODE_DATA: "hscode_data",
   HS_CODE_SUGGESTIONS: "hscode_suggestions",
   COMPLIANCE_DATA: "compliance_data",
@@ -24,8 +28,11 @@ export interface FileInfo {
 }
 
 export interface StoredData {
+  techPackId: string | null;
   techPackData: TechPackSummary | null;
   fileInfo: FileInfo | null;
+  techPackStyles: TechPackStyle[] | null;
+  activeStyleIndex: number;
   hsCodeData: HSCodeSuggestion | null;
   hsCodeSuggestions: HSCodeSuggestion[] | null;
   complianceData: ComplianceData | null;
@@ -42,7 +49,9 @@ class LocalStorageManager {
       case 1: // Upload updated - clear tech pack, HS code and compliance data (but keep file info)
         // Don't call clearAllData() - it would remove the file info we just saved
         // Instead, clear only the downstream data
+        this.clearTechPackId();
         this.clearTechPackData();
+        this.clearTechPackStyles();
         this.clearHSCodeData();
         this.clearHSCodeSuggestions();
         this.clearComplianceData();
@@ -78,6 +87,38 @@ class LocalStorageManager {
     }
   }
 
+  // Save the server-side tech pack record id
+  saveTechPackId(id: string): void {
+    try {
+      localStorage.setItem(STORAGE_KEYS.TECH_PACK_ID, id);
+      console.log(`💾 Tech pack id ${id} saved to localStorage`);
+    } catch (error) {
+      console.warn("⚠️ Failed to save tech pack id to localStorage:", error);
+    }
+  }
+
+  // Save the styles of a multi-style tech pack and which one is being worked on
+  saveTechPackStyles(styles: TechPackStyle[], activeIndex: number): void {
+    try {
+      localStorage.setItem(
+        STORAGE_KEYS.TECH_PACK_STYLES,
+        JSON.stringify(styles)
+      );
+      localStorage.setItem(STORAGE_KEYS.ACTIVE_STYLE, activeIndex.toString());
+      console.log(`💾 ${styles.length} tech pack styles saved to localStorage`);
+    } catch (error) {
+      console.warn(
+        "⚠️ Failed to save tech pack styles to localStorage:",
+        error
+      );
+    }
+  }
+
+  // Get the server-side tech pack record id
+  getTechPackId(): string | null {
+    return localStorage.getItem(STORAGE_KEYS.TECH_PACK_ID);
+  }
+
   // Save file info only (called from UploadStep after file validation)
   saveFileInfo(file: File): Promise<void> {
     return new Promise((resolve, reject) => {
@@ -222,10 +263,18 @@ class LocalStorageManager {
   // Load all stored data
   loadStoredData(): StoredData {
     try {
+      const techPackId = localStorage.getItem(STORAGE_KEYS.TECH_PACK_ID);
       const techPackData = this.getItem<TechPackSummary>(
         STORAGE_KEYS.TECH_PACK_DATA
       );
       const fileInfo = this.getItem<FileInfo>(STORAGE_KEYS.TECH_PACK_FILE_INFO);
+      const techPackStyles = this.getItem<TechPackStyle[]>(
+        STORAGE_KEYS.TECH_PACK_STYLES
+      );
+      const activeStyleIndex = parseInt(
+        localStorage.getItem(STORAGE_KEYS.ACTIVE_STYLE) || "0",
+        10
+      );
       const hsCodeData = this.getItem<HSCodeSuggestion>(
         STORAGE_KEYS.HS_CODE_DATA
       );
@@ -261,8 +310,11 @@ class LocalStorageManager {
       }
 
       return {
+        techPackId,
         techPackData,
         fileInfo,
+        techPackStyles,
+        activeStyleIndex,
         hsCodeData,
         hsCodeSuggestions,
         complianceData,
@@ -272,8 +324,11 @@ class LocalStorageManager {
     } catch (error) {
       console.warn("⚠️ Failed to load stored data from localStorage:", error);
       return {
+        techPackId: null,
         techPackData: null,
         fileInfo: null,
+        techPackStyles: null,
+        activeStyleIndex: 0,
         hsCodeData: null,
         hsCodeSuggestions: null,
         complianceData: null,
@@ -342,6 +397,16 @@ class LocalStorageManager {
     }
   }
 
+  // Clear the server-side tech pack record id only
+  clearTechPackId(): void {
+    try {
+      localStorage.removeItem(STORAGE_KEYS.TECH_PACK_ID);
+      console.log("🧹 Tech pack id cleared from localStorage");
+    } catch (error) {
+      console.warn("⚠️ Failed to clear tech pack id from localStorage:", error);
+    }
+  }
+
   // Clear tech pack data only
   clearTechPackData(): void {
     try {
@@ -355,6 +420,20 @@ class LocalStorageManager {
     }
   }
 
+  // Clear the styles of a multi-style tech pack
+  clearTechPackStyles(): void {
+    try {
+      localStorage.removeItem(STORAGE_KEYS.TECH_PACK_STYLES);
+      localStorage.removeItem(STORAGE_KEYS.ACTIVE_STYLE);
+      console.log("🧹 Tech pack styles cleared from localStorage");
+    } catch (error) {
+      console.warn(
+        "⚠️ Failed to clear tech pack styles from localStorage:",
+        error
+      );
+    }
+  }
+
   // Clear HS code suggestions only
   clearHSCodeSuggestions(): void {
     try {
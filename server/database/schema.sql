@@ -104,4 +104,50 @@ BEGIN
   ORDER BY d.embedding <=> query_embedding
   LIMIT match_count;
 END;
-$$;
\ No newline at end of file
+$$;
+
+-- Embedding model and dimension each vector table was populated with.
+-- The server refuses to write to or search a populated table with a different
+-- model (see EMBEDDING_PROVIDER). To use a dimension other than 1536, change
+-- the VECTOR(1536) columns and match_* function arguments accordingly.
+CREATE TABLE vector_table_config (
+  table_name TEXT PRIMARY KEY,
+  embedding_model TEXT NOT NULL,
+  dimensions INTEGER NOT NULL,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+INSERT INTO vector_table_config (table_name, embedding_model, dimensions) VALUES
+  ('documents', 'gemini:models/gemini-embedding-001', 1536),
+  ('chapter_documents', 'gemini:models/gemini-embedding-001', 1536);
+
+-- Tech pack records (file metadata, AI extraction, user edits and chosen HS code)
+CREATE TABLE tech_packs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  file_name TEXT, -- Original uploaded file name (NULL for manually entered tech packs)
+  file_size BIGINT,
+  file_type VARCHAR(255),
+  ai_extraction JSONB, -- techPackSummary as returned by the AI extraction
+  user_edits JSONB, -- techPackSummary as reviewed/edited in the Tech Pack step
+  selected_hs_code JSONB, -- HS code suggestion chosen in the HS Code step
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Index for listing the most recently touched tech packs
+CREATE INDEX idx_tech_packs_updated_at ON tech_packs(updated_at DESC);
+
+-- HS code decisions from the classification step, reused as precedents
+CREATE TABLE hs_code_feedback (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tech_pack_id UUID REFERENCES tech_packs(id) ON DELETE SET NULL,
+  tech_pack_info JSONB NOT NULL, -- Tech pack attributes the decision was made for
+  suggestions JSONB NOT NULL DEFAULT '[]', -- Every suggestion shown to the user
+  accepted_code TEXT NOT NULL, -- Code the user accepted or typed instead
+  accepted_description TEXT,
+  was_suggested BOOLEAN NOT NULL DEFAULT FALSE, -- False when the user typed a different code
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_hs_code_feedback_created_at ON hs_code_feedback(created_at DESC);
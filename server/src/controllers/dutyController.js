@@ -0,0 +1,33 @@
+import { getDutyCalculator } from "../services/dutyCalculator.js";
+
+// POST /api/techpack/hscode/duty - Duty breakdown for an HS code and price
+export const calculateDuty = async (req, res) => {
+  try {
+    const breakdown = await getDutyCalculator().calculate(req.body);
+
+    if (!breakdown) {
+      return res.status(404).json({
+        success: false,
+        message: `HS code ${req.body.hsCode} is not in tariff ${
+          req.body.tariffVersion || "(active version)"
+        }`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: breakdown,
+      message: "Duty calculated successfully",
+    });
+  } catch (error) {
+    console.error("❌ Error calculating duty:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to calculate duty",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,24 @@
+import { getHSFeedbackService } from "../services/hsFeedbackService.js";
+
+// POST /api/techpack/hscode/feedback - Record the HS code the user settled on
+export const submitHSFeedback = async (req, res) => {
+  try {
+    const feedback = await getHSFeedbackService().recordFeedback(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: feedback,
+      message: "HS code feedback recorded successfully",
+    });
+  } catch (error) {
+    console.error("❌ Error recording HS code feedback:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to record HS code feedback",
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,243 @@
+import { getTechPackStore } from "../services/techPackStore.js";
+import { measurementsToCsv } from "../services/measurementExtractor.js";
+import {
+  estimateGarmentWeights,
+  planCartons,
+} from "../services/garmentMetrics.js";
+import { buildInvoiceDescription } from "../services/certifications.js";
+
+const sendServerError = (res, message, error) => {
+  res.status(500).json({
+    success: false,
+    message,
+    error:
+      process.env.NODE_ENV === "development"
+        ? error.message
+        : "Internal server error",
+  });
+};
+
+const sendNotFound = (res, id) => {
+  res.status(404).json({
+    success: false,
+    message: `Tech pack ${id} not found`,
+  });
+};
+
+// Summary with the measurement chart; user edits made before charts were
+// extracted don't carry one
+const withMeasurements = (record) => ({
+  ...record.techPackSummary,
+  measurements:
+    record.techPackSummary?.measurements ||
+    record.aiExtraction?.measurements ||
+    null,
+});
+
+// GET /api/techpack - List stored tech packs (most recent first)
+export const listTechPacks = async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const { records, total } = await getTechPackStore().list({
+      limit,
+      offset,
+    });
+
+    res.json({
+      success: true,
+      data: { techPacks: records, total, limit, offset },
+      message: "Tech packs retrieved successfully",
+    });
+  } catch (error) {
+    console.error("❌ Error listing tech packs:", error);
+    sendServerError(res, "Failed to list tech packs", error);
+  }
+};
+
+// GET /api/techpack/:id - Load a stored tech pack
+export const getTechPack = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const record = await getTechPackStore().get(id);
+
+    if (!record) {
+      return sendNotFound(res, id);
+    }
+
+    res.json({
+      success: true,
+      data: record,
+      message: "Tech pack retrieved successfully",
+    });
+  } catch (error) {
+    console.error("❌ Error loading tech pack:", error);
+    sendServerError(res, "Failed to load tech pack", error);
+  }
+};
+
+// POST /api/techpack - Create a tech pack record (e.g. manually entered details)
+export const createTechPack = async (req, res) => {
+  try {
+    const record = await getTechPackStore().create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: record,
+      message: "Tech pack created successfully",
+    });
+  } catch (error) {
+    console.error("❌ Error creating tech pack:", error);
+    sendServerError(res, "Failed to create tech pack", error);
+  }
+};
+
+// PATCH /api/techpack/:id - Store user edits and/or the selected HS code
+export const updateTechPack = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const record = await getTechPackStore().update(id, req.body);
+
+    if (!record) {
+      return sendNotFound(res, id);
+    }
+
+    res.json({
+      success: true,
+      data: record,
+      message: "Tech pack updated successfully",
+    });
+  } catch (error) {
+    console.error("❌ Error updating tech pack:", error);
+    sendServerError(res, "Failed to update tech pack", error);
+  }
+};
+
+// DELETE /api/techpack/:id - Remove a stored tech pack
+export const deleteTechPack = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await getTechPackStore().delete(id);
+
+    if (!deleted) {
+      return sendNotFound(res, id);
+    }
+
+    res.json({
+      success: true,
+      data: { id },
+      message: "Tech pack deleted successfully",
+    });
+  } catch (error) {
+    console.error("❌ Error deleting tech pack:", error);
+    sendServerError(res, "Failed to delete tech pack", error);
+  }
+};
+
+// GET /api/techpack/:id/measurements - Measurement chart (JSON or CSV)
+export const getTechPackMeasurements = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const record = await getTechPackStore().get(id);
+
+    if (!record) {
+      return sendNotFound(res, id);
+    }
+
+    const summary = withMeasurements(record);
+    if (!summary.measurements) {
+      return res.status(404).json({
+        success: false,
+        message: `Tech pack ${id} has no measurement chart`,
+      });
+    }
+
+    if (req.query.format === "csv") {
+      const filename = `${summary.styleNumber || id}-measurements.csv`.replace(
+        /[^\w.-]/g,
+        "_"
+      );
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}"`
+      );
+      return res.send(measurementsToCsv(summary.measurements));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id,
+        styleNumber: summary.styleNumber || null,
+        measurements: summary.measurements,
+        weightEstimate: estimateGarmentWeights(summary),
+      },
+      message: "Measurements retrieved successfully",
+    });
+  } catch (error) {
+    console.error("❌ Error loading measurements:", error);
+    sendServerError(res, "Failed to load measurements", error);
+  }
+};
+
+// POST /api/techpack/:id/packing-list - Carton plan for order quantities
+export const planTechPackCartons = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const record = await getTechPackStore().get(id);
+
+    if (!record) {
+      return sendNotFound(res, id);
+    }
+
+    // Weighed sample weights win over the estimate
+    const weightEstimate = estimateGarmentWeights(withMeasurements(record));
+    const plan = planCartons({
+      ...req.body,
+      pieceWeights: { ...weightEstimate.weights, ...req.body.pieceWeights },
+    });
+
+    res.json({
+      success: true,
+      data: { id, ...plan, weightEstimate },
+      message: "Packing list calculated successfully",
+    });
+  } catch (error) {
+    console.error("❌ Error calculating packing list:", error);
+    sendServerError(res, "Failed to calculate packing list", error);
+  }
+};
+
+// GET /api/techpack/:id/invoice-description - Goods description for the
+// commercial invoice, with certifications and the selected HS code
+export const getTechPackInvoiceDescription = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const record = await getTechPackStore().get(id);
+
+    if (!record) {
+      return sendNotFound(res, id);
+    }
+
+    // User edits made before certifications were detected don't carry them
+    const summary = {
+      ...record.techPackSummary,
+      sustainability:
+        record.techPackSummary?.sustainability ||
+        record.aiExtraction?.sustainability ||
+        null,
+    };
+
+    res.json({
+      success: true,
+      data: {
+        id,
+        ...buildInvoiceDescription(summary, record.selectedHsCode),
+      },
+      message: "Invoice description generated successfully",
+    });
+  } catch (error) {
+    console.error("❌ Error generating invoice description:", error);
+    sendServerError(res, "Failed to generate invoice description", error);
+  }
+};
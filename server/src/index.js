@@ -9,6 +9,7 @@ import { fileURLToPath } from "url";
 import techPackRoutes from "./routes/techPackRoutes.js";
 import { errorHandler, notFound } from "./middleware/errorMiddleware.js";
 import { PDFMonitorScheduler } from "./services/pdfMonitorScheduler.js";
+import { getJobQueue } from "./services/jobQueue.js";
 
 // Load environment variables
 dotenv.config();
@@ -54,6 +55,7 @@ app.get("/health", (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     scheduler: pdfScheduler?.getStatus() || "Not initialized",
+    jobs: getJobQueue().getStatus(),
   });
 });
 
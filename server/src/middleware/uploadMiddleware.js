@@ -5,6 +5,12 @@ import { fileURLToPath } from "url";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Images of one tech pack can be uploaded together, one page per image
+export const MAX_UPLOAD_FILES = 10;
+
+// Document extensions accepted when the browser reports no specific type
+const DOCUMENT_EXTENSIONS = [".pdf", ".doc", ".docx", ".xls", ".xlsx"];
+
 // Configure storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -26,9 +32,19 @@ const fileFilter = (req, file, cb) => {
     "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
     "application/vnd.ms-excel",
     "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    // Photos, screenshots and scans of tech pack pages
+    "image/png",
+    "image/jpeg",
+    "image/webp",
   ];
 
-  if (allowedMimeTypes.includes(file.mimetype)) {
+  // Some browsers and mail clients report Office files as a generic binary;
+  // those are accepted by extension and identified from their contents
+  const isGenericDocument =
+    file.mimetype === "application/octet-stream" &&
+    DOCUMENT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+
+  if (allowedMimeTypes.includes(file.mimetype) || isGenericDocument) {
     cb(null, true);
   } else {
     cb(
@@ -46,6 +62,7 @@ const upload = multer({
   fileFilter: fileFilter,
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
+    files: MAX_UPLOAD_FILES,
   },
 });
 
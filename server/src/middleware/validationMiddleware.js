@@ -2,6 +2,14 @@ import {
   uploadSchema,
   techPackSchema,
   hsCodeSuggestionSchema,
+  techPackIdSchema,
+  techPackRecordSchema,
+  techPackRecordUpdateSchema,
+  techPackListQuerySchema,
+  hsFeedbackSchema,
+  dutyCalculationSchema,
+  measurementsQuerySchema,
+  packingListSchema,
 } from "../schemas/index.js";
 
 // Validation middleware factory
@@ -23,30 +31,69 @@ export const validateRequest = (schema, property = "body") => {
   };
 };
 
-// File upload validation middleware
+// File upload validation middleware: one document, or one or more images
 export const validateUpload = (req, res, next) => {
-  if (!req.file) {
+  const files = req.files || (req.file ? [req.file] : []);
+  if (files.length === 0) {
     return res.status(400).json({
       success: false,
       message: "No file uploaded",
     });
   }
 
-  const { error, value } = uploadSchema.validate(req.file);
-  if (error) {
+  const validated = [];
+  for (const file of files) {
+    const { error, value } = uploadSchema.validate(file);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid file format",
+        details: error.details,
+      });
+    }
+    validated.push(value);
+  }
+
+  if (
+    validated.length > 1 &&
+    !validated.every((file) => file.mimetype.startsWith("image/"))
+  ) {
     return res.status(400).json({
       success: false,
-      message: "Invalid file format",
-      details: error.details,
+      message:
+        "Multiple files can only be uploaded as images; upload documents one at a time",
     });
   }
 
-  req.file = value;
+  req.files = validated;
   next();
 };
 
 // Specific validation middlewares
 export const validateTechPack = validateRequest(techPackSchema, "body");
+export const validateTechPackId = validateRequest(techPackIdSchema, "params");
+export const validateTechPackRecord = validateRequest(
+  techPackRecordSchema,
+  "body"
+);
+export const validateTechPackRecordUpdate = validateRequest(
+  techPackRecordUpdateSchema,
+  "body"
+);
+export const validateTechPackListQuery = validateRequest(
+  techPackListQuerySchema,
+  "query"
+);
+export const validateHsFeedback = validateRequest(hsFeedbackSchema, "body");
+export const validateDutyCalculation = validateRequest(
+  dutyCalculationSchema,
+  "body"
+);
+export const validateMeasurementsQuery = validateRequest(
+  measurementsQuerySchema,
+  "query"
+);
+export const validatePackingList = validateRequest(packingListSchema, "body");
 
 // Response validation (for development/testing)
 export const validateResponse = (schema) => {
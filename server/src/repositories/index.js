@@ -0,0 +1,64 @@
+import path from "path";
+import { createSupabaseRepositories } from "./supabaseRepositories.js";
+import { createMemoryRepositories } from "./memoryRepositories.js";
+import { createSqliteRepositories } from "./sqliteRepositories.js";
+
+// Table names used by the monitors mapped to repository keys
+const TABLE_REPOSITORIES = {
+  documents: "documents",
+  chapter_documents: "chapterDocuments",
+  customs_tariff_rates: "tariffRates",
+};
+
+/**
+ * Create a repository set for a storage backend
+ * @param {string} backend - "supabase" | "memory" | "sqlite"
+ * @returns {Object} - { documents, chapterDocuments, tariffRates, vectorTableConfig, hsFeedback, techPacks, forTable }
+ */
+export const createRepositories = (backend = "supabase") => {
+  let repositories;
+
+  switch (backend) {
+    case "supabase":
+      repositories = createSupabaseRepositories();
+      break;
+
+    case "memory":
+      repositories = createMemoryRepositories();
+      break;
+
+    case "sqlite":
+      repositories = createSqliteRepositories(
+        path.resolve(process.env.SQLITE_PATH || "./data/techpack.sqlite")
+      );
+      break;
+
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+
+  return {
+    ...repositories,
+    // Look up the repository for a table name (documents, chapter_documents, customs_tariff_rates)
+    forTable(tableName) {
+      const repository = repositories[TABLE_REPOSITORIES[tableName]];
+      if (!repository) {
+        throw new Error(`No repository for table ${tableName}`);
+      }
+      return repository;
+    },
+  };
+};
+
+// Shared repositories for the configured backend (STORAGE_BACKEND)
+let repositoriesInstance = null;
+export const getRepositories = () => {
+  if (!repositoriesInstance) {
+    repositoriesInstance = createRepositories(
+      process.env.STORAGE_BACKEND || "supabase"
+    );
+  }
+  return repositoriesInstance;
+};
+
+export default getRepositories;
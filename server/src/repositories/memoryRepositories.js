@@ -0,0 +1,218 @@
+import crypto from "crypto";
+import { matchesMetadata, rankBySimilarity } from "./metadataFilter.js";
+
+/**
+ * Vector documents kept in process memory. Nothing is persisted; intended for
+ * tests and throwaway single-node runs.
+ */
+export class MemoryDocumentRepository {
+  constructor(tableName) {
+    this.tableName = tableName;
+    this.rows = [];
+  }
+
+  async insert(documents) {
+    const now = new Date().toISOString();
+    documents.forEach((doc) =>
+      this.rows.push({
+        id: crypto.randomUUID(),
+        content: doc.content,
+        metadata: doc.metadata || {},
+        embedding: doc.embedding,
+        created_at: now,
+      })
+    );
+  }
+
+  async search(embedding, options = {}) {
+    return rankBySimilarity(this.rows, embedding, options);
+  }
+
+  async findByMetadata(match, { limit = 10 } = {}) {
+    return this.rows
+      .filter((row) => matchesMetadata(row.metadata, match))
+      .slice(0, limit)
+      .map(({ id, content, metadata }) => ({ id, content, metadata }));
+  }
+
+  async findByContent(text, { match = {}, limit = 5 } = {}) {
+    return this.rows
+      .filter(
+        (row) =>
+          row.content.includes(text) && matchesMetadata(row.metadata, match)
+      )
+      .slice(0, limit)
+      .map(({ id, content, metadata }) => ({ id, content, metadata }));
+  }
+
+  async listRecent(limit = 5) {
+    return [...this.rows]
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit)
+      .map(({ id, metadata, created_at }) => ({ id, metadata, created_at }));
+  }
+
+  async deleteByMetadata(match, except = {}) {
+    this.rows = this.rows.filter(
+      (row) => !matchesMetadata(row.metadata, match, except)
+    );
+  }
+
+  async hasVersion(version) {
+    const rows = await this.findByMetadata({ version }, { limit: 1 });
+    return rows.length > 0;
+  }
+
+  async count() {
+    return this.rows.length;
+  }
+}
+
+export class MemoryTariffRateRepository {
+  constructor() {
+    this.rows = [];
+  }
+
+  async insert(rates) {
+    rates.forEach((rate) =>
+      this.rows.push({ id: crypto.randomUUID(), ...rate })
+    );
+  }
+
+  async deleteByVersion(version) {
+    this.rows = this.rows.filter((row) => row.document_version !== version);
+  }
+
+  async findByHsCode(hsCode, { version } = {}) {
+    const matches = this.rows.filter(
+      (row) =>
+        row.hs_code === hsCode && (!version || row.document_version === version)
+    );
+    // Most recently updated version wins, as in the Supabase implementation
+    return (
+      matches.sort((a, b) =>
+        (b.updated_at || "").localeCompare(a.updated_at || "")
+      )[0] || null
+    );
+  }
+
+  async findByPrefix(prefix, { version, limit = 50 } = {}) {
+    return this.rows
+      .filter(
+        (row) =>
+          row.hs_code.startsWith(prefix) &&
+          (!version || row.document_version === version)
+      )
+      .sort((a, b) => a.hs_code.localeCompare(b.hs_code))
+      .slice(0, limit);
+  }
+
+  async getActiveVersion() {
+    const latest = this.rows
+      .filter((row) => row.document_version)
+      .sort((a, b) =>
+        (b.updated_at || "").localeCompare(a.updated_at || "")
+      )[0];
+    return latest?.document_version || null;
+  }
+
+  async hasVersion(version) {
+    return this.rows.some((row) => row.document_version === version);
+  }
+
+  async count() {
+    return this.rows.length;
+  }
+}
+
+export class MemoryVectorTableConfigRepository {
+  constructor() {
+    this.configs = new Map();
+  }
+
+  async get(tableName) {
+    return this.configs.get(tableName) || null;
+  }
+
+  async upsert(config) {
+    this.configs.set(config.table_name, {
+      ...config,
+      updated_at: new Date().toISOString(),
+    });
+  }
+}
+
+export class MemoryHSFeedbackRepository {
+  constructor() {
+    this.rows = [];
+  }
+
+  async insert(feedback) {
+    const row = {
+      id: crypto.randomUUID(),
+      ...feedback,
+      created_at: new Date().toISOString(),
+    };
+    this.rows.push(row);
+    return row;
+  }
+
+  async listRecent(limit = 500) {
+    return this.rows.slice(-limit).reverse();
+  }
+}
+
+export class MemoryTechPackRepository {
+  constructor() {
+    this.rows = new Map();
+  }
+
+  async insert(row) {
+    const now = new Date().toISOString();
+    const stored = {
+      id: crypto.randomUUID(),
+      ...row,
+      created_at: now,
+      updated_at: now,
+    };
+    this.rows.set(stored.id, stored);
+    return stored;
+  }
+
+  async get(id) {
+    return this.rows.get(id) || null;
+  }
+
+  async list({ limit = 20, offset = 0 } = {}) {
+    const rows = [...this.rows.values()].sort((a, b) =>
+      b.updated_at.localeCompare(a.updated_at)
+    );
+    return { rows: rows.slice(offset, offset + limit), total: rows.length };
+  }
+
+  async update(id, changes) {
+    const row = this.rows.get(id);
+    if (!row) return null;
+
+    const updated = {
+      ...row,
+      ...changes,
+      updated_at: new Date().toISOString(),
+    };
+    this.rows.set(id, updated);
+    return updated;
+  }
+
+  async delete(id) {
+    return this.rows.delete(id);
+  }
+}
+
+export const createMemoryRepositories = () => ({
+  documents: new MemoryDocumentRepository("documents"),
+  chapterDocuments: new MemoryDocumentRepository("chapter_documents"),
+  tariffRates: new MemoryTariffRateRepository(),
+  vectorTableConfig: new MemoryVectorTableConfigRepository(),
+  hsFeedback: new MemoryHSFeedbackRepository(),
+  techPacks: new MemoryTechPackRepository(),
+});
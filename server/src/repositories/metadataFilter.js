@@ -0,0 +1,102 @@
+// Helpers shared by the in-process (memory and SQLite) repositories to mimic
+// the pgvector / JSONB behaviour of the Supabase implementation
+
+/**
+ * JSONB containment (`metadata @> filter`): every key in the filter must be
+ * present with an equal value; nested objects are matched recursively and
+ * filter arrays must be a subset of the target array.
+ * @param {*} target - Stored metadata value
+ * @param {*} filter - Filter value
+ * @returns {boolean}
+ */
+export const containsJson = (target, filter) => {
+  if (filter === null || typeof filter !== "object") {
+    return target === filter;
+  }
+
+  if (Array.isArray(filter)) {
+    return (
+      Array.isArray(target) &&
+      filter.every((item) => target.some((value) => containsJson(value, item)))
+    );
+  }
+
+  if (target === null || typeof target !== "object" || Array.isArray(target)) {
+    return false;
+  }
+
+  return Object.entries(filter).every(([key, value]) =>
+    containsJson(target[key], value)
+  );
+};
+
+// Text comparison of a top-level metadata field, like `metadata->>key`
+const fieldText = (metadata, key) => {
+  const value = metadata?.[key];
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Match metadata fields by text value (`metadata->>key = value`) and,
+ * optionally, exclude rows whose field equals a value
+ * (`metadata->>key <> value`, which like SQL never matches a missing field)
+ * @param {Object} metadata - Stored metadata
+ * @param {Object} match - { key: value } that must be equal
+ * @param {Object} except - { key: value } that must differ
+ * @returns {boolean}
+ */
+export const matchesMetadata = (metadata, match = {}, except = {}) =>
+  Object.entries(match).every(
+    ([key, value]) => fieldText(metadata, key) === String(value)
+  ) &&
+  Object.entries(except).every(([key, value]) => {
+    const text = fieldText(metadata, key);
+    return text !== null && text !== String(value);
+  });
+
+/**
+ * Cosine similarity, as returned by the match_* functions
+ * (1 - cosine distance)
+ */
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Rank documents by cosine similarity to a query embedding
+ * @param {Array} documents - [{ id, content, metadata, embedding }]
+ * @param {number[]} embedding - Query embedding
+ * @param {Object} options - { matchCount, filter }
+ * @returns {Array} - [{ id, content, metadata, similarity }]
+ */
+export const rankBySimilarity = (
+  documents,
+  embedding,
+  { matchCount = 5, filter = {} } = {}
+) =>
+  documents
+    .filter((doc) => containsJson(doc.metadata || {}, filter))
+    .map((doc) => ({
+      id: doc.id,
+      content: doc.content,
+      metadata: doc.metadata,
+      similarity: cosineSimilarity(doc.embedding, embedding),
+    }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, matchCount);
@@ -0,0 +1,500 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { createRequire } from "module";
+import { matchesMetadata, rankBySimilarity } from "./metadataFilter.js";
+
+const require = createRequire(import.meta.url);
+
+const DOCUMENT_TABLES = ["documents", "chapter_documents"];
+
+const SCHEMA = `
+${DOCUMENT_TABLES.map(
+  (table) => `
+CREATE TABLE IF NOT EXISTS ${table} (
+  id TEXT PRIMARY KEY,
+  content TEXT NOT NULL,
+  metadata TEXT NOT NULL DEFAULT '{}',
+  embedding BLOB,
+  created_at TEXT NOT NULL
+);`
+).join("\n")}
+
+CREATE TABLE IF NOT EXISTS customs_tariff_rates (
+  id TEXT PRIMARY KEY,
+  hs_code TEXT NOT NULL,
+  tariff_description TEXT,
+  cd REAL DEFAULT 0,
+  sd REAL DEFAULT 0,
+  vat REAL DEFAULT 0,
+  ait REAL DEFAULT 0,
+  rd REAL DEFAULT 0,
+  at REAL DEFAULT 0,
+  tti REAL DEFAULT 0,
+  document_version TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_customs_tariff_rates_hs_code ON customs_tariff_rates(hs_code);
+CREATE INDEX IF NOT EXISTS idx_customs_tariff_rates_version ON customs_tariff_rates(document_version);
+
+CREATE TABLE IF NOT EXISTS tech_packs (
+  id TEXT PRIMARY KEY,
+  file_name TEXT,
+  file_size INTEGER,
+  file_type TEXT,
+  ai_extraction TEXT,
+  user_edits TEXT,
+  selected_hs_code TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_tech_packs_updated_at ON tech_packs(updated_at);
+
+CREATE TABLE IF NOT EXISTS hs_code_feedback (
+  id TEXT PRIMARY KEY,
+  tech_pack_id TEXT REFERENCES tech_packs(id) ON DELETE SET NULL,
+  tech_pack_info TEXT NOT NULL,
+  suggestions TEXT NOT NULL DEFAULT '[]',
+  accepted_code TEXT NOT NULL,
+  accepted_description TEXT,
+  was_suggested INTEGER NOT NULL DEFAULT 0,
+  reason TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_hs_code_feedback_created_at ON hs_code_feedback(created_at);
+
+CREATE TABLE IF NOT EXISTS vector_table_config (
+  table_name TEXT PRIMARY KEY,
+  embedding_model TEXT NOT NULL,
+  dimensions INTEGER NOT NULL,
+  updated_at TEXT NOT NULL
+);
+`;
+
+const TARIFF_COLUMNS = [
+  "hs_code",
+  "tariff_description",
+  "cd",
+  "sd",
+  "vat",
+  "ait",
+  "rd",
+  "at",
+  "tti",
+  "document_version",
+];
+
+// Embeddings are stored as little-endian float32 blobs
+const toBlob = (embedding) =>
+  embedding ? Buffer.from(new Float32Array(embedding).buffer) : null;
+
+const fromBlob = (blob) =>
+  blob
+    ? Array.from(
+        new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / 4)
+      )
+    : [];
+
+const toDocument = (row, { withEmbedding = false } = {}) => {
+  const doc = {
+    id: row.id,
+    content: row.content,
+    metadata: JSON.parse(row.metadata || "{}"),
+    created_at: row.created_at,
+  };
+  if (withEmbedding) {
+    doc.embedding = fromBlob(row.embedding);
+  }
+  return doc;
+};
+
+/**
+ * Vector documents in a local SQLite file. Similarity search is an exact
+ * cosine scan, which is fine for the size of the tariff corpus on one node.
+ */
+export class SqliteDocumentRepository {
+  constructor(db, tableName) {
+    this.db = db;
+    this.tableName = tableName;
+  }
+
+  async insert(documents) {
+    const statement = this.db.prepare(
+      `INSERT INTO ${this.tableName} (id, content, metadata, embedding, created_at) VALUES (?, ?, ?, ?, ?)`
+    );
+    const now = new Date().toISOString();
+
+    this.db.transaction(() => {
+      documents.forEach((doc) =>
+        statement.run(
+          crypto.randomUUID(),
+          doc.content,
+          JSON.stringify(doc.metadata || {}),
+          toBlob(doc.embedding),
+          now
+        )
+      );
+    })();
+  }
+
+  async search(embedding, options = {}) {
+    const rows = this.db
+      .prepare(`SELECT * FROM ${this.tableName} WHERE embedding IS NOT NULL`)
+      .all()
+      .map((row) => toDocument(row, { withEmbedding: true }));
+
+    return rankBySimilarity(rows, embedding, options);
+  }
+
+  // Metadata is filtered in JS so text matching behaves like metadata->>key
+  selectDocuments() {
+    return this.db
+      .prepare(
+        `SELECT id, content, metadata, created_at FROM ${this.tableName} ORDER BY created_at DESC`
+      )
+      .all()
+      .map((row) => toDocument(row));
+  }
+
+  async findByMetadata(match, { limit = 10 } = {}) {
+    return this.selectDocuments()
+      .filter((doc) => matchesMetadata(doc.metadata, match))
+      .slice(0, limit)
+      .map(({ id, content, metadata }) => ({ id, content, metadata }));
+  }
+
+  async findByContent(text, { match = {}, limit = 5 } = {}) {
+    return this.selectDocuments()
+      .filter(
+        (doc) =>
+          doc.content.includes(text) && matchesMetadata(doc.metadata, match)
+      )
+      .slice(0, limit)
+      .map(({ id, content, metadata }) => ({ id, content, metadata }));
+  }
+
+  async listRecent(limit = 5) {
+    return this.selectDocuments()
+      .slice(0, limit)
+      .map(({ id, metadata, created_at }) => ({ id, metadata, created_at }));
+  }
+
+  async deleteByMetadata(match, except = {}) {
+    const ids = this.selectDocuments()
+      .filter((doc) => matchesMetadata(doc.metadata, match, except))
+      .map((doc) => doc.id);
+    const statement = this.db.prepare(
+      `DELETE FROM ${this.tableName} WHERE id = ?`
+    );
+
+    this.db.transaction(() => ids.forEach((id) => statement.run(id)))();
+  }
+
+  async hasVersion(version) {
+    const rows = await this.findByMetadata({ version }, { limit: 1 });
+    return rows.length > 0;
+  }
+
+  async count() {
+    return this.db
+      .prepare(`SELECT COUNT(*) AS count FROM ${this.tableName}`)
+      .get().count;
+  }
+}
+
+export class SqliteTariffRateRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async insert(rates) {
+    const statement = this.db.prepare(
+      `INSERT INTO customs_tariff_rates (id, ${TARIFF_COLUMNS.join(
+        ", "
+      )}, created_at, updated_at) VALUES (${new Array(TARIFF_COLUMNS.length + 3)
+        .fill("?")
+        .join(", ")})`
+    );
+    const now = new Date().toISOString();
+
+    this.db.transaction(() => {
+      rates.forEach((rate) =>
+        statement.run(
+          crypto.randomUUID(),
+          ...TARIFF_COLUMNS.map((column) => rate[column] ?? null),
+          now,
+          rate.updated_at || now
+        )
+      );
+    })();
+  }
+
+  async deleteByVersion(version) {
+    this.db
+      .prepare("DELETE FROM customs_tariff_rates WHERE document_version = ?")
+      .run(version);
+  }
+
+  async findByHsCode(hsCode, { version } = {}) {
+    return (
+      this.db
+        .prepare(
+          `SELECT * FROM customs_tariff_rates WHERE hs_code = ?${
+            version ? " AND document_version = ?" : ""
+          } ORDER BY updated_at DESC LIMIT 1`
+        )
+        .get(...[hsCode, version].filter(Boolean)) || null
+    );
+  }
+
+  async findByPrefix(prefix, { version, limit = 50 } = {}) {
+    return this.db
+      .prepare(
+        `SELECT * FROM customs_tariff_rates WHERE hs_code LIKE ?${
+          version ? " AND document_version = ?" : ""
+        } ORDER BY hs_code LIMIT ?`
+      )
+      .all(...[`${prefix}%`, version].filter(Boolean), limit);
+  }
+
+  async getActiveVersion() {
+    const row = this.db
+      .prepare(
+        "SELECT document_version FROM customs_tariff_rates WHERE document_version IS NOT NULL ORDER BY updated_at DESC LIMIT 1"
+      )
+      .get();
+    return row?.document_version || null;
+  }
+
+  async hasVersion(version) {
+    return Boolean(
+      this.db
+        .prepare(
+          "SELECT 1 FROM customs_tariff_rates WHERE document_version = ? LIMIT 1"
+        )
+        .get(version)
+    );
+  }
+
+  async count() {
+    return this.db
+      .prepare("SELECT COUNT(*) AS count FROM customs_tariff_rates")
+      .get().count;
+  }
+}
+
+export class SqliteVectorTableConfigRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async get(tableName) {
+    return (
+      this.db
+        .prepare("SELECT * FROM vector_table_config WHERE table_name = ?")
+        .get(tableName) || null
+    );
+  }
+
+  async upsert(config) {
+    this.db
+      .prepare(
+        `INSERT INTO vector_table_config (table_name, embedding_model, dimensions, updated_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(table_name) DO UPDATE SET
+           embedding_model = excluded.embedding_model,
+           dimensions = excluded.dimensions,
+           updated_at = excluded.updated_at`
+      )
+      .run(
+        config.table_name,
+        config.embedding_model,
+        config.dimensions,
+        new Date().toISOString()
+      );
+  }
+}
+
+// JSON columns of hs_code_feedback
+const toFeedback = (row) => ({
+  ...row,
+  tech_pack_info: JSON.parse(row.tech_pack_info),
+  suggestions: JSON.parse(row.suggestions || "[]"),
+  was_suggested: Boolean(row.was_suggested),
+});
+
+export class SqliteHSFeedbackRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async insert(feedback) {
+    const row = {
+      id: crypto.randomUUID(),
+      tech_pack_id: feedback.tech_pack_id ?? null,
+      tech_pack_info: JSON.stringify(feedback.tech_pack_info),
+      suggestions: JSON.stringify(feedback.suggestions || []),
+      accepted_code: feedback.accepted_code,
+      accepted_description: feedback.accepted_description ?? null,
+      was_suggested: feedback.was_suggested ? 1 : 0,
+      reason: feedback.reason ?? null,
+      created_at: new Date().toISOString(),
+    };
+
+    this.db
+      .prepare(
+        `INSERT INTO hs_code_feedback (${Object.keys(row).join(
+          ", "
+        )}) VALUES (${Object.keys(row)
+          .map((key) => `@${key}`)
+          .join(", ")})`
+      )
+      .run(row);
+
+    return toFeedback(row);
+  }
+
+  async listRecent(limit = 500) {
+    return this.db
+      .prepare(
+        "SELECT * FROM hs_code_feedback ORDER BY created_at DESC LIMIT ?"
+      )
+      .all(limit)
+      .map(toFeedback);
+  }
+}
+
+// JSON columns of tech_packs
+const TECH_PACK_JSON_COLUMNS = [
+  "ai_extraction",
+  "user_edits",
+  "selected_hs_code",
+];
+
+const fromTechPackRow = (row) =>
+  row && {
+    ...row,
+    ...Object.fromEntries(
+      TECH_PACK_JSON_COLUMNS.map((column) => [
+        column,
+        row[column] === null ? null : JSON.parse(row[column]),
+      ])
+    ),
+  };
+
+const toTechPackColumns = (row) =>
+  Object.fromEntries(
+    Object.entries(row).map(([column, value]) => [
+      column,
+      TECH_PACK_JSON_COLUMNS.includes(column) && value !== null
+        ? JSON.stringify(value)
+        : value,
+    ])
+  );
+
+export class SqliteTechPackRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async insert(row) {
+    const now = new Date().toISOString();
+    const columns = {
+      id: crypto.randomUUID(),
+      ...toTechPackColumns(row),
+      created_at: now,
+      updated_at: now,
+    };
+
+    this.db
+      .prepare(
+        `INSERT INTO tech_packs (${Object.keys(columns).join(
+          ", "
+        )}) VALUES (${Object.keys(columns)
+          .map((key) => `@${key}`)
+          .join(", ")})`
+      )
+      .run(columns);
+
+    return this.get(columns.id);
+  }
+
+  async get(id) {
+    return (
+      fromTechPackRow(
+        this.db.prepare("SELECT * FROM tech_packs WHERE id = ?").get(id)
+      ) || null
+    );
+  }
+
+  async list({ limit = 20, offset = 0 } = {}) {
+    const rows = this.db
+      .prepare(
+        "SELECT * FROM tech_packs ORDER BY updated_at DESC LIMIT ? OFFSET ?"
+      )
+      .all(limit, offset)
+      .map(fromTechPackRow);
+    const { total } = this.db
+      .prepare("SELECT COUNT(*) AS total FROM tech_packs")
+      .get();
+
+    return { rows, total };
+  }
+
+  async update(id, changes) {
+    const columns = {
+      ...toTechPackColumns(changes),
+      updated_at: new Date().toISOString(),
+    };
+    const { changes: updated } = this.db
+      .prepare(
+        `UPDATE tech_packs SET ${Object.keys(columns)
+          .map((key) => `${key} = @${key}`)
+          .join(", ")} WHERE id = @id`
+      )
+      .run({ ...columns, id });
+
+    return updated > 0 ? this.get(id) : null;
+  }
+
+  async delete(id) {
+    return (
+      this.db.prepare("DELETE FROM tech_packs WHERE id = ?").run(id).changes > 0
+    );
+  }
+}
+
+/**
+ * Open (and create if needed) the SQLite database file
+ * @param {string} filePath - Database file path
+ */
+export const createSqliteRepositories = (filePath) => {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (error) {
+    throw new Error(
+      `The sqlite storage backend requires the better-sqlite3 package: ${error.message}`
+    );
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  console.log(`✅ SQLite storage opened at ${filePath}`);
+
+  return {
+    documents: new SqliteDocumentRepository(db, "documents"),
+    chapterDocuments: new SqliteDocumentRepository(db, "chapter_documents"),
+    tariffRates: new SqliteTariffRateRepository(db),
+    vectorTableConfig: new SqliteVectorTableConfigRepository(db),
+    hsFeedback: new SqliteHSFeedbackRepository(db),
+    techPacks: new SqliteTechPackRepository(db),
+  };
+};
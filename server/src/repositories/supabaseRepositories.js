@@ -0,0 +1,405 @@
+import getSupabaseClient from "../config/supabase.js";
+
+// Apply { key: value } text matches on metadata fields (metadata->>key)
+const applyMetadataMatch = (query, match = {}, except = {}) => {
+  Object.entries(match).forEach(([key, value]) => {
+    query = query.eq(`metadata->>${key}`, value);
+  });
+  Object.entries(except).forEach(([key, value]) => {
+    query = query.neq(`metadata->>${key}`, value);
+  });
+  return query;
+};
+
+/**
+ * Vector documents stored in a pgvector table (documents, chapter_documents)
+ * and searched through its match_* SQL function
+ */
+export class SupabaseDocumentRepository {
+  constructor(supabase, tableName, matchFunction) {
+    this.supabase = supabase;
+    this.tableName = tableName;
+    this.matchFunction = matchFunction;
+  }
+
+  async insert(documents) {
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .insert(documents);
+
+    if (error) {
+      throw new Error(
+        `Failed to insert into ${this.tableName}: ${error.message}`
+      );
+    }
+  }
+
+  async search(embedding, { matchCount = 5, filter = {} } = {}) {
+    const { data, error } = await this.supabase.rpc(this.matchFunction, {
+      query_embedding: embedding,
+      match_count: matchCount,
+      filter,
+    });
+
+    if (error) {
+      throw new Error(`${this.tableName} search failed: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  async findByMetadata(match, { limit = 10 } = {}) {
+    const { data, error } = await applyMetadataMatch(
+      this.supabase.from(this.tableName).select("id, content, metadata"),
+      match
+    ).limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to query ${this.tableName}: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  async findByContent(text, { match = {}, limit = 5 } = {}) {
+    const { data, error } = await applyMetadataMatch(
+      this.supabase
+        .from(this.tableName)
+        .select("id, content, metadata")
+        .like("content", `%${text}%`),
+      match
+    ).limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to query ${this.tableName}: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  async listRecent(limit = 5) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select("id, metadata, created_at")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to query ${this.tableName}: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  async deleteByMetadata(match, except = {}) {
+    const { error } = await applyMetadataMatch(
+      this.supabase.from(this.tableName).delete(),
+      match,
+      except
+    );
+
+    if (error) {
+      throw new Error(
+        `Failed to delete from ${this.tableName}: ${error.message}`
+      );
+    }
+  }
+
+  async hasVersion(version) {
+    const rows = await this.findByMetadata({ version }, { limit: 1 });
+    return rows.length > 0;
+  }
+
+  async count() {
+    const { count, error } = await this.supabase
+      .from(this.tableName)
+      .select("id", { count: "exact", head: true });
+
+    if (error) {
+      throw new Error(`Failed to count ${this.tableName}: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+}
+
+// Duty rates per HS code (customs_tariff_rates)
+export class SupabaseTariffRateRepository {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.tableName = "customs_tariff_rates";
+  }
+
+  async insert(rates) {
+    const { error } = await this.supabase.from(this.tableName).insert(rates);
+
+    if (error) {
+      throw new Error(`Failed to insert tariff rates: ${error.message}`);
+    }
+  }
+
+  async deleteByVersion(version) {
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .delete()
+      .eq("document_version", version);
+
+    if (error) {
+      throw new Error(`Failed to delete tariff rates: ${error.message}`);
+    }
+  }
+
+  async findByHsCode(hsCode, { version } = {}) {
+    let query = this.supabase
+      .from(this.tableName)
+      .select("*")
+      .eq("hs_code", hsCode);
+    if (version) {
+      query = query.eq("document_version", version);
+    }
+
+    const { data, error } = await query
+      .order("updated_at", { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to query tariff rates: ${error.message}`);
+    }
+
+    return data?.[0] || null;
+  }
+
+  // Tariff lines whose code starts with prefix (e.g. all subheadings of 610910)
+  async findByPrefix(prefix, { version, limit = 50 } = {}) {
+    let query = this.supabase
+      .from(this.tableName)
+      .select("*")
+      .like("hs_code", `${prefix}%`);
+    if (version) {
+      query = query.eq("document_version", version);
+    }
+
+    const { data, error } = await query.order("hs_code").limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to query tariff rates: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  // Version of the most recently loaded tariff schedule
+  async getActiveVersion() {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select("document_version")
+      .not("document_version", "is", null)
+      .order("updated_at", { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to query tariff rates: ${error.message}`);
+    }
+
+    return data?.[0]?.document_version || null;
+  }
+
+  async hasVersion(version) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select("id")
+      .eq("document_version", version)
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to query tariff rates: ${error.message}`);
+    }
+
+    return data.length > 0;
+  }
+
+  async count() {
+    const { count, error } = await this.supabase
+      .from(this.tableName)
+      .select("id", { count: "exact", head: true });
+
+    if (error) {
+      throw new Error(`Failed to count tariff rates: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+}
+
+// Embedding model and dimension per vector table (vector_table_config)
+export class SupabaseVectorTableConfigRepository {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.tableName = "vector_table_config";
+  }
+
+  async get(tableName) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select("*")
+      .eq("table_name", tableName)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(
+        `Failed to read vector table config for ${tableName}: ${error.message}`
+      );
+    }
+
+    return data;
+  }
+
+  async upsert(config) {
+    const { error } = await this.supabase.from(this.tableName).upsert({
+      ...config,
+      updated_at: new Date().toISOString(),
+    });
+
+    if (error) {
+      throw new Error(
+        `Failed to register vector table ${config.table_name}: ${error.message}`
+      );
+    }
+  }
+}
+
+// HS code decisions recorded from the classification step (hs_code_feedback)
+export class SupabaseHSFeedbackRepository {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.tableName = "hs_code_feedback";
+  }
+
+  async insert(feedback) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .insert(feedback)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to store HS code feedback: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async listRecent(limit = 500) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select("*")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to query HS code feedback: ${error.message}`);
+    }
+
+    return data || [];
+  }
+}
+
+// Stored tech pack records (tech_packs)
+export class SupabaseTechPackRepository {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.tableName = "tech_packs";
+  }
+
+  async insert(row) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create tech pack: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async get(id) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load tech pack: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async list({ limit = 20, offset = 0 } = {}) {
+    const { data, error, count } = await this.supabase
+      .from(this.tableName)
+      .select("*", { count: "exact" })
+      .order("updated_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to list tech packs: ${error.message}`);
+    }
+
+    return { rows: data || [], total: count || 0 };
+  }
+
+  async update(id, changes) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update tech pack: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async delete(id) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .delete()
+      .eq("id", id)
+      .select("id");
+
+    if (error) {
+      throw new Error(`Failed to delete tech pack: ${error.message}`);
+    }
+
+    return Boolean(data && data.length > 0);
+  }
+}
+
+export const createSupabaseRepositories = () => {
+  const supabase = getSupabaseClient();
+
+  return {
+    documents: new SupabaseDocumentRepository(
+      supabase,
+      "documents",
+      "match_documents"
+    ),
+    chapterDocuments: new SupabaseDocumentRepository(
+      supabase,
+      "chapter_documents",
+      "match_chapter_documents"
+    ),
+    tariffRates: new SupabaseTariffRateRepository(supabase),
+    vectorTableConfig: new SupabaseVectorTableConfigRepository(supabase),
+    hsFeedback: new SupabaseHSFeedbackRepository(supabase),
+    techPacks: new SupabaseTechPackRepository(supabase),
+  };
+};
@@ -1,21 +1,42 @@
 import express from "express";
-import upload from "../middleware/uploadMiddleware.js";
+import upload, { MAX_UPLOAD_FILES } from "../middleware/uploadMiddleware.js";
 import {
   validateUpload,
   validateTechPack,
+  validateTechPackId,
+  validateTechPackRecord,
+  validateTechPackRecordUpdate,
+  validateTechPackListQuery,
+  validateHsFeedback,
+  validateDutyCalculation,
+  validateMeasurementsQuery,
+  validatePackingList,
 } from "../middleware/validationMiddleware.js";
 import {
   uploadTechPack,
   processTechPack,
   classifyHSCode,
+  streamTechPackEvents,
 } from "../controllers/techPackController.js";
+import {
+  listTechPacks,
+  getTechPack,
+  createTechPack,
+  updateTechPack,
+  deleteTechPack,
+  getTechPackMeasurements,
+  planTechPackCartons,
+  getTechPackInvoiceDescription,
+} from "../controllers/techPackRecordController.js";
+import { submitHSFeedback } from "../controllers/hsFeedbackController.js";
+import { calculateDuty } from "../controllers/dutyController.js";
 
 const router = express.Router();
 
-// POST /api/techpack/upload - Upload and process tech pack
+// POST /api/techpack/upload - Upload and process a tech pack document or images
 router.post(
   "/upload",
-  upload.single("techpack"),
+  upload.array("techpack", MAX_UPLOAD_FILES),
   validateUpload,
   uploadTechPack
 );
@@ -23,7 +44,59 @@ router.post(
 // POST /api/techpack/hscode - Classify HS code from tech pack information
 router.post("/hscode", validateTechPack, classifyHSCode);
 
-// GET /api/techpack/process/:id - Get processing status (for future implementation)
+// POST /api/techpack/hscode/feedback - Record the HS code the user accepted or entered
+router.post("/hscode/feedback", validateHsFeedback, submitHSFeedback);
+
+// POST /api/techpack/hscode/duty - Calculate landed duty for an HS code
+router.post("/hscode/duty", validateDutyCalculation, calculateDuty);
+
+// GET /api/techpack/process/:id - Get processing job status and result
 router.get("/process/:id", processTechPack);
 
+// GET /api/techpack/process/:id/events - Stream processing progress (SSE)
+router.get("/process/:id/events", streamTechPackEvents);
+
+// GET /api/techpack - List stored tech packs
+router.get("/", validateTechPackListQuery, listTechPacks);
+
+// POST /api/techpack - Create a tech pack record
+router.post("/", validateTechPackRecord, createTechPack);
+
+// GET /api/techpack/:id - Load a stored tech pack
+router.get("/:id", validateTechPackId, getTechPack);
+
+// GET /api/techpack/:id/measurements - Measurement chart (?format=csv for CSV)
+router.get(
+  "/:id/measurements",
+  validateTechPackId,
+  validateMeasurementsQuery,
+  getTechPackMeasurements
+);
+
+// POST /api/techpack/:id/packing-list - Plan cartons for order quantities
+router.post(
+  "/:id/packing-list",
+  validateTechPackId,
+  validatePackingList,
+  planTechPackCartons
+);
+
+// GET /api/techpack/:id/invoice-description - Commercial invoice goods description
+router.get(
+  "/:id/invoice-description",
+  validateTechPackId,
+  getTechPackInvoiceDescription
+);
+
+// PATCH /api/techpack/:id - Update user edits and/or selected HS code
+router.patch(
+  "/:id",
+  validateTechPackId,
+  validateTechPackRecordUpdate,
+  updateTechPack
+);
+
+// DELETE /api/techpack/:id - Delete a stored tech pack
+router.delete("/:id", validateTechPackId, deleteTechPack);
+
 export default router;
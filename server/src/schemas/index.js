@@ -1,4 +1,5 @@
 import Joi from "joi";
+import { FABRIC_TYPES } from "../services/fabricTypes.js";
 
 // Validation schema for file upload (multer file object)
 export const uploadSchema = Joi.object({
@@ -10,6 +11,92 @@ export const uploadSchema = Joi.object({
   size: Joi.number().required(),
 }).unknown(true); // Allow additional properties from multer
 
+// Bill of materials lines; consumption is per garment in the given unit
+const bomFabricSchema = Joi.object({
+  component: Joi.string().required(), // Shell, lining, rib, pocketing, ...
+  description: Joi.string().required(),
+  composition: Joi.string().optional().allow(null, ""),
+  gsm: Joi.number().optional().allow(null),
+  supplier: Joi.string().optional().allow(null, ""),
+  consumption: Joi.number().min(0).optional().allow(null),
+  unit: Joi.string().optional().allow(null, ""),
+}).unknown(true);
+
+const bomTrimSchema = Joi.object({
+  type: Joi.string().required(), // Button, zipper, label, ...
+  description: Joi.string().required(),
+  supplier: Joi.string().optional().allow(null, ""),
+  consumption: Joi.number().min(0).optional().allow(null),
+  unit: Joi.string().optional().allow(null, ""),
+}).unknown(true);
+
+const colorwaySchema = Joi.object({
+  name: Joi.string().required(),
+  code: Joi.string().optional().allow(null, ""),
+}).unknown(true);
+
+// Measurement (POM) chart; values are per size in the chart's unit
+const measurementPointSchema = Joi.object({
+  code: Joi.string().optional().allow(null, ""),
+  description: Joi.string().required(),
+  tolerance: Joi.object({
+    minus: Joi.number().min(0).required(),
+    plus: Joi.number().min(0).required(),
+  })
+    .optional()
+    .allow(null),
+  values: Joi.object().pattern(Joi.string(), Joi.number()).required(),
+}).unknown(true);
+
+const measurementsSchema = Joi.object({
+  unit: Joi.string().valid("cm", "in").allow(null).required(),
+  sizes: Joi.array().items(Joi.string()).required(),
+  points: Joi.array().items(measurementPointSchema).required(),
+  source: Joi.string().valid("spreadsheet", "text", "model").optional(),
+}).unknown(true);
+
+// Certification claims and recycled/organic shares (see services/certifications.js)
+const sustainabilitySchema = Joi.object({
+  certifications: Joi.array()
+    .items(
+      Joi.object({
+        scheme: Joi.string().required(), // GOTS, OCS, GRS, OEKO-TEX 100, ...
+        name: Joi.string().required(),
+        claim: Joi.string().required(),
+        certificateNumber: Joi.string().allow(null).required(),
+        snippet: Joi.string().allow(null, ""),
+        page: Joi.number().integer().allow(null),
+      }).unknown(true)
+    )
+    .required(),
+  fibers: Joi.array()
+    .items(
+      Joi.object({
+        material: Joi.string().required(),
+        percentage: Joi.number().required(),
+        attribute: Joi.string().valid("recycled", "organic").required(),
+      })
+    )
+    .required(),
+  recycledPercentage: Joi.number().min(0).required(),
+  organicPercentage: Joi.number().min(0).required(),
+  notes: Joi.array().items(Joi.string()).required(),
+}).unknown(true);
+
+// Where an extracted field came from (see services/extractionEvidence.js)
+const fieldEvidenceSchema = Joi.object({
+  confidence: Joi.number().min(0).max(1).required(),
+  inferred: Joi.boolean().required(),
+  snippet: Joi.string().allow(null),
+  page: Joi.number().integer().allow(null),
+  unverifiedQuote: Joi.boolean(),
+  // Set once a user has checked or edited the field
+  reviewed: Joi.boolean(),
+  items: Joi.array().items(
+    Joi.object({ material: Joi.string().required() }).unknown(true)
+  ),
+}).unknown(true);
+
 // Validation schema for tech pack summary (matches frontend TechPackSummary interface)
 export const techPackSchema = Joi.object({
   // Existing core fields (keeping same names)
@@ -21,7 +108,9 @@ export const techPackSchema = Joi.object({
       })
     )
     .required(),
-  fabricType: Joi.string().valid("knit", "woven").required(),
+  fabricType: Joi.string()
+    .valid(...FABRIC_TYPES)
+    .required(),
   garmentType: Joi.string().required(),
   gender: Joi.string().required(),
   description: Joi.string().required(),
@@ -31,6 +120,29 @@ export const techPackSchema = Joi.object({
   countryOfOrigin: Joi.string().optional().allow(null, ""),
   destinationMarket: Joi.string().optional().allow(null, ""),
   incoterm: Joi.string().optional().allow(null, ""),
+  styleNumber: Joi.string().optional().allow(null, ""),
+
+  // Bill of materials, colorways and size range
+  fabrics: Joi.array().items(bomFabricSchema).optional(),
+  trims: Joi.array().items(bomTrimSchema).optional(),
+  colorways: Joi.array().items(colorwaySchema).optional(),
+  sizeRange: Joi.array().items(Joi.string()).optional(),
+  measurements: measurementsSchema.optional().allow(null),
+  sustainability: sustainabilitySchema.optional().allow(null),
+
+  // Per-field confidence and source text
+  fieldEvidence: Joi.object()
+    .pattern(Joi.string(), fieldEvidenceSchema)
+    .optional(),
+
+  // Canonical fibers, composition check and chief-weight fiber
+  compositionAnalysis: Joi.object({
+    status: Joi.string().valid("ok", "rebalanced", "flagged").required(),
+    total: Joi.number().required(),
+    issues: Joi.array().items(Joi.string()).required(),
+  })
+    .unknown(true)
+    .optional(),
 }).unknown(true); // Allow additional properties
 
 // Validation schema for tariff information
@@ -56,8 +168,279 @@ export const hsCodeSuggestionSchema = Joi.object({
   chapter: Joi.string().optional(),
   pdfLink: Joi.string().uri().optional(),
   year: Joi.string().optional(),
+  // Tariff table check (see services/hsCodeValidator.js)
+  validationStatus: Joi.string()
+    .valid("validated", "mapped", "unknownCode", "unverified")
+    .optional(),
+  originalCode: Joi.string().optional(),
+  tariffVersion: Joi.string().optional(),
+  // Rule engine second opinion (see services/hsRuleEngine.js)
+  suggestedBy: Joi.string().valid("rag", "rules", "both").optional(),
+  ruleTrace: Joi.array()
+    .items(
+      Joi.object({
+        step: Joi.string().required(),
+        rule: Joi.string().required(),
+        result: Joi.string().allow(null).required(),
+      })
+    )
+    .optional(),
 }).required();
 
+// Validation schema for uploaded file metadata stored with a tech pack record
+export const fileInfoSchema = Joi.object({
+  originalName: Joi.string().required(),
+  size: Joi.number().required(),
+  type: Joi.string().required(),
+  // Individual images when several were uploaded together
+  files: Joi.array()
+    .items(
+      Joi.object({
+        originalName: Joi.string().required(),
+        size: Joi.number().required(),
+        type: Joi.string().required(),
+      })
+    )
+    .optional(),
+});
+
+// Validation schema for the :id route parameter of tech pack records
+export const techPackIdSchema = Joi.object({
+  id: Joi.string().guid().required(),
+});
+
+// Validation schema for creating a tech pack record
+export const techPackRecordSchema = Joi.object({
+  fileInfo: fileInfoSchema.optional().allow(null),
+  aiExtraction: techPackSchema.optional().allow(null),
+  userEdits: techPackSchema.optional().allow(null),
+  selectedHsCode: hsCodeSuggestionSchema.optional().allow(null),
+});
+
+// Validation schema for updating a tech pack record (at least one field)
+export const techPackRecordUpdateSchema = techPackRecordSchema.min(1);
+
+// Validation schema for listing tech pack records
+export const techPackListQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+// Validation schema for the measurements endpoint query
+export const measurementsQuerySchema = Joi.object({
+  format: Joi.string().valid("json", "csv").default("json"),
+});
+
+// Validation schema for planning the cartons of an order
+export const packingListSchema = Joi.object({
+  // Pieces ordered per size
+  quantities: Joi.object()
+    .pattern(Joi.string(), Joi.number().integer().min(0))
+    .min(1)
+    .required(),
+  piecesPerCarton: Joi.number().integer().positive().required(),
+  // Weighed sample weights in grams; sizes without one use the estimate
+  pieceWeights: Joi.object()
+    .pattern(Joi.string(), Joi.number().positive())
+    .optional(),
+  // Outer carton dimensions in cm
+  carton: Joi.object({
+    length: Joi.number().positive().required(),
+    width: Joi.number().positive().required(),
+    height: Joi.number().positive().required(),
+  }).optional(),
+  cartonWeightKg: Joi.number().min(0).default(0), // Empty carton
+  maxGrossWeightKg: Joi.number().positive().optional(),
+});
+
+// Validation schema for recording which HS code the user settled on
+export const hsFeedbackSchema = Joi.object({
+  techPackId: Joi.string().guid().optional().allow(null),
+  techPackInfo: techPackSchema.required(),
+  // Every suggestion shown to the user, as returned by classification
+  suggestions: Joi.array()
+    .items(
+      Joi.object({
+        code: Joi.string().required(),
+        description: Joi.string().allow("").optional(),
+        confidence: Joi.number().min(0).max(1).optional(),
+      }).unknown(true)
+    )
+    .default([]),
+  // Accepted suggestion or a code typed in by the user (e.g. 6109.10.00)
+  acceptedCode: Joi.string()
+    .trim()
+    .pattern(/^\d{4}(\.?\d{2}){0,3}$/)
+    .required(),
+  acceptedDescription: Joi.string().allow("").optional(),
+  reason: Joi.string().trim().max(1000).allow("").optional(),
+});
+
+// Validation schema for the landed duty calculator
+export const dutyCalculationSchema = Joi.object({
+  hsCode: Joi.string()
+    .trim()
+    .pattern(/^\d{4}(\.?\d{2}){0,3}$/)
+    .required(),
+  tariffVersion: Joi.string().optional(), // Defaults to the active tariff version
+  value: Joi.number().positive().required(), // Quoted price in `currency`
+  currency: Joi.string().uppercase().length(3).default("BDT"),
+  // BDT per unit of `currency`
+  exchangeRate: Joi.number().positive().when("currency", {
+    is: "BDT",
+    then: Joi.optional(),
+    otherwise: Joi.required(),
+  }),
+  incoterm: Joi.string()
+    .uppercase()
+    .valid(
+      "EXW",
+      "FCA",
+      "FAS",
+      "FOB",
+      "CFR",
+      "CPT",
+      "CIF",
+      "CIP",
+      "DAP",
+      "DPU",
+      "DDP"
+    )
+    .default("CIF"),
+  // Actual freight and insurance in `currency`, when not included in the price
+  freight: Joi.number().min(0).optional(),
+  insurance: Joi.number().min(0).optional(),
+});
+
+// Model responses (see services/structuredOutput.js). Each model reply is
+// validated against one of these and re-asked with the errors on failure.
+
+// Fields the server derives after extraction; the model's are dropped
+const derivedTechPackFields = [
+  "styleNumber",
+  "measurements",
+  "sustainability",
+  "fieldEvidence",
+  "compositionAnalysis",
+];
+const extractedTechPackSchema = techPackSchema.fork(derivedTechPackFields, () =>
+  Joi.any().strip()
+);
+
+// Raw per-field evidence as the model reports it, keyed by field name
+const extractionEvidenceSchema = Joi.object().pattern(
+  Joi.string(),
+  fieldEvidenceSchema.allow(null)
+);
+
+// Single-pass tech pack extraction
+export const techPackExtractionResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  error: Joi.string().optional().allow(null, ""),
+  data: Joi.alternatives().conditional("success", {
+    is: true,
+    then: extractedTechPackSchema.required(),
+    otherwise: Joi.any(),
+  }),
+  evidence: extractionEvidenceSchema.optional().allow(null),
+}).unknown(true);
+
+// One document section of a map-reduce extraction: any field may be missing
+export const techPackSectionResponseSchema = extractedTechPackSchema
+  .fork(
+    [
+      "materialPercentage",
+      "fabricType",
+      "garmentType",
+      "gender",
+      "description",
+    ],
+    (schema) => schema.optional().allow(null)
+  )
+  .keys({ evidence: extractionEvidenceSchema.optional().allow(null) });
+
+// HS code classification; confidences may come as percentages
+export const hsClassificationResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  suggestions: Joi.array()
+    .items(
+      hsCodeSuggestionSchema
+        .keys({
+          confidence: Joi.number().min(0).max(100).required(),
+          rationale: Joi.array().items(Joi.string()).optional(),
+        })
+        .unknown(true)
+    )
+    .when("success", { is: true, then: Joi.required() }),
+  error: Joi.string().optional().allow(null, ""),
+}).unknown(true);
+
+// Alternative search terms for the tariff vector search
+export const searchAlternativesResponseSchema = Joi.array()
+  .items(Joi.string())
+  .min(1);
+
+// PDF links found on the customs website
+export const pdfLinkResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  documents: Joi.array()
+    .items(
+      Joi.object({
+        url: Joi.string().required(),
+        title: Joi.string().optional().allow(null, ""),
+        version: Joi.string().optional().allow(null, ""),
+        type: Joi.string()
+          .valid(
+            "tariff",
+            "bct",
+            "budget",
+            "sro",
+            "finance_bill",
+            "instructions",
+            "other"
+          )
+          .required(),
+        confidence: Joi.number().min(0).max(1).optional(),
+      }).unknown(true)
+    )
+    .when("success", { is: true, then: Joi.required() }),
+  error: Joi.string().optional().allow(null, ""),
+}).unknown(true);
+
+// Chapter PDFs of the NBR tariff schedule
+export const nbrChapterResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  year: Joi.string().optional().allow(null, ""),
+  chapters: Joi.array()
+    .items(
+      Joi.object({
+        chapter: Joi.string().required(),
+        pdfLink: Joi.string().required(),
+        section: Joi.string().optional().allow(null, ""),
+      }).unknown(true)
+    )
+    .when("success", { is: true, then: Joi.required() }),
+  totalChapters: Joi.number().integer().optional().allow(null),
+  error: Joi.string().optional().allow(null, ""),
+}).unknown(true);
+
+// Measurement chart read by the model; values and tolerances as written
+export const measurementResponseSchema = Joi.object({
+  unit: measurementsSchema.extract("unit"),
+  points: Joi.array()
+    .items(
+      Joi.object({
+        code: Joi.string().optional().allow(null, ""),
+        description: Joi.string().required(),
+        tolerance: Joi.string().optional().allow(null, ""),
+        values: Joi.object()
+          .pattern(Joi.string(), Joi.alternatives(Joi.string(), Joi.number()))
+          .required(),
+      }).unknown(true)
+    )
+    .required(),
+}).unknown(true);
+
 // Common response schemas
 export const successResponseSchema = Joi.object({
   success: Joi.boolean().valid(true).required(),
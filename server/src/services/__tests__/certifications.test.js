@@ -0,0 +1,107 @@
+import {
+  detectCertifications,
+  analyzeSustainability,
+  buildInvoiceDescription,
+} from "../certifications.js";
+
+const schemesOf = (text) =>
+  detectCertifications(text).map(({ scheme }) => scheme);
+
+describe("detectCertifications", () => {
+  test("reads labeled and bare certificate numbers", () => {
+    const certifications = detectCertifications(
+      [
+        "GOTS certified, licence no: CU-GOTS-123456",
+        "OEKO-TEX Standard 100",
+        "Certificate 21.HBD.12345",
+      ].join("\n")
+    );
+
+    expect(certifications).toEqual([
+      expect.objectContaining({
+        scheme: "GOTS",
+        certificateNumber: "CU-GOTS-123456",
+      }),
+      expect.objectContaining({
+        scheme: "OEKO-TEX 100",
+        certificateNumber: "21.HBD.12345",
+      }),
+    ]);
+  });
+
+  test.each([
+    "Fabric: TC 65/35 twill, GOTS certified",
+    "Fabric: SC 70/30 satin, GOTS certified",
+    "GOTS certified, cert 65/35",
+  ])("takes no blend ratio as the number: %s", (line) => {
+    expect(detectCertifications(line)).toEqual([
+      expect.objectContaining({ scheme: "GOTS", certificateNumber: null }),
+    ]);
+  });
+
+  test.each([
+    "Not OEKO-TEX certified yet",
+    "No GOTS certificate for this season",
+    "Fabric without GRS certification",
+    "GRS certification pending",
+    "Awaiting RCS transaction certificate",
+  ])("skips a negated claim: %s", (line) => {
+    expect(schemesOf(line)).toEqual([]);
+  });
+
+  test("keeps a claim next to a negated one", () => {
+    expect(
+      schemesOf("GOTS certified, licence no CU 123456; not OEKO-TEX certified")
+    ).toEqual(["GOTS"]);
+  });
+});
+
+describe("buildInvoiceDescription", () => {
+  const summaryFor = (text, materialPercentage) => ({
+    gender: "Men's",
+    fabricType: "knit",
+    garmentType: "T-shirt",
+    styleNumber: "4412",
+    materialPercentage,
+    sustainability: analyzeSustainability(text, materialPercentage),
+  });
+
+  test("quotes a content certificate the composition meets", () => {
+    const { description } = buildInvoiceDescription(
+      summaryFor("GOTS certified, licence no: CU 123456", [
+        { material: "Organic Cotton", percentage: 95 },
+        { material: "Elastane", percentage: 5 },
+      ])
+    );
+
+    expect(description).toBe(
+      "Men's knitted T-shirt of 95% organic cotton, 5% elastane; GOTS certified (CU 123456); style 4412"
+    );
+  });
+
+  test("leaves off a certificate below the scheme's minimum share", () => {
+    const summary = summaryFor("GOTS certified, licence no: CU 123456", [
+      { material: "Organic Cotton", percentage: 60 },
+      { material: "Polyester", percentage: 40 },
+    ]);
+    const { description, certifications } = buildInvoiceDescription(summary);
+
+    expect(summary.sustainability.notes).toContain(
+      "GOTS needs at least 70% organic fibre; the composition has 60%"
+    );
+    expect(certifications).toEqual([]);
+    expect(description).toBe(
+      "Men's knitted T-shirt of 60% organic cotton, 40% polyester; style 4412"
+    );
+  });
+
+  test("leaves off a certificate without matching fibre", () => {
+    const { certifications } = buildInvoiceDescription(
+      summaryFor("GRS certified, licence no: CU 123456", [
+        { material: "Cotton", percentage: 100 },
+      ])
+    );
+
+    expect(certifications).toEqual([]);
+  });
+});
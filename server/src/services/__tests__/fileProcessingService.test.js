@@ -0,0 +1,113 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { jest } from "@jest/globals";
+import { processFile } from "../fileProcessingService.js";
+
+// Minimal PDF with one page per entry: a line of Helvetica text, or nothing
+// for a page that stands in for a scan
+const buildPdf = (pageLines) => {
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Count ${pageLines.length} /Kids [${pageLines
+      .map((_, index) => `${4 + index * 2} 0 R`)
+      .join(" ")}] >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+  ];
+  pageLines.forEach((line, index) => {
+    const stream = line ? `BT /F1 10 Tf 40 780 Td (${line}) Tj ET` : "";
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 3 0 R >> >> /Contents ${
+        5 + index * 2
+      } 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+  });
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((offset) => {
+    pdf += `${String(offset).padStart(10, "0")} 00000 n \n`;
+  });
+  pdf += `trailer\n<< /Size ${
+    objects.length + 1
+  } /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+};
+
+const COVER =
+  "Style No: ST-1001 Mens knitted polo shirt, 100% cotton pique 220 GSM, buyer Example Retail, season SS25, factory Example Knit Ltd, delivery 2025-03-01, collar 2x1 rib, side seams with twill tape, pearl buttons, main label at back neck, care label at left side seam";
+
+describe("processFile", () => {
+  let directory;
+  const previousOcr = process.env.OCR_ENABLED;
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "techpack-"));
+    // OCR itself isn't exercised; the ocr progress event shows it was asked for
+    process.env.OCR_ENABLED = "false";
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterAll(async () => {
+    process.env.OCR_ENABLED = previousOcr;
+    if (previousOcr === undefined) delete process.env.OCR_ENABLED;
+    jest.restoreAllMocks();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const processPdf = async (name, pageLines) => {
+    const filePath = path.join(directory, name);
+    await fs.writeFile(filePath, buildPdf(pageLines));
+    const onProgress = jest.fn();
+    const result = await processFile(
+      { path: filePath, mimetype: "application/pdf", originalname: name },
+      onProgress
+    );
+    const ocrEvents = onProgress.mock.calls.filter(
+      ([stage]) => stage === "ocr"
+    );
+    return { result, ocrEvents };
+  };
+
+  test("runs OCR for the scanned pages of a mixed document", async () => {
+    // A typed cover sheet carries the average of three pages past the
+    // threshold; the two scanned pages behind it have no text layer
+    const { result, ocrEvents } = await processPdf("mixed.pdf", [
+      COVER,
+      "",
+      "",
+    ]);
+
+    expect(ocrEvents).toEqual([
+      [
+        "ocr",
+        expect.any(String),
+        expect.objectContaining({ thinPages: [2, 3] }),
+      ],
+    ]);
+    expect(result.text).toContain("ST-1001");
+  });
+
+  test("keeps the text layer when every page has one", async () => {
+    const { result, ocrEvents } = await processPdf("typed.pdf", [
+      COVER,
+      COVER.replace("ST-1001", "ST-1002"),
+    ]);
+
+    expect(ocrEvents).toEqual([]);
+    expect(result).toEqual(
+      expect.objectContaining({
+        ocr: null,
+        text: expect.stringContaining("ST-1002"),
+      })
+    );
+  });
+});
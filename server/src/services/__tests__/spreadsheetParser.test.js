@@ -0,0 +1,40 @@
+import { parseComposition } from "../spreadsheetParser.js";
+
+const COTTON_POLYESTER = [
+  { material: "Cotton", percentage: 60 },
+  { material: "Polyester", percentage: 40 },
+];
+
+describe("parseComposition", () => {
+  test.each([
+    "60% CTN 40% PES",
+    "Cotton 60% Polyester 40%",
+    "60/40 cotton/poly",
+    "cotton/poly 60/40",
+    "Shell: 60% cotton 40% polyester; Lining: 100% polyester",
+    "Lining: 100% polyester, Body: 60% cotton 40% polyester",
+  ])("parses %s", (value) => {
+    expect(parseComposition(value)).toEqual(COTTON_POLYESTER);
+  });
+
+  test.each([
+    ["52% Cotton 48% Polyester (Pique)", "Polyester", 48],
+    ["Cotton 60% Polyester 40% (brushed)", "Polyester", 40],
+    ["60/40 cotton/poly (twill)", "Polyester", 40],
+    ["95% CO 5% EA - single jersey", "Elastane", 5],
+    ["52% Cotton (combed) 48% Polyester", "Polyester", 48],
+  ])(
+    "leaves out the fabric descriptor in %s",
+    (value, material, percentage) => {
+      const materials = parseComposition(value);
+
+      expect(materials).toHaveLength(2);
+      expect(materials[1]).toEqual({ material, percentage });
+    }
+  );
+
+  test("returns null unless the percentages add up to 100", () => {
+    expect(parseComposition("60% cotton")).toBeNull();
+    expect(parseComposition("Pique")).toBeNull();
+  });
+});
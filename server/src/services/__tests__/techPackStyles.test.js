@@ -0,0 +1,57 @@
+import { splitIntoStyles, findStyleNumber } from "../techPackStyles.js";
+
+describe("splitIntoStyles", () => {
+  test("keeps a single-style pack with BOM item numbers as one style", () => {
+    const text = [
+      "--- Page 1 ---",
+      "Style No: ST-1001",
+      "Men's knitted polo shirt",
+      "--- Page 2 ---",
+      "Bill of materials",
+      "Item No: 10 | Shell fabric | 100% cotton pique",
+      "Item No: 20 | Collar rib | 95% cotton 5% elastane",
+      "Article No 4412 | Main label",
+      "Art. 7781 | Care label",
+      "Model: 5CN-DA | Button",
+    ].join("\n");
+
+    const styles = splitIntoStyles(text);
+
+    expect(styles.map(({ styleNumber }) => styleNumber)).toEqual(["ST-1001"]);
+    expect(styles[0].pages).toEqual([1, 2]);
+    expect(styles[0].text).toContain("Item No: 20");
+  });
+
+  test("splits a capsule on its style declarations", () => {
+    const text = [
+      "Capsule SS25, buyer: Example Retail",
+      "--- Page 1 ---",
+      "Style No: ST-1001",
+      "Knitted T-shirt",
+      "--- Page 2 ---",
+      "Style # PT-2002",
+      "Woven trousers",
+      "--- Page 3 ---",
+      "Item No: 10 | Waistband elastic",
+    ].join("\n");
+
+    const styles = splitIntoStyles(text);
+
+    expect(
+      styles.map(({ styleNumber, pages }) => [styleNumber, pages])
+    ).toEqual([
+      ["ST-1001", [1]],
+      ["PT-2002", [2, 3]],
+    ]);
+    expect(styles[1].text).toMatch(/^Capsule SS25/);
+  });
+});
+
+describe("findStyleNumber", () => {
+  test("ignores item and article numbers", () => {
+    expect(
+      findStyleNumber("Item No: 10\nArticle No 4412\nStyle: 24SS-TOP-01")
+    ).toBe("24SS-TOP-01");
+    expect(findStyleNumber("Item No: 10\nStyle: Casual")).toBeNull();
+  });
+});
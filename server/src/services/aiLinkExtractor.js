@@ -1,15 +1,16 @@
-import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { createChatModel } from "./llmProvider.js";
 import { PromptTemplate } from "@langchain/core/prompts";
 import axios from "axios";
 import * as cheerio from "cheerio";
+import { invokeStructured } from "./structuredOutput.js";
+import {
+  pdfLinkResponseSchema,
+  nbrChapterResponseSchema,
+} from "../schemas/index.js";
 
 export class AILinkExtractor {
   constructor() {
-    this.llm = new ChatGoogleGenerativeAI({
-      modelName: "gemini-2.5-flash",
-      temperature: 0.1,
-      apiKey: process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY,
-    });
+    this.llm = createChatModel();
 
     this.promptTemplate = PromptTemplate.fromTemplate(`
 You are analyzing HTML content that contains PDF links from Bangladesh Customs website.
@@ -84,42 +85,14 @@ JSON format (ONLY):
       );
 
       // Use AI to extract PDF links
-      const chain = this.promptTemplate.pipe(this.llm);
-      const llmResponse = await chain.invoke({ htmlContent: cleanHTML });
-
-      console.log(`✅ AI processing completed`);
-
-      // Extract content from LangChain response
-      const result =
-        typeof llmResponse === "string"
-          ? llmResponse
-          : llmResponse.content ||
-            llmResponse.text ||
-            JSON.stringify(llmResponse);
-
-      console.log(
-        `🔍 AI Response type: ${typeof llmResponse}, Content preview: ${result.substring(
-          0,
-          200
-        )}...`
+      const { value: aiResponse } = await invokeStructured(
+        this.llm,
+        await this.promptTemplate.format({ htmlContent: cleanHTML }),
+        pdfLinkResponseSchema,
+        { label: "PDF link extraction" }
       );
 
-      // Parse AI response - handle both plain JSON and markdown-wrapped JSON
-      let jsonString;
-
-      // First try to extract JSON from markdown code blocks
-      const markdownJsonMatch = result.match(/```json\s*([\s\S]*?)\s*```/);
-      if (markdownJsonMatch) {
-        jsonString = markdownJsonMatch[1].trim();
-      } else {
-        // Fallback to extracting JSON object directly
-        const jsonMatch = result.match(/\{[\s\S]*?\}(?=\s*(?:\n|$|```|\*\*))/);
-        jsonString = jsonMatch ? jsonMatch[0] : result;
-      }
-
-      console.log(`📝 Extracted JSON: ${jsonString.substring(0, 100)}...`);
-
-      const aiResponse = JSON.parse(jsonString);
+      console.log(`✅ AI processing completed`);
 
       if (!aiResponse.success) {
         throw new Error(aiResponse.error || "AI extraction failed");
@@ -326,36 +299,12 @@ JSON format (ONLY):
         `🤖 Chapter extraction prompt: ${prompt.substring(0, 500)}...`
       );
 
-      const result = await this.llm.invoke(prompt);
-
-      // Extract content from LangChain response
-      const resultContent =
-        typeof result === "string"
-          ? result
-          : result.content || result.text || JSON.stringify(result);
-
-      console.log(`🤖 Raw Chapter AI Response: ${resultContent}`);
-
-      // Parse AI response - handle both plain JSON and markdown-wrapped JSON
-      let jsonString;
-
-      // First try to extract JSON from markdown code blocks
-      const markdownJsonMatch = resultContent.match(
-        /```json\s*([\s\S]*?)\s*```/
+      const { value: parsedResult } = await invokeStructured(
+        this.llm,
+        prompt,
+        nbrChapterResponseSchema,
+        { label: "NBR chapter extraction" }
       );
-      if (markdownJsonMatch) {
-        jsonString = markdownJsonMatch[1].trim();
-        console.log(`📝 Chapter JSON from markdown: ${jsonString}`);
-      } else {
-        // Fallback to extracting JSON object directly
-        const jsonMatch = resultContent.match(
-          /\{[\s\S]*?\}(?=\s*(?:\n|$|```|\*\*))/
-        );
-        jsonString = jsonMatch ? jsonMatch[0] : resultContent;
-        console.log(`📝 Chapter JSON directly: ${jsonString}`);
-      }
-
-      const parsedResult = JSON.parse(jsonString);
       console.log(`✅ Parsed NBR chapters result:`, parsedResult);
 
       return parsedResult;
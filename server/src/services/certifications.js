@@ -0,0 +1,329 @@
+/**
+ * Certification and sustainability claims. Scheme names are matched in the
+ * document text against a local list of certification schemes, with the
+ * certificate or licence number written next to them. The recycled and
+ * organic shares come from the normalized composition, and claims that
+ * don't fit it are noted for review.
+ */
+
+// Certification schemes. claim is what the certificate vouches for;
+// minimumShare is the least certified fibre content the scheme labels.
+export const CERTIFICATION_SCHEMES = [
+  {
+    id: "GOTS",
+    name: "Global Organic Textile Standard",
+    claim: "organic",
+    minimumShare: 70,
+    pattern: /\bGOTS\b|global organic textile standard/i,
+  },
+  {
+    id: "OCS",
+    name: "Organic Content Standard",
+    claim: "organic",
+    minimumShare: 5,
+    pattern: /\bOCS(?:[\s-]?(?:100|blended))?\b|organic content standard/i,
+  },
+  {
+    id: "GRS",
+    name: "Global Recycled Standard",
+    claim: "recycled",
+    minimumShare: 20,
+    pattern: /\bGRS\b|global recycled? standard/i,
+  },
+  {
+    id: "RCS",
+    name: "Recycled Claim Standard",
+    claim: "recycled",
+    minimumShare: 5,
+    pattern: /\bRCS(?:[\s-]?(?:100|blended))?\b|recycled claim standard/i,
+  },
+  {
+    id: "OEKO-TEX 100",
+    name: "OEKO-TEX Standard 100",
+    claim: "tested for harmful substances",
+    // Not the other OEKO-TEX labels named on the same line
+    pattern:
+      /^(?!.*\b(?:made in green|step|leather standard|eco passport)\b).*(?:oeko|öko)[\s-]?tex\b/i,
+  },
+  {
+    id: "OEKO-TEX MADE IN GREEN",
+    name: "OEKO-TEX Made in Green",
+    claim: "traceable, sustainably produced",
+    pattern: /made in green/i,
+  },
+  {
+    id: "BCI",
+    name: "Better Cotton (BCI)",
+    claim: "sustainably sourced cotton",
+    pattern: /\bBCI\b|better cotton(?: initiative)?/i,
+  },
+  {
+    id: "RWS",
+    name: "Responsible Wool Standard",
+    claim: "responsibly sourced wool",
+    pattern: /\bRWS\b|responsible wool standard/i,
+  },
+  {
+    id: "RDS",
+    name: "Responsible Down Standard",
+    claim: "responsibly sourced down",
+    pattern: /\bRDS\b|responsible down standard/i,
+  },
+  {
+    id: "FSC",
+    name: "Forest Stewardship Council",
+    claim: "responsibly sourced wood pulp",
+    pattern: /\bFSC\b|forest stewardship council/i,
+  },
+  {
+    id: "BLUESIGN",
+    name: "bluesign",
+    claim: "chemical management",
+    pattern: /\bbluesign\b/i,
+  },
+  {
+    id: "FAIRTRADE",
+    name: "Fairtrade",
+    claim: "fairly traded",
+    pattern: /\bfair[\s-]?trade\b/i,
+  },
+];
+
+// Certificate, licence or transaction certificate numbers after a label:
+// letters, digits and inner separators, with a space only before digits
+// ("CU 123456", "CU-GOTS-123456", "21.HBD.12345"). Not the bare "TC" and
+// "SC", which are polyester/cotton and silk/cotton blends in fabric lines
+const LABELED_NUMBER =
+  /\b(?:certificate|cert|licen[cs]e|lic|scope certificate|transaction certificate|reg(?:istration)?)\b\.?[^\S\n]*(?:no\b\.?|number|nr\b\.?|id\b|#)?[^\S\n]*[:#.-]?[^\S\n]*([A-Z0-9](?:[A-Z0-9]|[-./](?=[A-Z0-9])|[^\S\n](?=\d))*)/gi;
+
+// Numbers recognizable without a label: Control Union (CU 123456) and
+// OEKO-TEX (21.HBD.12345)
+const BARE_NUMBER = /\b(CU[\s-]?\d{5,8}|\d{2}\.[A-Z]{3,6}\.\d{4,6})\b/g;
+
+// Claims a line denies or defers: "Not OEKO-TEX certified yet", "no GOTS
+// certificate", "GRS certification pending". The words between the negation
+// and the claim carry no digits, so "Licence no CU 123456" isn't one
+const NEGATED_CLAIM =
+  /\b(?:not|no|non|without)\b[\s-]+(?:yet\s+)?(?:[^\s\d]+\s+){0,3}?(?:certified|certification|certificate|licen[cs]ed)\b|\b(?:certified|certification|certificate)\s+(?:is\s+)?(?:pending|expired|in progress|applied for|to follow|not yet)\b|\b(?:pending|awaiting|applied for)\b\s+(?:[^\s\d]+\s+){0,3}?(?:certification|certificate)\b/i;
+
+const PAGE_MARKER = /^-{3}\s*(?:Page|Image)\s+(\d+)\s*-{3}$/i;
+const MAX_SNIPPET_LENGTH = 200;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// A number candidate needs letters and digits ("CU-GOTS-123456") or at
+// least five digits ("123456"), not a blend ratio like "65/35"
+const isCertificateNumber = (value) =>
+  Boolean(value) &&
+  value.length >= 5 &&
+  /\d/.test(value) &&
+  (/[A-Z]/i.test(value) || value.replace(/\D/g, "").length >= 5);
+
+const numberOnLine = (line) => {
+  for (const match of line.matchAll(LABELED_NUMBER)) {
+    if (isCertificateNumber(match[1])) return match[1];
+  }
+  return line.match(BARE_NUMBER)?.[0] || null;
+};
+
+/**
+ * Find certification claims in document text
+ * @param {string} text - Extracted document text
+ * @returns {Array<Object>} - [{ scheme, name, claim, certificateNumber, snippet, page }], one per scheme
+ */
+export const detectCertifications = (text) => {
+  const found = new Map();
+  let page = null;
+  const lines = String(text || "").split("\n");
+
+  lines.forEach((line, index) => {
+    const marker = line.trim().match(PAGE_MARKER);
+    if (marker) {
+      page = parseInt(marker[1]);
+      return;
+    }
+
+    // A scheme counts when a sentence of the line names it without
+    // denying the claim
+    const sentences = line.split(/;|\.\s/);
+    const schemes = CERTIFICATION_SCHEMES.filter(({ pattern }) =>
+      sentences.some(
+        (sentence) => pattern.test(sentence) && !NEGATED_CLAIM.test(sentence)
+      )
+    );
+    schemes.forEach((scheme) => {
+      // The number is on the scheme's line, or on the next one when that
+      // names no other scheme ("GOTS certified" / "Licence no: CU 123456")
+      const nextLine = lines[index + 1] || "";
+      const certificateNumber =
+        numberOnLine(line) ||
+        (schemes.length === 1 &&
+        !CERTIFICATION_SCHEMES.some(({ pattern }) => pattern.test(nextLine))
+          ? numberOnLine(nextLine)
+          : null);
+
+      const existing = found.get(scheme.id);
+      if (existing && (existing.certificateNumber || !certificateNumber)) {
+        return;
+      }
+      found.set(scheme.id, {
+        scheme: scheme.id,
+        name: scheme.name,
+        claim: scheme.claim,
+        certificateNumber,
+        snippet: line.trim().slice(0, MAX_SNIPPET_LENGTH),
+        page,
+      });
+    });
+  });
+
+  return [...found.values()];
+};
+
+// Recycled and organic fibres of a composition; normalizeFiber keeps
+// "Recycled" and "Organic" in front of the fiber
+const attributedFibers = (materialPercentage = []) =>
+  (materialPercentage || []).flatMap(({ material, percentage }) => {
+    const attribute = /^(recycled|organic)\b/i.exec(material)?.[1];
+    return attribute
+      ? [{ material, percentage, attribute: attribute.toLowerCase() }]
+      : [];
+  });
+
+const sharesOf = (fibers) => {
+  const shareOf = (attribute) =>
+    round(
+      fibers
+        .filter((fiber) => fiber.attribute === attribute)
+        .reduce((total, fiber) => total + fiber.percentage, 0)
+    );
+  return { recycled: shareOf("recycled"), organic: shareOf("organic") };
+};
+
+/**
+ * Certifications of a tech pack with the recycled and organic shares of its
+ * composition, and notes where the two don't fit together
+ * @param {string} text - Document text of the style
+ * @param {Array} materialPercentage - Normalized [{ material, percentage }]
+ * @returns {Object} - { certifications, fibers: [{ material, percentage, attribute }], recycledPercentage, organicPercentage, notes }
+ */
+export const analyzeSustainability = (text, materialPercentage = []) => {
+  const certifications = detectCertifications(text);
+
+  const fibers = attributedFibers(materialPercentage);
+  const shares = sharesOf(fibers);
+
+  const notes = [];
+  certifications.forEach(({ scheme, certificateNumber }) => {
+    const { claim, minimumShare } = CERTIFICATION_SCHEMES.find(
+      (entry) => entry.id === scheme
+    );
+    if (minimumShare !== undefined) {
+      if (shares[claim] === 0) {
+        notes.push(
+          `${scheme} is claimed but the composition has no ${claim} fibre`
+        );
+      } else if (shares[claim] < minimumShare) {
+        notes.push(
+          `${scheme} needs at least ${minimumShare}% ${claim} fibre; the composition has ${shares[claim]}%`
+        );
+      }
+    }
+    if (!certificateNumber) {
+      notes.push(`No certificate or licence number found for ${scheme}`);
+    }
+  });
+
+  ["recycled", "organic"].forEach((attribute) => {
+    const backed = certifications.some(
+      ({ scheme }) =>
+        CERTIFICATION_SCHEMES.find((entry) => entry.id === scheme).claim ===
+        attribute
+    );
+    if (shares[attribute] > 0 && !backed) {
+      notes.push(
+        `${shares[attribute]}% ${attribute} fibre without a certification claim backing it`
+      );
+    }
+  });
+
+  return {
+    certifications,
+    fibers,
+    recycledPercentage: shares.recycled,
+    organicPercentage: shares.organic,
+    notes,
+  };
+};
+
+// Construction words for goods descriptions
+const CONSTRUCTION_WORDS = {
+  knit: "knitted",
+  woven: "woven",
+  crocheted: "crocheted",
+  nonwoven: "nonwoven",
+  felt: "felt",
+  lace: "lace",
+  coated: "coated",
+};
+
+/**
+ * Goods description for commercial invoices, e.g. "Men's knitted T-shirt
+ * of 60% organic cotton, 40% recycled polyester; GOTS certified (CU
+ * 123456)". Recycled and organic fibres stay named as such, and the
+ * fibre content certificates (GOTS, OCS, GRS, RCS) are quoted with their
+ * numbers when the composition meets the scheme's minimum share; sourcing
+ * and chemical safety schemes stay off the invoice.
+ * @param {Object} summary - Tech pack summary
+ * @param {Object} selectedHsCode - Chosen HS code suggestion, if any
+ * @returns {Object} - { description, hsCode, hsDescription, certifications }
+ */
+export const buildInvoiceDescription = (summary, selectedHsCode = null) => {
+  const composition = [...(summary.materialPercentage || [])]
+    .sort((a, b) => b.percentage - a.percentage)
+    .map(
+      ({ material, percentage }) => `${percentage}% ${material.toLowerCase()}`
+    )
+    .join(", ");
+  // Checked against the summary's composition, which may carry user edits
+  const shares = sharesOf(attributedFibers(summary.materialPercentage));
+  const certifications = (summary.sustainability?.certifications || []).filter(
+    ({ scheme }) =>
+      CERTIFICATION_SCHEMES.some(
+        (entry) =>
+          entry.id === scheme &&
+          entry.minimumShare !== undefined &&
+          shares[entry.claim] >= entry.minimumShare
+      )
+  );
+
+  const garment = [
+    summary.gender,
+    CONSTRUCTION_WORDS[summary.fabricType],
+    summary.garmentType,
+  ]
+    .filter(Boolean)
+    .join(" ");
+  const parts = [composition ? `${garment} of ${composition}` : garment];
+  if (certifications.length > 0) {
+    parts.push(
+      certifications
+        .map(({ scheme, certificateNumber }) =>
+          certificateNumber
+            ? `${scheme} certified (${certificateNumber})`
+            : `${scheme} certified`
+        )
+        .join(", ")
+    );
+  }
+  if (summary.styleNumber) {
+    parts.push(`style ${summary.styleNumber}`);
+  }
+
+  return {
+    description: parts.join("; "),
+    hsCode: selectedHsCode?.code || null,
+    hsDescription: selectedHsCode?.description || null,
+    certifications,
+  };
+};
@@ -24,6 +24,17 @@ export class CustomGoogleGenerativeAIEmbeddings extends Embeddings {
     this.client = new GoogleGenerativeAI(this.apiKey);
   }
 
+  /**
+   * Identifier stored with vector tables populated by this model
+   */
+  get modelId() {
+    return `gemini:${this.modelName}`;
+  }
+
+  get dimensions() {
+    return this.outputDimensionality;
+  }
+
   /**
    * Embed a single query text
    */
@@ -0,0 +1,243 @@
+import { getRepositories } from "../repositories/index.js";
+import { normalizeHSCode } from "./hsCodeValidator.js";
+
+// Customs valuation defaults when freight/insurance aren't known: freight
+// 20% of FOB, insurance 1% of C&F, landing charge 1% of CIF
+const DEFAULT_FREIGHT_RATE = 0.2;
+const DEFAULT_INSURANCE_RATE = 0.01;
+const LANDING_CHARGE_RATE = 0.01;
+
+// What the quoted price already includes, per incoterm
+export const INCOTERMS = {
+  EXW: { freight: false, insurance: false },
+  FCA: { freight: false, insurance: false },
+  FAS: { freight: false, insurance: false },
+  FOB: { freight: false, insurance: false },
+  CFR: { freight: true, insurance: false },
+  CPT: { freight: true, insurance: false },
+  CIF: { freight: true, insurance: true },
+  CIP: { freight: true, insurance: true },
+  // Delivered terms include carriage past the port of entry
+  DAP: { freight: true, insurance: true, delivered: true },
+  DPU: { freight: true, insurance: true, delivered: true },
+  DDP: { freight: true, insurance: true, delivered: true, dutyPaid: true },
+};
+
+// Duty and tax components in the order they are levied. Each base is the
+// assessable value plus the listed components.
+const COMPONENTS = [
+  { code: "CD", label: "Customs Duty", base: [] },
+  { code: "RD", label: "Regulatory Duty", base: [] },
+  { code: "SD", label: "Supplementary Duty", base: ["CD", "RD"] },
+  { code: "VAT", label: "Value Added Tax", base: ["CD", "RD", "SD"] },
+  { code: "AIT", label: "Advance Income Tax", base: [] },
+  { code: "AT", label: "Advance Tax", base: ["CD", "RD", "SD"] },
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Derive the assessable value (BDT) from a quoted price
+ * @param {Object} input - { value, exchangeRate, incoterm, freight, insurance }
+ * @returns {Object} - Valuation steps in BDT plus notes on assumptions made
+ */
+export const calculateAssessableValue = ({
+  value,
+  exchangeRate = 1,
+  incoterm = "CIF",
+  freight,
+  insurance,
+}) => {
+  const terms = INCOTERMS[incoterm];
+  if (!terms) {
+    throw new Error(`Unsupported incoterm: ${incoterm}`);
+  }
+
+  const notes = [];
+  const invoiceValue = value * exchangeRate;
+
+  let freightValue = 0;
+  if (!terms.freight) {
+    if (freight !== undefined && freight !== null) {
+      freightValue = freight * exchangeRate;
+    } else {
+      freightValue = invoiceValue * DEFAULT_FREIGHT_RATE;
+      notes.push(
+        `Freight not given for ${incoterm}; assumed ${
+          DEFAULT_FREIGHT_RATE * 100
+        }% of the invoice value`
+      );
+    }
+  }
+
+  let insuranceValue = 0;
+  if (!terms.insurance) {
+    if (insurance !== undefined && insurance !== null) {
+      insuranceValue = insurance * exchangeRate;
+    } else {
+      insuranceValue = (invoiceValue + freightValue) * DEFAULT_INSURANCE_RATE;
+      notes.push(
+        `Insurance not given for ${incoterm}; assumed ${
+          DEFAULT_INSURANCE_RATE * 100
+        }% of cost and freight`
+      );
+    }
+  }
+
+  if (terms.delivered) {
+    notes.push(
+      `${incoterm} prices include carriage beyond the port of entry${
+        terms.dutyPaid ? " and import duties" : ""
+      }; the assessable value is likely overstated`
+    );
+  }
+
+  const cifValue = invoiceValue + freightValue + insuranceValue;
+  const landingCharge = cifValue * LANDING_CHARGE_RATE;
+
+  return {
+    valuation: {
+      invoiceValue: round(invoiceValue),
+      freight: round(freightValue),
+      insurance: round(insuranceValue),
+      cifValue: round(cifValue),
+      landingCharge: round(landingCharge),
+      assessableValue: round(cifValue + landingCharge),
+    },
+    notes,
+  };
+};
+
+/**
+ * Compute each duty component on its cascading base:
+ * CD, RD and AIT on the assessable value; SD on value + CD + RD;
+ * VAT and AT on value + CD + RD + SD
+ * @param {Object} rates - Tariff rates in percent ({ CD, SD, VAT, AIT, RD, AT })
+ * @param {number} assessableValue - Assessable value in BDT
+ * @returns {Object} - { components, totalDuty, totalTaxIncidence }
+ */
+export const calculateDutyComponents = (rates, assessableValue) => {
+  const amounts = {};
+
+  const components = COMPONENTS.map(({ code, label, base }) => {
+    const baseValue = base.reduce(
+      (sum, component) => sum + amounts[component],
+      assessableValue
+    );
+    const rate = Number(rates[code]) || 0;
+    amounts[code] = (baseValue * rate) / 100;
+
+    return {
+      code,
+      label,
+      rate,
+      base: round(baseValue),
+      baseComponents: ["AV", ...base],
+      amount: round(amounts[code]),
+    };
+  });
+
+  const totalDuty = Object.values(amounts).reduce((sum, a) => sum + a, 0);
+
+  return {
+    components,
+    totalDuty: round(totalDuty),
+    totalTaxIncidence:
+      assessableValue > 0 ? round((totalDuty / assessableValue) * 100) : 0,
+  };
+};
+
+/**
+ * Landed duty calculation for a tariff line
+ */
+export class DutyCalculator {
+  constructor(repositories = getRepositories()) {
+    this.repositories = repositories;
+  }
+
+  /**
+   * Calculate the duty breakdown for an HS code
+   * @param {Object} input - { hsCode, tariffVersion, value, currency, exchangeRate, incoterm, freight, insurance }
+   * @returns {Promise<Object|null>} - Breakdown, or null if the code isn't in the tariff
+   */
+  async calculate(input) {
+    const {
+      hsCode,
+      value,
+      currency = "BDT",
+      incoterm = "CIF",
+      freight,
+      insurance,
+    } = input;
+    const exchangeRate = currency === "BDT" ? 1 : input.exchangeRate;
+
+    const tariffVersion =
+      input.tariffVersion ||
+      (await this.repositories.tariffRates.getActiveVersion());
+    const code = normalizeHSCode(hsCode);
+    const tariff =
+      code &&
+      (await this.repositories.tariffRates.findByHsCode(code, {
+        version: tariffVersion,
+      }));
+
+    if (!tariff) {
+      return null;
+    }
+
+    const { valuation, notes } = calculateAssessableValue({
+      value,
+      exchangeRate,
+      incoterm,
+      freight,
+      insurance,
+    });
+    const { components, totalDuty, totalTaxIncidence } =
+      calculateDutyComponents(
+        {
+          CD: tariff.cd,
+          RD: tariff.rd,
+          SD: tariff.sd,
+          VAT: tariff.vat,
+          AIT: tariff.ait,
+          AT: tariff.at,
+        },
+        valuation.assessableValue
+      );
+    const landedCost = valuation.assessableValue + totalDuty;
+
+    console.log(
+      `🧮 Duty for ${code} (${tariffVersion}): ${totalDuty.toFixed(
+        2
+      )} BDT on ${valuation.assessableValue.toFixed(2)} BDT assessable value`
+    );
+
+    return {
+      hsCode: code,
+      description: tariff.tariff_description,
+      tariffVersion: tariff.document_version || tariffVersion,
+      currency,
+      exchangeRate,
+      incoterm,
+      valuation,
+      components,
+      totalDuty,
+      totalTaxIncidence,
+      tariffTTI: Number(tariff.tti) || 0,
+      landedCost: round(landedCost),
+      landedCostInCurrency: round(landedCost / exchangeRate),
+      notes,
+    };
+  }
+}
+
+// Shared calculator instance with lazy initialization
+let dutyCalculatorInstance = null;
+export const getDutyCalculator = () => {
+  if (!dutyCalculatorInstance) {
+    dutyCalculatorInstance = new DutyCalculator();
+  }
+  return dutyCalculatorInstance;
+};
+
+export default DutyCalculator;
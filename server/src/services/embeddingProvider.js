@@ -0,0 +1,135 @@
+import { Embeddings } from "@langchain/core/embeddings";
+import CustomGoogleGenerativeAIEmbeddings from "./customEmbeddings.js";
+
+const DEFAULT_DIMENSIONS = 1536;
+
+// Common English and tariff boilerplate words that carry no meaning for retrieval
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "by",
+  "for",
+  "from",
+  "in",
+  "is",
+  "it",
+  "of",
+  "on",
+  "or",
+  "other",
+  "than",
+  "the",
+  "to",
+  "with",
+]);
+
+// 32-bit FNV-1a hash
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Deterministic local embedder using signed feature hashing of word unigrams,
+ * word bigrams and character trigrams. Runs on CPU with no model download or
+ * network access, so tariff ingestion and retrieval work fully offline, and
+ * identical text always yields identical vectors (useful for tests).
+ */
+export class HashingEmbeddings extends Embeddings {
+  constructor(fields = {}) {
+    super(fields);
+    this.outputDimensionality = fields.dimensions || DEFAULT_DIMENSIONS;
+  }
+
+  get modelId() {
+    return "hashing-v1";
+  }
+
+  get dimensions() {
+    return this.outputDimensionality;
+  }
+
+  async embedQuery(text) {
+    return this.embedText(text);
+  }
+
+  async embedDocuments(documents) {
+    return documents.map((doc) => this.embedText(doc));
+  }
+
+  tokenize(text) {
+    return (text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9%]+/)
+      .filter((token) => token && !STOP_WORDS.has(token));
+  }
+
+  embedText(text) {
+    const vector = new Array(this.outputDimensionality).fill(0);
+    const tokens = this.tokenize(text);
+
+    const addFeature = (feature, weight) => {
+      const hash = fnv1a(feature);
+      const index = hash % this.outputDimensionality;
+      // Use a separate hash bit for the sign so collisions tend to cancel out
+      vector[index] += (hash & 0x80000000 ? -1 : 1) * weight;
+    };
+
+    tokens.forEach((token, i) => {
+      addFeature(`w:${token}`, 1);
+      if (i > 0) {
+        addFeature(`b:${tokens[i - 1]}_${token}`, 0.5);
+      }
+      // Character trigrams make plurals and spelling variants overlap
+      const padded = `#${token}#`;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        addFeature(`c:${padded.substring(j, j + 3)}`, 0.25);
+      }
+    });
+
+    // L2-normalize so cosine similarity works as in pgvector
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map((v) => v / norm) : vector;
+  }
+}
+
+/**
+ * Create the embedding model selected by configuration (EMBEDDING_PROVIDER)
+ * @param {Object} options - { title } for Gemini document embeddings
+ * @returns {Embeddings} - LangChain embeddings exposing modelId and dimensions
+ */
+export const createEmbeddings = ({ title } = {}) => {
+  const provider = process.env.EMBEDDING_PROVIDER || "gemini";
+  const dimensions =
+    parseInt(process.env.EMBEDDING_DIMENSIONS) || DEFAULT_DIMENSIONS;
+
+  switch (provider) {
+    case "gemini":
+      return new CustomGoogleGenerativeAIEmbeddings({
+        modelName: `models/${
+          process.env.GOOGLE_EMBEDDING_MODEL || "gemini-embedding-001"
+        }`,
+        apiKey: process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY,
+        taskType: "RETRIEVAL_DOCUMENT",
+        outputDimensionality: dimensions,
+        title,
+      });
+
+    case "hashing":
+      return new HashingEmbeddings({ dimensions });
+
+    default:
+      throw new Error(`Unknown embedding provider: ${provider}`);
+  }
+};
+
+export default createEmbeddings;
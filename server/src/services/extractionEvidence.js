@@ -0,0 +1,190 @@
+/**
+ * Per-field evidence for extracted tech pack data: how confident the model
+ * is, whether the value was read from the document or inferred, and the
+ * quoted source text with its page. Quotes are checked against the document;
+ * a value claimed as explicit whose quote can't be found is treated as
+ * inferred.
+ */
+
+export const EVIDENCE_FIELDS = [
+  "materialPercentage",
+  "fabricType",
+  "garmentType",
+  "gender",
+  "description",
+  "gsm",
+  "countryOfOrigin",
+  "destinationMarket",
+  "incoterm",
+];
+
+const MAX_SNIPPET_LENGTH = 200;
+// Confidence used when the model gave no evidence for a field (defaults,
+// basic text analysis)
+const DEFAULT_INFERRED_CONFIDENCE = 0.3;
+// Explicit values whose quote isn't in the document can't score above this
+const UNVERIFIED_CONFIDENCE_CAP = 0.5;
+// Prefix tried when a long quote doesn't match in full (trimmed or merged lines)
+const PARTIAL_MATCH_LENGTH = 40;
+
+// Page markers written by the PDF, OCR and image extractors
+const PAGE_MARKER = /^-{3}\s*(?:Page|Image)\s+(\d+)\s*-{3}$/i;
+
+// Lowercase alphanumerics and % only, so line breaks, table separators and
+// punctuation don't prevent a match
+const normalize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}%]+/gu, " ")
+    .trim();
+
+/**
+ * Split a document into pages on its page markers. Documents without
+ * markers (Word, Excel) are one page with no number.
+ * @param {string} documentText - Extracted text
+ * @returns {Array<Object>} - [{ page, text }] with normalized text
+ */
+export const indexPages = (documentText) => {
+  const pages = [];
+  let current = { page: null, lines: [] };
+
+  String(documentText || "")
+    .split("\n")
+    .forEach((line) => {
+      const marker = line.trim().match(PAGE_MARKER);
+      if (marker) {
+        pages.push(current);
+        current = { page: parseInt(marker[1]), lines: [] };
+      } else {
+        current.lines.push(line);
+      }
+    });
+  pages.push(current);
+
+  return pages
+    .filter((page) => page.lines.join("").trim().length > 0)
+    .map((page) => ({
+      page: page.page,
+      text: normalize(page.lines.join(" ")),
+    }));
+};
+
+/**
+ * Find a quoted snippet in the document
+ * @param {Array<Object>} pages - Result of indexPages
+ * @param {string} snippet - Quote returned by the model
+ * @returns {Object|null} - { page } (page is null for unpaginated documents), or null if not found
+ */
+export const locateSnippet = (pages, snippet) => {
+  const needle = normalize(snippet);
+  if (needle.length < 2) return null;
+
+  const candidates = [needle];
+  if (needle.length > PARTIAL_MATCH_LENGTH) {
+    candidates.push(needle.slice(0, PARTIAL_MATCH_LENGTH).trim());
+  }
+
+  for (const candidate of candidates) {
+    const match = pages.find((page) => page.text.includes(candidate));
+    if (match) return { page: match.page };
+  }
+  return null;
+};
+
+const toEvidence = (raw, pages) => {
+  if (!raw || typeof raw !== "object") {
+    return {
+      confidence: DEFAULT_INFERRED_CONFIDENCE,
+      inferred: true,
+      snippet: null,
+      page: null,
+    };
+  }
+
+  const confidence = Number(raw.confidence);
+  const snippet =
+    typeof raw.snippet === "string" && raw.snippet.trim()
+      ? raw.snippet.trim().slice(0, MAX_SNIPPET_LENGTH)
+      : null;
+  const location = snippet ? locateSnippet(pages, snippet) : null;
+  // Anything not explicitly marked as read from the document counts as inferred
+  const claimedExplicit = raw.inferred === false;
+  const verified = claimedExplicit && Boolean(location);
+
+  let evidence = {
+    confidence: Number.isFinite(confidence)
+      ? Math.min(Math.max(confidence, 0), 1)
+      : DEFAULT_INFERRED_CONFIDENCE,
+    inferred: !verified,
+    snippet: location ? snippet : null,
+    page: location?.page ?? null,
+  };
+  if (claimedExplicit && !verified) {
+    evidence = {
+      ...evidence,
+      confidence: Math.min(evidence.confidence, UNVERIFIED_CONFIDENCE_CAP),
+      unverifiedQuote: true,
+    };
+  }
+  return evidence;
+};
+
+const sameMaterial = (a, b) =>
+  String(a || "")
+    .trim()
+    .toLowerCase() ===
+  String(b || "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Build the evidence map for extracted fields
+ * @param {Object} data - Extracted tech pack fields
+ * @param {Object} rawEvidence - Evidence as returned by the model, keyed by field
+ * @param {string} documentText - Text the fields were extracted from
+ * @returns {Object} - { [field]: { confidence, inferred, snippet, page } }; materialPercentage also has per-material items
+ */
+export const buildFieldEvidence = (data, rawEvidence, documentText) => {
+  const pages = indexPages(documentText);
+  const evidence = {};
+
+  EVIDENCE_FIELDS.forEach((field) => {
+    const value = data[field];
+    if (
+      value === null ||
+      value === undefined ||
+      value === "" ||
+      (Array.isArray(value) && value.length === 0)
+    ) {
+      return;
+    }
+
+    const raw = rawEvidence?.[field];
+    if (field !== "materialPercentage") {
+      evidence[field] = toEvidence(raw, pages);
+      return;
+    }
+
+    // Each fiber is judged on its own: one guessed percentage changes the
+    // chief-weight fiber just as much as a wrong one
+    const fieldEvidence = toEvidence(raw, pages);
+    const items = value.map((material) => {
+      const rawItem = (raw?.items || []).find((item) =>
+        sameMaterial(item?.material, material.material)
+      );
+      return {
+        material: material.material,
+        ...(rawItem ? toEvidence(rawItem, pages) : fieldEvidence),
+      };
+    });
+
+    evidence[field] = {
+      ...fieldEvidence,
+      confidence: Math.min(...items.map((item) => item.confidence)),
+      inferred: items.some((item) => item.inferred),
+      items,
+    };
+  });
+
+  return evidence;
+};
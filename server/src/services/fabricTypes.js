@@ -0,0 +1,113 @@
+/**
+ * Fabric constructions a tech pack can be classified under. Knitted and
+ * woven garments fall in chapters 61 and 62; the others are routed by their
+ * own notes (heading 6210 for felt, nonwoven and coated fabrics) or leave
+ * the textile garment chapters entirely.
+ */
+
+export const FABRIC_TYPES = [
+  "knit",
+  "woven",
+  "crocheted",
+  "nonwoven",
+  "felt",
+  "lace",
+  "coated",
+  "other",
+];
+
+// Per construction: label, main-fabric keywords for the keyword fallback
+// (specialty constructions only; phrases, so a lace trim or coated button
+// doesn't reroute a garment),
+// tariff search terms and the classification hint given to the model
+export const FABRIC_TYPE_HINTS = {
+  knit: {
+    label: "Knit",
+    searchTerms: [
+      "knitted",
+      "jersey",
+      "sweater",
+      "pullover",
+      "cardigan",
+      "t-shirt",
+      "knitwear",
+    ],
+    hint: "Knitted garments are chapter 61",
+  },
+  woven: {
+    label: "Woven",
+    searchTerms: [
+      "woven",
+      "shirt",
+      "trouser",
+      "jacket",
+      "coat",
+      "dress",
+      "blouse",
+    ],
+    hint: "Woven garments are chapter 62",
+  },
+  crocheted: {
+    label: "Crocheted",
+    keywords: /\b(crochet(ed)?)\b/,
+    searchTerms: ["crocheted", "knitted or crocheted", "hand crochet"],
+    hint: "Crocheted garments are chapter 61 (knitted or crocheted), with the same headings as knitted ones",
+  },
+  nonwoven: {
+    label: "Nonwoven",
+    keywords: /\b(non[\s-]?woven|spunbond(ed)?|spunlace|meltblown)\b/,
+    searchTerms: [
+      "nonwovens",
+      "heading 5603",
+      "garments made up of fabrics of heading 5603",
+      "6210",
+    ],
+    hint: "Garments of nonwovens (heading 5603) are heading 6210 (6210.10), not the knit or woven headings; babies' garments stay in 6209",
+  },
+  felt: {
+    label: "Felt",
+    keywords: /\b(felt(ed)? (fabric|wool|body|shell)|boiled wool)\b/,
+    searchTerms: [
+      "felt",
+      "heading 5602",
+      "garments made up of fabrics of heading 5602",
+      "6210",
+    ],
+    hint: "Garments of felt (heading 5602) are heading 6210 (6210.10); babies' garments stay in 6209",
+  },
+  lace: {
+    label: "Lace",
+    keywords:
+      /\b(all[\s-]?over lace|lace (fabric|body|shell)|guipure|raschel lace|leavers lace)\b/,
+    searchTerms: ["lace", "raschel lace", "heading 5804", "embroidery"],
+    hint: "Lace garments follow how the lace is made: knitted (Raschel) lace is chapter 61, Leavers, bobbin or chemical lace chapter 62; lace fabric itself is heading 5804",
+  },
+  coated: {
+    label: "Coated / laminated",
+    keywords:
+      /\b((coated|laminated|bonded) (fabric|shell|body|nylon|polyester|cotton)|pu[\s-]coated|pvc[\s-]coated|rubberi[sz]ed|neoprene)\b/,
+    searchTerms: [
+      "coated",
+      "laminated",
+      "impregnated",
+      "headings 5903 5906 5907",
+      "6210",
+      "6113",
+    ],
+    hint: "Garments of coated, impregnated, laminated or rubberised fabrics (headings 5903, 5906, 5907) are heading 6113 when the base fabric is knitted and 6210 when it is woven; babies' garments stay in 6111/6209",
+  },
+  other: {
+    label: "Leather / other",
+    keywords:
+      /\b((genuine|real|lamb|sheep|cow|goat)[\s-]?(leather|skin)|leather (jacket|coat|garment|shell|body)|real fur)\b/,
+    searchTerms: [
+      "leather garments",
+      "4203",
+      "furskin",
+      "4303",
+      "plastics",
+      "3926",
+    ],
+    hint: "Outside chapters 61 and 62: leather garments are heading 4203, fur 4303, plastic 3926.20, vulcanised rubber 4015; artificial leather on a textile backing is a coated fabric",
+  },
+};
@@ -0,0 +1,527 @@
+/**
+ * Fiber composition normalization. Material names come from the model or
+ * the buyer's sheets in every spelling ("CTN", "Organic cotton", "Spandex",
+ * "EL"); they are mapped to canonical fibers tagged with their origin and
+ * tariff category, the percentages are checked against 100 and the
+ * chief-weight fiber that decides chapter 61/62 subheadings is worked out.
+ */
+
+// Fiber categories in tariff order (chapters 50-55). On a tie for chief
+// weight the material last in this order wins (Section XI, Note 2(A)).
+const FIBER_ORDER = [
+  "silk",
+  "wool",
+  "cotton",
+  "vegetable",
+  "synthetic",
+  "artificial",
+];
+
+export const FIBER_LABELS = {
+  silk: "silk",
+  wool: "wool or fine animal hair",
+  cotton: "cotton",
+  vegetable: "other vegetable fibres",
+  synthetic: "synthetic fibres",
+  artificial: "artificial fibres",
+  mmf: "man-made fibres",
+  other: "other textile materials",
+};
+
+// Canonical fibers with their names and trade codes (ISO 2076 / EU
+// 1007/2011 codes and common shorthand). Codes only match a whole material
+// name, names also match as a word within one ("cotton jersey").
+const FIBERS = [
+  {
+    fiber: "Cotton",
+    origin: "natural",
+    category: "cotton",
+    names: ["cotton"],
+    codes: ["co", "cot", "ctn"],
+  },
+  {
+    fiber: "Wool",
+    origin: "natural",
+    category: "wool",
+    names: ["wool", "lambswool"],
+    codes: ["wo", "wv", "wl"],
+  },
+  {
+    fiber: "Cashmere",
+    origin: "natural",
+    category: "wool",
+    names: ["cashmere"],
+    codes: ["ws"],
+  },
+  {
+    fiber: "Alpaca",
+    origin: "natural",
+    category: "wool",
+    names: ["alpaca"],
+    codes: ["wp"],
+  },
+  {
+    fiber: "Mohair",
+    origin: "natural",
+    category: "wool",
+    names: ["mohair"],
+    codes: ["wm"],
+  },
+  {
+    fiber: "Camel Hair",
+    origin: "natural",
+    category: "wool",
+    names: ["camel"],
+    codes: ["wk"],
+  },
+  {
+    fiber: "Angora",
+    origin: "natural",
+    category: "wool",
+    names: ["angora"],
+    codes: ["wa"],
+  },
+  {
+    fiber: "Yak",
+    origin: "natural",
+    category: "wool",
+    names: ["yak"],
+    codes: ["wy"],
+  },
+  {
+    fiber: "Silk",
+    origin: "natural",
+    category: "silk",
+    names: ["silk"],
+    codes: ["se"],
+  },
+  {
+    fiber: "Linen",
+    origin: "natural",
+    category: "vegetable",
+    names: ["linen", "flax"],
+    codes: ["li", "lin"],
+  },
+  {
+    fiber: "Hemp",
+    origin: "natural",
+    category: "vegetable",
+    names: ["hemp"],
+    codes: ["ha"],
+  },
+  {
+    fiber: "Ramie",
+    origin: "natural",
+    category: "vegetable",
+    names: ["ramie"],
+    codes: ["ra"],
+  },
+  {
+    fiber: "Jute",
+    origin: "natural",
+    category: "vegetable",
+    names: ["jute"],
+    codes: ["ju"],
+  },
+  {
+    fiber: "Polyester",
+    origin: "synthetic",
+    category: "synthetic",
+    names: ["polyester", "microfiber", "microfibre"],
+    // PE is polyethylene in ISO 2076, but on apparel tech packs it almost
+    // always means polyester
+    codes: ["pes", "pl", "pe", "pet", "poly"],
+  },
+  {
+    fiber: "Nylon",
+    origin: "synthetic",
+    category: "synthetic",
+    names: ["nylon", "polyamide"],
+    codes: ["pa", "ny"],
+  },
+  {
+    fiber: "Elastane",
+    origin: "synthetic",
+    category: "synthetic",
+    names: ["elastane", "spandex", "lycra"],
+    codes: ["ea", "el", "ela", "spx"],
+  },
+  {
+    fiber: "Acrylic",
+    origin: "synthetic",
+    category: "synthetic",
+    names: ["acrylic"],
+    codes: ["pac", "pan"],
+  },
+  {
+    fiber: "Modacrylic",
+    origin: "synthetic",
+    category: "synthetic",
+    names: ["modacrylic"],
+    codes: ["mac"],
+  },
+  {
+    fiber: "Polypropylene",
+    origin: "synthetic",
+    category: "synthetic",
+    names: ["polypropylene"],
+    codes: ["pp"],
+  },
+  {
+    fiber: "Viscose",
+    origin: "artificial",
+    category: "artificial",
+    // Bamboo textiles are regenerated cellulose, labelled bamboo viscose
+    names: ["viscose", "rayon", "bamboo"],
+    codes: ["cv", "vi", "vis"],
+  },
+  {
+    fiber: "Modal",
+    origin: "artificial",
+    category: "artificial",
+    names: ["modal"],
+    codes: ["md", "cmd"],
+  },
+  {
+    fiber: "Lyocell",
+    origin: "artificial",
+    category: "artificial",
+    names: ["lyocell", "tencel"],
+    codes: ["cly"],
+  },
+  {
+    fiber: "Acetate",
+    origin: "artificial",
+    category: "artificial",
+    names: ["acetate", "triacetate"],
+    codes: ["ca", "cta"],
+  },
+  {
+    fiber: "Cupro",
+    origin: "artificial",
+    category: "artificial",
+    names: ["cupro"],
+    codes: ["cup"],
+  },
+];
+
+// Words kept in front of the canonical name ("Organic Cotton")
+const QUALIFIERS = new Set([
+  "organic",
+  "recycled",
+  "regenerated",
+  "virgin",
+  "merino",
+  "mulberry",
+  "pima",
+  "supima",
+  "egyptian",
+  "combed",
+  "carded",
+  "mercerized",
+  "mercerised",
+  "bamboo",
+]);
+
+// Codes that carry their qualifier: "rPET" is recycled polyester
+const QUALIFIED_CODES = {
+  rpet: ["recycled", "pet"],
+  rpes: ["recycled", "pes"],
+  rpa: ["recycled", "pa"],
+};
+
+// Totals this close to 100 are rounding noise and are scaled to 100; a
+// total further off is flagged for review instead
+const ROUNDING_TOLERANCE = 0.5;
+const REBALANCE_TOLERANCE = 5;
+
+const FIBER_BY_CODE = new Map(
+  FIBERS.flatMap((entry) => entry.codes.map((code) => [code, entry]))
+);
+const FIBER_BY_NAME = new Map(
+  FIBERS.flatMap((entry) => entry.names.map((name) => [name, entry]))
+);
+
+const titleCase = (text) =>
+  text.toLowerCase().replace(/\b[a-z]/g, (letter) => letter.toUpperCase());
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Lowercase words of a material name, split into qualifiers and the rest,
+// with the fiber entry they name (if any)
+const lookupFiber = (material) => {
+  const words = String(material || "")
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean)
+    .flatMap((word) => QUALIFIED_CODES[word] || [word]);
+  const qualifiers = words.filter((word) => QUALIFIERS.has(word));
+  const core = words.filter((word) => !QUALIFIERS.has(word));
+
+  const entry =
+    FIBER_BY_CODE.get(core.join(" ")) ||
+    core.map((word) => FIBER_BY_NAME.get(word)).find(Boolean) ||
+    // "Bamboo" on its own is the fiber, not a qualifier
+    (core.length === 0 &&
+      qualifiers.map((word) => FIBER_BY_NAME.get(word)).find(Boolean));
+
+  return { words, qualifiers, entry: entry || null };
+};
+
+/**
+ * Map a material name to its canonical fiber
+ * @param {string} material - Material name as extracted (e.g. "organic ctn", "Spandex")
+ * @returns {Object} - { material, fiber, origin, category }; fiber, origin and category are null for unrecognized names, whose material is kept title-cased
+ */
+export const normalizeFiber = (material) => {
+  const original = String(material || "").trim();
+  const { qualifiers, entry } = lookupFiber(original);
+
+  if (!entry) {
+    return {
+      material: titleCase(original),
+      fiber: null,
+      origin: null,
+      category: null,
+    };
+  }
+
+  return {
+    material: [...qualifiers.map(titleCase), entry.fiber].join(" "),
+    fiber: entry.fiber,
+    origin: entry.origin,
+    category: entry.category,
+  };
+};
+
+/**
+ * Words a material can be written as in a document: the names and trade
+ * codes of its fiber, or the words of the name itself when unrecognized
+ * @param {string} material - Material name (e.g. "Organic Cotton")
+ * @returns {Array<string>} - Lowercase terms
+ */
+export const fiberTerms = (material) => {
+  const { words, entry } = lookupFiber(material);
+  if (!entry) return words;
+
+  const qualifiedCodes = Object.keys(QUALIFIED_CODES).filter(
+    (code) => lookupFiber(code).entry === entry
+  );
+  return [...entry.names, ...entry.codes, ...qualifiedCodes];
+};
+
+/**
+ * Determine the fiber predominating by weight. Synthetic and artificial
+ * fibres are taken together when the subheading only splits on man-made
+ * fibres.
+ * @param {Array} materialPercentage - [{ material, percentage }]
+ * @param {Object} options - { combineManMade }
+ * @returns {Object|null} - { category, percentage, tie, unknown }
+ */
+export const chiefWeightFiber = (
+  materialPercentage = [],
+  { combineManMade = false } = {}
+) => {
+  const totals = {};
+  let unknown = 0;
+
+  materialPercentage.forEach(({ material, percentage }) => {
+    let { category } = normalizeFiber(material);
+    if (!category) {
+      unknown += Number(percentage) || 0;
+      return;
+    }
+    if (
+      combineManMade &&
+      (category === "synthetic" || category === "artificial")
+    ) {
+      category = "mmf";
+    }
+    totals[category] = (totals[category] || 0) + (Number(percentage) || 0);
+  });
+
+  const order = combineManMade
+    ? [
+        ...FIBER_ORDER.filter((c) => c !== "synthetic" && c !== "artificial"),
+        "mmf",
+      ]
+    : FIBER_ORDER;
+  const ranked = Object.entries(totals).sort(
+    ([a, pa], [b, pb]) => pb - pa || order.indexOf(b) - order.indexOf(a)
+  );
+
+  if (ranked.length === 0) {
+    return null;
+  }
+
+  const [category, percentage] = ranked[0];
+  return {
+    category,
+    percentage,
+    tie: ranked.length > 1 && ranked[1][1] === percentage,
+    unknown,
+  };
+};
+
+// Scale percentages to 100, putting the rounding remainder on the largest
+const rebalance = (fibers, total) => {
+  const scaled = fibers.map((fiber) => ({
+    ...fiber,
+    percentage: round((fiber.percentage * 100) / total),
+  }));
+  const largest = scaled.reduce((a, b) =>
+    b.percentage > a.percentage ? b : a
+  );
+  largest.percentage = round(
+    100 - scaled.reduce((sum, f) => sum + f.percentage, 0) + largest.percentage
+  );
+  return scaled;
+};
+
+/**
+ * Normalize a composition: canonical fiber names (duplicates merged), a
+ * check that the percentages add up to 100, and the chief-weight fiber
+ * @param {Array} materialPercentage - [{ material, percentage }]
+ * @returns {Object} - { materialPercentage, composition } where composition is { status: ok | rebalanced | flagged, total, issues, fibers, chiefWeight, origins }
+ */
+export const normalizeComposition = (materialPercentage = []) => {
+  const fibers = [];
+  (materialPercentage || []).forEach(({ material, percentage }) => {
+    const normalized = normalizeFiber(material);
+    const amount = Number(percentage) || 0;
+    const existing = fibers.find((f) => f.material === normalized.material);
+    if (existing) {
+      existing.percentage += amount;
+    } else {
+      fibers.push({ ...normalized, percentage: amount });
+    }
+  });
+
+  const total = round(fibers.reduce((sum, f) => sum + f.percentage, 0));
+  const issues = [];
+  let status = "ok";
+  let balanced = fibers;
+
+  if (fibers.length === 0) {
+    status = "flagged";
+    issues.push("No fiber composition");
+  } else if (Math.abs(total - 100) <= ROUNDING_TOLERANCE) {
+    // Within rounding of 100, kept as stated
+  } else if (total > 0 && Math.abs(total - 100) <= REBALANCE_TOLERANCE) {
+    status = "rebalanced";
+    balanced = rebalance(fibers, total);
+    issues.push(`Percentages added up to ${total}%, rebalanced to 100%`);
+  } else {
+    status = "flagged";
+    issues.push(`Percentages add up to ${total}%, not 100%`);
+  }
+
+  fibers
+    .filter((f) => !f.fiber)
+    .forEach((f) => {
+      status = "flagged";
+      issues.push(`"${f.material}" is not a recognized fiber`);
+    });
+
+  const origins = {};
+  balanced
+    .filter((f) => f.origin)
+    .forEach((f) => {
+      origins[f.origin] = round((origins[f.origin] || 0) + f.percentage);
+    });
+
+  const chief = chiefWeightFiber(balanced);
+  return {
+    materialPercentage: balanced.map(({ material, percentage }) => ({
+      material,
+      percentage,
+    })),
+    composition: {
+      status,
+      total,
+      issues,
+      fibers: balanced,
+      chiefWeight: chief && {
+        category: chief.category,
+        label: FIBER_LABELS[chief.category],
+        percentage: round(chief.percentage),
+        tie: chief.tie,
+      },
+      origins,
+    },
+  };
+};
+
+/**
+ * Describe a normalized composition for prompts, e.g.
+ * "65% cotton (chief weight); natural 65%, synthetic 35%"
+ * @param {Object} composition - normalizeComposition().composition
+ * @returns {string}
+ */
+export const describeChiefWeight = (composition) => {
+  const { chiefWeight, origins, issues } = composition;
+  if (!chiefWeight) return "Not determined";
+
+  const parts = [
+    `${chiefWeight.percentage}% ${chiefWeight.label}${
+      chiefWeight.tie ? " (tie, last in tariff order wins)" : ""
+    }`,
+    Object.entries(origins)
+      .map(([origin, percentage]) => `${origin} ${percentage}%`)
+      .join(", "),
+  ];
+  if (issues.length > 0) {
+    parts.push(`check: ${issues.join("; ")}`);
+  }
+  return parts.join("; ");
+};
+
+/**
+ * Replace an extracted summary's composition with the normalized one and
+ * attach the analysis as compositionAnalysis. A composition that had to be
+ * rebalanced or is flagged is marked inferred so it gets reviewed.
+ * @param {Object} data - Extracted tech pack summary
+ * @returns {Object} - Summary with normalized materialPercentage
+ */
+export const normalizeTechPackComposition = (data) => {
+  const { materialPercentage, composition } = normalizeComposition(
+    data.materialPercentage
+  );
+  const result = {
+    ...data,
+    materialPercentage,
+    compositionAnalysis: composition,
+  };
+
+  const evidence = data.fieldEvidence?.materialPercentage;
+  if (evidence) {
+    const needsReview = composition.status !== "ok";
+    const flag = (entry) =>
+      needsReview
+        ? {
+            ...entry,
+            inferred: true,
+            confidence: Math.min(entry.confidence, 0.5),
+          }
+        : entry;
+
+    // Evidence items follow the canonical names, one per merged material
+    const items = [];
+    (evidence.items || []).forEach((item) => {
+      const { material } = normalizeFiber(item.material);
+      if (!items.some((existing) => existing.material === material)) {
+        items.push(flag({ ...item, material }));
+      }
+    });
+
+    result.fieldEvidence = {
+      ...data.fieldEvidence,
+      materialPercentage: {
+        ...flag(evidence),
+        ...(evidence.items && { items }),
+      },
+    };
+  }
+
+  return result;
+};
@@ -0,0 +1,66 @@
+/**
+ * Upload format detection from file signatures. Reported MIME types follow
+ * the file extension, and buyers' Office files are often renamed or sent as
+ * a generic binary, so the contents decide which extractor runs.
+ */
+
+// Format implied by the MIME type an upload was sent with
+export const FORMAT_BY_MIMETYPE = {
+  "application/pdf": "pdf",
+  "application/msword": "doc",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "docx",
+  "application/vnd.ms-excel": "xls",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "xlsx",
+};
+
+// OLE compound file (Word 97-2003, Excel 97-2003, encrypted OOXML)
+const CFB_SIGNATURE = Buffer.from([
+  0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1,
+]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const PDF_SIGNATURE = Buffer.from("%PDF-");
+const RTF_SIGNATURE = Buffer.from("{\\rtf");
+
+// PDF readers accept the header anywhere in the first kilobyte
+const PDF_HEADER_WINDOW = 1024;
+
+// Compound file stream names are stored as UTF-16LE in directory entries
+const cfbStream = (name) => Buffer.from(name, "utf16le");
+
+/**
+ * Detect a document's format from its contents
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} - pdf, doc, docx, xls, xlsx, rtf, encrypted, or null when unrecognized
+ */
+export const detectFileFormat = (buffer) => {
+  if (buffer.subarray(0, PDF_HEADER_WINDOW).includes(PDF_SIGNATURE)) {
+    return "pdf";
+  }
+
+  if (buffer.subarray(0, CFB_SIGNATURE.length).equals(CFB_SIGNATURE)) {
+    if (buffer.includes(cfbStream("EncryptedPackage"))) return "encrypted";
+    if (buffer.includes(cfbStream("WordDocument"))) return "doc";
+    // "Workbook" for BIFF8 (Excel 97+), "Book" for BIFF5
+    if (
+      buffer.includes(cfbStream("Workbook")) ||
+      buffer.includes(cfbStream("Book"))
+    ) {
+      return "xls";
+    }
+    return null;
+  }
+
+  if (buffer.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)) {
+    // Entry names are stored in plain ASCII in the local and central headers
+    if (buffer.includes("word/document.xml")) return "docx";
+    if (buffer.includes("xl/workbook.xml")) return "xlsx";
+    return null;
+  }
+
+  if (buffer.subarray(0, RTF_SIGNATURE.length).equals(RTF_SIGNATURE)) {
+    return "rtf";
+  }
+
+  return null;
+};
@@ -1,93 +1,378 @@
 import fs from "fs/promises";
 import path from "path";
+import {
+  isTextLayerThin,
+  findThinPages,
+  ocrPdf,
+  ocrImages,
+} from "./ocrService.js";
+import { transcribeTechPackImages } from "./aiService.js";
+import { parseWorkbook } from "./spreadsheetParser.js";
+import { detectFileFormat, FORMAT_BY_MIMETYPE } from "./fileFormat.js";
+import { getRedactor } from "./redaction.js";
+
+// How image uploads become text: "ocr", "multimodal" (chat model reads the
+// images) or "auto" (OCR, then the chat model when OCR fails or reads poorly)
+const getImageExtractionConfig = () => ({
+  mode: process.env.IMAGE_TEXT_EXTRACTION || "auto",
+  minConfidence: parseFloat(process.env.IMAGE_OCR_MIN_CONFIDENCE) || 60,
+});
+
+const isImageFile = (file) => file.mimetype.startsWith("image/");
+
+// "--- Page N ---" lines written between pages; not content
+const PAGE_MARKERS = /^-{3} Page \d+ -{3}$/gm;
+
+const cleanupFile = async ({ path: filePath, originalname }) => {
+  try {
+    await fs.unlink(filePath);
+    console.log(`🗑️ Cleaned up file: ${originalname}`);
+  } catch (cleanupError) {
+    console.warn(
+      `⚠️ Warning: Could not clean up file ${originalname}:`,
+      cleanupError
+    );
+  }
+};
+
+/**
+ * Process an upload: a single document, or one or more images of the same
+ * tech pack (one page per image)
+ * @param {Array<Object>} files - Multer file objects
+ * @param {Function} onProgress - Optional (stage, message, data) progress callback
+ * @returns {Promise<Object>} - { text, ocr, spreadsheet }, see processFile
+ */
+export const processFiles = async (files, onProgress = () => {}) => {
+  if (files.some(isImageFile)) {
+    return processImages(files, onProgress);
+  }
+  return processFile(files[0], onProgress);
+};
 
 /**
  * Process uploaded file and extract text content
  * @param {Object} file - Multer file object
- * @returns {Promise<string>} - Extracted text content
+ * @param {Function} onProgress - Optional (stage, message, data) progress callback
+ * @returns {Promise<Object>} - { text, ocr, spreadsheet } where ocr is the per-page OCR report (null if OCR wasn't used) and spreadsheet the typed workbook contents (null for other files)
  */
-export const processFile = async (file) => {
+export const processFile = async (file, onProgress = () => {}) => {
   const { path: filePath, mimetype, originalname } = file;
 
   try {
-    console.log(`🔄 Processing file: ${originalname} (${mimetype})`);
+    // The contents decide the extractor; the reported type is only a
+    // fallback for files without a recognizable signature
+    const detectedFormat = detectFileFormat(await fs.readFile(filePath));
+    const format = detectedFormat || FORMAT_BY_MIMETYPE[mimetype];
+    if (detectedFormat && detectedFormat !== FORMAT_BY_MIMETYPE[mimetype]) {
+      console.warn(
+        `⚠️ ${originalname} was sent as ${mimetype} but its contents are ${detectedFormat}`
+      );
+    }
+
+    console.log(`🔄 Processing file: ${originalname} (${mimetype}, ${format})`);
+    onProgress("text_extraction", `Reading ${originalname}`, {
+      fileType: mimetype,
+      format,
+    });
+
+    let text;
+    let ocr = null;
+    let spreadsheet = null;
+    switch (format) {
+      case "pdf":
+        ({ text, ocr } = await extractFromPDF(filePath, onProgress));
+        break;
 
-    switch (mimetype) {
-      case "application/pdf":
-        return await extractFromPDF(filePath);
+      case "doc":
+        text = await extractFromDoc(filePath);
+        break;
 
-      case "application/msword":
-      case "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
-        return await extractFromDocx(filePath);
+      case "docx":
+        text = await extractFromDocx(filePath);
+        break;
 
-      case "application/vnd.ms-excel":
-      case "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet":
-        return await extractFromExcel(filePath);
+      case "xls":
+      case "xlsx":
+        ({ text, spreadsheet } = await extractFromExcel(filePath));
+        break;
+
+      case "rtf":
+        throw new Error(
+          "RTF documents are not supported; save the file as .docx or PDF"
+        );
+
+      case "encrypted":
+        throw new Error(
+          "The document is password-protected; remove the password and upload it again"
+        );
 
       default:
         throw new Error(`Unsupported file type: ${mimetype}`);
     }
+
+    onProgress("text_extraction", `Extracted ${text?.length || 0} characters`, {
+      characters: text?.length || 0,
+      ...(ocr && {
+        ocrPages: ocr.ocrPages,
+        averageConfidence: ocr.averageConfidence,
+      }),
+      ...(spreadsheet && { sheets: spreadsheet.sheets }),
+    });
+    return { text, ocr, spreadsheet };
   } catch (error) {
     console.error(`❌ Error processing file ${originalname}:`, error);
     throw new Error(`Failed to process file: ${error.message}`);
   } finally {
     // Clean up uploaded file
+    await cleanupFile(file);
+  }
+};
+
+/**
+ * Extract text from images of tech pack pages
+ * @param {Array<Object>} files - Multer file objects, all images
+ * @param {Function} onProgress - Optional (stage, message, data) progress callback
+ * @returns {Promise<Object>} - { text, ocr } where ocr is null unless the text came from OCR
+ */
+const processImages = async (files, onProgress) => {
+  try {
+    console.log(`🔄 Processing ${files.length} image(s)`);
+    onProgress("text_extraction", `Reading ${files.length} image(s)`, {
+      fileType: "image",
+      images: files.length,
+    });
+
+    const images = await Promise.all(
+      files.map(async (file) => ({
+        buffer: await fs.readFile(file.path),
+        mimetype: file.mimetype,
+      }))
+    );
+    const { text, ocr } = await extractFromImages(images, onProgress);
+
+    onProgress("text_extraction", `Extracted ${text.length} characters`, {
+      characters: text.length,
+      ...(ocr && {
+        ocrPages: ocr.ocrPages,
+        averageConfidence: ocr.averageConfidence,
+      }),
+    });
+    return { text, ocr };
+  } catch (error) {
+    console.error("❌ Error processing images:", error);
+    throw new Error(`Failed to process images: ${error.message}`);
+  } finally {
+    await Promise.all(files.map(cleanupFile));
+  }
+};
+
+/**
+ * Read images with OCR and/or the multimodal chat model (IMAGE_TEXT_EXTRACTION).
+ * While redaction is on, images only reach the chat model with
+ * REDACTION_ALLOW_IMAGES=true; otherwise local OCR text, which can be masked,
+ * is used whatever its confidence.
+ * @param {Array<Object>} images - [{ buffer, mimetype }]
+ * @param {Function} onProgress - Optional (stage, message, data) progress callback
+ * @returns {Promise<Object>} - { text, ocr }
+ */
+const extractFromImages = async (images, onProgress) => {
+  const { mode, minConfidence } = getImageExtractionConfig();
+  const redactor = getRedactor();
+  const multimodalAllowed = !redactor.enabled || redactor.allowImages;
+  if (mode === "multimodal" && !multimodalAllowed) {
+    throw new Error(
+      "IMAGE_TEXT_EXTRACTION=multimodal sends unredacted page images to the chat model; set REDACTION_ALLOW_IMAGES=true or use ocr"
+    );
+  }
+
+  let ocr = null;
+  if (mode !== "multimodal") {
     try {
-      await fs.unlink(filePath);
-      console.log(`🗑️ Cleaned up file: ${originalname}`);
-    } catch (cleanupError) {
-      console.warn(
-        `⚠️ Warning: Could not clean up file ${originalname}:`,
-        cleanupError
+      ocr = await ocrImages(
+        images.map((image) => image.buffer),
+        onProgress
       );
+    } catch (ocrError) {
+      console.warn("⚠️ Image OCR failed:", ocrError.message);
+      if (mode === "ocr") throw ocrError;
     }
   }
+
+  const ocrFoundText = ocr?.pages.some((page) => page.characters > 0);
+  if (mode === "ocr") {
+    if (!ocrFoundText) {
+      throw new Error(
+        ocr ? "No text recognized in the images" : "OCR is disabled"
+      );
+    }
+    return { text: ocr.text, ocr };
+  }
+
+  if (ocrFoundText && ocr.averageConfidence >= minConfidence) {
+    return { text: ocr.text, ocr };
+  }
+
+  if (!multimodalAllowed) {
+    if (!ocrFoundText) {
+      throw new Error(
+        "No text recognized in the images, and redaction keeps them from the chat model (REDACTION_ALLOW_IMAGES)"
+      );
+    }
+    console.warn(
+      `⚠️ OCR confidence ${ocr.averageConfidence}% is below ${minConfidence}%, but redaction keeps the images from the chat model`
+    );
+    return { text: ocr.text, ocr };
+  }
+
+  console.log(
+    ocr
+      ? `🖼️ OCR confidence ${
+          ocr.averageConfidence ?? 0
+        }% is below ${minConfidence}%, transcribing with the chat model`
+      : "🖼️ Transcribing images with the chat model"
+  );
+  try {
+    const text = await transcribeTechPackImages(images, onProgress);
+    return { text, ocr: null };
+  } catch (transcriptionError) {
+    console.warn("⚠️ Image transcription failed:", transcriptionError.message);
+    // Low-confidence OCR text still beats nothing
+    if (ocrFoundText) {
+      return { text: ocr.text, ocr };
+    }
+    throw new Error(
+      `Image transcription failed: ${transcriptionError.message}`
+    );
+  }
 };
 
 /**
- * Extract text from PDF files using multiple methods for best quality
+ * Extract text from PDF files, falling back to OCR for scanned or image-only
+ * PDFs whose text layer is empty or too thin, and for mixed PDFs with
+ * scanned pages behind typed ones
  * @param {string} filePath - Path to the PDF file
- * @returns {Promise<string>} - Extracted text
+ * @param {Function} onProgress - Optional (stage, message, data) progress callback
+ * @returns {Promise<Object>} - { text, ocr }
  */
-const extractFromPDF = async (filePath) => {
+const extractFromPDF = async (filePath, onProgress = () => {}) => {
   try {
-    // Try LangChain PDFLoader first
-    try {
-      const { PDFLoader } = await import(
-        "@langchain/community/document_loaders/fs/pdf"
+    const dataBuffer = await fs.readFile(filePath);
+    const { text, pageCount } = await extractPDFTextLayer(filePath, dataBuffer);
+
+    if (!isTextLayerThin(text.replace(PAGE_MARKERS, ""), pageCount)) {
+      // A typed cover sheet clears the document average, so check each page
+      let thinPages = [];
+      try {
+        thinPages = await findThinPages(dataBuffer);
+      } catch (pageError) {
+        console.warn("⚠️ Could not check page text layers:", pageError.message);
+      }
+      if (thinPages.length === 0) {
+        return { text, ocr: null };
+      }
+
+      console.log(
+        `🖼️ PDF text layer is thin on page(s) ${thinPages.join(
+          ", "
+        )}, running OCR`
       );
-      const loader = new PDFLoader(filePath, {
-        splitPages: false, // Keep all pages as one document
-        parsedItemSeparator: " ", // Use space to separate parsed items
+      onProgress("ocr", "Some pages have no usable text layer, running OCR", {
+        pageCount,
+        thinPages,
       });
+    } else {
+      console.log(
+        `🖼️ PDF text layer has ${
+          text.trim().length
+        } characters over ${pageCount} page(s), running OCR`
+      );
+      onProgress("ocr", "Text layer is empty or too thin, running OCR", {
+        pageCount,
+      });
+    }
 
-      const docs = await loader.load();
-      const combinedText = docs.map((doc) => doc.pageContent).join("\n\n");
-
-      if (combinedText && combinedText.trim().length > 0) {
-        return combinedText;
+    let ocr = null;
+    try {
+      ocr = await ocrPdf(dataBuffer, onProgress);
+    } catch (ocrError) {
+      console.warn("⚠️ OCR failed:", ocrError.message);
+      if (!text.trim()) {
+        throw new Error(`No text layer and OCR failed: ${ocrError.message}`);
       }
-    } catch (langchainError) {
-      console.warn("LangChain PDF extraction failed:", langchainError.message);
     }
 
-    // Method 3: Fallback to pdf-parse
-    console.log("📄 Fallback to pdf-parse");
-    const { default: pdfParse } = await import("pdf-parse");
-    const dataBuffer = await fs.readFile(filePath);
-    const data = await pdfParse(dataBuffer);
-
-    if (!data.text || data.text.trim().length === 0) {
-      throw new Error("No text extracted from PDF");
+    // Keep the text layer when OCR is disabled, failed or found less
+    if (!ocr || ocr.text.trim().length <= text.trim().length) {
+      if (!text.trim()) {
+        throw new Error("No text extracted from PDF");
+      }
+      return { text, ocr: null };
     }
 
-    console.log(`✅ pdf-parse successful: ${data.text.length} characters`);
-    return cleanExtractedText(data.text);
+    console.log(
+      `✅ OCR successful: ${ocr.text.length} characters from ${ocr.ocrPages} page(s), ${ocr.averageConfidence}% average confidence`
+    );
+    return { text: ocr.text, ocr };
   } catch (error) {
     throw new Error(`PDF extraction failed: ${error.message}`);
   }
 };
 
+/**
+ * Extract the PDF text layer using multiple methods for best quality
+ * @param {string} filePath - Path to the PDF file
+ * @param {Buffer} dataBuffer - PDF file contents
+ * @returns {Promise<Object>} - { text, pageCount }; text is empty for image-only PDFs
+ */
+const extractPDFTextLayer = async (filePath, dataBuffer) => {
+  // Try LangChain PDFLoader first
+  try {
+    const { PDFLoader } = await import(
+      "@langchain/community/document_loaders/fs/pdf"
+    );
+    const loader = new PDFLoader(filePath, {
+      splitPages: true, // One document per page, for page markers
+      parsedItemSeparator: " ", // Use space to separate parsed items
+    });
+
+    const docs = await loader.load();
+    const hasText = docs.some((doc) => doc.pageContent.trim().length > 0);
+
+    if (hasText) {
+      // Same page markers as the OCR output, so extracted fields can cite pages
+      return {
+        text: docs
+          .map(
+            (doc, index) =>
+              `--- Page ${doc.metadata?.loc?.pageNumber || index + 1} ---\n${
+                doc.pageContent
+              }`
+          )
+          .join("\n\n"),
+        pageCount: docs[0]?.metadata?.pdf?.totalPages || docs.length,
+      };
+    }
+  } catch (langchainError) {
+    console.warn("LangChain PDF extraction failed:", langchainError.message);
+  }
+
+  // Method 3: Fallback to pdf-parse
+  console.log("📄 Fallback to pdf-parse");
+  const { default: pdfParse } = await import("pdf-parse");
+  const data = await pdfParse(dataBuffer);
+
+  if (!data.text || data.text.trim().length === 0) {
+    console.warn("⚠️ PDF has no text layer");
+    return { text: "", pageCount: data.numpages || 1 };
+  }
+
+  console.log(`✅ pdf-parse successful: ${data.text.length} characters`);
+  return {
+    text: cleanExtractedText(data.text),
+    pageCount: data.numpages || 1,
+  };
+};
+
 /**
  * Clean extracted text to fix broken words and OCR issues
  * @param {string} text - Raw extracted text
@@ -170,28 +455,70 @@ const extractFromDocx = async (filePath) => {
 };
 
 /**
- * Extract text from Excel files using LangChain
- * @param {string} filePath - Path to the Excel file
+ * Extract text from legacy Word 97-2003 (.doc) binary documents. Text boxes
+ * and headers are kept because tech pack templates often put the style
+ * number and buyer details there.
+ * @param {string} filePath - Path to the Word document
  * @returns {Promise<string>} - Extracted text
  */
+const extractFromDoc = async (filePath) => {
+  try {
+    const { default: WordExtractor } = await import("word-extractor");
+    const document = await new WordExtractor().extract(filePath);
+
+    const text = [
+      document.getHeaders({ includeFooters: false }),
+      document.getBody(),
+      document.getTextboxes({ includeHeadersAndFooters: false }),
+      document.getFootnotes(),
+      document.getEndnotes(),
+    ]
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .join("\n\n");
+
+    if (!text) {
+      throw new Error("No text extracted from Word document");
+    }
+
+    return text;
+  } catch (error) {
+    throw new Error(`Word document extraction failed: ${error.message}`);
+  }
+};
+
+/**
+ * Extract text from Excel files, reading each sheet as typed rows
+ * @param {string} filePath - Path to the Excel file
+ * @returns {Promise<Object>} - { text, spreadsheet }, see parseWorkbook
+ */
 const extractFromExcel = async (filePath) => {
   try {
     const { default: xlsx } = await import("xlsx");
     const workbook = xlsx.readFile(filePath);
-    let extractedText = "";
 
-    // Process each sheet
-    workbook.SheetNames.forEach((sheetName) => {
-      const worksheet = workbook.Sheets[sheetName];
-      const sheetData = xlsx.utils.sheet_to_csv(worksheet);
-      extractedText += `Sheet: ${sheetName}\n${sheetData}\n\n`;
-    });
+    // Rows of formatted cell values, so "60%" stays "60%" rather than 0.6
+    const sheets = workbook.SheetNames.map((name) => ({
+      name,
+      rows: xlsx.utils.sheet_to_json(workbook.Sheets[name], {
+        header: 1,
+        blankrows: false,
+        defval: "",
+        raw: false,
+      }),
+    }));
+    const spreadsheet = parseWorkbook(sheets);
 
-    if (!extractedText || extractedText.trim().length === 0) {
+    if (!spreadsheet.text || spreadsheet.text.trim().length === 0) {
       throw new Error("No text extracted from Excel file");
     }
 
-    return extractedText;
+    console.log(
+      `📊 Workbook sheets: ${spreadsheet.sheets
+        .map((sheet) => `${sheet.name} (${sheet.type})`)
+        .join(", ")}`
+    );
+    return { text: spreadsheet.text, spreadsheet };
   } catch (error) {
     throw new Error(`Excel extraction failed: ${error.message}`);
   }
@@ -0,0 +1,248 @@
+/**
+ * Garment weights and carton plans derived from the measurement chart.
+ * Weights are estimated from the flat panel area of the finished garment
+ * and the shell fabric's GSM; they are a planning figure until samples are
+ * weighed, and weighed sample weights can be passed in instead.
+ */
+
+const CM_PER_INCH = 2.54;
+
+// Cut fabric beyond the finished panels: seam allowances, hems, facings
+const SEAM_ALLOWANCE = 0.12;
+
+// Sleeves and legs narrow from bicep and hip towards cuff and hem
+const SLEEVE_TAPER = 0.8;
+const LEG_TAPER = 0.85;
+
+// Sleeve pattern width relative to the chest width when no bicep is given
+const SLEEVE_WIDTH_OF_CHEST = 0.7;
+
+// Chest, waist and hip above this (cm) can only be circumferences
+const MAX_FLAT_WIDTH_CM = 80;
+
+// Points of measure the estimate is built from, matched on description
+const POINTS = {
+  chest: /\b(chest|bust)\b/i,
+  bodyLength:
+    /\b(body length|front length|back length|(centre|center) back|cb length|length from hps|hps length)\b/i,
+  sleeve: /\bsleeve( length)?\b(?!.*\b(opening|hem|cuff|width)\b)/i,
+  bicep: /\b(bicep|upper arm|muscle)\b/i,
+  hip: /\b(hip|seat)\b/i,
+  waist: /\bwaist\b/i,
+  outseam: /\b(outseam|outside leg|side length)\b/i,
+  inseam: /\b(inseam|inside leg)\b/i,
+  frontRise: /\bfront rise\b/i,
+};
+
+const round = (value, digits = 2) =>
+  Math.round(value * 10 ** digits) / 10 ** digits;
+
+const findPoint = (points, key) =>
+  points.find((point) => POINTS[key].test(point.description));
+
+// Half the circumference for measurements taken around the body
+const flatWidth = (point, value) => {
+  if (
+    /\b(circ(umference)?|full|all ?round|around)\b/i.test(point.description)
+  ) {
+    return value / 2;
+  }
+  if (/\b(1\/2|half|width|across|flat)\b|½/i.test(point.description)) {
+    return value;
+  }
+  return value > MAX_FLAT_WIDTH_CM ? value / 2 : value;
+};
+
+// Shell fabric GSM: the summary's, else the shell line of the BOM
+const fabricGsm = (summary) => {
+  if (summary.gsm) return summary.gsm;
+  const fabrics = (summary.fabrics || []).filter((fabric) => fabric.gsm);
+  const shell =
+    fabrics.find((fabric) =>
+      /\b(shell|body|self|main)\b/i.test(fabric.component)
+    ) || fabrics[0];
+  return shell?.gsm || null;
+};
+
+/**
+ * Estimate the weight of one garment per size
+ * @param {Object} summary - Tech pack summary with measurements and gsm or BOM fabrics
+ * @returns {Object} - { gsm, basis: "top" | "bottom" | null, weights: { size: grams }, notes }
+ */
+export const estimateGarmentWeights = (summary) => {
+  const { measurements } = summary;
+  const gsm = fabricGsm(summary);
+  const result = { gsm, basis: null, weights: {}, notes: [] };
+
+  if (!measurements?.points?.length) {
+    result.notes.push("No measurement chart to estimate weights from");
+    return result;
+  }
+  if (!gsm) {
+    result.notes.push("No fabric weight (GSM) in the tech pack or BOM");
+    return result;
+  }
+  if (!measurements.unit) {
+    result.notes.push("The measurement unit (cm or inches) is unknown");
+    return result;
+  }
+
+  const { points } = measurements;
+  const found = Object.fromEntries(
+    Object.keys(POINTS).map((key) => [key, findPoint(points, key)])
+  );
+  const isTop = found.chest && found.bodyLength;
+  const isBottom =
+    (found.hip || found.waist) && (found.outseam || found.inseam);
+  if (!isTop && !isBottom) {
+    result.notes.push(
+      "The chart has neither chest and body length nor hip and leg length"
+    );
+    return result;
+  }
+  result.basis = isTop ? "top" : "bottom";
+
+  const scale = measurements.unit === "in" ? CM_PER_INCH : 1;
+  const valueOf = (point, size) =>
+    point && point.values[size] !== undefined
+      ? point.values[size] * scale
+      : null;
+
+  for (const size of measurements.sizes) {
+    let area = null;
+
+    if (isTop) {
+      const chestValue = valueOf(found.chest, size);
+      const length = valueOf(found.bodyLength, size);
+      if (chestValue === null || length === null) continue;
+
+      // Front and back panels, plus two sleeves
+      const chest = flatWidth(found.chest, chestValue);
+      area = 2 * chest * length;
+      const sleeve = valueOf(found.sleeve, size);
+      if (sleeve !== null) {
+        const bicep = valueOf(found.bicep, size);
+        const sleeveWidth =
+          bicep !== null ? 2 * bicep : chest * SLEEVE_WIDTH_OF_CHEST;
+        area += 2 * sleeve * sleeveWidth * SLEEVE_TAPER;
+      }
+    } else {
+      const hipPoint = found.hip || found.waist;
+      const hipValue = valueOf(hipPoint, size);
+      const outseam =
+        valueOf(found.outseam, size) ??
+        (valueOf(found.inseam, size) !== null &&
+        valueOf(found.frontRise, size) !== null
+          ? valueOf(found.inseam, size) + valueOf(found.frontRise, size)
+          : null);
+      if (hipValue === null || outseam === null) continue;
+
+      // Front and back panels of both legs
+      area = 2 * flatWidth(hipPoint, hipValue) * outseam * LEG_TAPER;
+    }
+
+    // cm² to m², times GSM, plus the fabric lost in seams and hems
+    result.weights[size] = round(
+      (area / 10000) * gsm * (1 + SEAM_ALLOWANCE),
+      0
+    );
+  }
+
+  if (!isTop && !found.outseam) {
+    result.notes.push("Leg length taken as inseam plus front rise");
+  }
+  if (isTop && !found.sleeve) {
+    result.notes.push("No sleeve length in the chart; sleeves not included");
+  }
+  result.notes.push(
+    `Estimated from flat panel areas at ${gsm} GSM plus ${
+      SEAM_ALLOWANCE * 100
+    }% for seams and hems; trims are not included`
+  );
+  return result;
+};
+
+/**
+ * Plan solid-size cartons for an order
+ * @param {Object} input - { quantities: { size: pieces }, pieceWeights: { size: grams }, piecesPerCarton, carton: { length, width, height } in cm, cartonWeightKg, maxGrossWeightKg }
+ * @returns {Object} - { lines: [{ size, quantity, pieceWeightG, piecesPerCarton, cartons, lastCartonPieces, netWeightKg, grossWeightKg }], totals, notes }
+ */
+export const planCartons = ({
+  quantities,
+  pieceWeights = {},
+  piecesPerCarton,
+  carton = null,
+  cartonWeightKg = 0,
+  maxGrossWeightKg = null,
+}) => {
+  const notes = [];
+  const lines = [];
+
+  for (const [size, quantity] of Object.entries(quantities)) {
+    if (quantity <= 0) continue;
+
+    const pieceWeightG = pieceWeights[size] ?? null;
+    let perCarton = piecesPerCarton;
+    if (pieceWeightG && maxGrossWeightKg) {
+      const fits = Math.floor(
+        ((maxGrossWeightKg - cartonWeightKg) * 1000) / pieceWeightG
+      );
+      if (fits < 1) {
+        perCarton = 1;
+        notes.push(
+          `Size ${size}: a single garment exceeds the ${maxGrossWeightKg} kg carton limit`
+        );
+      } else if (fits < perCarton) {
+        perCarton = fits;
+        notes.push(
+          `Size ${size}: ${fits} pieces per carton to stay under ${maxGrossWeightKg} kg`
+        );
+      }
+    }
+    if (!pieceWeightG) {
+      notes.push(`Size ${size}: no garment weight, carton weights not given`);
+    }
+
+    const cartons = Math.ceil(quantity / perCarton);
+    const netWeightKg = pieceWeightG
+      ? round((quantity * pieceWeightG) / 1000)
+      : null;
+    lines.push({
+      size,
+      quantity,
+      pieceWeightG,
+      piecesPerCarton: perCarton,
+      cartons,
+      lastCartonPieces: quantity - (cartons - 1) * perCarton,
+      netWeightKg,
+      grossWeightKg:
+        netWeightKg !== null
+          ? round(netWeightKg + cartons * cartonWeightKg)
+          : null,
+    });
+  }
+
+  const sum = (field) =>
+    lines.some((line) => line[field] === null)
+      ? null
+      : round(lines.reduce((total, line) => total + line[field], 0));
+  const cartons = lines.reduce((total, line) => total + line.cartons, 0);
+
+  return {
+    lines,
+    totals: {
+      quantity: lines.reduce((total, line) => total + line.quantity, 0),
+      cartons,
+      netWeightKg: sum("netWeightKg"),
+      grossWeightKg: sum("grossWeightKg"),
+      // Cubic metres from carton dimensions in cm
+      volumeCbm: carton
+        ? round(
+            (carton.length * carton.width * carton.height * cartons) / 1e6,
+            3
+          )
+        : null,
+    },
+    notes,
+  };
+};
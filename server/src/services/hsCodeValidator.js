@@ -0,0 +1,175 @@
+import { getRepositories } from "../repositories/index.js";
+
+// Subheading prefixes tried, longest first, when a code isn't in the tariff
+const NEAREST_PREFIX_LENGTHS = [6, 4];
+// Mapped codes are a guess on top of the model's guess
+const MAPPED_CONFIDENCE_FACTOR = 0.8;
+
+// Unknown and unverified codes sort below codes found in the tariff
+const STATUS_RANK = { validated: 0, mapped: 0, unknownCode: 1, unverified: 1 };
+
+/**
+ * Normalize an HS code to the canonical 8-digit form used by
+ * customs_tariff_rates (e.g. "6109.10.00" -> "61091000", "6109" -> "61090000")
+ * @param {string} code - HS code as suggested or typed
+ * @returns {string|null} - 8-digit code, or null if it has fewer than 4 digits
+ */
+export const normalizeHSCode = (code) => {
+  const digits = String(code || "").replace(/\D/g, "");
+  if (digits.length < 4) {
+    return null;
+  }
+  return digits.slice(0, 8).padEnd(8, "0");
+};
+
+// Map a customs_tariff_rates row to the tariffInfo shape
+export const toTariffInfo = (row) => ({
+  CD: Number(row.cd) || 0,
+  SD: Number(row.sd) || 0,
+  VAT: Number(row.vat) || 0,
+  AIT: Number(row.ait) || 0,
+  RD: Number(row.rd) || 0,
+  AT: Number(row.at) || 0,
+  TTI: Number(row.tti) || 0,
+});
+
+/**
+ * Sort order for suggestions: codes found in the tariff first, then by
+ * confidence (highest first)
+ */
+export const compareSuggestions = (a, b) => {
+  const rank = (s) => STATUS_RANK[s.validationStatus] ?? 1;
+  return rank(a) - rank(b) || b.confidence - a.confidence;
+};
+
+// Suggestion without tariff rates, so it can never read as 0% duty
+const withoutTariff = (suggestion, validationStatus) => {
+  const { tariffInfo, ...rest } = suggestion;
+  return { ...rest, validationStatus };
+};
+
+/**
+ * Checks suggested HS codes against the active tariff schedule. Each
+ * suggestion comes back with a validationStatus:
+ * - validated: the code is a tariff line, rates attached
+ * - mapped: the code isn't a tariff line, replaced by the nearest subheading
+ * - unknownCode: no tariff line under the code's heading, no rates attached
+ * - unverified: the tariff table could not be checked, no rates attached
+ */
+export class HSCodeValidator {
+  constructor(repositories = getRepositories()) {
+    this.repositories = repositories;
+  }
+
+  // Closest tariff line sharing the longest subheading prefix with the code
+  async findNearest(code, version) {
+    for (const length of NEAREST_PREFIX_LENGTHS) {
+      const candidates = await this.repositories.tariffRates.findByPrefix(
+        code.slice(0, length),
+        { version, limit: 100 }
+      );
+
+      if (candidates.length > 0) {
+        const target = Number(code);
+        return candidates.reduce((best, row) =>
+          Math.abs(Number(row.hs_code) - target) <
+          Math.abs(Number(best.hs_code) - target)
+            ? row
+            : best
+        );
+      }
+    }
+
+    return null;
+  }
+
+  async validateSuggestion(suggestion, version) {
+    const code = normalizeHSCode(suggestion.code);
+    if (!code) {
+      return withoutTariff(suggestion, "unknownCode");
+    }
+
+    const exact = await this.repositories.tariffRates.findByHsCode(code, {
+      version,
+    });
+    if (exact) {
+      return {
+        ...suggestion,
+        code,
+        tariffInfo: toTariffInfo(exact),
+        tariffVersion: version,
+        validationStatus: "validated",
+      };
+    }
+
+    const nearest = await this.findNearest(code, version);
+    if (nearest) {
+      console.log(`🔁 Mapped HS code ${suggestion.code} to ${nearest.hs_code}`);
+      return {
+        ...suggestion,
+        code: nearest.hs_code,
+        originalCode: suggestion.code,
+        description: nearest.tariff_description || suggestion.description,
+        confidence:
+          Math.round(suggestion.confidence * MAPPED_CONFIDENCE_FACTOR * 100) /
+          100,
+        rationale: [
+          ...(suggestion.rationale || []),
+          `Mapped from ${suggestion.code}`,
+        ],
+        tariffInfo: toTariffInfo(nearest),
+        tariffVersion: version,
+        validationStatus: "mapped",
+      };
+    }
+
+    console.warn(`⚠️ HS code ${suggestion.code} is not in tariff ${version}`);
+    return withoutTariff({ ...suggestion, code }, "unknownCode");
+  }
+
+  /**
+   * Validate suggestions against the active tariff version
+   * @param {Array} suggestions - Suggestions as returned by the model
+   * @returns {Promise<Object>} - { suggestions, version, counts }
+   */
+  async validateSuggestions(suggestions) {
+    let validated;
+    let version = null;
+
+    try {
+      version = await this.repositories.tariffRates.getActiveVersion();
+      if (!version) {
+        console.warn("⚠️ Tariff table is empty, HS codes can't be validated");
+        validated = suggestions.map((s) => withoutTariff(s, "unverified"));
+      } else {
+        validated = [];
+        for (const suggestion of suggestions) {
+          validated.push(await this.validateSuggestion(suggestion, version));
+        }
+      }
+    } catch (error) {
+      console.error("❌ HS code validation failed:", error.message);
+      validated = suggestions.map((s) => withoutTariff(s, "unverified"));
+    }
+
+    // Mapping can land several suggestions on the same code; keep the strongest
+    const byCode = new Map();
+    validated.forEach((suggestion) => {
+      const existing = byCode.get(suggestion.code);
+      if (!existing || suggestion.confidence > existing.confidence) {
+        byCode.set(suggestion.code, suggestion);
+      }
+    });
+
+    const result = [...byCode.values()].sort(compareSuggestions);
+
+    const counts = result.reduce((acc, s) => {
+      acc[s.validationStatus] = (acc[s.validationStatus] || 0) + 1;
+      return acc;
+    }, {});
+
+    return { suggestions: result, version, counts };
+  }
+}
+
+export default HSCodeValidator;
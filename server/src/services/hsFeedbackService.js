@@ -0,0 +1,193 @@
+import { getRepositories } from "../repositories/index.js";
+
+// How many recent decisions are scored when looking for precedents
+const CANDIDATE_LIMIT = 500;
+// Minimum similarity for a past decision to count as a precedent
+const MIN_PRECEDENT_SCORE = 3;
+
+const normalizeCode = (code) => String(code || "").trim();
+
+const tokenize = (text) =>
+  new Set(
+    String(text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token.length > 2)
+  );
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter((token) => b.has(token)).length;
+  return shared / (a.size + b.size - shared);
+};
+
+const materialNames = (techPackInfo) =>
+  new Set(
+    (techPackInfo?.materialPercentage || []).map((m) =>
+      String(m.material).trim().toLowerCase()
+    )
+  );
+
+// Map an hs_code_feedback row to the API shape
+const toFeedback = (row) => ({
+  id: row.id,
+  techPackId: row.tech_pack_id,
+  techPackInfo: row.tech_pack_info,
+  suggestions: row.suggestions || [],
+  acceptedCode: row.accepted_code,
+  acceptedDescription: row.accepted_description,
+  wasSuggested: row.was_suggested,
+  reason: row.reason,
+  createdAt: row.created_at,
+});
+
+/**
+ * Records which HS code the user settled on for a tech pack and finds
+ * similar past decisions to give the classifier as worked examples.
+ */
+export class HSFeedbackService {
+  constructor(repositories = getRepositories()) {
+    this.repositories = repositories;
+  }
+
+  /**
+   * Store one classification decision
+   * @param {Object} feedback - { techPackId, techPackInfo, suggestions, acceptedCode, acceptedDescription, reason }
+   * @returns {Promise<Object>} - Stored feedback record
+   */
+  async recordFeedback(feedback) {
+    const acceptedCode = normalizeCode(feedback.acceptedCode);
+    const suggested = (feedback.suggestions || []).find(
+      (s) => normalizeCode(s.code) === acceptedCode
+    );
+
+    const row = await this.repositories.hsFeedback.insert({
+      tech_pack_id: feedback.techPackId || null,
+      tech_pack_info: feedback.techPackInfo,
+      suggestions: feedback.suggestions || [],
+      accepted_code: acceptedCode,
+      accepted_description:
+        feedback.acceptedDescription || suggested?.description || null,
+      was_suggested: Boolean(suggested),
+      reason: feedback.reason || null,
+    });
+
+    console.log(
+      `📝 Recorded HS code feedback: ${acceptedCode} (${
+        suggested ? "accepted suggestion" : "entered by user"
+      })`
+    );
+    return toFeedback(row);
+  }
+
+  /**
+   * Score how closely a past tech pack matches the current one
+   * @param {Object} techPackInfo - Tech pack being classified
+   * @param {Object} other - Tech pack of a past decision
+   * @returns {number} - Similarity score (higher is closer)
+   */
+  scoreSimilarity(techPackInfo, other) {
+    if (!other) return 0;
+
+    // Knit and woven garments sit in different chapters (61 vs 62), so a
+    // decision for the other fabric type is never a useful example
+    if (techPackInfo.fabricType !== other.fabricType) return 0;
+
+    let score = 2;
+    if (
+      techPackInfo.gender &&
+      String(techPackInfo.gender).toLowerCase() ===
+        String(other.gender || "").toLowerCase()
+    ) {
+      score += 1;
+    }
+    score +=
+      3 *
+      jaccard(tokenize(techPackInfo.garmentType), tokenize(other.garmentType));
+    score += 2 * jaccard(materialNames(techPackInfo), materialNames(other));
+
+    return score;
+  }
+
+  /**
+   * Find the most similar past decisions for a tech pack
+   * @param {Object} techPackInfo - Tech pack being classified
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} - Feedback records with a similarity score
+   */
+  async findPrecedents(techPackInfo, { limit = 3 } = {}) {
+    const rows = await this.repositories.hsFeedback.listRecent(CANDIDATE_LIMIT);
+    const seenCodes = new Set();
+
+    return rows
+      .map((row) => ({
+        ...toFeedback(row),
+        similarity: this.scoreSimilarity(techPackInfo, row.tech_pack_info),
+      }))
+      .filter((precedent) => precedent.similarity >= MIN_PRECEDENT_SCORE)
+      .sort((a, b) => b.similarity - a.similarity)
+      .filter((precedent) => {
+        // Keep the closest example per accepted code
+        if (seenCodes.has(precedent.acceptedCode)) return false;
+        seenCodes.add(precedent.acceptedCode);
+        return true;
+      })
+      .slice(0, limit);
+  }
+
+  /**
+   * Format precedents as worked examples for the classification prompt
+   * @param {Array} precedents - Result of findPrecedents
+   * @returns {string} - Prompt text
+   */
+  formatPrecedents(precedents) {
+    if (precedents.length === 0) {
+      return "None available";
+    }
+
+    return precedents
+      .map((precedent, index) => {
+        const info = precedent.techPackInfo || {};
+        const materials = (info.materialPercentage || [])
+          .map((m) => `${m.percentage}% ${m.material}`)
+          .join(", ");
+        const shownCodes = precedent.suggestions
+          .map((s) => s.code)
+          .filter(Boolean)
+          .join(", ");
+
+        return [
+          `Example ${index + 1}: ${info.garmentType} (${info.fabricType}, ${
+            info.gender
+          }), ${materials || "materials not specified"}${
+            info.gsm ? `, ${info.gsm} GSM` : ""
+          }`,
+          `  Accepted code: ${precedent.acceptedCode}${
+            precedent.acceptedDescription
+              ? ` - ${precedent.acceptedDescription}`
+              : ""
+          }`,
+          precedent.wasSuggested
+            ? null
+            : `  Entered by the user instead of the suggested codes${
+                shownCodes ? ` (${shownCodes})` : ""
+              }`,
+          precedent.reason ? `  Reason: ${precedent.reason}` : null,
+        ]
+          .filter(Boolean)
+          .join("\n");
+      })
+      .join("\n\n");
+  }
+}
+
+// Shared service instance with lazy initialization
+let hsFeedbackServiceInstance = null;
+export const getHSFeedbackService = () => {
+  if (!hsFeedbackServiceInstance) {
+    hsFeedbackServiceInstance = new HSFeedbackService();
+  }
+  return hsFeedbackServiceInstance;
+};
+
+export default HSFeedbackService;
@@ -0,0 +1,973 @@
+/**
+ * Deterministic HS classification for apparel in chapters 61 (knitted or
+ * crocheted) and 62 (not knitted). Follows the heading structure of the two
+ * chapters step by step and records which rule fired at each step, so the
+ * result can be shown next to the RAG suggestions as a second opinion.
+ */
+
+import { chiefWeightFiber, FIBER_LABELS } from "./fiberNormalizer.js";
+
+// Heading tables. Subheadings are keyed by fiber category; "mmf" covers
+// synthetic and artificial fibres taken together, "other" is the residual.
+const HEADINGS = {
+  6101: {
+    description:
+      "Men's or boys' overcoats, anoraks, windcheaters and similar articles, knitted or crocheted",
+    subheadings: { cotton: "20", mmf: "30", other: "90" },
+  },
+  6102: {
+    description:
+      "Women's or girls' overcoats, anoraks, windcheaters and similar articles, knitted or crocheted",
+    subheadings: { wool: "10", cotton: "20", mmf: "30", other: "90" },
+  },
+  6103: {
+    description:
+      "Men's or boys' suits, jackets, trousers and shorts, knitted or crocheted",
+    groups: {
+      jackets: {
+        label: "jackets and blazers",
+        subheadings: { wool: "31", cotton: "32", synthetic: "33", other: "39" },
+      },
+      trousers: {
+        label: "trousers, breeches and shorts",
+        subheadings: { wool: "41", cotton: "42", synthetic: "43", other: "49" },
+      },
+    },
+  },
+  6104: {
+    description:
+      "Women's or girls' suits, jackets, dresses, skirts, trousers and shorts, knitted or crocheted",
+    groups: {
+      jackets: {
+        label: "jackets and blazers",
+        subheadings: { wool: "31", cotton: "32", synthetic: "33", other: "39" },
+      },
+      dresses: {
+        label: "dresses",
+        subheadings: {
+          wool: "41",
+          cotton: "42",
+          synthetic: "43",
+          artificial: "44",
+          other: "49",
+        },
+      },
+      skirts: {
+        label: "skirts and divided skirts",
+        subheadings: { wool: "51", cotton: "52", synthetic: "53", other: "59" },
+      },
+      trousers: {
+        label: "trousers, breeches and shorts",
+        subheadings: { wool: "61", cotton: "62", synthetic: "63", other: "69" },
+      },
+    },
+  },
+  6105: {
+    description: "Men's or boys' shirts, knitted or crocheted",
+    subheadings: { cotton: "10", mmf: "20", other: "90" },
+  },
+  6106: {
+    description:
+      "Women's or girls' blouses, shirts and shirt-blouses, knitted or crocheted",
+    subheadings: { cotton: "10", mmf: "20", other: "90" },
+  },
+  6107: {
+    description:
+      "Men's or boys' underpants, briefs, nightshirts and pyjamas, knitted or crocheted",
+    groups: {
+      underwear: {
+        label: "underpants and briefs",
+        subheadings: { cotton: "11", mmf: "12", other: "19" },
+      },
+      nightwear: {
+        label: "nightshirts and pyjamas",
+        subheadings: { cotton: "21", mmf: "22", other: "29" },
+      },
+    },
+  },
+  6108: {
+    description:
+      "Women's or girls' briefs, panties, nightdresses and pyjamas, knitted or crocheted",
+    groups: {
+      underwear: {
+        label: "briefs and panties",
+        subheadings: { cotton: "21", mmf: "22", other: "29" },
+      },
+      nightwear: {
+        label: "nightdresses and pyjamas",
+        subheadings: { cotton: "31", mmf: "32", other: "39" },
+      },
+    },
+  },
+  6109: {
+    description: "T-shirts, singlets and other vests, knitted or crocheted",
+    subheadings: { cotton: "10", other: "90" },
+  },
+  6110: {
+    description:
+      "Jerseys, pullovers, cardigans, waistcoats and similar articles, knitted or crocheted",
+    subheadings: { wool: "11", cotton: "20", mmf: "30", other: "90" },
+  },
+  6111: {
+    description:
+      "Babies' garments and clothing accessories, knitted or crocheted",
+    subheadings: { cotton: "20", synthetic: "30", other: "90" },
+  },
+  6112: {
+    description: "Track suits, ski suits and swimwear, knitted or crocheted",
+    groups: {
+      tracksuits: {
+        label: "track suits",
+        subheadings: { cotton: "11", synthetic: "12", other: "19" },
+      },
+      swimwearMen: {
+        label: "men's or boys' swimwear",
+        subheadings: { synthetic: "31", other: "39" },
+      },
+      swimwearWomen: {
+        label: "women's or girls' swimwear",
+        subheadings: { synthetic: "41", other: "49" },
+      },
+    },
+  },
+  6113: {
+    description:
+      "Garments, made up of knitted or crocheted fabrics of heading 5903, 5906 or 5907",
+    subheadings: { other: "00" },
+  },
+  6114: {
+    description: "Other garments, knitted or crocheted",
+    subheadings: { cotton: "20", mmf: "30", other: "90" },
+  },
+  6201: {
+    description:
+      "Men's or boys' overcoats, anoraks, windcheaters and similar articles",
+    subheadings: { wool: "20", cotton: "30", mmf: "40", other: "90" },
+  },
+  6202: {
+    description:
+      "Women's or girls' overcoats, anoraks, windcheaters and similar articles",
+    subheadings: { wool: "20", cotton: "30", mmf: "40", other: "90" },
+  },
+  6203: {
+    description: "Men's or boys' suits, jackets, trousers and shorts",
+    groups: {
+      jackets: {
+        label: "jackets and blazers",
+        subheadings: { wool: "31", cotton: "32", synthetic: "33", other: "39" },
+      },
+      trousers: {
+        label: "trousers, breeches and shorts",
+        subheadings: { wool: "41", cotton: "42", synthetic: "43", other: "49" },
+      },
+    },
+  },
+  6204: {
+    description:
+      "Women's or girls' suits, jackets, dresses, skirts, trousers and shorts",
+    groups: {
+      jackets: {
+        label: "jackets and blazers",
+        subheadings: { wool: "31", cotton: "32", synthetic: "33", other: "39" },
+      },
+      dresses: {
+        label: "dresses",
+        subheadings: {
+          wool: "41",
+          cotton: "42",
+          synthetic: "43",
+          artificial: "44",
+          other: "49",
+        },
+      },
+      skirts: {
+        label: "skirts and divided skirts",
+        subheadings: { wool: "51", cotton: "52", synthetic: "53", other: "59" },
+      },
+      trousers: {
+        label: "trousers, breeches and shorts",
+        subheadings: { wool: "61", cotton: "62", synthetic: "63", other: "69" },
+      },
+    },
+  },
+  6205: {
+    description: "Men's or boys' shirts",
+    subheadings: { cotton: "20", mmf: "30", other: "90" },
+  },
+  6206: {
+    description: "Women's or girls' blouses, shirts and shirt-blouses",
+    subheadings: {
+      silk: "10",
+      wool: "20",
+      cotton: "30",
+      mmf: "40",
+      other: "90",
+    },
+  },
+  6207: {
+    description: "Men's or boys' underpants, briefs, nightshirts and pyjamas",
+    groups: {
+      underwear: {
+        label: "underpants and briefs",
+        subheadings: { cotton: "11", other: "19" },
+      },
+      nightwear: {
+        label: "nightshirts and pyjamas",
+        subheadings: { cotton: "21", mmf: "22", other: "29" },
+      },
+    },
+  },
+  6208: {
+    description: "Women's or girls' briefs, panties, nightdresses and pyjamas",
+    groups: {
+      nightwear: {
+        label: "nightdresses and pyjamas",
+        subheadings: { cotton: "21", mmf: "22", other: "29" },
+      },
+      underwear: {
+        label: "briefs, panties and similar articles",
+        subheadings: { cotton: "91", mmf: "92", other: "99" },
+      },
+    },
+  },
+  6209: {
+    description: "Babies' garments and clothing accessories",
+    subheadings: { cotton: "20", synthetic: "30", other: "90" },
+  },
+  6210: {
+    description:
+      "Garments, made up of fabrics of heading 5602, 5603, 5903, 5906 or 5907",
+    groups: {
+      feltNonwoven: {
+        label: "of fabrics of heading 5602 or 5603",
+        subheadings: { other: "10" },
+      },
+      overcoatsMen: {
+        label: "other garments, of the type described in 6201",
+        subheadings: { other: "20" },
+      },
+      overcoatsWomen: {
+        label: "other garments, of the type described in 6202",
+        subheadings: { other: "30" },
+      },
+      men: {
+        label: "other men's or boys' garments",
+        subheadings: { other: "40" },
+      },
+      women: {
+        label: "other women's or girls' garments",
+        subheadings: { other: "50" },
+      },
+    },
+  },
+  6211: {
+    description: "Track suits, ski suits, swimwear and other garments",
+    groups: {
+      swimwearMen: {
+        label: "men's or boys' swimwear",
+        subheadings: { other: "11" },
+      },
+      swimwearWomen: {
+        label: "women's or girls' swimwear",
+        subheadings: { other: "12" },
+      },
+      men: {
+        label: "other garments, men's or boys'",
+        subheadings: { cotton: "32", mmf: "33", other: "39" },
+      },
+      women: {
+        label: "other garments, women's or girls'",
+        subheadings: { cotton: "42", mmf: "43", other: "49" },
+      },
+    },
+  },
+};
+
+// Garment families matched on the head noun of the garment type. Targets are
+// a heading, or per-gender headings, with an optional group within it.
+const GARMENT_RULES = [
+  {
+    id: "swimwear",
+    label: "swimwear",
+    keywords: ["swimwear", "swimsuit", "bikini", "trunks", "boardshorts"],
+    knit: {
+      men: { heading: "6112", group: "swimwearMen" },
+      women: { heading: "6112", group: "swimwearWomen" },
+    },
+    woven: {
+      men: { heading: "6211", group: "swimwearMen" },
+      women: { heading: "6211", group: "swimwearWomen" },
+    },
+  },
+  {
+    id: "tracksuit",
+    label: "track suits",
+    keywords: ["tracksuit"],
+    knit: { heading: "6112", group: "tracksuits" },
+    woven: {
+      men: { heading: "6211", group: "men" },
+      women: { heading: "6211", group: "women" },
+    },
+  },
+  {
+    id: "nightwear",
+    label: "nightwear",
+    keywords: [
+      "pyjama",
+      "pyjamas",
+      "pajama",
+      "pajamas",
+      "nightdress",
+      "nightgown",
+      "nightshirt",
+      "sleepwear",
+      "nightwear",
+    ],
+    knit: {
+      men: { heading: "6107", group: "nightwear" },
+      women: { heading: "6108", group: "nightwear" },
+    },
+    woven: {
+      men: { heading: "6207", group: "nightwear" },
+      women: { heading: "6208", group: "nightwear" },
+    },
+  },
+  {
+    id: "underwear",
+    label: "underwear",
+    keywords: [
+      "brief",
+      "briefs",
+      "boxer",
+      "boxers",
+      "underpants",
+      "panties",
+      "knickers",
+      "underwear",
+    ],
+    knit: {
+      men: { heading: "6107", group: "underwear" },
+      women: { heading: "6108", group: "underwear" },
+    },
+    woven: {
+      men: { heading: "6207", group: "underwear" },
+      women: { heading: "6208", group: "underwear" },
+    },
+  },
+  {
+    id: "coat",
+    label: "coats and anoraks",
+    keywords: [
+      "coat",
+      "overcoat",
+      "raincoat",
+      "anorak",
+      "parka",
+      "windbreaker",
+      "windcheater",
+      "puffer",
+    ],
+    knit: { men: { heading: "6101" }, women: { heading: "6102" } },
+    woven: { men: { heading: "6201" }, women: { heading: "6202" } },
+  },
+  {
+    id: "jacket",
+    label: "jackets and blazers",
+    keywords: ["jacket", "blazer"],
+    knit: {
+      men: { heading: "6103", group: "jackets" },
+      women: { heading: "6104", group: "jackets" },
+    },
+    woven: {
+      men: { heading: "6203", group: "jackets" },
+      women: { heading: "6204", group: "jackets" },
+    },
+  },
+  {
+    id: "dress",
+    label: "dresses",
+    keywords: ["dress", "gown", "frock"],
+    // Dresses only exist under the women's headings
+    knit: { heading: "6104", group: "dresses" },
+    woven: { heading: "6204", group: "dresses" },
+  },
+  {
+    id: "skirt",
+    label: "skirts",
+    keywords: ["skirt", "skort"],
+    knit: { heading: "6104", group: "skirts" },
+    woven: { heading: "6204", group: "skirts" },
+  },
+  {
+    id: "trousers",
+    label: "trousers and shorts",
+    keywords: [
+      "trouser",
+      "trousers",
+      "pant",
+      "pants",
+      "jean",
+      "jeans",
+      "denim",
+      "short",
+      "shorts",
+      "chino",
+      "chinos",
+      "jogger",
+      "joggers",
+      "legging",
+      "leggings",
+      "breeches",
+      "cargo",
+      "cargos",
+    ],
+    knit: {
+      men: { heading: "6103", group: "trousers" },
+      women: { heading: "6104", group: "trousers" },
+    },
+    woven: {
+      men: { heading: "6203", group: "trousers" },
+      women: { heading: "6204", group: "trousers" },
+    },
+  },
+  {
+    id: "waistcoat",
+    label: "waistcoats and gilets",
+    keywords: ["waistcoat", "waistcoats", "gilet", "gilets"],
+    knit: { heading: "6110" },
+    // No woven heading: the garment type can't tell these apart
+    woven: null,
+    unruled:
+      "Woven waistcoats go to the suit or ensemble headings (6203/6204) when part of one, the anorak headings (6201/6202) when padded sleeveless jackets, and otherwise other garments (6211); no heading is suggested",
+  },
+  {
+    id: "sweater",
+    label: "jerseys, pullovers and cardigans",
+    keywords: [
+      "sweater",
+      "pullover",
+      "jumper",
+      "jersey",
+      "cardigan",
+      "hoodie",
+      "sweatshirt",
+      "fleece",
+    ],
+    knit: { heading: "6110" },
+    // A woven "hoodie" or "sweatshirt" is an anorak-type garment
+    woven: { men: { heading: "6201" }, women: { heading: "6202" } },
+  },
+  {
+    id: "tshirt",
+    label: "T-shirts, singlets and vests",
+    keywords: ["tshirt", "tee", "singlet", "tank", "vest", "camisole", "top"],
+    knit: { heading: "6109" },
+    woven: {
+      men: { heading: "6211", group: "men" },
+      women: { heading: "6211", group: "women" },
+    },
+  },
+  {
+    id: "shirt",
+    label: "shirts and blouses",
+    keywords: ["shirt", "shirts", "blouse", "blouses", "polo", "tunic"],
+    knit: { men: { heading: "6105" }, women: { heading: "6106" } },
+    woven: { men: { heading: "6205" }, women: { heading: "6206" } },
+  },
+];
+
+// Residual headings when no garment family matches
+const OTHER_GARMENTS = {
+  knit: { heading: "6114" },
+  woven: {
+    men: { heading: "6211", group: "men" },
+    women: { heading: "6211", group: "women" },
+  },
+};
+
+const BABY_HEADINGS = { knit: { heading: "6111" }, woven: { heading: "6209" } };
+
+// Chapter and garment rules per fabric construction. Felt, nonwoven and
+// coated fabrics take heading 6210 over the other chapter 62 headings,
+// except babies' garments (Chapter 62 Note 5).
+const CONSTRUCTIONS = {
+  knit: {
+    chapter: "61",
+    rules: "knit",
+    label: "Knitted",
+    rule: "Knitted or crocheted fabric → chapter 61",
+  },
+  crocheted: {
+    chapter: "61",
+    rules: "knit",
+    label: "Crocheted",
+    rule: "Crocheted fabric → chapter 61 (knitted or crocheted)",
+  },
+  woven: {
+    chapter: "62",
+    rules: "woven",
+    label: "Woven",
+    rule: "Woven (not knitted or crocheted) fabric → chapter 62",
+  },
+  felt: {
+    chapter: "62",
+    rules: "woven",
+    madeUp: "feltNonwoven",
+    label: "Felt",
+    rule: "Felt (heading 5602) → chapter 62, heading 6210",
+  },
+  nonwoven: {
+    chapter: "62",
+    rules: "woven",
+    madeUp: "feltNonwoven",
+    label: "Nonwoven",
+    rule: "Nonwovens (heading 5603) → chapter 62, heading 6210",
+  },
+  coated: {
+    chapter: "62",
+    rules: "woven",
+    madeUp: "coated",
+    label: "Coated/laminated",
+    rule: "Coated, impregnated or laminated fabric (headings 5903, 5906, 5907) → chapter 62, heading 6210; 6113 if the base fabric is knitted",
+  },
+};
+
+// Constructions the rules can't place in chapter 61 or 62
+const UNRULED_CONSTRUCTIONS = {
+  lace: "Lace garments follow how the lace is made (knitted Raschel lace → chapter 61, other lace → chapter 62); set knit or woven to apply the rules",
+  other:
+    "Leather (4203), fur (4303), plastic (3926) and rubber (4015) garments are outside chapters 61 and 62",
+};
+
+// Heading 6210 group for a felt, nonwoven or coated garment
+const madeUpTarget = (madeUp, garmentMatch, genderGroup) => {
+  if (madeUp === "feltNonwoven") {
+    return { heading: "6210", group: "feltNonwoven" };
+  }
+  const overcoat = garmentMatch?.rule.id === "coat";
+  if (genderGroup === "men") {
+    return { heading: "6210", group: overcoat ? "overcoatsMen" : "men" };
+  }
+  return { heading: "6210", group: overcoat ? "overcoatsWomen" : "women" };
+};
+
+// GSM thresholds for weight-based alternatives
+const HEAVY_KNIT_GSM = 250;
+const LIGHT_KNIT_GSM = 160;
+const HEAVY_WOVEN_GSM = 250;
+
+const BASE_CONFIDENCE = 0.9;
+
+// Men's, women's or babies' headings; unidentifiable garments go to women's
+const resolveGender = (gender) => {
+  const value = String(gender || "").toLowerCase();
+
+  if (/\b(baby|babies|infant|infants|newborn|toddler)\b/.test(value)) {
+    return { group: "babies", rule: `"${gender}" is a babies' garment` };
+  }
+  if (
+    /\b(women|woman|womens|female|girl|girls|ladies|lady)\b|women's|girls'/.test(
+      value
+    )
+  ) {
+    return { group: "women", rule: `"${gender}" → women's or girls' headings` };
+  }
+  if (/\b(men|man|mens|male|boy|boys|gents)\b|men's|boys'/.test(value)) {
+    return { group: "men", rule: `"${gender}" → men's or boys' headings` };
+  }
+  return {
+    group: "women",
+    defaulted: true,
+    rule: `"${
+      gender || "unspecified"
+    }" can't be identified as men's or women's → women's headings (Chapter 61 Note 9 / Chapter 62 Note 8)`,
+  };
+};
+
+// Head nouns first: "dress shirt" is a shirt, "shirt dress" a dress
+const garmentTokens = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/t[\s-]?shirts?/g, "tshirt")
+    .replace(/track[\s-]?suits?/g, "tracksuit")
+    .replace(/sweat[\s-]?shirts?/g, "sweatshirt")
+    .replace(/night[\s-]?(dress|gown|shirt|wear)/g, "night$1")
+    .replace(/hooded|hoody/g, "hoodie")
+    .split(/[^a-z]+/)
+    .filter(Boolean)
+    .reverse();
+
+const matchGarment = (text) => {
+  for (const token of garmentTokens(text)) {
+    const rule = GARMENT_RULES.find((r) => r.keywords.includes(token));
+    if (rule) {
+      return { rule, token };
+    }
+  }
+  return null;
+};
+
+// Resolve a rule target ({ heading } or { men, women }) for a gender group
+const resolveTarget = (target, genderGroup) =>
+  target.heading ? target : target[genderGroup] || target.women;
+
+const buildSuggestion = (target, chief, { confidence, rationale, trace }) => {
+  const heading = HEADINGS[target.heading];
+  const table = target.group ? heading.groups[target.group] : heading;
+  const subheadings = table.subheadings;
+
+  // Pick the subheading for the chief-weight fiber, falling back to man-made
+  // fibres taken together and then to the residual "other" subheading
+  let fiberKey = "other";
+  if (chief && subheadings[chief.category]) {
+    fiberKey = chief.category;
+  } else if (
+    chief &&
+    ["synthetic", "artificial", "mmf"].includes(chief.category) &&
+    subheadings.mmf
+  ) {
+    fiberKey = "mmf";
+  }
+
+  // Swimwear and heading 6210 subheadings don't split by fiber
+  const byFiber = Object.keys(subheadings).length > 1;
+
+  const code = `${target.heading}${subheadings[fiberKey]}00`;
+  const description = `${heading.description}${
+    target.group ? ` - ${table.label}` : ""
+  }${
+    !byFiber
+      ? ""
+      : fiberKey === "other"
+      ? " - of other textile materials"
+      : ` - of ${FIBER_LABELS[fiberKey]}`
+  }`;
+
+  return {
+    code,
+    description,
+    confidence: Math.round(Math.max(0.05, Math.min(1, confidence)) * 100) / 100,
+    rationale,
+    ruleTrace: [
+      ...trace,
+      {
+        step: "subheading",
+        rule: !byFiber
+          ? "Subheading doesn't depend on fiber content"
+          : chief
+          ? `Chief weight ${chief.percentage}% ${FIBER_LABELS[chief.category]}${
+              chief.tie
+                ? " (equal shares, last in tariff order per Section XI Note 2)"
+                : ""
+            } → "${FIBER_LABELS[fiberKey]}" subheading`
+          : `No recognised fibers → residual "other" subheading`,
+        result: `${target.heading}.${subheadings[fiberKey]}`,
+      },
+    ],
+  };
+};
+
+// Chief weight determined the way the heading's subheadings split
+const chiefFor = (target, materialPercentage) => {
+  const heading = HEADINGS[target.heading];
+  const subheadings = target.group
+    ? heading.groups[target.group].subheadings
+    : heading.subheadings;
+  return chiefWeightFiber(materialPercentage, {
+    combineManMade: Boolean(subheadings.mmf),
+  });
+};
+
+/**
+ * Classify a tech pack by the chapter 61/62 heading structure
+ * @param {Object} techPackInfo - Tech pack summary
+ * @returns {Object} - { chapter, suggestions, trace } where each suggestion
+ *   carries the ruleTrace that produced it
+ */
+export const classifyByRules = (techPackInfo) => {
+  const trace = [];
+  const construction =
+    CONSTRUCTIONS[String(techPackInfo.fabricType || "").toLowerCase()];
+
+  // Step 1: chapter from the fabric construction
+  if (!construction) {
+    trace.push({
+      step: "chapter",
+      rule:
+        UNRULED_CONSTRUCTIONS[techPackInfo.fabricType] ||
+        `Fabric type "${techPackInfo.fabricType}" is outside chapters 61 and 62`,
+      result: null,
+    });
+    return { chapter: null, suggestions: [], trace };
+  }
+  // Knit or woven garment rules for the chapter
+  const fabricType = construction.rules;
+  const { chapter } = construction;
+  trace.push({ step: "chapter", rule: construction.rule, result: chapter });
+
+  // Step 2: men's, women's or babies' headings
+  const gender = resolveGender(techPackInfo.gender);
+  trace.push({ step: "gender", rule: gender.rule, result: gender.group });
+
+  // Step 3: heading from the garment family
+  let confidence = BASE_CONFIDENCE;
+  let target;
+  let garmentLabel;
+  const garmentMatch =
+    matchGarment(techPackInfo.garmentType) ||
+    matchGarment(techPackInfo.description);
+  const fromDescription =
+    garmentMatch && !matchGarment(techPackInfo.garmentType);
+
+  if (gender.group === "babies") {
+    target = BABY_HEADINGS[fabricType];
+    garmentLabel = "babies' garments";
+    trace.push({
+      step: "heading",
+      rule: `Babies' garments take precedence over other headings (Chapter ${chapter} Note)`,
+      result: target.heading,
+    });
+  } else if (construction.madeUp) {
+    target = madeUpTarget(construction.madeUp, garmentMatch, gender.group);
+    garmentLabel = HEADINGS["6210"].groups[target.group].label;
+    trace.push({
+      step: "heading",
+      rule: `${
+        construction.label
+      } garments take heading 6210 over the other chapter 62 headings (Chapter 62 Note 5)${
+        garmentMatch
+          ? `; "${garmentMatch.token}" → ${garmentMatch.rule.label}`
+          : ""
+      }`,
+      result: `6210 (${garmentLabel})`,
+    });
+  } else if (garmentMatch && !garmentMatch.rule[fabricType]) {
+    trace.push({
+      step: "heading",
+      rule: `"${garmentMatch.token}" → ${garmentMatch.rule.label}: ${garmentMatch.rule.unruled}`,
+      result: null,
+    });
+    return { chapter, suggestions: [], trace };
+  } else if (garmentMatch) {
+    target = resolveTarget(garmentMatch.rule[fabricType], gender.group);
+    garmentLabel = garmentMatch.rule.label;
+    trace.push({
+      step: "heading",
+      rule: `"${garmentMatch.token}" in ${
+        fromDescription ? "description" : "garment type"
+      } → ${garmentMatch.rule.label}`,
+      result: target.group
+        ? `${target.heading} (${
+            HEADINGS[target.heading].groups[target.group].label
+          })`
+        : target.heading,
+    });
+    if (fromDescription) {
+      confidence -= 0.1;
+    }
+  } else {
+    target = resolveTarget(OTHER_GARMENTS[fabricType], gender.group);
+    garmentLabel = "other garments";
+    confidence -= 0.3;
+    trace.push({
+      step: "heading",
+      rule: `"${techPackInfo.garmentType}" matches no specific heading → other garments`,
+      result: target.heading,
+    });
+  }
+
+  if (gender.defaulted) {
+    confidence -= 0.1;
+  }
+
+  // Step 4: subheading from the chief-weight fiber
+  const chief = chiefFor(target, techPackInfo.materialPercentage);
+  if (!chief) {
+    confidence -= 0.15;
+  } else if (chief.tie) {
+    confidence -= 0.05;
+  }
+
+  const rationale = [
+    `${construction.label} → chapter ${chapter}`,
+    `${garmentLabel} → heading ${target.heading}`,
+    chief
+      ? `Chief weight: ${chief.percentage}% ${FIBER_LABELS[chief.category]}`
+      : "Fiber content not recognised",
+  ];
+  const primary = buildSuggestion(target, chief, {
+    confidence,
+    rationale,
+    trace: [...trace],
+  });
+  const suggestions = [primary];
+
+  // Step 5: GSM-based alternatives where weight changes the usual reading
+  const gsm = Number(techPackInfo.gsm) || null;
+  const addAlternative = (alternativeTarget, rule, altConfidence, label) => {
+    const alternative = buildSuggestion(
+      alternativeTarget,
+      chiefFor(alternativeTarget, techPackInfo.materialPercentage),
+      {
+        confidence: altConfidence,
+        rationale: [label, `GSM ${gsm}`],
+        trace: [
+          ...trace.filter((step) => step.step !== "heading"),
+          { step: "gsm", rule, result: alternativeTarget.heading },
+        ],
+      }
+    );
+    if (!suggestions.some((s) => s.code === alternative.code)) {
+      suggestions.push(alternative);
+    }
+  };
+
+  if (!gsm) {
+    primary.ruleTrace.push({
+      step: "gsm",
+      rule: "GSM not specified, no weight-based alternatives",
+      result: null,
+    });
+  } else if (
+    fabricType === "knit" &&
+    target.heading === "6109" &&
+    gsm >= HEAVY_KNIT_GSM
+  ) {
+    addAlternative(
+      { heading: "6110" },
+      `${gsm} GSM knit top (≥ ${HEAVY_KNIT_GSM}) is often a sweatshirt → 6110`,
+      0.45,
+      "Heavy knit top"
+    );
+  } else if (
+    fabricType === "knit" &&
+    target.heading === "6110" &&
+    gsm < LIGHT_KNIT_GSM
+  ) {
+    addAlternative(
+      { heading: "6109" },
+      `${gsm} GSM knit (< ${LIGHT_KNIT_GSM}) is light for a pullover → 6109`,
+      0.35,
+      "Light knit top"
+    );
+  } else if (
+    fabricType === "woven" &&
+    ["6205", "6206"].includes(target.heading) &&
+    gsm >= HEAVY_WOVEN_GSM
+  ) {
+    addAlternative(
+      resolveTarget(
+        GARMENT_RULES.find((r) => r.id === "coat").woven,
+        gender.group
+      ),
+      `${gsm} GSM woven shirt (≥ ${HEAVY_WOVEN_GSM}) may be an overshirt/shirt-jacket → anorak heading`,
+      0.35,
+      "Heavy woven shirt"
+    );
+  } else {
+    primary.ruleTrace.push({
+      step: "gsm",
+      rule: `${gsm} GSM doesn't change the heading`,
+      result: null,
+    });
+  }
+
+  // Coated fabric on a knitted base: heading 6113 in chapter 61
+  if (construction.madeUp === "coated" && gender.group !== "babies") {
+    const alternative = buildSuggestion({ heading: "6113" }, chief, {
+      confidence: confidence - 0.35,
+      rationale: [
+        "Coated or laminated knitted fabric → heading 6113",
+        ...rationale.slice(2),
+      ],
+      trace: [
+        ...trace.filter((step) => step.step !== "heading"),
+        {
+          step: "heading",
+          rule: "Alternative if the coated or laminated base fabric is knitted (Chapter 61 Note 8)",
+          result: "6113",
+        },
+      ],
+    });
+    suggestions.push(alternative);
+  }
+
+  // Unidentified gender: also offer the men's heading
+  if (gender.defaulted && (garmentMatch || construction.madeUp === "coated")) {
+    const menTarget = construction.madeUp
+      ? madeUpTarget(construction.madeUp, garmentMatch, "men")
+      : resolveTarget(garmentMatch.rule[fabricType], "men");
+    if (
+      menTarget.heading !== target.heading ||
+      menTarget.group !== target.group
+    ) {
+      const alternative = buildSuggestion(
+        menTarget,
+        chiefFor(menTarget, techPackInfo.materialPercentage),
+        {
+          confidence: confidence - 0.3,
+          rationale: [
+            "Men's heading, if the garment is men's",
+            ...rationale.slice(2),
+          ],
+          trace: [
+            ...trace.filter((step) => step.step !== "gender"),
+            {
+              step: "gender",
+              rule: "Alternative if identified as men's",
+              result: "men",
+            },
+          ],
+        }
+      );
+      suggestions.push(alternative);
+    }
+  }
+
+  console.log(
+    `📐 Rule engine: chapter ${chapter}, ${suggestions
+      .map((s) => s.code)
+      .join(", ")}`
+  );
+
+  return { chapter, suggestions, trace: primary.ruleTrace };
+};
+
+// Small boost when the rule engine independently lands on the same code
+const AGREEMENT_BONUS = 0.05;
+
+/**
+ * Merge rule engine suggestions into the RAG suggestions. Codes found by
+ * both are marked suggestedBy "both"; rule-only codes are appended.
+ * @param {Array} ragSuggestions - Validated RAG suggestions
+ * @param {Array} ruleSuggestions - Validated rule engine suggestions
+ * @returns {Array} - Merged suggestions
+ */
+export const mergeRuleSuggestions = (ragSuggestions, ruleSuggestions) => {
+  const merged = ragSuggestions.map((s) => ({ ...s, suggestedBy: "rag" }));
+
+  ruleSuggestions.forEach((rule) => {
+    const index = merged.findIndex((s) => s.code === rule.code);
+    if (index === -1) {
+      merged.push({ ...rule, suggestedBy: "rules" });
+      return;
+    }
+
+    const existing = merged[index];
+    merged[index] = {
+      ...existing,
+      confidence:
+        Math.round(
+          Math.min(
+            1,
+            Math.max(existing.confidence, rule.confidence) + AGREEMENT_BONUS
+          ) * 100
+        ) / 100,
+      rationale: [...(existing.rationale || []), "Rule engine agrees"],
+      ruleTrace: rule.ruleTrace,
+      suggestedBy: "both",
+    };
+  });
+
+  return merged;
+};
@@ -0,0 +1,193 @@
+import { EventEmitter } from "events";
+import crypto from "crypto";
+
+// Processing job statuses reported by GET /api/techpack/process/:id
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  EXTRACTING: "extracting",
+  ANALYZING: "analyzing",
+  CLASSIFYING: "classifying",
+  DONE: "done",
+  FAILED: "failed",
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.FAILED];
+
+/**
+ * In-process background job queue for tech pack uploads and HS code
+ * classifications. Jobs run one after another (or up to `concurrency` at a
+ * time) outside of the HTTP request, and finished jobs are kept for
+ * `jobTtlMs` so clients can poll their result.
+ *
+ * Emits "update" with a job snapshot whenever a job changes, and "progress"
+ * with { jobId, event } for every pipeline stage event. Every open SSE stream
+ * listens to both, so up to `maxSubscribers` streams are expected.
+ */
+export class JobQueue extends EventEmitter {
+  constructor({
+    concurrency = 1,
+    jobTtlMs = 60 * 60 * 1000,
+    maxSubscribers = 100,
+  } = {}) {
+    super();
+    this.setMaxListeners(maxSubscribers);
+    this.concurrency = concurrency;
+    this.jobTtlMs = jobTtlMs;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+
+    // Periodically drop finished jobs that nobody asked for in time
+    this.cleanupTimer = setInterval(() => this.pruneFinishedJobs(), 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (e.g. "upload", "classification")
+   * @param {Function} handler - async (context) => result
+   * @returns {Object} - Public snapshot of the queued job
+   */
+  enqueue(type, handler) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: JOB_STATUS.QUEUED,
+      events: [],
+      partialResult: {},
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+    };
+
+    this.jobs.set(job.id, { job, handler });
+    this.pending.push(job.id);
+    console.log(`📥 Queued ${type} job ${job.id}`);
+
+    setImmediate(() => this.runNext());
+    return this.toSnapshot(job);
+  }
+
+  getJob(id) {
+    const entry = this.jobs.get(id);
+    return entry ? this.toSnapshot(entry.job) : null;
+  }
+
+  async runNext() {
+    if (this.running >= this.concurrency || this.pending.length === 0) {
+      return;
+    }
+
+    const id = this.pending.shift();
+    const entry = this.jobs.get(id);
+    if (!entry) {
+      return this.runNext();
+    }
+
+    this.running++;
+    const { job, handler } = entry;
+
+    // Context handed to the job handler to report progress
+    const context = {
+      jobId: job.id,
+      setStatus: (status) => this.updateJob(job, { status }),
+      setPartialResult: (partial) =>
+        this.updateJob(job, {
+          partialResult: { ...job.partialResult, ...partial },
+        }),
+      emitProgress: (stage, message, data = {}) =>
+        this.addProgressEvent(job, { stage, message, data }),
+    };
+
+    try {
+      console.log(`⚙️ Running ${job.type} job ${job.id}`);
+      const result = await handler(context);
+      this.updateJob(job, {
+        status: JOB_STATUS.DONE,
+        result,
+        completedAt: new Date().toISOString(),
+      });
+      console.log(`✅ ${job.type} job ${job.id} completed`);
+    } catch (error) {
+      console.error(`❌ ${job.type} job ${job.id} failed:`, error);
+      this.updateJob(job, {
+        status: JOB_STATUS.FAILED,
+        error: error.message,
+        completedAt: new Date().toISOString(),
+      });
+    } finally {
+      this.running--;
+      setImmediate(() => this.runNext());
+    }
+  }
+
+  updateJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.emit("update", this.toSnapshot(job));
+  }
+
+  // Record a pipeline stage event and notify live subscribers (SSE)
+  addProgressEvent(job, { stage, message, data }) {
+    const event = {
+      stage,
+      status: job.status,
+      message,
+      data,
+      timestamp: new Date().toISOString(),
+    };
+    job.events.push(event);
+    this.emit("progress", { jobId: job.id, event });
+  }
+
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  pruneFinishedJobs() {
+    const cutoff = Date.now() - this.jobTtlMs;
+
+    for (const [id, { job }] of this.jobs) {
+      if (
+        this.isFinished(job) &&
+        new Date(job.completedAt).getTime() < cutoff
+      ) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  toSnapshot(job) {
+    return {
+      ...job,
+      events: [...job.events],
+      partialResult: { ...job.partialResult },
+    };
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      queued: this.pending.length,
+      tracked: this.jobs.size,
+      concurrency: this.concurrency,
+    };
+  }
+}
+
+// Shared queue used by the tech pack controllers
+let jobQueueInstance = null;
+export const getJobQueue = () => {
+  if (!jobQueueInstance) {
+    jobQueueInstance = new JobQueue({
+      concurrency: parseInt(process.env.JOB_CONCURRENCY) || 1,
+      jobTtlMs: parseInt(process.env.JOB_TTL_MS) || 60 * 60 * 1000,
+      maxSubscribers: parseInt(process.env.JOB_MAX_SUBSCRIBERS) || 100,
+    });
+  }
+  return jobQueueInstance;
+};
+
+export default getJobQueue;
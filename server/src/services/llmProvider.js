@@ -0,0 +1,270 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import axios from "axios";
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { SimpleChatModel } from "@langchain/core/language_models/chat_models";
+import { getRedactor } from "./redaction.js";
+
+const DEFAULT_MODEL = "gemini-2.5-flash";
+const DEFAULT_TEMPERATURE = 0.1;
+
+// LangChain message types mapped to OpenAI chat roles
+const OPENAI_ROLES = {
+  human: "user",
+  ai: "assistant",
+  system: "system",
+};
+
+const messageText = (message) =>
+  typeof message.content === "string"
+    ? message.content
+    : JSON.stringify(message.content);
+
+// Multimodal content parts in OpenAI form ({ type: "image_url", image_url: { url } })
+const toOpenAIContent = (content) =>
+  typeof content === "string"
+    ? content
+    : content.map((part) =>
+        part.type === "image_url" && typeof part.image_url === "string"
+          ? { type: "image_url", image_url: { url: part.image_url } }
+          : part
+      );
+
+/**
+ * Chat model for any OpenAI-compatible /chat/completions endpoint
+ * (llama.cpp server, Ollama, vLLM, OpenAI itself, ...)
+ */
+export class OpenAICompatibleChatModel extends SimpleChatModel {
+  constructor({ baseUrl, apiKey, model, temperature, timeout = 120000 }) {
+    super({});
+    if (!baseUrl) {
+      throw new Error(
+        "OPENAI_COMPATIBLE_BASE_URL is required for the openai LLM provider"
+      );
+    }
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.model = model;
+    this.temperature = temperature;
+    this.timeout = timeout;
+  }
+
+  _llmType() {
+    return "openai-compatible";
+  }
+
+  async _call(messages) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: this.model,
+        temperature: this.temperature,
+        messages: messages.map((message) => ({
+          role: OPENAI_ROLES[message._getType()] || "user",
+          content: toOpenAIContent(message.content),
+        })),
+      },
+      {
+        timeout: this.timeout,
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      }
+    );
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (typeof content !== "string") {
+      throw new Error("OpenAI-compatible endpoint returned no message content");
+    }
+    return content;
+  }
+}
+
+/**
+ * Record/replay chat model. Responses are stored as JSON files keyed by a
+ * hash of the prompt messages, so the pipeline can run without network:
+ * - "record": call the wrapped model and save its response
+ * - "replay": answer from the saved fixture, fail if none exists
+ */
+export class FixtureChatModel extends SimpleChatModel {
+  constructor({ fixturesDir, mode = "replay", sourceModel = null }) {
+    super({});
+    if (mode === "record" && !sourceModel) {
+      throw new Error("Recording LLM fixtures requires a source provider");
+    }
+    this.fixturesDir = fixturesDir;
+    this.mode = mode;
+    this.sourceModel = sourceModel;
+  }
+
+  _llmType() {
+    return "fixture";
+  }
+
+  static fixtureKey(messages) {
+    const prompt = messages
+      .map((message) => `${message._getType()}:${messageText(message)}`)
+      .join("\n");
+    return crypto.createHash("sha256").update(prompt).digest("hex");
+  }
+
+  async _call(messages) {
+    const key = FixtureChatModel.fixtureKey(messages);
+    const fixturePath = path.join(this.fixturesDir, `${key}.json`);
+
+    if (this.mode === "replay") {
+      if (!fs.existsSync(fixturePath)) {
+        throw new Error(
+          `No LLM fixture for prompt ${key} in ${this.fixturesDir} (record it with LLM_FIXTURE_MODE=record)`
+        );
+      }
+      const fixture = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+      console.log(`📼 Replaying LLM fixture ${key.substring(0, 12)}`);
+      return fixture.response;
+    }
+
+    const result = await this.sourceModel.invoke(messages);
+    const response = messageText(result);
+
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(
+      fixturePath,
+      JSON.stringify(
+        {
+          key,
+          prompt: messages.map((message) => ({
+            role: message._getType(),
+            content: messageText(message),
+          })),
+          response,
+          recordedAt: new Date().toISOString(),
+        },
+        null,
+        2
+      )
+    );
+    console.log(`💾 Recorded LLM fixture ${key.substring(0, 12)}`);
+    return response;
+  }
+}
+
+/**
+ * Chat model wrapper that masks sensitive values in every prompt before it
+ * reaches the wrapped model and restores them in the response (see
+ * redaction.js). Images can't be masked, so messages with image parts are
+ * refused unless the redactor allows images (REDACTION_ALLOW_IMAGES).
+ */
+export class RedactingChatModel extends SimpleChatModel {
+  constructor({ model, redactor }) {
+    super({});
+    this.model = model;
+    this.redactor = redactor;
+  }
+
+  // Called by the base constructor, before this.model is set
+  _llmType() {
+    return this.model ? `redacted-${this.model._llmType()}` : "redacted";
+  }
+
+  async _call(messages) {
+    const hasImages = messages.some(
+      (message) =>
+        Array.isArray(message.content) &&
+        message.content.some((part) => part.type !== "text")
+    );
+    if (hasImages && !this.redactor.allowImages) {
+      throw new Error(
+        "Images can't be redacted before they reach the chat model; set REDACTION_ALLOW_IMAGES=true to send them anyway"
+      );
+    }
+
+    const session = this.redactor.createSession();
+    const redacted = messages.map(
+      (message) =>
+        new message.constructor({
+          content:
+            typeof message.content === "string"
+              ? session.redact(message.content)
+              : message.content.map((part) =>
+                  part.type === "text"
+                    ? { ...part, text: session.redact(part.text) }
+                    : part
+                ),
+          additional_kwargs: message.additional_kwargs,
+        })
+    );
+
+    const result = await this.model.invoke(redacted);
+    return session.restore(messageText(result));
+  }
+}
+
+const createProviderModel = (provider, { model, temperature }) => {
+  switch (provider) {
+    case "gemini": {
+      const apiKey = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
+      if (!apiKey) {
+        throw new Error("GEMINI_API_KEY is not configured");
+      }
+      return new ChatGoogleGenerativeAI({
+        modelName: model,
+        temperature,
+        apiKey,
+      });
+    }
+
+    case "openai":
+      return new OpenAICompatibleChatModel({
+        baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+        apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+        model,
+        temperature,
+      });
+
+    case "fixture": {
+      const mode = process.env.LLM_FIXTURE_MODE || "replay";
+      return new FixtureChatModel({
+        fixturesDir: path.resolve(
+          process.env.LLM_FIXTURES_DIR || "./fixtures/llm"
+        ),
+        mode,
+        sourceModel:
+          mode === "record"
+            ? createProviderModel(process.env.LLM_FIXTURE_SOURCE || "gemini", {
+                model,
+                temperature,
+              })
+            : null,
+      });
+    }
+
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+};
+
+/**
+ * Create the chat model selected by configuration (LLM_PROVIDER)
+ * @param {Object} options - { temperature } overrides
+ * @returns {BaseChatModel} - LangChain chat model usable in chains
+ */
+export const createChatModel = ({ temperature } = {}) => {
+  const provider = process.env.LLM_PROVIDER || "gemini";
+  const model = process.env.LLM_MODEL || DEFAULT_MODEL;
+  const envTemperature = parseFloat(process.env.LLM_TEMPERATURE);
+
+  const chatModel = createProviderModel(provider, {
+    model,
+    temperature:
+      temperature ??
+      (Number.isNaN(envTemperature) ? DEFAULT_TEMPERATURE : envTemperature),
+  });
+
+  // Buyer NDAs forbid sending contact details, prices and names to
+  // third-party models
+  const redactor = getRedactor();
+  return redactor.enabled
+    ? new RedactingChatModel({ model: chatModel, redactor })
+    : chatModel;
+};
+
+export default createChatModel;
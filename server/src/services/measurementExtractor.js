@@ -0,0 +1,427 @@
+/**
+ * Point-of-measure (POM) tables: the graded measurement chart of a tech pack
+ * (chest, body length, sleeve, ...) with a tolerance and one value per size.
+ * Typed workbook sheets are read as they are; PDF and Word text is parsed
+ * deterministically first, and the measurement sections are handed to the
+ * model only when no table could be read.
+ */
+
+import { PromptTemplate } from "@langchain/core/prompts";
+import { createChatModel } from "./llmProvider.js";
+import { splitIntoSections } from "./techPackSections.js";
+import { SIZE_HEADER } from "./spreadsheetParser.js";
+import {
+  screenDocument,
+  delimitDocument,
+  UNTRUSTED_CONTENT_RULE,
+} from "./promptInjection.js";
+import { invokeStructured } from "./structuredOutput.js";
+import { measurementResponseSchema } from "../schemas/index.js";
+
+// Header lines name the table's columns before the sizes
+const HEADER_KEYWORDS =
+  /\b(pom|point of measure(ment)?|measurements?|description|tol(erance)?|code)\b/i;
+
+// Consecutive lines that aren't table rows end a text table
+const MAX_GAP_LINES = 3;
+
+// POM codes such as "A", "B1", "POM-12", "HPS01"
+const POM_CODE = /^([A-Z]{1,4}[-.]?\d{0,3}[A-Z]?|\d{1,3}[A-Z]?)$/;
+
+const UNICODE_FRACTIONS = {
+  "½": 0.5,
+  "¼": 0.25,
+  "¾": 0.75,
+  "⅛": 0.125,
+  "⅜": 0.375,
+  "⅝": 0.625,
+  "⅞": 0.875,
+};
+
+// "27", "27.5", "27,5", "27 1/2", "27-1/2", "27½" or "1/2", optionally
+// followed by a unit
+const MEASUREMENT_VALUE =
+  /^(\d+(?:[.,]\d+)?)?(?:[\s-]*(?:(\d+)\/(\d+)|([½¼¾⅛⅜⅝⅞])))?\s*(?:cm|mm|in|inch(?:es)?|")?$/i;
+
+const TEXT_PAGE_MARKER = /^-{3}\s*(?:Page|Image)\s+(\d+)\s*-{3}$/i;
+
+/**
+ * Parse one measurement, fractions included
+ * @param {string|number} value - Cell text, e.g. "27 1/2" or "68,5"
+ * @returns {number|null}
+ */
+export const parseMeasurementValue = (value) => {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  const text = String(value ?? "").trim();
+  const match = text.match(MEASUREMENT_VALUE);
+  if (!text || !match) return null;
+
+  const [, whole, numerator, denominator, glyph] = match;
+  if (!whole && !numerator && !glyph) return null;
+  if (numerator && parseInt(denominator) === 0) return null;
+
+  const fraction = numerator
+    ? parseInt(numerator) / parseInt(denominator)
+    : UNICODE_FRACTIONS[glyph] || 0;
+  const result = parseFloat((whole || "0").replace(",", ".")) + fraction;
+  return Math.round(result * 1000) / 1000;
+};
+
+/**
+ * Parse a tolerance such as "±1", "+/- 1/2", "-1/+0.5" or a plain "1"
+ * @param {string|number} value - Tolerance cell text
+ * @returns {Object|null} - { minus, plus }
+ */
+export const parseTolerance = (value) => {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+
+  const symmetric = text.match(/^(?:±|\+\s*\/?\s*-)\s*(.+)$/);
+  if (symmetric) {
+    const amount = parseMeasurementValue(symmetric[1]);
+    return amount === null ? null : { minus: amount, plus: amount };
+  }
+
+  // Signed parts, e.g. ["-1", "+0.5"] or ["+1/2"]
+  const parts = text.split(/\s*\/\s*(?=[+-])|\s+(?=[+-])/);
+  if (parts.every((part) => /^[+-]/.test(part))) {
+    const result = { minus: 0, plus: 0 };
+    for (const part of parts) {
+      const amount = parseMeasurementValue(part.slice(1));
+      if (amount === null) return null;
+      result[part.startsWith("-") ? "minus" : "plus"] = amount;
+    }
+    return result;
+  }
+
+  const amount = parseMeasurementValue(text);
+  return amount === null ? null : { minus: amount, plus: amount };
+};
+
+// Unit named in a header or title, e.g. "Measurements (cm)" or "in inches"
+const unitIn = (text) => {
+  if (/\b(cm|cms|centimet(er|re)s?)\b/i.test(text)) return "cm";
+  if (/\b(inch(es)?|ins?)\b|"/i.test(text)) return "in";
+  return null;
+};
+
+// Charts without a declared unit: fractions are only used in inches, and
+// body lengths above 45 are only plausible in centimetres
+const inferUnit = (points, sources) => {
+  if (
+    sources.some((source) => /\d\s*[-\s]\s*\d+\/\d+|[½¼¾⅛⅜⅝⅞]/.test(source))
+  ) {
+    return "in";
+  }
+  const largest = Math.max(
+    0,
+    ...points.flatMap((point) => Object.values(point.values))
+  );
+  return largest >= 45 ? "cm" : null;
+};
+
+const toPoint = ({ code, description, tolerance, values }) => ({
+  code: code ? String(code).trim() : null,
+  description: String(description || code || "").trim(),
+  tolerance: parseTolerance(tolerance),
+  values: Object.fromEntries(
+    Object.entries(values || {})
+      .map(([size, value]) => [
+        String(size).trim(),
+        parseMeasurementValue(value),
+      ])
+      .filter(([, value]) => value !== null)
+  ),
+});
+
+// Sizes in the order they first appear
+const sizesOf = (points) => [
+  ...new Set(points.flatMap((point) => Object.keys(point.values))),
+];
+
+const buildTable = (rows, { unit, source }) => {
+  const points = rows
+    .map(toPoint)
+    .filter(
+      (point) => point.description && Object.keys(point.values).length > 0
+    );
+  if (points.length === 0) return null;
+
+  const rawValues = rows.flatMap((row) =>
+    Object.values(row.values || {}).map(String)
+  );
+  return {
+    unit: unit || inferUnit(points, rawValues),
+    sizes: sizesOf(points),
+    points,
+    source,
+  };
+};
+
+/**
+ * Measurement table of a workbook's typed POM sheets
+ * @param {Object} spreadsheet - parseWorkbook result
+ * @returns {Object|null} - { unit, sizes, points, source: "spreadsheet" }
+ */
+export const measurementsFromWorkbook = (spreadsheet) =>
+  spreadsheet?.measurements?.length > 0
+    ? buildTable(spreadsheet.measurements, {
+        unit: unitIn(spreadsheet.measurementTitle || ""),
+        source: "spreadsheet",
+      })
+    : null;
+
+// Split a text line into cells: on column separators when the line has
+// them, otherwise on spaces with mixed numbers ("27 1/2") and signs
+// ("+/- 1") kept together
+const splitCells = (line) => {
+  const cells = line
+    .split(/\s*(?:\||\t|\s{2,})\s*/)
+    .map((cell) => cell.trim())
+    .filter(Boolean);
+  if (cells.length > 2) return cells;
+
+  const tokens = line.trim().split(/\s+/);
+  const merged = [];
+  tokens.forEach((token) => {
+    const previous = merged[merged.length - 1];
+    if (
+      previous &&
+      ((/^\d+$/.test(previous) && /^\d+\/\d+$/.test(token)) ||
+        (/^(±|\+\/?-|-\/\+)$/.test(previous) && /^[\d½¼¾⅛⅜⅝⅞]/.test(token)))
+    ) {
+      merged[merged.length - 1] = `${previous} ${token}`;
+    } else {
+      merged.push(token);
+    }
+  });
+  return merged;
+};
+
+// Table header: column names followed by at least two sizes
+const parseHeader = (line) => {
+  const cells = splitCells(line);
+  let first = cells.length;
+  while (first > 0 && SIZE_HEADER.test(cells[first - 1])) first--;
+
+  const sizes = cells.slice(first);
+  const labels = cells.slice(0, first).join(" ");
+  const lettered = sizes.every((size) => /[a-z]/i.test(size));
+  if (
+    sizes.length < 2 ||
+    !(HEADER_KEYWORDS.test(labels) || (lettered && sizes.length >= 3))
+  ) {
+    return null;
+  }
+
+  return { sizes, hasTolerance: /\btol(erance)?\b/i.test(labels) };
+};
+
+// Table row: [code] description [tolerance] and one value per size
+const parseRow = (line, { sizes, hasTolerance }) => {
+  const cells = splitCells(line);
+  const valueCells = cells.slice(-sizes.length);
+  if (
+    cells.length <= sizes.length ||
+    valueCells.some((cell) => parseMeasurementValue(cell) === null)
+  ) {
+    return null;
+  }
+
+  const labels = cells.slice(0, -sizes.length);
+  const tolerance =
+    hasTolerance && labels.length > 1 && parseTolerance(labels.at(-1))
+      ? labels.pop()
+      : null;
+  const code =
+    labels.length > 1 && POM_CODE.test(labels[0]) ? labels.shift() : null;
+  const description = labels.join(" ");
+  if (!/[a-z]/i.test(description)) return null;
+
+  return {
+    code,
+    description,
+    tolerance,
+    values: Object.fromEntries(sizes.map((size, i) => [size, valueCells[i]])),
+  };
+};
+
+/**
+ * Read measurement tables from extracted PDF or Word text. Tables repeated
+ * over several pages are merged; a table ends after a few lines that
+ * aren't rows of it.
+ * @param {string} text - Extracted document text
+ * @returns {Object|null} - { unit, sizes, points, source: "text", pages }
+ */
+export const parseMeasurementText = (text) => {
+  const rows = [];
+  const pages = new Set();
+  let unit = null;
+  let page = 1;
+  let table = null;
+  let gap = 0;
+  let previousLine = "";
+
+  String(text || "")
+    .split("\n")
+    .forEach((rawLine) => {
+      const line = rawLine.trim();
+      const pageMatch = line.match(TEXT_PAGE_MARKER);
+      if (pageMatch) {
+        page = parseInt(pageMatch[1]);
+        return;
+      }
+      if (!line) return;
+
+      // Rows are tried first: a row with numeric values could pass for a
+      // header of numeric sizes
+      const row = table && parseRow(line, table);
+      const header = !row && parseHeader(line);
+      if (row) {
+        rows.push(row);
+        pages.add(page);
+        gap = 0;
+      } else if (header) {
+        table = header;
+        gap = 0;
+        unit = unit || unitIn(line) || unitIn(previousLine);
+      } else if (table && ++gap >= MAX_GAP_LINES) {
+        table = null;
+      }
+      previousLine = line;
+    });
+
+  const result = buildTable(rows, { unit, source: "text" });
+  return result && { ...result, pages: [...pages] };
+};
+
+const measurementPrompt = PromptTemplate.fromTemplate(`
+You are reading the measurement chart (points of measure) of a garment tech pack.
+
+${UNTRUSTED_CONTENT_RULE}
+
+Measurement section:
+{section_content}
+
+List every point of measure with its code, description, tolerance and the
+value for each size exactly as written (keep fractions such as "27 1/2").
+Respond with a JSON object in this exact format:
+{{
+  "unit": "cm" or "in" or null,
+  "points": [
+    {{"code": "string or null", "description": "string", "tolerance": "string or null", "values": {{"<size>": "string"}}}}
+  ]
+}}
+Respond with {{"unit": null, "points": []}} when the section has no measurement table.
+`);
+
+// "auto" reads text tables and falls back to the model, "rules" never calls
+// the model, "off" skips measurement extraction
+const getMeasurementMode = () => process.env.MEASUREMENT_EXTRACTION || "auto";
+
+// Model reading of the measurement sections, when the text had no
+// recognizable table. Instruction-like passages were already reported by
+// the main extraction; here they are only removed.
+const extractWithModel = async (text) => {
+  const sections = splitIntoSections(screenDocument(text).text).filter(
+    (section) => section.type === "measurements"
+  );
+  if (sections.length === 0) return null;
+
+  const model = createChatModel({ temperature: 0 });
+
+  const rows = [];
+  let unit = null;
+  for (const section of sections) {
+    try {
+      const { value: parsed } = await invokeStructured(
+        model,
+        await measurementPrompt.format({
+          section_content: delimitDocument(section.text),
+        }),
+        measurementResponseSchema,
+        { label: `Measurements of ${section.title}` }
+      );
+      unit = unit || parsed.unit;
+      rows.push(...parsed.points);
+    } catch (error) {
+      // An unreadable section leaves the others
+      console.warn(
+        `⚠️ Measurement extraction of ${section.title} failed:`,
+        error.message
+      );
+    }
+  }
+
+  const result = buildTable(rows, { unit, source: "model" });
+  return (
+    result && {
+      ...result,
+      pages: [...new Set(sections.map((section) => section.pageStart))],
+    }
+  );
+};
+
+/**
+ * Extract the measurement (POM) table of a tech pack
+ * @param {string} text - Extracted text of the tech pack (or of one style)
+ * @param {Object} spreadsheet - parseWorkbook result for Excel uploads, or null
+ * @returns {Promise<Object|null>} - { unit, sizes, points: [{ code, description, tolerance, values }], source }, or null when the tech pack has none
+ */
+export const extractMeasurements = async (text, spreadsheet = null) => {
+  const mode = getMeasurementMode();
+  if (mode === "off") return null;
+
+  const measurements =
+    measurementsFromWorkbook(spreadsheet) || parseMeasurementText(text);
+  if (measurements || mode === "rules") {
+    return measurements;
+  }
+
+  try {
+    return await extractWithModel(text);
+  } catch (error) {
+    console.warn("⚠️ Measurement extraction failed:", error.message);
+    return null;
+  }
+};
+
+// Quote cells with separators, and keep spreadsheet apps from reading
+// document text as a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value !== "number" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Size spec as CSV: one row per point of measure, one column per size
+ * @param {Object} measurements - extractMeasurements result
+ * @returns {string}
+ */
+export const measurementsToCsv = ({ unit, sizes, points }) => {
+  const suffix = unit ? ` (${unit})` : "";
+  const header = [
+    "POM",
+    "Description",
+    `Tolerance -${suffix}`,
+    `Tolerance +${suffix}`,
+    ...sizes.map((size) => `${size}${suffix}`),
+  ];
+  const rows = points.map((point) => [
+    point.code,
+    point.description,
+    point.tolerance?.minus,
+    point.tolerance?.plus,
+    ...sizes.map((size) => point.values[size]),
+  ]);
+  return [header, ...rows]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n");
+};
@@ -0,0 +1,238 @@
+// Pages rendered at 2x (~144 DPI) read noticeably better than the 72 DPI default
+const RENDER_SCALE = 2;
+
+const getOcrConfig = () => ({
+  enabled: process.env.OCR_ENABLED !== "false",
+  languages: process.env.OCR_LANGUAGES || "eng",
+  // Local directory with <lang>.traineddata files, for fully offline use
+  langPath: process.env.OCR_LANG_PATH || undefined,
+  minPageCharacters: parseInt(process.env.OCR_MIN_PAGE_CHARS) || 50,
+  maxPages: parseInt(process.env.OCR_MAX_PAGES) || 30,
+});
+
+// Characters that carry content; whitespace, punctuation and rules don't count
+const countCharacters = (text) =>
+  String(text || "").replace(/[\s\p{P}\p{S}]+/gu, "").length;
+
+/**
+ * Whether a PDF text layer is too thin to be the real content, e.g. a scan
+ * with only a page number or a "Scanned by" stamp in its text layer
+ * @param {string} text - Text layer of the document or of one page
+ * @param {number} pageCount - Number of pages the text covers
+ * @returns {boolean}
+ */
+export const isTextLayerThin = (text, pageCount = 1) =>
+  countCharacters(text) <
+  getOcrConfig().minPageCharacters * Math.max(pageCount, 1);
+
+/**
+ * Start a tesseract.js worker. Recognition runs locally on CPU; only the
+ * language data is downloaded on first use unless OCR_LANG_PATH is set.
+ */
+const createOcrWorker = async ({ languages, langPath }) => {
+  let createWorker;
+  try {
+    ({ createWorker } = await import("tesseract.js"));
+  } catch (error) {
+    throw new Error(`OCR requires the tesseract.js package: ${error.message}`);
+  }
+
+  return createWorker(languages.split(/[+,\s]+/).join("+"), 1, {
+    ...(langPath && { langPath }),
+  });
+};
+
+const recognize = async (worker, image) => {
+  const { data } = await worker.recognize(image);
+  return {
+    text: (data.text || "").trim(),
+    // tesseract reports 0-100; round to one decimal
+    confidence: Math.round((data.confidence || 0) * 10) / 10,
+  };
+};
+
+// Average page confidence weighted by how much text each page contributed
+const summarize = (pages) => {
+  const recognized = pages.filter((page) => page.method === "ocr");
+  const weight = recognized.reduce((sum, page) => sum + page.characters, 0);
+  const averageConfidence =
+    weight > 0
+      ? Math.round(
+          (recognized.reduce(
+            (sum, page) => sum + page.confidence * page.characters,
+            0
+          ) /
+            weight) *
+            10
+        ) / 10
+      : null;
+
+  return { pages, ocrPages: recognized.length, averageConfidence };
+};
+
+/**
+ * Pages of a PDF whose own text layer is too thin, e.g. the scanned spec
+ * pages behind a typed cover sheet that carries the document average
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<Array<number>>} - Page numbers, starting at 1
+ */
+export const findThinPages = async (buffer) => {
+  const { getDocumentProxy, extractText } = await import("unpdf");
+  const pdf = await getDocumentProxy(new Uint8Array(buffer));
+  const { text: pageTexts } = await extractText(pdf, { mergePages: false });
+
+  return pageTexts.flatMap((text, index) =>
+    isTextLayerThin(text) ? [index + 1] : []
+  );
+};
+
+/**
+ * OCR the pages of a PDF whose text layer is empty or too thin. Pages with a
+ * usable text layer keep it, so mixed documents (typed cover sheet, scanned
+ * spec pages) only pay for OCR where it's needed. OCR_MAX_PAGES caps the
+ * pages recognized; thin pages past it keep their text layer.
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Function} onProgress - Optional (stage, message, data) progress callback
+ * @returns {Promise<Object|null>} - { text, pages: [{ page, method, characters, confidence }], ocrPages, averageConfidence }, or null if OCR is disabled
+ */
+export const ocrPdf = async (buffer, onProgress = () => {}) => {
+  const config = getOcrConfig();
+  if (!config.enabled) {
+    console.log("⏭️ OCR disabled, skipping scanned page recognition");
+    return null;
+  }
+
+  const { getDocumentProxy, extractText, renderPageAsImage } = await import(
+    "unpdf"
+  );
+  // pdf.js takes ownership of the array it is given, so give it a copy
+  const pdf = await getDocumentProxy(new Uint8Array(buffer));
+  const { text: pageTexts } = await extractText(pdf, { mergePages: false });
+
+  const pageCount = pdf.numPages;
+
+  // Started on the first page that needs it
+  let worker = null;
+  const pages = [];
+  const texts = [];
+  let skippedPages = 0;
+
+  try {
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const layerText = pageTexts[pageNumber - 1] || "";
+
+      const thin = isTextLayerThin(layerText);
+      const ocrPages = pages.filter((page) => page.method === "ocr").length;
+
+      if (!thin || ocrPages >= config.maxPages) {
+        if (thin) skippedPages++;
+        pages.push({
+          page: pageNumber,
+          method: "text",
+          characters: layerText.length,
+          confidence: null,
+        });
+        texts.push(layerText);
+        continue;
+      }
+
+      worker = worker || (await createOcrWorker(config));
+      const image = await renderPageAsImage(pdf, pageNumber, {
+        canvasImport: () => import("@napi-rs/canvas"),
+        scale: RENDER_SCALE,
+      });
+      const { text, confidence } = await recognize(worker, Buffer.from(image));
+
+      pages.push({
+        page: pageNumber,
+        method: "ocr",
+        characters: text.length,
+        confidence,
+      });
+      texts.push(text);
+
+      console.log(
+        `🔍 OCR page ${pageNumber}/${pageCount}: ${text.length} characters, ${confidence}% confidence`
+      );
+      onProgress(
+        "ocr",
+        `Recognized page ${pageNumber} of ${pageCount} (${confidence}% confidence)`,
+        { page: pageNumber, pageCount, confidence, characters: text.length }
+      );
+    }
+  } finally {
+    await worker?.terminate();
+  }
+
+  if (skippedPages > 0) {
+    console.warn(
+      `⚠️ OCR limited to ${config.maxPages} pages, ${skippedPages} more thin page(s) kept their text layer`
+    );
+  }
+
+  return {
+    text: texts
+      .map((text, index) => `--- Page ${index + 1} ---\n${text}`)
+      .join("\n\n"),
+    ...summarize(pages),
+  };
+};
+
+/**
+ * OCR standalone images (photos or screenshots of tech pack pages)
+ * @param {Array<Buffer>} images - Image file contents, one page per image
+ * @param {Function} onProgress - Optional (stage, message, data) progress callback
+ * @returns {Promise<Object|null>} - Same shape as ocrPdf, or null if OCR is disabled
+ */
+export const ocrImages = async (images, onProgress = () => {}) => {
+  const config = getOcrConfig();
+  if (!config.enabled) {
+    console.log("⏭️ OCR disabled, skipping image recognition");
+    return null;
+  }
+
+  const worker = await createOcrWorker(config);
+  const pages = [];
+  const texts = [];
+
+  try {
+    for (const [index, image] of images.entries()) {
+      const { text, confidence } = await recognize(worker, image);
+
+      pages.push({
+        page: index + 1,
+        method: "ocr",
+        characters: text.length,
+        confidence,
+      });
+      texts.push(text);
+
+      console.log(
+        `🔍 OCR image ${index + 1}/${images.length}: ${
+          text.length
+        } characters, ${confidence}% confidence`
+      );
+      onProgress(
+        "ocr",
+        `Recognized image ${index + 1} of ${
+          images.length
+        } (${confidence}% confidence)`,
+        {
+          page: index + 1,
+          pageCount: images.length,
+          confidence,
+          characters: text.length,
+        }
+      );
+    }
+  } finally {
+    await worker.terminate();
+  }
+
+  return {
+    text: texts
+      .map((text, index) => `--- Page ${index + 1} ---\n${text}`)
+      .join("\n\n"),
+    ...summarize(pages),
+  };
+};
@@ -1,13 +1,13 @@
-import getSupabaseClient from "../config/supabase.js";
+import { getRepositories } from "../repositories/index.js";
 import * as cron from "node-cron";
 import fs from "fs/promises";
 import path from "path";
 import { WebsiteMonitor } from "./websiteMonitor.js";
 
 export class PDFMonitorScheduler {
-  constructor() {
-    this.supabase = getSupabaseClient();
-    this.websiteMonitor = new WebsiteMonitor();
+  constructor({ repositories = getRepositories() } = {}) {
+    this.repositories = repositories;
+    this.websiteMonitor = new WebsiteMonitor({ repositories });
     this.isRunning = false;
     this.retryAttempts = 3;
     this.retryDelay = 5000; // 5 seconds
@@ -145,47 +145,27 @@ export class PDFMonitorScheduler {
     try {
       console.log("❤️ Performing system health check...");
 
-      // Check database connectivity using documents table
-      const { data: dbTest, error: dbError } = await this.supabase
-        .from("documents")
-        .select("id")
-        .limit(1);
-
-      if (dbError) {
+      // Check database connectivity and document count
+      let documentCount;
+      try {
+        documentCount = await this.repositories.documents.count();
+      } catch (dbError) {
         throw new Error(`Database connectivity failed: ${dbError.message}`);
       }
-
-      // Check document count
-      const { data: documents, error: countError } = await this.supabase
-        .from("documents")
-        .select("id", { count: "exact" });
-
-      if (countError) {
-        throw new Error(`Document count check failed: ${countError.message}`);
-      }
-
-      const documentCount = documents?.length || 0;
       console.log(`📊 Database status: ${documentCount} documents stored`);
 
       // Check for recent documents using metadata
-      const { data: recentDocs, error: recentError } = await this.supabase
-        .from("documents")
-        .select("metadata, created_at")
-        .order("created_at", { ascending: false })
-        .limit(5);
-
-      if (recentError) {
-        throw new Error(
-          `Recent documents check failed: ${recentError.message}`
-        );
-      }
+      const recentDocs = await this.repositories.documents.listRecent(5);
+      const recentVersions = [
+        ...new Set(
+          recentDocs.map((doc) => doc.metadata?.version).filter(Boolean)
+        ),
+      ];
 
-      console.log(
-        `📋 Active document versions: ${recentVersions?.length || 0}`
-      );
+      console.log(`📋 Active document versions: ${recentVersions.length}`);
 
-      if (recentVersions && recentVersions.length > 0) {
-        const lastUpdate = new Date(recentVersions[0].processed_at);
+      if (recentDocs.length > 0) {
+        const lastUpdate = new Date(recentDocs[0].created_at);
         const daysSinceUpdate = Math.floor(
           (Date.now() - lastUpdate.getTime()) / (1000 * 60 * 60 * 24)
         );
@@ -346,9 +326,7 @@ export class PDFMonitorScheduler {
       const tables = ["documents", "chapter_documents", "customs_tariff_rates"];
 
       for (const tableName of tables) {
-        const { count } = await this.supabase
-          .from(tableName)
-          .select("id", { count: "exact" });
+        const count = await this.repositories.forTable(tableName).count();
 
         if (count === 0) {
           console.log(`📊 Table ${tableName} is empty`);
@@ -384,9 +362,7 @@ export class PDFMonitorScheduler {
   async isTableOutdatedOrEmpty(tableName) {
     try {
       // Check if table is empty
-      const { count } = await this.supabase
-        .from(tableName)
-        .select("id", { count: "exact" });
+      const count = await this.repositories.forTable(tableName).count();
 
       if (count === 0) {
         console.log(`📊 ${tableName} table is empty`);
@@ -463,22 +439,8 @@ export class PDFMonitorScheduler {
 
   async hasDataForYear(tableName, year, source) {
     try {
-      let query;
-      if (tableName === "customs_tariff_rates") {
-        query = this.supabase
-          .from(tableName)
-          .select("id")
-          .eq("document_version", year);
-      } else {
-        // Use version field consistently for both documents and chapter_documents
-        query = this.supabase
-          .from(tableName)
-          .select("id")
-          .eq("metadata->>version", year);
-      }
-
-      const { data } = await query.limit(1);
-      return data && data.length > 0;
+      // Tariff rates track document_version, vector tables metadata.version
+      return await this.repositories.forTable(tableName).hasVersion(year);
     } catch (error) {
       console.error(`❌ Error checking year data for ${tableName}:`, error);
       return false;
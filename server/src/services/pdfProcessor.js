@@ -2,19 +2,19 @@ import { PDFLoader } from "@langchain/community/document_loaders/fs/pdf";
 import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
 import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
 import { PromptTemplate } from "@langchain/core/prompts";
-import getSupabaseClient from "../config/supabase.js";
-import CustomGoogleGenerativeAIEmbeddings from "./customEmbeddings.js";
+import { getRepositories } from "../repositories/index.js";
+import { createEmbeddings } from "./embeddingProvider.js";
+import { VectorTableRegistry } from "./vectorTableRegistry.js";
 
 export class PDFProcessor {
-  constructor() {
-    this.supabase = getSupabaseClient();
-    this.embeddings = new CustomGoogleGenerativeAIEmbeddings({
-      modelName: "models/gemini-embedding-001",
-      apiKey: process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY,
-      taskType: "RETRIEVAL_DOCUMENT",
-      outputDimensionality: 1536,
-      title: "Tariff Document Processing",
-    });
+  constructor({ repositories = getRepositories(), embeddings } = {}) {
+    this.repositories = repositories;
+    this.embeddings =
+      embeddings ||
+      createEmbeddings({
+        title: "Tariff Document Processing",
+      });
+    this.vectorTables = new VectorTableRegistry(repositories);
   }
 
   async processPDF(filePath, documentInfo) {
@@ -283,12 +283,11 @@ export class PDFProcessor {
       console.log(
         `🧹 Cleaning up old tariff rates for version ${documentInfo.version}...`
       );
-      const { error: deleteError } = await this.supabase
-        .from("customs_tariff_rates")
-        .delete()
-        .eq("document_version", documentInfo.version);
-
-      if (deleteError) {
+      try {
+        await this.repositories.tariffRates.deleteByVersion(
+          documentInfo.version
+        );
+      } catch (deleteError) {
         console.warn(
           "⚠️ Warning: Could not clean up old tariff rates:",
           deleteError
@@ -302,18 +301,14 @@ export class PDFProcessor {
       for (let i = 0; i < tariffData.length; i += batchSize) {
         const batch = tariffData.slice(i, i + batchSize);
 
-        const { error: insertError } = await this.supabase
-          .from("customs_tariff_rates")
-          .insert(batch);
-
-        if (insertError) {
+        try {
+          await this.repositories.tariffRates.insert(batch);
+        } catch (insertError) {
           console.error(
             `❌ Error inserting tariff batch ${Math.floor(i / batchSize) + 1}:`,
             insertError
           );
-          throw new Error(
-            `Failed to insert tariff rates: ${insertError.message}`
-          );
+          throw insertError;
         }
 
         insertedCount += batch.length;
@@ -339,6 +334,9 @@ export class PDFProcessor {
     );
 
     try {
+      // Refuse to mix vectors from a different embedding model
+      await this.vectorTables.ensureCompatible("documents", this.embeddings);
+
       // Start transaction - store new data first without deleting old data
       const batchSize = 10;
       const allDocuments = [];
@@ -373,24 +371,21 @@ export class PDFProcessor {
 
       // Insert all new documents
       console.log(`💾 Inserting ${allDocuments.length} documents...`);
-      const { error: insertError } = await this.supabase
-        .from("documents")
-        .insert(allDocuments);
-
-      if (insertError) {
+      try {
+        await this.repositories.documents.insert(allDocuments);
+      } catch (insertError) {
         console.error("❌ Error inserting new documents:", insertError);
-        throw new Error(`Failed to insert documents: ${insertError.message}`);
+        throw insertError;
       }
 
       // Clean up old documents of the same type
       console.log(`🧹 Cleaning up old documents...`);
-      const { error: deleteError } = await this.supabase
-        .from("documents")
-        .delete()
-        .eq("metadata->>documentType", "tariff")
-        .neq("metadata->>version", documentInfo.version);
-
-      if (deleteError) {
+      try {
+        await this.repositories.documents.deleteByMetadata(
+          { documentType: "tariff" },
+          { version: documentInfo.version }
+        );
+      } catch (deleteError) {
         console.warn(
           "⚠️ Warning: Could not clean up old documents:",
           deleteError
@@ -406,11 +401,10 @@ export class PDFProcessor {
 
       // Cleanup: remove any documents that might have been inserted
       try {
-        await this.supabase
-          .from("documents")
-          .delete()
-          .eq("metadata->>version", documentInfo.version)
-          .eq("metadata->>documentType", documentInfo.type);
+        await this.repositories.documents.deleteByMetadata({
+          version: documentInfo.version,
+          documentType: documentInfo.type,
+        });
         console.log(
           "🧹 Rollback completed - removed any partially inserted documents"
         );
@@ -440,6 +434,12 @@ export class PDFProcessor {
       const cleanedText = this.cleanExtractedText(fullText);
       // const cleanedText = fullText; // Skip cleaning for now
 
+      // Refuse to mix vectors from a different embedding model
+      await this.vectorTables.ensureCompatible(
+        "chapter_documents",
+        this.embeddings
+      );
+
       // 3. Check if content needs chunking (Google Gemini limit: ~36KB)
       const maxChunkSize = 30000; // Leave buffer for safety
       const needsChunking = cleanedText.length > maxChunkSize;
@@ -473,13 +473,15 @@ export class PDFProcessor {
         );
 
         // Store in chapter_documents table
-        const { error } = await this.supabase.from("chapter_documents").insert({
-          content: chapterDocument.content,
-          metadata: chapterDocument.metadata,
-          embedding: embedding,
-        });
-
-        if (error) {
+        try {
+          await this.repositories.chapterDocuments.insert([
+            {
+              content: chapterDocument.content,
+              metadata: chapterDocument.metadata,
+              embedding: embedding,
+            },
+          ]);
+        } catch (error) {
           console.error(
             `❌ Error storing chapter ${chapterInfo.chapter}:`,
             error
@@ -489,13 +491,12 @@ export class PDFProcessor {
 
         // Clean up old versions of this chapter
         console.log(`🧹 Cleaning up old versions of ${chapterInfo.chapter}...`);
-        const { error: cleanupError } = await this.supabase
-          .from("chapter_documents")
-          .delete()
-          .eq("metadata->>chapter", chapterInfo.chapter)
-          .neq("metadata->>version", chapterInfo.year);
-
-        if (cleanupError) {
+        try {
+          await this.repositories.chapterDocuments.deleteByMetadata(
+            { chapter: chapterInfo.chapter },
+            { version: chapterInfo.year }
+          );
+        } catch (cleanupError) {
           console.warn(
             `⚠️ Warning: Could not clean up old versions of ${chapterInfo.chapter}:`,
             cleanupError
@@ -527,11 +528,10 @@ export class PDFProcessor {
 
       // Cleanup: remove any documents that might have been inserted for this chapter
       try {
-        await this.supabase
-          .from("chapter_documents")
-          .delete()
-          .eq("metadata->chapter", chapterInfo.chapter)
-          .eq("metadata->year", chapterInfo.year);
+        await this.repositories.chapterDocuments.deleteByMetadata({
+          chapter: chapterInfo.chapter,
+          version: chapterInfo.year,
+        });
         console.log(
           `🧹 Cleanup completed - removed any partially inserted data for ${chapterInfo.chapter}`
         );
@@ -597,19 +597,16 @@ export class PDFProcessor {
 
         const embedding = await this.embeddings.embedQuery(chunk);
 
-        const { error } = await this.supabase.from("chapter_documents").insert({
-          content: chunk,
-          metadata: chunkMetadata,
-          embedding: embedding,
-        });
+        await this.repositories.chapterDocuments.insert([
+          {
+            content: chunk,
+            metadata: chunkMetadata,
+            embedding: embedding,
+          },
+        ]);
 
-        if (error) {
-          console.error(`❌ Error storing chunk ${i + 1}:`, error);
-          errors.push(error);
-        } else {
-          processedChunks++;
-          console.log(`✅ Stored chunk ${i + 1}/${chunks.length}`);
-        }
+        processedChunks++;
+        console.log(`✅ Stored chunk ${i + 1}/${chunks.length}`);
       } catch (error) {
         console.error(`❌ Error processing chunk ${i + 1}:`, error);
         errors.push(error);
@@ -626,11 +623,10 @@ export class PDFProcessor {
           `🧹 Cleaning up failed chunks for ${chapterInfo.chapter}...`
         );
         try {
-          await this.supabase
-            .from("chapter_documents")
-            .delete()
-            .eq("metadata->>chapter", chapterInfo.chapter)
-            .eq("metadata->>version", chapterInfo.year);
+          await this.repositories.chapterDocuments.deleteByMetadata({
+            chapter: chapterInfo.chapter,
+            version: chapterInfo.year,
+          });
           console.log(
             `🧹 Cleanup completed - removed partial data for ${chapterInfo.chapter}`
           );
@@ -654,20 +650,11 @@ export class PDFProcessor {
     if (errors.length === 0 || errors.length < chunks.length / 2) {
       console.log(`🧹 Cleaning up old versions of ${chapterInfo.chapter}...`);
       try {
-        const { error: cleanupError } = await this.supabase
-          .from("chapter_documents")
-          .delete()
-          .eq("metadata->>chapter", chapterInfo.chapter)
-          .neq("metadata->>version", chapterInfo.year);
-
-        if (cleanupError) {
-          console.warn(
-            `⚠️ Warning: Could not clean up old versions of ${chapterInfo.chapter}:`,
-            cleanupError
-          );
-        } else {
-          console.log(`✅ Cleaned up old versions of ${chapterInfo.chapter}`);
-        }
+        await this.repositories.chapterDocuments.deleteByMetadata(
+          { chapter: chapterInfo.chapter },
+          { version: chapterInfo.year }
+        );
+        console.log(`✅ Cleaned up old versions of ${chapterInfo.chapter}`);
       } catch (cleanupError) {
         console.warn(
           `⚠️ Warning: Cleanup failed for ${chapterInfo.chapter}:`,
@@ -1,24 +1,38 @@
-import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { createChatModel } from "./llmProvider.js";
 import { PromptTemplate } from "@langchain/core/prompts";
-import getSupabaseClient from "../config/supabase.js";
-import CustomGoogleGenerativeAIEmbeddings from "./customEmbeddings.js";
+import { getRepositories } from "../repositories/index.js";
+import { createEmbeddings } from "./embeddingProvider.js";
+import { VectorTableRegistry } from "./vectorTableRegistry.js";
 import { PDFMonitorScheduler } from "./pdfMonitorScheduler.js";
+import { HSFeedbackService } from "./hsFeedbackService.js";
+import { HSCodeValidator } from "./hsCodeValidator.js";
+import {
+  normalizeComposition,
+  describeChiefWeight,
+} from "./fiberNormalizer.js";
+import { FABRIC_TYPE_HINTS } from "./fabricTypes.js";
+import { invokeStructured } from "./structuredOutput.js";
+import { getRedactor } from "./redaction.js";
+import {
+  hsClassificationResponseSchema,
+  searchAlternativesResponseSchema,
+} from "../schemas/index.js";
 
 export class RAGAgent {
-  constructor() {
-    this.supabase = getSupabaseClient();
-    this.embeddings = new CustomGoogleGenerativeAIEmbeddings({
-      modelName: "models/gemini-embedding-001",
-      apiKey: process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY,
-      taskType: "RETRIEVAL_DOCUMENT",
-      outputDimensionality: 1536,
-      title: "HS Code Tariff Database",
-    });
-    this.llm = new ChatGoogleGenerativeAI({
-      modelName: "gemini-2.5-flash",
-      temperature: 0.1,
-      apiKey: process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY,
-    });
+  constructor({
+    repositories = getRepositories(),
+    embeddings,
+    llm,
+    redactor = getRedactor(),
+  } = {}) {
+    this.repositories = repositories;
+    this.redactor = redactor;
+    this.embeddings =
+      embeddings || createEmbeddings({ title: "HS Code Tariff Database" });
+    this.vectorTables = new VectorTableRegistry(repositories);
+    this.llm = llm || createChatModel();
+    this.feedback = new HSFeedbackService(repositories);
+    this.validator = new HSCodeValidator(repositories);
 
     this.promptTemplate = PromptTemplate.fromTemplate(`
 You are an expert HS code classification specialist for Bangladesh Customs.
@@ -29,7 +43,9 @@ Context from Tariff Database ({contextRowCount} context rows provided):
 Product Information:
 - Garment Type: {garmentType}
 - Fabric Type: {fabricType}
+- Construction Note: {constructionHint}
 - Materials: {materials}
+- Chief Weight Fiber: {chiefWeight}
 - Gender: {gender}
 - Description: {description}
 - GSM: {gsm}
@@ -37,14 +53,18 @@ Product Information:
 - Destination Market: {destinationMarket}
 - Incoterm: {incoterm}
 
+Accepted Classifications for Similar Products (decided by our users, use as worked examples):
+{precedents}
+
 Instructions:
 1. Analyze the provided tariff context to find relevant HS codes
-2. Consider the product specifications and material composition
+2. Consider the product specifications and material composition; within a heading the subheading follows the chief weight fiber
 3. Provide AT LEAST {minSuggestions} most appropriate HS code suggestions with different codes (minimum of 5, or the number of context rows available, whichever is smaller)
 4. Include confidence levels and SHORT rationale (max 10-20 words max each)
 5. Use ALL available context rows to provide diverse and comprehensive suggestions
 6. Return all suggestions with confidence >= 0.20 (20%) (this will only be applicable if AT LEAST {minSuggestions} suggestions is available)
 7. Sort suggestions by confidence score in descending order (highest confidence first)
+8. When a worked example closely matches this product, favour its accepted code and mention the precedent in the rationale; the tariff context still decides whether a code is valid
 
 Response format (JSON only):
 {{
@@ -68,20 +88,39 @@ Response:
 `);
   }
 
-  async classifyHSCode(techPackInfo, query) {
+  // onProgress(stage, message, data) reports each pipeline stage to the caller
+  async classifyHSCode(techPackInfo, query, onProgress = () => {}) {
     try {
       console.log(
         `🔍 Starting HS code classification for: ${techPackInfo.garmentType}`
       );
 
+      // Canonical fiber names in every query and prompt below
+      const { materialPercentage, composition } = normalizeComposition(
+        techPackInfo.materialPercentage
+      );
+      techPackInfo = { ...techPackInfo, materialPercentage };
+
       // Check if vector store is empty and populate if needed
       await this.checkVectorStoreAndPopulate();
 
       // Build enhanced query with AI-generated alternatives
-      const enhancedQuery = await this.buildEnhancedQuery(techPackInfo, query);
+      onProgress("query_building", "Building search query");
+      // The query goes to the embedding model, so it is masked like a prompt
+      const builtQuery = await this.buildEnhancedQuery(techPackInfo, query);
+      const enhancedQuery = this.redactor.enabled
+        ? this.redactor.createSession().redact(builtQuery)
+        : builtQuery;
+      onProgress("query_building", "Search query ready", {
+        queryCharacters: enhancedQuery.length,
+      });
 
       // Retrieve relevant documents using vector search
+      onProgress("vector_search", "Searching tariff documents");
       const relevantDocs = await this.searchRelevantDocuments(enhancedQuery);
+      onProgress("vector_search", `Found ${relevantDocs.length} context rows`, {
+        contextRows: relevantDocs.length,
+      });
 
       if (relevantDocs.length === 0) {
         throw new Error(
@@ -98,6 +137,15 @@ Response:
 
       console.log(`🤖 Generating HS code suggestions with AI...`);
 
+      // Similar past decisions become worked examples in the prompt
+      onProgress("precedents", "Looking up accepted classifications");
+      const precedents = await this.findPrecedents(techPackInfo);
+      onProgress(
+        "precedents",
+        `Found ${precedents.length} similar accepted classifications`,
+        { precedents: precedents.length }
+      );
+
       // Calculate minimum suggestions based on context rows
       const contextRowCount = relevantDocs.length;
       const minSuggestions = Math.min(contextRowCount, 5); // Changed from 3 to 5
@@ -107,47 +155,40 @@ Response:
       );
 
       // Generate response using LLM
-      const chain = this.promptTemplate.pipe(this.llm);
-      const response = await chain.invoke({
-        context,
-        contextRowCount,
+      onProgress("llm_classification", "Generating HS code suggestions", {
+        contextRows: contextRowCount,
         minSuggestions,
-        garmentType: techPackInfo.garmentType,
-        fabricType: techPackInfo.fabricType,
-        materials: techPackInfo.materialPercentage
-          .map((m) => `${m.percentage}% ${m.material}`)
-          .join(", "),
-        gender: techPackInfo.gender,
-        description: techPackInfo.description,
-        gsm: techPackInfo.gsm || "Not specified",
-        countryOfOrigin: techPackInfo.countryOfOrigin || "Not specified",
-        destinationMarket: techPackInfo.destinationMarket || "Not specified",
-        incoterm: techPackInfo.incoterm || "Not specified",
       });
-
-      // Parse JSON response - handle AIMessage object from LangChain
-      let responseString;
-      if (typeof response === "string") {
-        responseString = response;
-      } else if (response && typeof response.content === "string") {
-        responseString = response.content; // Extract content from AIMessage
-      } else {
-        responseString = response.toString();
-      }
-
-      console.log(
-        `🔍 AI Response type: ${typeof response}, Content preview: ${responseString.substring(
-          0,
-          200
-        )}...`
+      const { value: result, repairs } = await invokeStructured(
+        this.llm,
+        await this.promptTemplate.format({
+          context,
+          contextRowCount,
+          minSuggestions,
+          garmentType: techPackInfo.garmentType,
+          fabricType: techPackInfo.fabricType,
+          constructionHint:
+            FABRIC_TYPE_HINTS[techPackInfo.fabricType]?.hint || "None",
+          materials: techPackInfo.materialPercentage
+            .map((m) => `${m.percentage}% ${m.material}`)
+            .join(", "),
+          chiefWeight: describeChiefWeight(composition),
+          gender: techPackInfo.gender,
+          description: techPackInfo.description,
+          gsm: techPackInfo.gsm || "Not specified",
+          countryOfOrigin: techPackInfo.countryOfOrigin || "Not specified",
+          destinationMarket: techPackInfo.destinationMarket || "Not specified",
+          incoterm: techPackInfo.incoterm || "Not specified",
+          precedents: this.feedback.formatPrecedents(precedents),
+        }),
+        hsClassificationResponseSchema,
+        { label: "HS code classification" }
       );
 
-      const jsonMatch = responseString.match(/\{[\s\S]*\}/);
-      const jsonString = jsonMatch ? jsonMatch[0] : responseString;
-      const result = JSON.parse(jsonString);
-
       if (!result.success) {
-        throw new Error("Failed to generate HS code suggestions");
+        throw new Error(
+          result.error || "Failed to generate HS code suggestions"
+        );
       }
 
       let suggestions = result.suggestions || [];
@@ -189,11 +230,41 @@ Response:
       // Sort suggestions by confidence in descending order
       suggestions.sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
 
-      // Enhance suggestions with NBR metadata and customs duty information
+      onProgress(
+        "llm_classification",
+        `AI returned ${suggestions.length} suggestions`,
+        { suggestions: suggestions.length, repairs }
+      );
+
+      // Check every code against the active tariff schedule; this also
+      // attaches duty rates, so unknown codes never show up as 0% duty
+      onProgress("code_validation", "Checking codes against the tariff table");
+      const validation = await this.validator.validateSuggestions(suggestions);
+      const {
+        validated = 0,
+        mapped = 0,
+        unknownCode = 0,
+        unverified = 0,
+      } = validation.counts;
+      onProgress(
+        "code_validation",
+        validation.version
+          ? `${validated} validated, ${mapped} mapped, ${unknownCode} unknown codes (tariff ${validation.version})`
+          : `${unverified} codes could not be validated`,
+        { tariffVersion: validation.version, ...validation.counts }
+      );
+
+      // Enhance suggestions with NBR source metadata
+      onProgress("metadata_enhancement", "Adding tariff source metadata");
       const enhancedSuggestions = await this.enhanceSuggestionsWithMetadata(
-        suggestions,
+        validation.suggestions,
         relevantDocs
       );
+      onProgress(
+        "metadata_enhancement",
+        `Prepared ${enhancedSuggestions.length} suggestions`,
+        { suggestions: enhancedSuggestions.length }
+      );
 
       const expectedMinimum = Math.min(relevantDocs.length, 5); // Changed from 3 to 5
 
@@ -213,6 +284,16 @@ Response:
     }
   }
 
+  // Precedents are a hint only; classification continues without them
+  async findPrecedents(techPackInfo) {
+    try {
+      return await this.feedback.findPrecedents(techPackInfo);
+    } catch (error) {
+      console.warn("⚠️ Could not load HS code precedents:", error.message);
+      return [];
+    }
+  }
+
   async generateSearchAlternatives(techPackInfo, originalQuery) {
     try {
       console.log(`🤖 Generating AI-powered search alternatives...`);
@@ -250,7 +331,8 @@ Return ONLY a JSON array of alternative search terms (15-25 terms):
 Focus on terms that would appear in official tariff classifications.
 `);
 
-      const response = await this.llm.invoke(
+      const { value: alternatives } = await invokeStructured(
+        this.llm,
         await alternativePrompt.format({
           garmentType: techPackInfo.garmentType,
           fabricType: techPackInfo.fabricType,
@@ -264,25 +346,15 @@ Focus on terms that would appear in official tariff classifications.
           destinationMarket: techPackInfo.destinationMarket || "Not specified",
           incoterm: techPackInfo.incoterm || "Not specified",
           originalQuery,
-        })
+        }),
+        searchAlternativesResponseSchema,
+        { label: "Search alternatives" }
       );
 
-      // Parse the AI response
-      let responseText =
-        typeof response === "string" ? response : response.content;
-
-      // Extract JSON array from response
-      const jsonMatch = responseText.match(/\[([^\]]+)\]/);
-      if (jsonMatch) {
-        const alternatives = JSON.parse(jsonMatch[0]);
-        console.log(
-          `✨ Generated ${alternatives.length} AI-powered search alternatives`
-        );
-        return alternatives;
-      } else {
-        console.warn(`⚠️ Could not parse AI alternatives, using fallback`);
-        return this.getFallbackAlternatives(techPackInfo);
-      }
+      console.log(
+        `✨ Generated ${alternatives.length} AI-powered search alternatives`
+      );
+      return alternatives;
     } catch (error) {
       console.error(`❌ Error generating AI alternatives:`, error);
       return this.getFallbackAlternatives(techPackInfo);
@@ -293,20 +365,8 @@ Focus on terms that would appear in official tariff classifications.
     // Fallback alternatives if AI fails
 
     // Create comprehensive search terms including alternatives
-    const fabricKeywords = {
-      knit: [
-        "knitted",
-        "jersey",
-        "sweater",
-        "pullover",
-        "cardigan",
-        "t-shirt",
-        "knitwear",
-      ],
-      woven: ["woven", "shirt", "trouser", "jacket", "coat", "dress", "blouse"],
-    };
-
-    const fabricTypeKeywords = fabricKeywords[techPackInfo.fabricType] || [];
+    const fabricTypeKeywords =
+      FABRIC_TYPE_HINTS[techPackInfo.fabricType]?.searchTerms || [];
 
     // Gender-inclusive search terms
     const genderTerms = [
@@ -470,26 +530,32 @@ HS code tariff customs classification Bangladesh apparel textile garment clothin
         )}...`
       );
 
+      // Query vectors must come from the model the tables were built with
+      await this.vectorTables.ensureCompatible(
+        "chapter_documents",
+        this.embeddings
+      );
+      await this.vectorTables.ensureCompatible("documents", this.embeddings);
+
       // Generate query embedding with RETRIEVAL_QUERY task type
       const queryEmbedding = await this.embeddings.embedQuery(query);
 
       // PRIMARY SEARCH: Try NBR chapter documents first
       console.log(`🎯 Searching NBR chapter documents (primary)...`);
 
-      const { data: nbrData, error: nbrError } = await this.supabase.rpc(
-        "match_chapter_documents",
-        {
-          query_embedding: queryEmbedding,
-          match_count: 10,
-          filter: {},
-        }
-      );
+      let nbrData = [];
+      try {
+        nbrData = await this.repositories.chapterDocuments.search(
+          queryEmbedding,
+          { matchCount: 10 }
+        );
+      } catch (nbrError) {
+        console.warn(`⚠️ NBR search failed: ${nbrError.message}`);
+      }
 
       let results = [];
 
-      if (nbrError) {
-        console.warn(`⚠️ NBR search failed: ${nbrError.message}`);
-      } else if (nbrData && nbrData.length > 0) {
+      if (nbrData.length > 0) {
         results = nbrData.map((doc) => ({
           ...doc,
           source: "nbr",
@@ -503,21 +569,22 @@ HS code tariff customs classification Bangladesh apparel textile garment clothin
           `🔄 NBR results insufficient (${results.length}), falling back to customs documents...`
         );
 
-        const { data: customsData, error: customsError } =
-          await this.supabase.rpc("match_documents", {
-            query_embedding: queryEmbedding,
-            match_count: 15,
-            filter: { documentType: "tariff" },
-          });
-
-        if (customsError) {
+        let customsData = null;
+        try {
+          customsData = await this.repositories.documents.search(
+            queryEmbedding,
+            { matchCount: 15, filter: { documentType: "tariff" } }
+          );
+        } catch (customsError) {
           console.error(
             `❌ Customs fallback search failed: ${customsError.message}`
           );
           if (results.length === 0) {
             throw new Error(`Both NBR and customs vector searches failed`);
           }
-        } else if (customsData && customsData.length > 0) {
+        }
+
+        if (customsData && customsData.length > 0) {
           const customsResults = customsData.map((doc) => ({
             ...doc,
             source: "customs",
@@ -525,9 +592,6 @@ HS code tariff customs classification Bangladesh apparel textile garment clothin
 
           // Combine NBR and customs results, prioritizing NBR
           results = [...results, ...customsResults];
-          source = results.some((r) => r.source === "nbr")
-            ? "mixed"
-            : "customs";
 
           console.log(
             `📊 Combined search returned ${results.length} results (NBR: ${
@@ -585,13 +649,9 @@ HS code tariff customs classification Bangladesh apparel textile garment clothin
                 const variationEmbedding = await this.embeddings.embedQuery(
                   variation
                 );
-                const { data: varData } = await this.supabase.rpc(
-                  "match_documents",
-                  {
-                    query_embedding: variationEmbedding,
-                    match_count: 5,
-                    filter: { documentType: "tariff" },
-                  }
+                const varData = await this.repositories.documents.search(
+                  variationEmbedding,
+                  { matchCount: 5, filter: { documentType: "tariff" } }
                 );
 
                 if (varData) {
@@ -627,20 +687,21 @@ HS code tariff customs classification Bangladesh apparel textile garment clothin
             generalQuery
           );
 
-          const { data: broadData, error: broadError } =
-            await this.supabase.rpc("match_documents", {
-              query_embedding: generalEmbedding,
-              match_count: 8,
-              filter: { documentType: "tariff" },
-            });
-
-          if (!broadError && broadData) {
+          try {
+            const broadData = await this.repositories.documents.search(
+              generalEmbedding,
+              { matchCount: 8, filter: { documentType: "tariff" } }
+            );
             const existingIds = new Set(results.map((r) => r.id));
             const newResults = broadData.filter((r) => !existingIds.has(r.id));
             results = [...results, ...newResults];
             console.log(
               `📊 General fallback search added ${newResults.length} more results`
             );
+          } catch (broadError) {
+            console.warn(
+              `⚠️ General fallback search failed: ${broadError.message}`
+            );
           }
         }
       }
@@ -658,21 +719,13 @@ HS code tariff customs classification Bangladesh apparel textile garment clothin
     try {
       console.log(`🔍 Looking up HS code: ${hsCode}`);
 
-      const { data, error } = await this.supabase
-        .from("documents")
-        .select("content, metadata")
-        .like("content", `%${hsCode}%`)
-        .eq("metadata->documentType", "tariff")
-        .limit(5);
-
-      if (error) {
-        throw error;
-      }
+      const data = await this.repositories.documents.findByContent(hsCode, {
+        match: { documentType: "tariff" },
+        limit: 5,
+      });
 
-      console.log(
-        `📊 Found ${data?.length || 0} matches for HS code ${hsCode}`
-      );
-      return data || [];
+      console.log(`📊 Found ${data.length} matches for HS code ${hsCode}`);
+      return data;
     } catch (error) {
       console.error(`❌ HS code lookup error for ${hsCode}:`, error);
       throw error;
@@ -735,10 +788,10 @@ HS code tariff customs classification Bangladesh apparel textile garment clothin
   async checkVectorStoreAndPopulate() {
     try {
       // Check documents table (customs tariff documents)
-      const { count: documentsCount, error: documentsError } =
-        await this.supabase.from("documents").select("id", { count: "exact" });
-
-      if (documentsError) {
+      let documentsCount = null;
+      try {
+        documentsCount = await this.repositories.documents.count();
+      } catch (documentsError) {
         console.warn(
           "⚠️ Documents table check failed:",
           documentsError.message
@@ -746,11 +799,10 @@ HS code tariff customs classification Bangladesh apparel textile garment clothin
       }
 
       // Check chapter_documents table (NBR tariff documents)
-      const { count: chapterCount, error: chapterError } = await this.supabase
-        .from("chapter_documents")
-        .select("id", { count: "exact" });
-
-      if (chapterError) {
+      let chapterCount = null;
+      try {
+        chapterCount = await this.repositories.chapterDocuments.count();
+      } catch (chapterError) {
         console.warn(
           "⚠️ Chapter documents table check failed:",
           chapterError.message
@@ -779,7 +831,9 @@ HS code tariff customs classification Bangladesh apparel textile garment clothin
           );
         }
 
-        const pdfScheduler = new PDFMonitorScheduler();
+        const pdfScheduler = new PDFMonitorScheduler({
+          repositories: this.repositories,
+        });
         await pdfScheduler.checkForPDFUpdatesWithRetry();
 
         console.log("✅ Vector stores populated from RAG agent");
@@ -801,7 +855,9 @@ HS code tariff customs classification Bangladesh apparel textile garment clothin
         "� Triggering PDF monitor to fetch latest tariff documents..."
       );
 
-      const pdfScheduler = new PDFMonitorScheduler();
+      const pdfScheduler = new PDFMonitorScheduler({
+        repositories: this.repositories,
+      });
 
       // Manually trigger the PDF check to fetch latest documents
       await pdfScheduler.manualCheck();
@@ -817,7 +873,7 @@ HS code tariff customs classification Bangladesh apparel textile garment clothin
   async enhanceSuggestionsWithMetadata(suggestions, relevantDocs) {
     try {
       console.log(
-        `🔗 Enhancing ${suggestions.length} suggestions with metadata and tariff info...`
+        `🔗 Enhancing ${suggestions.length} suggestions with source metadata...`
       );
 
       const enhancedSuggestions = [];
@@ -880,60 +936,6 @@ HS code tariff customs classification Bangladesh apparel textile garment clothin
           }
         }
 
-        // Fetch tariff information from customs_tariff_rates table
-        if (hsCode) {
-          try {
-            // Remove dots from HS code for database lookup (database stores codes without dots)
-            const cleanHsCode = hsCode.replace(/\./g, "");
-
-            const { data: tariffData } = await this.supabase
-              .from("customs_tariff_rates")
-              .select("*")
-              .eq("hs_code", cleanHsCode)
-              .single();
-
-            if (tariffData) {
-              enhancedSuggestion.tariffInfo = {
-                CD: tariffData.cd || 0,
-                SD: tariffData.sd || 0,
-                VAT: tariffData.vat || 0,
-                AIT: tariffData.ait || 0,
-                RD: tariffData.rd || 0,
-                AT: tariffData.at || 0,
-                TTI: tariffData.tti || 0,
-              };
-              console.log(`📊 Found tariff info for HS code ${hsCode}`);
-            } else {
-              console.warn(`⚠️ No tariff info found for HS code ${hsCode}`);
-              // Set default values if no tariff data found
-              enhancedSuggestion.tariffInfo = {
-                CD: 0,
-                SD: 0,
-                VAT: 0,
-                AIT: 0,
-                RD: 0,
-                AT: 0,
-                TTI: 0,
-              };
-            }
-          } catch (tariffError) {
-            console.warn(
-              `⚠️ Error fetching tariff info for HS code ${hsCode}:`,
-              tariffError.message
-            );
-            // Set default values on error
-            enhancedSuggestion.tariffInfo = {
-              CD: 0,
-              SD: 0,
-              VAT: 0,
-              AIT: 0,
-              RD: 0,
-              AT: 0,
-              TTI: 0,
-            };
-          }
-        }
-
         enhancedSuggestions.push(enhancedSuggestion);
         console.log(`  - Enhanced suggestion:`, {
           code: enhancedSuggestion.code,
@@ -941,12 +943,12 @@ HS code tariff customs classification Bangladesh apparel textile garment clothin
           chapter: enhancedSuggestion.chapter,
           pdfLink: enhancedSuggestion.pdfLink,
           year: enhancedSuggestion.year,
-          hasTariffInfo: !!enhancedSuggestion.tariffInfo,
+          validationStatus: enhancedSuggestion.validationStatus,
         });
       }
 
       console.log(
-        `✅ Enhanced ${enhancedSuggestions.length} suggestions with metadata and tariff info`
+        `✅ Enhanced ${enhancedSuggestions.length} suggestions with source metadata`
       );
       return enhancedSuggestions;
     } catch (error) {
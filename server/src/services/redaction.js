@@ -0,0 +1,255 @@
+/**
+ * Redaction of buyer and commercial details before text is sent to an
+ * external model. Emails, phone numbers, prices and configured buyer and
+ * supplier names are replaced with numbered placeholders ([EMAIL_1],
+ * [BUYER_2], ...), and placeholders the model repeats in its response are
+ * put back, so extracted fields still carry the original values.
+ */
+
+import fs from "fs";
+import path from "path";
+
+export const REDACTION_CATEGORIES = ["emails", "phones", "prices", "names"];
+
+const CURRENCY_CODES = "USD|EUR|GBP|CNY|RMB|BDT|INR|HKD|JPY|CAD|AUD";
+
+// Patterns marked labeled capture the label, kept unmasked, and the value,
+// e.g. "Tel: " and "01712 345678"
+const PATTERNS = {
+  emails: [{ label: "EMAIL", pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g }],
+  phones: [
+    {
+      label: "PHONE",
+      // International numbers: +880 1712-345678, 0086 (21) 5555 1234. A 00
+      // prefix needs a separator after the country code, and numbers after
+      // style or article labels are left alone ("Style 0012345678")
+      pattern:
+        /(?<![\w+.])(?<!\b(?:style|article|art|item|sku|po|order|ref)\b\.?[^\S\n]*(?:no\b\.?|number|#)?[^\S\n]*[:#]?[^\S\n]*)(?:\+\d{1,3}|00\d{1,3}(?=[\s.(-]))[\s.-]?(?:\(\d{1,4}\)[\s.-]?)?\d(?:[\s.-]?\d){6,13}(?!\d)/gi,
+    },
+    {
+      label: "PHONE",
+      labeled: true,
+      pattern:
+        /(\b(?:tel|phone|mobile|mob|cell|fax|whatsapp)\b\.?[^\S\n]*(?:no\.?|number)?[^\S\n]*[:#]?[^\S\n]*)(\(?\d[\d ().-]{5,}\d)/gi,
+    },
+  ],
+  prices: [
+    {
+      label: "PRICE",
+      // $4.50, US$ 12, € 3,20, BDT 450, Tk. 1,200
+      pattern: new RegExp(
+        `(?:US\\s?\\$|\\$|€|£|¥|৳|\\b(?:${CURRENCY_CODES}|Tk|Rs)\\b\\.?)\\s?\\d[\\d,]*(?:\\.\\d+)?`,
+        "gi"
+      ),
+    },
+    {
+      label: "PRICE",
+      // 4.50 USD, 3,20 €
+      pattern: new RegExp(
+        `\\b\\d[\\d,]*(?:\\.\\d+)?\\s?(?:\\b(?:${CURRENCY_CODES})\\b|€|£)`,
+        "gi"
+      ),
+    },
+    {
+      label: "PRICE",
+      labeled: true,
+      // FOB: 4.50, Target price/pc 3.2, Unit cost = 2.75
+      pattern:
+        /(\b(?:price|cost|fob|cif|cmt)s?\b[^\S\n]*(?:\/[^\S\n]*(?:pcs?|pieces?|units?|dz|dozen)\b)?[^\S\n]*[:=]?[^\S\n]*)(\d[\d,]*(?:\.\d+)?)(?![\d%])/gi,
+    },
+  ],
+};
+
+const PLACEHOLDER = /\[(EMAIL|PHONE|PRICE|BUYER|SUPPLIER)_(\d+)\]/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Names matched whole, case-insensitively, with any run of whitespace
+// between words; longer names first so "Acme Apparel Ltd" wins over "Acme"
+const namePattern = (names) => {
+  const terms = [...new Set(names.map((name) => name.trim()).filter(Boolean))]
+    .sort((a, b) => b.length - a.length)
+    .map((name) => escapeRegExp(name).replace(/\s+/g, "\\s+"));
+  return terms.length > 0
+    ? new RegExp(
+        `(?<![\\p{L}\\p{N}])(?:${terms.join("|")})(?![\\p{L}\\p{N}])`,
+        "giu"
+      )
+    : null;
+};
+
+/**
+ * Placeholders of one model call: the same value keeps its placeholder, and
+ * restore() puts the values back into the response
+ */
+export class RedactionSession {
+  constructor(rules) {
+    this.rules = rules;
+    this.placeholders = new Map(); // normalized value -> placeholder
+    this.values = new Map(); // placeholder -> original value
+    this.counters = {};
+  }
+
+  placeholderFor(label, value) {
+    const key = `${label}:${value.toLowerCase().replace(/\s+/g, " ")}`;
+    if (!this.placeholders.has(key)) {
+      this.counters[label] = (this.counters[label] || 0) + 1;
+      const placeholder = `[${label}_${this.counters[label]}]`;
+      this.placeholders.set(key, placeholder);
+      this.values.set(placeholder, value);
+    }
+    return this.placeholders.get(key);
+  }
+
+  /**
+   * Mask every sensitive value in a text
+   * @param {string} text - Text about to be sent to the model
+   * @returns {string}
+   */
+  redact(text) {
+    return this.rules.reduce(
+      (result, { label, pattern, labeled }) =>
+        result.replace(pattern, (match, prefix, value) =>
+          labeled
+            ? prefix + this.placeholderFor(label, value)
+            : this.placeholderFor(label, match)
+        ),
+      String(text)
+    );
+  }
+
+  /**
+   * Put the original values back in place of placeholders
+   * @param {string} text - Model response
+   * @returns {string}
+   */
+  restore(text) {
+    return String(text).replace(
+      PLACEHOLDER,
+      (placeholder) => this.values.get(placeholder) ?? placeholder
+    );
+  }
+
+  /**
+   * Number of distinct values masked so far, per placeholder label
+   * @returns {Object} - e.g. { EMAIL: 2, PRICE: 5 }
+   */
+  counts() {
+    return { ...this.counters };
+  }
+}
+
+/**
+ * Redaction rules built from configuration
+ */
+export class Redactor {
+  /**
+   * @param {Object} options - { categories, buyers, suppliers, allowImages }
+   */
+  constructor({
+    categories = REDACTION_CATEGORIES,
+    buyers = [],
+    suppliers = [],
+    allowImages = false,
+  } = {}) {
+    // Explicit opt-in to send page images, which can't be masked
+    this.allowImages = allowImages;
+    this.rules = categories.flatMap((category) => PATTERNS[category] || []);
+
+    if (categories.includes("names")) {
+      const buyerPattern = namePattern(buyers);
+      const supplierPattern = namePattern(suppliers);
+      if (buyerPattern) {
+        this.rules.push({ label: "BUYER", pattern: buyerPattern });
+      }
+      if (supplierPattern) {
+        this.rules.push({ label: "SUPPLIER", pattern: supplierPattern });
+      }
+    }
+  }
+
+  get enabled() {
+    return this.rules.length > 0;
+  }
+
+  /**
+   * Start the placeholders of one model call
+   * @returns {RedactionSession}
+   */
+  createSession() {
+    return new RedactionSession(this.rules);
+  }
+
+  /**
+   * What redaction will mask in a text, without keeping the values
+   * @param {string} text - Extracted document text
+   * @returns {Object} - Distinct values per placeholder label
+   */
+  summarize(text) {
+    const session = this.createSession();
+    session.redact(text);
+    return session.counts();
+  }
+}
+
+const listFromEnv = (name) =>
+  (process.env[name] || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+// Categories from LLM_REDACTION: "all" (default), "off", or a comma list
+const getRedactionCategories = () => {
+  const setting = (process.env.LLM_REDACTION || "all").trim().toLowerCase();
+  if (setting === "all") return REDACTION_CATEGORIES;
+  if (setting === "off") return [];
+
+  const categories = setting.split(",").map((category) => category.trim());
+  const unknown = categories.filter(
+    (category) => !REDACTION_CATEGORIES.includes(category)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown LLM_REDACTION categories: ${unknown.join(
+        ", "
+      )} (use ${REDACTION_CATEGORIES.join(", ")}, all or off)`
+    );
+  }
+  return categories;
+};
+
+// Buyer and supplier names from REDACTION_BUYERS / REDACTION_SUPPLIERS and
+// the JSON file at REDACTION_TERMS_FILE ({ "buyers": [], "suppliers": [] })
+const loadNames = () => {
+  const names = {
+    buyers: listFromEnv("REDACTION_BUYERS"),
+    suppliers: listFromEnv("REDACTION_SUPPLIERS"),
+  };
+
+  const termsFile = process.env.REDACTION_TERMS_FILE;
+  if (termsFile) {
+    const terms = JSON.parse(fs.readFileSync(path.resolve(termsFile), "utf8"));
+    names.buyers.push(...(terms.buyers || []));
+    names.suppliers.push(...(terms.suppliers || []));
+  }
+  return names;
+};
+
+// Lazy initialization of the configured redactor
+let redactor = null;
+export const getRedactor = () => {
+  if (!redactor) {
+    const categories = getRedactionCategories();
+    redactor = new Redactor({
+      categories,
+      ...(categories.includes("names") ? loadNames() : {}),
+      allowImages: process.env.REDACTION_ALLOW_IMAGES === "true",
+    });
+    console.log(
+      redactor.enabled
+        ? `🛡️ Redacting ${categories.join(", ")} before LLM calls`
+        : "⚠️ LLM redaction is off"
+    );
+  }
+  return redactor;
+};
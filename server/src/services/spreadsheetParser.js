@@ -0,0 +1,465 @@
+/**
+ * Structured reading of Excel tech packs. Sheets are typed (BOM, POM /
+ * measurement, colorway, construction) from their headers, their rows are
+ * mapped to typed records, and labeled composition cells are parsed
+ * deterministically, all before the text reaches the model.
+ */
+
+import { normalizeFiber } from "./fiberNormalizer.js";
+
+// Header rows are looked for in the first rows of a sheet
+const HEADER_SEARCH_ROWS = 10;
+
+const SHEET_TYPES = {
+  bom: {
+    name: /\b(bom|bill of materials?|trims?|fabrics?|materials?|accessor(y|ies))\b/i,
+    header:
+      /\b(component|item|part|material|description|supplier|vendor|mill|consumption|cons|qty|quantity|uom|unit|placement|position|trim|article|composition)\b/i,
+  },
+  measurements: {
+    name: /\b(pom|measurements?|spec(s| sheet)?|size (chart|spec)|grading)\b/i,
+    header:
+      /\b(pom|point of measure(ment)?|measurements?|tolerance|tol|grade|how to measure)\b/i,
+  },
+  colorway: {
+    name: /\b(colou?rways?|colou?rs?)\b/i,
+    header: /\b(colou?rways?|colou?r|pantone|shade|tcx|tpx)\b/i,
+  },
+  construction: {
+    name: /\b(construction|sewing|stitch(ing)?|make ?up)\b/i,
+    header:
+      /\b(construction|operation|stitch(es)?|seams?|spi|process|instructions?)\b/i,
+  },
+};
+
+// Column roles per sheet type; earlier roles claim their column first
+const COLUMNS = {
+  bom: [
+    ["composition", /\b(composition|content|fib(re|er))\b/i],
+    ["supplier", /\b(supplier|vendor|mill|source)\b/i],
+    ["consumption", /\b(consumption|cons|qty|quantity|usage|yield)\b/i],
+    ["unit", /\b(uom|unit)\b/i],
+    ["placement", /\b(placement|position|location)\b/i],
+    ["component", /\b(component|item|part|type|category)\b/i],
+    ["description", /\b(description|material|article|quality|fabric|trim)\b/i],
+  ],
+  measurements: [
+    ["tolerance", /\b(tol|tolerance)\b/i],
+    ["code", /^(pom( code)?|code|#|no\.?)$/i],
+    ["description", /\b(description|point of measure|measurements?|pom)\b/i],
+  ],
+  colorway: [
+    ["code", /\b(code|pantone|tcx|tpx|ref)\b/i],
+    ["name", /\b(colou?rway|colou?r|name|shade)\b/i],
+  ],
+  construction: [
+    ["area", /\b(area|operation|process|position|component)\b/i],
+    [
+      "detail",
+      /\b(construction|details?|description|stitch|seam|instructions?)\b/i,
+    ],
+  ],
+};
+
+// Size column headers in measurement sheets and text tables
+export const SIZE_HEADER =
+  /^(\d?X{0,3}[SL]|M|XXS|OS|\d{1,3}(\/\d{1,3})?|\d{1,2}[MY]|\d{1,2}-\d{1,2}[MY]?)$/i;
+
+// BOM lines that are trims even when listed with fabric words ("main label")
+const TRIM_PATTERN =
+  /\b(label|button|zip(per)?|snap|rivet|thread|elastic|tape|hang ?tag|tag|poly ?bag|carton|sticker|drawcord|cord|eyelet|hook|velcro|badge|patch)\b/i;
+const FABRIC_PATTERN =
+  /\b(fabric|shell|body|self|lining|rib|collar|cuff|pocketing|interlining|fusing|facing|contrast|mesh)\b/i;
+
+// Labeled composition cells, e.g. "Composition" | "60% CTN 40% PES" or
+// "Fabric content: 95% CO 5% EA"
+const COMPOSITION_LABEL =
+  /^\s*(composition|fib(re|er) content|fabric content|content)\s*:?\s*(.*)$/i;
+
+const cellText = (cell) => String(cell ?? "").trim();
+
+// Blends written as "60/40 cotton/poly" or "cotton/poly 60/40"
+const SLASH_BLEND = [
+  /^(?<numbers>\d+(?:[.,]\d+)?(?:\s*\/\s*\d+(?:[.,]\d+)?)+)\s*%?\s*(?<names>[a-z][a-z .-]*?(?:\s*\/\s*[a-z][a-z .-]*?)+)\s*$/i,
+  /^(?<names>[a-z][a-z .-]*?(?:\s*\/\s*[a-z][a-z .-]*?)+)\s*(?<numbers>\d+(?:[.,]\d+)?(?:\s*\/\s*\d+(?:[.,]\d+)?)+)\s*%?\s*$/i,
+];
+
+// Labeled parts of a composition, e.g. "Shell: 80% wool 20% nylon; Lining:
+// 100% polyester"; the shell part is the garment's composition
+const COMPOSITION_PART = /^([a-z][a-z ]*?)\s*:\s*(.*)$/i;
+const SHELL_PART = /\b(shell|body|self|main|outer|face)\b/i;
+
+// Fabric descriptors after the fibres, e.g. "52% cotton 48% polyester
+// (Pique)" or "95% CO 5% EA - single jersey"; not ones with percentages
+const TRAILING_DESCRIPTOR =
+  /(?:\s*[([][^()[\]\d%]*[)\]]|\s+[-–]\s+[a-z][a-z ]*)+\s*$/i;
+
+// "60% CTN" or "CTN 60%" pairs, decided by what the value starts with
+const parsePercentages = (text) => {
+  const percentFirst = /^\W*\d/.test(text);
+  const pattern = percentFirst
+    ? /(\d+(?:[.,]\d+)?)\s*%\s*([a-z][a-z .-]*?)(?=\s*(?:[,;/+&(]|\d|$))/gi
+    : /([a-z][a-z .-]*?)\s*(\d+(?:[.,]\d+)?)\s*%/gi;
+
+  const materials = [];
+  for (const match of text.matchAll(pattern)) {
+    const [percentage, name] = percentFirst
+      ? [match[1], match[2]]
+      : [match[2], match[1]];
+    const { material } = normalizeFiber(name);
+    const existing = materials.find((m) => m.material === material);
+    const amount = parseFloat(percentage.replace(",", "."));
+    if (existing) {
+      existing.percentage += amount;
+    } else {
+      materials.push({ material, percentage: amount });
+    }
+  }
+  return materials;
+};
+
+// "60/40 cotton/poly" -> "60% cotton 40% poly", when the counts line up
+const expandSlashBlend = (text) => {
+  const groups = SLASH_BLEND.map((pattern) => text.match(pattern)).find(
+    Boolean
+  )?.groups;
+  if (!groups) return text;
+
+  const numbers = groups.numbers.split("/").map((item) => item.trim());
+  const names = groups.names.split("/").map((item) => item.trim());
+  return numbers.length === names.length
+    ? numbers.map((number, i) => `${number}% ${names[i]}`).join(" ")
+    : text;
+};
+
+/**
+ * Parse a composition string such as "60% CTN 40% PES", "CO 95% / EA 5%",
+ * "100% organic cotton", "60/40 cotton/poly" or "Shell: 80% wool 20% nylon;
+ * Lining: 100% polyester" (the shell part is taken), with trailing fabric
+ * descriptors such as "(Pique)" left out
+ * @param {string} value - Composition text
+ * @returns {Array<Object>|null} - [{ material, percentage }], or null unless the percentages add up to 100
+ */
+export const parseComposition = (value) => {
+  let text = cellText(value);
+
+  const parts = text
+    .split(/\s*[;\n|]\s*|,\s*(?=[a-z][a-z ]*:)/i)
+    .map((part) => part.match(COMPOSITION_PART))
+    .filter(Boolean);
+  if (parts.length > 0) {
+    text = (parts.find(([, label]) => SHELL_PART.test(label)) || parts[0])[2];
+  }
+
+  text = text.replace(TRAILING_DESCRIPTOR, "");
+
+  const materials = parsePercentages(expandSlashBlend(text));
+  const total = materials.reduce((sum, m) => sum + m.percentage, 0);
+  return materials.length > 0 && Math.abs(total - 100) <= 1 ? materials : null;
+};
+
+// "1.25 m" -> { value: 1.25, unit: "m" }
+const parseQuantity = (value) => {
+  const match = cellText(value).match(/^(\d+(?:[.,]\d+)?)\s*([a-z/]+)?/i);
+  return match
+    ? { value: parseFloat(match[1].replace(",", ".")), unit: match[2] || null }
+    : { value: null, unit: null };
+};
+
+// Header row and type of a sheet, or type "other" when no header is found
+const detectSheetType = (name, rows) => {
+  let best = { type: "other", headerIndex: -1, score: 0 };
+
+  rows.slice(0, HEADER_SEARCH_ROWS).forEach((row, headerIndex) => {
+    const cells = row.map(cellText).filter(Boolean);
+    if (cells.length < 2) return;
+
+    Object.entries(SHEET_TYPES).forEach(
+      ([type, { name: namePattern, header }]) => {
+        const hits = cells.filter((cell) => header.test(cell)).length;
+        if (hits < 2) return;
+
+        // A matching sheet name settles ties between similar headers
+        const score = hits + (namePattern.test(name) ? 2 : 0);
+        if (score > best.score) best = { type, headerIndex, score };
+      }
+    );
+  });
+
+  return best;
+};
+
+const mapColumns = (headers, roles) => {
+  const columns = {};
+  const used = new Set();
+
+  roles.forEach(([role, pattern]) => {
+    const index = headers.findIndex(
+      (header, i) => header && !used.has(i) && pattern.test(header)
+    );
+    if (index !== -1) {
+      columns[role] = index;
+      used.add(index);
+    }
+  });
+
+  return { columns, used };
+};
+
+const readRow = (row, columns) =>
+  Object.fromEntries(
+    Object.entries(columns).map(([role, index]) => [role, cellText(row[index])])
+  );
+
+const toBomLine = (row) => {
+  const { value: consumption, unit } = parseQuantity(row.consumption);
+  const label = `${row.component} ${row.description}`;
+  const category = TRIM_PATTERN.test(label)
+    ? "trim"
+    : FABRIC_PATTERN.test(label) || row.composition
+    ? "fabric"
+    : "trim";
+
+  return {
+    category,
+    component: row.component || row.description,
+    description: row.description || row.component,
+    composition: row.composition || null,
+    supplier: row.supplier || null,
+    consumption,
+    unit: row.unit || unit,
+    placement: row.placement || null,
+  };
+};
+
+const parseSheet = ({ name, rows }) => {
+  const { type, headerIndex } = detectSheetType(name, rows);
+  if (type === "other") {
+    return { name, type, headerIndex, rows: [] };
+  }
+
+  const headers = rows[headerIndex].map(cellText);
+  const { columns, used } = mapColumns(headers, COLUMNS[type]);
+  const body = rows
+    .slice(headerIndex + 1)
+    .filter((row) => row.some((cell) => cellText(cell)));
+
+  let records;
+  let sizes = [];
+  switch (type) {
+    case "bom":
+      records = body
+        .map((row) => readRow(row, columns))
+        .filter((row) => row.component || row.description)
+        .map(toBomLine);
+      break;
+
+    case "measurements": {
+      const sizeColumns = headers
+        .map((header, index) => ({ header, index }))
+        .filter(
+          ({ header, index }) => !used.has(index) && SIZE_HEADER.test(header)
+        );
+      sizes = sizeColumns.map(({ header }) => header);
+      records = body
+        .map((row) => ({
+          ...readRow(row, columns),
+          values: Object.fromEntries(
+            sizeColumns.map(({ header, index }) => [
+              header,
+              cellText(row[index]),
+            ])
+          ),
+        }))
+        .filter((row) => row.description || row.code);
+      break;
+    }
+
+    case "colorway":
+      records = body
+        .map((row) => readRow(row, columns))
+        .filter((row) => row.name)
+        .map((row) => ({ name: row.name, code: row.code || null }));
+      break;
+
+    default:
+      records = body
+        .map((row) => readRow(row, columns))
+        .filter((row) => row.detail || row.area);
+  }
+
+  // Sheet name, title rows and headers, which name the measurement unit
+  const title =
+    type === "measurements"
+      ? [name, ...rows.slice(0, headerIndex + 1).flat()]
+          .map(cellText)
+          .filter(Boolean)
+          .join(" ")
+      : null;
+
+  return { name, type, headerIndex, headers, rows: records, sizes, title };
+};
+
+// First labeled composition cell in the workbook that parses
+const findLabeledComposition = (sheets) => {
+  for (const { name, rows } of sheets) {
+    for (const [rowIndex, row] of rows.entries()) {
+      for (const [cellIndex, cell] of row.entries()) {
+        const label = cellText(cell).match(COMPOSITION_LABEL);
+        if (!label) continue;
+
+        const value =
+          label[3] ||
+          row
+            .slice(cellIndex + 1)
+            .map(cellText)
+            .find(Boolean) ||
+          "";
+        const materials = parseComposition(value);
+        if (materials) {
+          return { materials, value, sheet: name, row: rowIndex + 1 };
+        }
+      }
+    }
+  }
+  return null;
+};
+
+// Table rows as "Header: value | Header: value" lines, so the model still
+// sees which value belongs to which column
+const renderSheet = ({ name, rows }, parsed) => {
+  const lines = [`Sheet: ${name}`];
+
+  if (parsed.type === "other") {
+    rows.forEach((row) => {
+      const cells = row.map(cellText);
+      if (cells.some(Boolean)) lines.push(cells.join(","));
+    });
+    return lines.join("\n");
+  }
+
+  const { headerIndex, headers } = parsed;
+  lines.push(`(${parsed.type} table)`);
+  rows.forEach((row, index) => {
+    if (index === headerIndex) return;
+    const cells = row
+      .map((cell, i) => [headers[i] || "", cellText(cell)])
+      .filter(([, value]) => value);
+    if (cells.length === 0) return;
+    lines.push(
+      index < headerIndex
+        ? cells.map(([, value]) => value).join(",")
+        : cells
+            .map(([header, value]) => (header ? `${header}: ${value}` : value))
+            .join(" | ")
+    );
+  });
+  return lines.join("\n");
+};
+
+/**
+ * Read a workbook into typed sheets
+ * @param {Array<Object>} sheets - [{ name, rows }] with rows as arrays of cell values
+ * @returns {Object} - { text, sheets: [{ name, type, rows }], composition, fabrics, trims, colorways, sizeRange, measurements, measurementTitle }
+ */
+export const parseWorkbook = (sheets) => {
+  const parsed = sheets.map(parseSheet);
+  const ofType = (type) =>
+    parsed
+      .filter((sheet) => sheet.type === type)
+      .flatMap((sheet) => sheet.rows);
+
+  const bomLines = ofType("bom");
+  const fabrics = bomLines
+    .filter((line) => line.category === "fabric")
+    .map(({ category, placement, ...fabric }) => fabric);
+  const trims = bomLines
+    .filter((line) => line.category === "trim")
+    .map(({ category, composition, component, ...trim }) => ({
+      type: component,
+      ...trim,
+    }));
+
+  // A labeled composition cell wins; otherwise the shell fabric's BOM line
+  let composition = findLabeledComposition(sheets);
+  if (!composition) {
+    const shell =
+      fabrics.find(
+        (f) => f.composition && /\b(shell|body|self|main)\b/i.test(f.component)
+      ) || fabrics.find((f) => f.composition);
+    const materials = shell && parseComposition(shell.composition);
+    if (materials) {
+      composition = {
+        materials,
+        value: shell.composition,
+        sheet: null,
+        row: null,
+      };
+    }
+  }
+
+  const sizeRange =
+    parsed.find((sheet) => sheet.sizes?.length > 0)?.sizes || [];
+
+  return {
+    text: sheets.map((sheet, i) => renderSheet(sheet, parsed[i])).join("\n\n"),
+    sheets: parsed.map(({ name, type, rows }) => ({
+      name,
+      type,
+      rows: rows.length,
+    })),
+    composition,
+    fabrics,
+    trims,
+    colorways: ofType("colorway"),
+    sizeRange,
+    measurements: ofType("measurements"),
+    measurementTitle: parsed
+      .filter((sheet) => sheet.type === "measurements")
+      .map((sheet) => sheet.title)
+      .join(" "),
+  };
+};
+
+/**
+ * Replace model-extracted fields with the values read from typed sheets.
+ * Only meaningful when the workbook describes a single style.
+ * @param {Object} data - Extracted tech pack summary
+ * @param {Object} spreadsheet - parseWorkbook result
+ * @returns {Object} - { data, overridden } with the names of the replaced fields
+ */
+export const applyWorkbookData = (data, spreadsheet) => {
+  const result = { ...data };
+  const overridden = [];
+
+  const { composition } = spreadsheet;
+  if (composition) {
+    const evidence = {
+      confidence: 1,
+      inferred: false,
+      snippet: composition.value,
+      page: null,
+    };
+    result.materialPercentage = composition.materials;
+    result.fieldEvidence = {
+      ...data.fieldEvidence,
+      materialPercentage: {
+        ...evidence,
+        items: composition.materials.map(({ material }) => ({
+          material,
+          ...evidence,
+        })),
+      },
+    };
+    overridden.push("materialPercentage");
+  }
+
+  ["fabrics", "trims", "colorways", "sizeRange"].forEach((field) => {
+    if (spreadsheet[field].length > 0) {
+      result[field] = spreadsheet[field];
+      overridden.push(field);
+    }
+  });
+
+  return { data: result, overridden };
+};
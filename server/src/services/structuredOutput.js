@@ -0,0 +1,258 @@
+/**
+ * Structured output for every LLM call that expects JSON. The reply is
+ * parsed (prose and code fences around the JSON are ignored) and validated
+ * against a Joi schema from schemas/index.js; when either fails, the model
+ * is shown its reply, the errors and the JSON Schema derived from the Joi
+ * schema, and asked again, a bounded number of times.
+ */
+
+import { HumanMessage, AIMessage } from "@langchain/core/messages";
+
+const DEFAULT_MAX_REPAIRS = 2;
+
+// Validation errors quoted back to the model per repair
+const MAX_REPORTED_ERRORS = 15;
+
+// Repair attempts per call after the first reply (LLM_MAX_REPAIRS)
+const getMaxRepairs = () => {
+  const value = parseInt(process.env.LLM_MAX_REPAIRS);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_MAX_REPAIRS;
+};
+
+/**
+ * The model's reply was still unusable after every repair attempt
+ */
+export class StructuredOutputError extends Error {
+  constructor(message, { errors, repairs, response }) {
+    super(message);
+    this.name = "StructuredOutputError";
+    this.errors = errors;
+    this.repairs = repairs;
+    this.response = response;
+  }
+}
+
+const describeRule = (rules, name) =>
+  rules.find((rule) => rule.name === name)?.args?.limit;
+
+// JSON Schema for one node of Joi's describe() output
+const fromDescription = (description) => {
+  const { type, flags = {}, allow = [], rules = [] } = description;
+  let schema;
+
+  if (flags.only) {
+    // valid(...) lists its values, null included, in allow
+    return { enum: allow };
+  }
+
+  switch (type) {
+    case "object": {
+      const keys = Object.entries(description.keys || {}).filter(
+        ([, key]) => key.flags?.result !== "strip"
+      );
+      schema = { type: "object" };
+      if (keys.length > 0) {
+        schema.properties = Object.fromEntries(
+          keys.map(([name, key]) => [name, fromDescription(key)])
+        );
+        const required = keys
+          .filter(([, key]) => key.flags?.presence === "required")
+          .map(([name]) => name);
+        if (required.length > 0) schema.required = required;
+      }
+      if (description.patterns?.length) {
+        schema.additionalProperties = fromDescription(
+          description.patterns[0].rule
+        );
+      } else if (keys.length > 0 && !flags.unknown) {
+        schema.additionalProperties = false;
+      }
+      break;
+    }
+    case "array":
+      schema = {
+        type: "array",
+        items: description.items?.[0]
+          ? fromDescription(description.items[0])
+          : {},
+      };
+      if (describeRule(rules, "min") !== undefined) {
+        schema.minItems = describeRule(rules, "min");
+      }
+      break;
+    case "string":
+      schema = { type: "string" };
+      // Joi strings are non-empty unless "" is allowed
+      if (!allow.includes("")) schema.minLength = 1;
+      if (rules.some((rule) => rule.name === "uri")) schema.format = "uri";
+      break;
+    case "number":
+      schema = {
+        type: rules.some((rule) => rule.name === "integer")
+          ? "integer"
+          : "number",
+      };
+      if (describeRule(rules, "min") !== undefined) {
+        schema.minimum = describeRule(rules, "min");
+      }
+      if (describeRule(rules, "max") !== undefined) {
+        schema.maximum = describeRule(rules, "max");
+      }
+      break;
+    case "boolean":
+      schema = { type: "boolean" };
+      break;
+    case "alternatives": {
+      // try(...) lists schemas, conditional(...) its then/otherwise branches;
+      // branches accepting anything add nothing
+      const branches = (description.matches || [])
+        .flatMap((match) =>
+          match.schema ? [match.schema] : [match.then, match.otherwise]
+        )
+        .filter(Boolean)
+        .map(fromDescription)
+        .filter((branch) => Object.keys(branch).length > 0);
+      schema = branches.length === 1 ? branches[0] : { anyOf: branches };
+      break;
+    }
+    default:
+      return {};
+  }
+
+  if (allow.includes(null) && schema.type) {
+    schema.type = [schema.type, "null"];
+  }
+  return schema;
+};
+
+const jsonSchemas = new WeakMap();
+
+/**
+ * JSON Schema of a Joi schema, as shown to the model
+ * @param {Object} schema - Joi schema
+ * @returns {Object} - JSON Schema (draft 2020-12 subset)
+ */
+export const toJsonSchema = (schema) => {
+  if (!jsonSchemas.has(schema)) {
+    jsonSchemas.set(schema, fromDescription(schema.describe()));
+  }
+  return jsonSchemas.get(schema);
+};
+
+const responseText = (response) => {
+  if (typeof response === "string") return response;
+  if (typeof response.content === "string") return response.content;
+  return response.content.map((part) => part.text || "").join("");
+};
+
+// The first complete JSON value of the expected kind in a reply; strings
+// are skipped so brackets inside them don't count
+const findJson = (text, opener) => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced && fenced[1].includes(opener) ? fenced[1] : text;
+  const closer = opener === "[" ? "]" : "}";
+
+  const start = candidate.indexOf(opener);
+  if (start === -1) return candidate.trim();
+
+  let depth = 0;
+  let inString = false;
+  for (let index = start; index < candidate.length; index++) {
+    const char = candidate[index];
+    if (inString) {
+      if (char === "\\") index++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === "{" || char === "[") {
+      depth++;
+    } else if (char === "}" || char === "]") {
+      depth--;
+      if (depth === 0 && char === closer) {
+        return candidate.slice(start, index + 1);
+      }
+    }
+  }
+  // Unbalanced, e.g. a truncated reply: let JSON.parse report it
+  return candidate.slice(start);
+};
+
+/**
+ * Parse and validate one model reply
+ * @param {string} text - Model reply
+ * @param {Object} schema - Joi schema
+ * @returns {Object} - { value } or { errors: [string] }
+ */
+export const parseStructuredResponse = (text, schema) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(findJson(text, schema.type === "array" ? "[" : "{"));
+  } catch (error) {
+    return { errors: [`The reply is not valid JSON: ${error.message}`] };
+  }
+
+  const { value, error } = schema.validate(parsed, { abortEarly: false });
+  if (error) {
+    return {
+      errors: error.details
+        .slice(0, MAX_REPORTED_ERRORS)
+        .map((detail) => detail.message),
+    };
+  }
+  return { value };
+};
+
+const repairPrompt = (errors, schema) => `Your previous reply could not be used:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Reply again with only the corrected JSON: no explanations, no code fences. It must match this JSON Schema:
+${JSON.stringify(toJsonSchema(schema))}`;
+
+/**
+ * Ask the model for JSON matching a schema, re-asking with the validation
+ * errors until the reply is valid or the repair attempts run out
+ * @param {Object} model - LangChain chat model
+ * @param {string} prompt - Formatted prompt
+ * @param {Object} schema - Joi schema the reply must match
+ * @param {Object} options - { label for logs, maxRepairs (default LLM_MAX_REPAIRS or 2) }
+ * @returns {Promise<Object>} - { value, repairs }
+ */
+export const invokeStructured = async (
+  model,
+  prompt,
+  schema,
+  { label = "LLM", maxRepairs = getMaxRepairs() } = {}
+) => {
+  const messages = [new HumanMessage(prompt)];
+
+  for (let repairs = 0; ; repairs++) {
+    const response = responseText(await model.invoke(messages));
+    const { value, errors } = parseStructuredResponse(response, schema);
+
+    if (!errors) {
+      if (repairs > 0) {
+        console.log(
+          `🔧 ${label} reply valid after ${repairs} repair attempt(s)`
+        );
+      }
+      return { value, repairs };
+    }
+
+    if (repairs >= maxRepairs) {
+      throw new StructuredOutputError(
+        `${label} reply invalid after ${repairs} repair attempt(s): ${errors.join(
+          "; "
+        )}`,
+        { errors, repairs, response }
+      );
+    }
+
+    console.warn(
+      `🔧 ${label} reply invalid, asking for a repair: ${errors.join("; ")}`
+    );
+    messages.push(
+      new AIMessage(response),
+      new HumanMessage(repairPrompt(errors, schema))
+    );
+  }
+};
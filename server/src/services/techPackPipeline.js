@@ -0,0 +1,357 @@
+import Joi from "joi";
+import { processFiles } from "./fileProcessingService.js";
+import { extractTechPackStyles } from "./aiService.js";
+import { applyWorkbookData } from "./spreadsheetParser.js";
+import { normalizeTechPackComposition } from "./fiberNormalizer.js";
+import { extractMeasurements } from "./measurementExtractor.js";
+import { analyzeSustainability } from "./certifications.js";
+import { splitIntoStyles } from "./techPackStyles.js";
+import { RAGAgent } from "./ragAgent.js";
+import { HSCodeValidator, compareSuggestions } from "./hsCodeValidator.js";
+import { classifyByRules, mergeRuleSuggestions } from "./hsRuleEngine.js";
+import { getTechPackStore } from "./techPackStore.js";
+import { getRedactor } from "./redaction.js";
+import { JOB_STATUS } from "./jobQueue.js";
+import { techPackSchema, hsCodeSuggestionSchema } from "../schemas/index.js";
+
+// Lazy initialization of RAG Agent
+let ragAgent = null;
+const getRagAgent = () => {
+  if (!ragAgent) {
+    ragAgent = new RAGAgent();
+  }
+  return ragAgent;
+};
+
+// Lazy initialization of the tariff code validator used for rule engine codes
+let codeValidator = null;
+const getCodeValidator = () => {
+  if (!codeValidator) {
+    codeValidator = new HSCodeValidator();
+  }
+  return codeValidator;
+};
+
+const toFileInfo = (file) => ({
+  originalName: file.originalname,
+  size: file.size,
+  type: file.mimetype,
+});
+
+// File info of an upload; several images are described as one file with
+// the individual images listed under files
+const describeUpload = (files) => {
+  if (files.length === 1) {
+    return toFileInfo(files[0]);
+  }
+
+  const types = new Set(files.map((file) => file.mimetype));
+  return {
+    originalName: files.map((file) => file.originalname).join(", "),
+    size: files.reduce((sum, file) => sum + file.size, 0),
+    type: types.size === 1 ? [...types][0] : "image/*",
+    files: files.map(toFileInfo),
+  };
+};
+
+/**
+ * Extract tech pack information from an uploaded document or images and
+ * store the result. A document covering several styles gives one tech pack
+ * record per style; the top-level fields describe the first style.
+ * @param {Array<Object>} files - Multer file objects (one document, or one or more images)
+ * @param {Object} context - Job context ({ setStatus, setPartialResult, emitProgress })
+ * @returns {Promise<Object>} - { techPackId, techPackSummary, fileInfo, ocr, spreadsheet, redaction, warnings, extraction, styles, skippedStyles }
+ */
+export const runUploadPipeline = async (files, context) => {
+  const fileInfo = describeUpload(files);
+  context.setPartialResult({ fileInfo });
+
+  console.log(`📁 Processing file: ${fileInfo.originalName}`);
+
+  // Step 1: Extract text from file
+  context.setStatus(JOB_STATUS.EXTRACTING);
+  const {
+    text: extractedText,
+    ocr,
+    spreadsheet = null,
+  } = await processFiles(files, context.emitProgress);
+
+  if (!extractedText || extractedText.trim().length === 0) {
+    throw new Error("Unable to extract text from the uploaded file");
+  }
+
+  console.log(`📝 Extracted ${extractedText.length} characters from file`);
+  context.setPartialResult({ extractedCharacters: extractedText.length, ocr });
+
+  // Every model call masks these (see createChatModel); report what the
+  // document holds so users can see what stays in-house
+  const redactor = getRedactor();
+  const redaction = redactor.enabled ? redactor.summarize(extractedText) : null;
+  if (redaction && Object.keys(redaction).length > 0) {
+    const masked = Object.entries(redaction)
+      .map(
+        ([label, count]) =>
+          `${count} ${label.toLowerCase()}${count === 1 ? "" : "s"}`
+      )
+      .join(", ");
+    context.emitProgress("redaction", `Masking before AI calls: ${masked}`, {
+      redaction,
+    });
+  }
+  context.setPartialResult({ redaction });
+
+  // Step 2: Use AI to extract tech pack information, per style
+  context.setStatus(JOB_STATUS.ANALYZING);
+  const aiResult = await extractTechPackStyles(
+    extractedText,
+    context.emitProgress
+  );
+
+  // Step 3: Handle AI response (success or failure)
+  if (!aiResult.success) {
+    throw new Error(aiResult.error);
+  }
+
+  // Removed instructions and values the document doesn't support; styles
+  // sharing pages report the same passage once
+  const warnings = [
+    ...new Map(
+      (aiResult.warnings || []).map((warning) => [
+        warning.type === "prompt_injection"
+          ? `${warning.type}:${warning.page}:${warning.snippet}`
+          : `${warning.type}:${warning.styleNumber}:${warning.message}`,
+        warning,
+      ])
+    ).values(),
+  ];
+  context.setPartialResult({ warnings });
+
+  // Typed workbook rows are more reliable than the model's reading of them,
+  // but they can't be told apart per style
+  let spreadsheetReport = null;
+  if (spreadsheet) {
+    spreadsheetReport = {
+      sheets: spreadsheet.sheets,
+      composition: spreadsheet.composition,
+      overridden: [],
+    };
+    if (aiResult.styles.length === 1) {
+      const [style] = aiResult.styles;
+      const { data, overridden } = applyWorkbookData(style.data, spreadsheet);
+      style.data = data;
+      spreadsheetReport.overridden = overridden;
+      if (overridden.length > 0) {
+        console.log(
+          `📊 Fields read from typed sheets: ${overridden.join(", ")}`
+        );
+      }
+    }
+  }
+
+  // Canonical fiber names, a composition adding up to 100 and the
+  // chief-weight fiber
+  aiResult.styles.forEach((style) => {
+    style.data = normalizeTechPackComposition(style.data);
+    const { status, issues } = style.data.compositionAnalysis;
+    if (status !== "ok") {
+      console.warn(`⚠️ Composition ${status}: ${issues.join("; ")}`);
+    }
+  });
+
+  // Measurement charts and certification claims, read from each style's
+  // own pages
+  const styleTexts =
+    aiResult.styles.length > 1
+      ? Object.fromEntries(
+          splitIntoStyles(extractedText).map(({ styleNumber, text }) => [
+            styleNumber,
+            text,
+          ])
+        )
+      : {};
+  for (const style of aiResult.styles) {
+    const styleText = styleTexts[style.styleNumber] || extractedText;
+    const measurements = await extractMeasurements(
+      styleText,
+      aiResult.styles.length === 1 ? spreadsheet : null
+    );
+    if (measurements) {
+      style.data = { ...style.data, measurements };
+      const message = `${measurements.points.length} points of measure over ${measurements.sizes.length} sizes`;
+      console.log(`📏 ${message} (${measurements.source})`);
+      context.emitProgress("measurements", message, {
+        styleNumber: style.styleNumber,
+        source: measurements.source,
+      });
+    }
+
+    const sustainability = analyzeSustainability(
+      styleText,
+      style.data.materialPercentage
+    );
+    style.data = { ...style.data, sustainability };
+    if (
+      sustainability.certifications.length > 0 ||
+      sustainability.fibers.length > 0
+    ) {
+      const schemes = sustainability.certifications.map(({ scheme }) => scheme);
+      const message = `Certifications: ${schemes.join(", ") || "none"}; ${
+        sustainability.recycledPercentage
+      }% recycled, ${sustainability.organicPercentage}% organic`;
+      console.log(`🌱 ${message}`);
+      sustainability.notes.forEach((note) => console.warn(`⚠️ ${note}`));
+      context.emitProgress("certifications", message, {
+        styleNumber: style.styleNumber,
+        certifications: schemes,
+        recycledPercentage: sustainability.recycledPercentage,
+        organicPercentage: sustainability.organicPercentage,
+      });
+    }
+  }
+
+  // Step 4: Validate the extracted tech pack data structure
+  aiResult.styles.forEach(({ styleNumber, data }) => {
+    const { error: techPackError } = techPackSchema.validate(data);
+    if (techPackError) {
+      console.warn(
+        `⚠️ Tech pack data validation failed${
+          styleNumber ? ` for style ${styleNumber}` : ""
+        }:`,
+        techPackError.details
+      );
+      // Continue anyway but log the validation issues for debugging
+    }
+  });
+
+  const [firstStyle] = aiResult.styles;
+  context.setPartialResult({
+    techPackSummary: firstStyle.data,
+    extraction: firstStyle.extraction,
+    spreadsheet: spreadsheetReport,
+  });
+
+  // Step 5: Persist each style so it can be reopened and classified later
+  const styles = [];
+  for (const style of aiResult.styles) {
+    let techPackId = null;
+    try {
+      const record = await getTechPackStore().create({
+        fileInfo,
+        aiExtraction: style.data,
+      });
+      techPackId = record.id;
+    } catch (storeError) {
+      // Don't fail the upload if persistence is unavailable
+      console.warn("⚠️ Could not persist tech pack:", storeError.message);
+    }
+
+    styles.push({
+      styleNumber: style.styleNumber,
+      pages: style.pages,
+      techPackId,
+      techPackSummary: style.data,
+      extraction: style.extraction,
+    });
+  }
+
+  return {
+    techPackId: styles[0].techPackId,
+    techPackSummary: styles[0].techPackSummary,
+    fileInfo,
+    ocr,
+    spreadsheet: spreadsheetReport,
+    redaction,
+    warnings,
+    extraction: styles[0].extraction,
+    styles,
+    skippedStyles: aiResult.skippedStyles,
+  };
+};
+
+/**
+ * Generate HS code suggestions for tech pack information. The rule engine
+ * runs first as an independent second opinion; its suggestions are merged
+ * with the RAG suggestions and stand in for them when RAG is unavailable.
+ * @param {Object} techPackInfo - Validated tech pack summary
+ * @param {Object} context - Job context ({ setStatus, setPartialResult, emitProgress })
+ * @returns {Promise<Object>} - { hsCodeSuggestions, ruleEngine, techPackInfo }
+ */
+export const runClassificationPipeline = async (techPackInfo, context) => {
+  console.log("🔍 Starting HS code classification...");
+  context.setStatus(JOB_STATUS.CLASSIFYING);
+
+  // Deterministic chapter 61/62 classification
+  context.emitProgress("rule_engine", "Applying chapter 61/62 rules");
+  const ruleResult = classifyByRules(techPackInfo);
+  const ruleSuggestions = await validateRuleSuggestions(ruleResult.suggestions);
+  const ruleEngine = {
+    chapter: ruleResult.chapter,
+    trace: ruleResult.trace,
+    suggestions: ruleSuggestions,
+  };
+  context.emitProgress(
+    "rule_engine",
+    ruleSuggestions.length > 0
+      ? `Rules point to chapter ${ruleResult.chapter}: ${ruleSuggestions
+          .map((s) => s.code)
+          .join(", ")}`
+      : "No chapter 61/62 rule applies",
+    { chapter: ruleResult.chapter, suggestions: ruleSuggestions.length }
+  );
+  context.setPartialResult({ ruleEngine });
+
+  // Generate HS code suggestions using RAG agent
+  let ragSuggestions = [];
+  try {
+    console.log("🤖 Using RAG agent for HS code classification...");
+    ragSuggestions = await getRagAgent().classifyHSCode(
+      techPackInfo,
+      undefined,
+      context.emitProgress
+    );
+    console.log(`✅ Generated ${ragSuggestions.length} HS code suggestions`);
+  } catch (ragError) {
+    console.warn(
+      "⚠️ RAG agent failed, falling back to rule engine suggestions:",
+      ragError.message
+    );
+    context.setPartialResult({ ragError: ragError.message });
+    context.emitProgress("fallback", "Using rule engine suggestions", {
+      reason: ragError.message,
+    });
+  }
+
+  const hsCodeSuggestions = mergeRuleSuggestions(
+    ragSuggestions,
+    ruleSuggestions
+  ).sort(compareSuggestions);
+
+  // Validate HS code suggestions format
+  const suggestionValidation = Joi.array()
+    .items(hsCodeSuggestionSchema)
+    .validate(hsCodeSuggestions);
+  if (suggestionValidation.error) {
+    console.warn(
+      "⚠️ HS code suggestions validation failed:",
+      suggestionValidation.error.details
+    );
+  }
+
+  return {
+    hsCodeSuggestions,
+    ruleEngine,
+    techPackInfo,
+  };
+};
+
+// Check rule engine codes against the tariff like the RAG suggestions
+async function validateRuleSuggestions(suggestions) {
+  try {
+    const { suggestions: validated } =
+      await getCodeValidator().validateSuggestions(suggestions);
+    return validated;
+  } catch (error) {
+    console.warn("⚠️ Could not validate rule engine codes:", error.message);
+    return suggestions.map((s) => ({ ...s, validationStatus: "unverified" }));
+  }
+}
@@ -0,0 +1,353 @@
+/**
+ * Map-reduce support for long tech packs: split the extracted text into the
+ * sections tech packs are made of (cover, BOM, measurement chart,
+ * construction), and merge the fields extracted from each section back into
+ * one summary, recording which section every field came from.
+ */
+
+// Sections larger than this are split so each map call stays well inside
+// the model's context next to the prompt
+const SECTION_MAX_CHARS = 6000;
+// Upper bound on map calls per document
+const MAX_SECTIONS = 12;
+// Headings are short lines, e.g. "BILL OF MATERIALS" or "Construction Details:"
+const MAX_HEADING_LENGTH = 60;
+const MAX_HEADING_WORDS = 8;
+
+const HEADING_PATTERNS = [
+  {
+    type: "bom",
+    pattern:
+      /\b(bill of materials?|b\.?o\.?m|trims?( list| card)?|fabrics?( details| info| spec(ification)?s?)?|materials?|components|accessories|fibre content|fiber content|composition)\b/i,
+  },
+  {
+    type: "measurements",
+    pattern:
+      /\b(measurements?|spec(ification)? (sheet|chart)|size (chart|spec|range|set)|grading|p\.?o\.?m|points? of measure)\b/i,
+  },
+  {
+    type: "construction",
+    pattern:
+      /\b(construction|sewing|stitch(ing)?|seams?|make ?up|workmanship|finishing|wash(ing)? (care|instructions)|care (label|instructions))\b/i,
+  },
+  {
+    type: "cover",
+    pattern:
+      /\b(cover( page| sheet)?|style (summary|overview|info(rmation)?|details)|product (summary|overview|information)|general information|design overview)\b/i,
+  },
+];
+
+// Page markers written by OCR ("--- Page 3 ---") and sheet headers written
+// by the Excel extractor ("Sheet: BOM")
+const PAGE_MARKER = /^-{3}\s*(?:Page|Image)\s+(\d+)\s*-{3}$/i;
+const SHEET_MARKER = /^Sheet:\s*(.+)$/;
+
+// Which section types are trusted for a field, most trusted first
+const FIELD_PRIORITY = {
+  materialPercentage: ["bom", "construction", "cover", "other", "measurements"],
+  fabricType: ["construction", "bom", "cover", "other", "measurements"],
+  garmentType: ["cover", "construction", "other", "bom", "measurements"],
+  gender: ["cover", "measurements", "other", "construction", "bom"],
+  description: ["cover", "construction", "other", "bom", "measurements"],
+  gsm: ["bom", "construction", "cover", "other", "measurements"],
+  countryOfOrigin: ["cover", "other", "bom", "construction", "measurements"],
+  destinationMarket: ["cover", "other", "bom", "construction", "measurements"],
+  incoterm: ["cover", "other", "bom", "construction", "measurements"],
+};
+
+// Free text differs between sections by nature; never reported as a conflict
+const FREE_TEXT_FIELDS = ["description"];
+
+// Lists assembled from every section (a BOM split over pages, colorways on
+// the cover and in the BOM), de-duplicated on these keys
+const LIST_FIELDS = {
+  fabrics: (item) => `${item.component}|${item.description}`,
+  trims: (item) => `${item.type}|${item.description}`,
+  colorways: (item) => item.name,
+  sizeRange: (item) => item,
+};
+
+const classifyHeading = (line) => {
+  const trimmed = line.trim().replace(/:$/, "");
+  if (
+    !trimmed ||
+    trimmed.length > MAX_HEADING_LENGTH ||
+    trimmed.split(/\s+/).length > MAX_HEADING_WORDS ||
+    // "Fabric: 100% cotton" is a value, not a heading
+    /:\s*\S/.test(trimmed) ||
+    /\d\s*%/.test(trimmed)
+  ) {
+    return null;
+  }
+  return (
+    HEADING_PATTERNS.find(({ pattern }) => pattern.test(trimmed))?.type || null
+  );
+};
+
+// Split text into parts of at most maxChars, on line boundaries
+const chunkLines = (lines, maxChars) => {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  lines.forEach((line) => {
+    if (size + line.length > maxChars && current.length > 0) {
+      chunks.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(line);
+    size += line.length + 1;
+  });
+  if (current.length > 0) chunks.push(current);
+
+  return chunks;
+};
+
+/**
+ * Split extracted tech pack text into typed sections
+ * @param {string} text - Extracted document text
+ * @returns {Array<Object>} - [{ id, type, title, pageStart, pageEnd, text }]
+ */
+export const splitIntoSections = (text) => {
+  const raw = [];
+  let page = 1;
+  // Text before the first heading is the cover (style header, summary)
+  let current = { type: "cover", title: "Cover", pageStart: 1, lines: [] };
+
+  const startSection = (type, title) => {
+    raw.push(current);
+    current = { type, title, pageStart: page, lines: [] };
+  };
+
+  String(text || "")
+    .split("\n")
+    .forEach((line) => {
+      const pageMatch = line.trim().match(PAGE_MARKER);
+      if (pageMatch) {
+        page = parseInt(pageMatch[1]);
+        return;
+      }
+
+      const sheetMatch = line.trim().match(SHEET_MARKER);
+      if (sheetMatch) {
+        const title = sheetMatch[1].trim();
+        startSection(classifyHeading(title) || "other", title);
+      } else {
+        const type = classifyHeading(line);
+        if (type) {
+          startSection(type, line.trim().replace(/:$/, ""));
+        }
+      }
+
+      current.lines.push(line);
+      current.pageEnd = page;
+    });
+  raw.push(current);
+
+  // Drop empty sections, merge consecutive ones of the same type and split
+  // oversized ones
+  const merged = [];
+  raw
+    .filter((section) => section.lines.join("").trim().length > 0)
+    .forEach((section) => {
+      const previous = merged[merged.length - 1];
+      if (
+        previous &&
+        previous.type === section.type &&
+        previous.lines.join("\n").length + section.lines.join("\n").length <=
+          SECTION_MAX_CHARS
+      ) {
+        previous.lines.push(...section.lines);
+        previous.pageEnd = section.pageEnd;
+      } else {
+        merged.push({ ...section, lines: [...section.lines] });
+      }
+    });
+
+  const sections = merged.flatMap((section) => {
+    const chunks = chunkLines(section.lines, SECTION_MAX_CHARS);
+    return chunks.map((lines, index) => ({
+      type: section.type,
+      title:
+        chunks.length > 1
+          ? `${section.title} (${index + 1}/${chunks.length})`
+          : section.title,
+      pageStart: section.pageStart,
+      pageEnd: section.pageEnd ?? section.pageStart,
+      text: lines.join("\n").trim(),
+    }));
+  });
+
+  if (sections.length > MAX_SECTIONS) {
+    console.warn(
+      `⚠️ Document has ${sections.length} sections, extracting the first ${MAX_SECTIONS}`
+    );
+  }
+
+  return sections
+    .slice(0, MAX_SECTIONS)
+    .map((section, index) => ({ id: `s${index + 1}`, ...section }));
+};
+
+const isEmpty = (value) =>
+  value === null ||
+  value === undefined ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+// Comparable form of a field value, so equal answers are counted together
+const valueKey = (field, value) => {
+  if (field === "materialPercentage") {
+    return value
+      .map(
+        (m) =>
+          `${String(m.material).trim().toLowerCase()}:${Number(m.percentage)}`
+      )
+      .sort()
+      .join("|");
+  }
+  return typeof value === "string"
+    ? value
+        .trim()
+        .toLowerCase()
+        .replace(/['’]s\b/g, "")
+    : JSON.stringify(value);
+};
+
+// A composition is only usable if it adds up to (about) 100%
+const isCompleteComposition = (materials) =>
+  Math.abs(materials.reduce((sum, m) => sum + Number(m.percentage), 0) - 100) <=
+  1;
+
+const describeSection = ({ id, type, title, pageStart, pageEnd }) => ({
+  sectionId: id,
+  sectionType: type,
+  sectionTitle: title,
+  pages: pageStart === pageEnd ? `${pageStart}` : `${pageStart}-${pageEnd}`,
+});
+
+// Union of a list field over all sections, in section order
+const mergeListField = (partials, field, keyOf) => {
+  const seen = new Set();
+  const items = [];
+  const sections = [];
+
+  partials.forEach(({ section, data: partial }) => {
+    if (!Array.isArray(partial?.[field])) return;
+
+    partial[field].forEach((item) => {
+      const key = String(keyOf(item) ?? "")
+        .trim()
+        .toLowerCase();
+      if (!key || seen.has(key)) return;
+
+      seen.add(key);
+      items.push(item);
+      if (!sections.includes(section)) sections.push(section);
+    });
+  });
+
+  return { items, sections };
+};
+
+/**
+ * Merge the fields extracted from each section. For every field the value
+ * from the most trusted section type wins (e.g. BOM for composition, cover
+ * for garment type); among sections of that type the value most sections
+ * agree on wins, then the earliest. Disagreements are reported as conflicts.
+ * List fields (BOM fabrics and trims, colorways, sizes) are combined from
+ * all sections instead.
+ * @param {Array<Object>} partials - [{ section, data }] with data fields null when absent
+ * @returns {Object} - { data, fieldSources, conflicts }
+ */
+export const mergeSectionResults = (partials) => {
+  const data = {};
+  const fieldSources = {};
+  const conflicts = [];
+
+  Object.entries(LIST_FIELDS).forEach(([field, keyOf]) => {
+    const { items, sections } = mergeListField(partials, field, keyOf);
+    data[field] = items;
+    if (sections.length > 0) {
+      fieldSources[field] = {
+        ...describeSection(sections[0]),
+        agreeingSections: sections.map((s) => s.id),
+      };
+    }
+  });
+
+  Object.entries(FIELD_PRIORITY).forEach(([field, priority]) => {
+    let candidates = partials
+      .filter(({ data: partial }) => partial && !isEmpty(partial[field]))
+      .map(({ section, data: partial }) => ({
+        section,
+        value: partial[field],
+        key: valueKey(field, partial[field]),
+        rank: priority.indexOf(section.type),
+      }));
+
+    if (field === "materialPercentage") {
+      const complete = candidates.filter((c) => isCompleteComposition(c.value));
+      if (complete.length > 0) candidates = complete;
+    }
+
+    if (candidates.length === 0) {
+      data[field] = field === "materialPercentage" ? [] : null;
+      return;
+    }
+
+    // Group equal answers; best group has the most trusted section, then
+    // the most votes, then appears first
+    const groups = new Map();
+    candidates.forEach((candidate) => {
+      const group = groups.get(candidate.key) || {
+        value: candidate.value,
+        sections: [],
+        rank: candidate.rank,
+      };
+      group.sections.push(candidate.section);
+      group.rank = Math.min(group.rank, candidate.rank);
+      groups.set(candidate.key, group);
+    });
+
+    const ranked = [...groups.values()].sort(
+      (a, b) =>
+        a.rank - b.rank ||
+        b.sections.length - a.sections.length ||
+        a.sections[0].id.localeCompare(b.sections[0].id, undefined, {
+          numeric: true,
+        })
+    );
+    const [winner, ...others] = ranked;
+    const source =
+      winner.sections.find((s) => priority.indexOf(s.type) === winner.rank) ||
+      winner.sections[0];
+
+    data[field] = winner.value;
+    fieldSources[field] = {
+      ...describeSection(source),
+      agreeingSections: winner.sections.map((s) => s.id),
+    };
+
+    if (others.length > 0 && !FREE_TEXT_FIELDS.includes(field)) {
+      conflicts.push({
+        field,
+        chosen: winner.value,
+        chosenFrom: source.id,
+        resolution:
+          others[0].rank > winner.rank
+            ? "section priority"
+            : others[0].sections.length < winner.sections.length
+            ? "majority"
+            : "earliest section",
+        alternatives: others.map((group) => ({
+          value: group.value,
+          sections: group.sections.map((s) => s.id),
+        })),
+      });
+    }
+  });
+
+  return { data, fieldSources, conflicts };
+};
@@ -0,0 +1,89 @@
+import { getRepositories } from "../repositories/index.js";
+
+// Map API field names to tech_packs columns
+const toRow = (record) => {
+  const row = {};
+
+  if (record.fileInfo !== undefined) {
+    row.file_name = record.fileInfo?.originalName ?? null;
+    row.file_size = record.fileInfo?.size ?? null;
+    row.file_type = record.fileInfo?.type ?? null;
+  }
+  if (record.aiExtraction !== undefined) {
+    row.ai_extraction = record.aiExtraction;
+  }
+  if (record.userEdits !== undefined) {
+    row.user_edits = record.userEdits;
+  }
+  if (record.selectedHsCode !== undefined) {
+    row.selected_hs_code = record.selectedHsCode;
+  }
+
+  return row;
+};
+
+// Map a tech_packs row back to the API shape
+const toRecord = (row) => ({
+  id: row.id,
+  fileInfo: row.file_name
+    ? {
+        originalName: row.file_name,
+        size: row.file_size,
+        type: row.file_type,
+      }
+    : null,
+  aiExtraction: row.ai_extraction,
+  userEdits: row.user_edits,
+  // User edits always win over the raw AI extraction
+  techPackSummary: row.user_edits || row.ai_extraction,
+  selectedHsCode: row.selected_hs_code,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Tech pack records in the API shape, stored in the tech_packs repository of
+ * the configured backend (STORAGE_BACKEND)
+ */
+export class TechPackStore {
+  constructor(repositories = getRepositories()) {
+    this.repository = repositories.techPacks;
+  }
+
+  async create(record) {
+    const row = await this.repository.insert(toRow(record));
+
+    console.log(`💾 Stored tech pack ${row.id}`);
+    return toRecord(row);
+  }
+
+  async get(id) {
+    const row = await this.repository.get(id);
+    return row ? toRecord(row) : null;
+  }
+
+  async list({ limit = 20, offset = 0 } = {}) {
+    const { rows, total } = await this.repository.list({ limit, offset });
+    return { records: rows.map(toRecord), total };
+  }
+
+  async update(id, changes) {
+    const row = await this.repository.update(id, toRow(changes));
+    return row ? toRecord(row) : null;
+  }
+
+  async delete(id) {
+    return this.repository.delete(id);
+  }
+}
+
+// Shared store instance with lazy initialization
+let techPackStoreInstance = null;
+export const getTechPackStore = () => {
+  if (!techPackStoreInstance) {
+    techPackStoreInstance = new TechPackStore();
+  }
+  return techPackStoreInstance;
+};
+
+export default TechPackStore;
@@ -0,0 +1,130 @@
+/**
+ * Multi-style tech packs: one PDF or workbook covering several garments
+ * (e.g. a capsule with a top, a bottom and a set). The text is split on
+ * declared style numbers so each style can be extracted and classified on
+ * its own.
+ */
+
+// Upper bound on styles extracted per document
+const MAX_STYLES = 10;
+
+// A style declaration at the start of a line or table row, e.g.
+// "Style No: ST-1001", "Style # 24SS-TOP-01", "Style Code,A2231". Only
+// style labels: "Item No: 10" and "Article No 4412" are BOM and trim rows
+const STYLE_DECLARATION =
+  /^[\s|,]*style\s*(?:(?:no|nr|number|num|code|ref|reference|id)\b\.?\s*[:#,|-]?|[:#,|])\s*([A-Z0-9][A-Z0-9\-/_.]{1,24})/i;
+
+// Page markers ("--- Page 3 ---") and sheet headers ("Sheet: BOM") start a
+// new block of the document
+const PAGE_MARKER = /^-{3}\s*(?:Page|Image)\s+(\d+)\s*-{3}$/i;
+const SHEET_MARKER = /^Sheet:\s*(.+)$/;
+
+/**
+ * Style number declared on a line
+ * @param {string} line - One line of extracted text
+ * @returns {string|null} - Upper-cased style number, or null
+ */
+const styleNumberOf = (line) => {
+  const match = line.match(STYLE_DECLARATION);
+  if (!match) return null;
+
+  const code = match[1].replace(/[.\-/_]+$/, "").toUpperCase();
+  // Style numbers carry digits; this rules out headings like "Style: Casual"
+  return /\d/.test(code) ? code : null;
+};
+
+/**
+ * First style number declared in a document
+ * @param {string} text - Extracted document text
+ * @returns {string|null}
+ */
+export const findStyleNumber = (text) => {
+  for (const line of String(text || "").split("\n")) {
+    const styleNumber = styleNumberOf(line);
+    if (styleNumber) return styleNumber;
+  }
+  return null;
+};
+
+/**
+ * Split a document into one text per declared style. Pages and sheets
+ * belong to the style they declare, or to the style before them when they
+ * declare none (continuation pages, BOM sheets without a header). Anything
+ * before the first declaration (capsule cover, buyer and shipping details)
+ * is shared by every style.
+ * @param {string} text - Extracted document text
+ * @returns {Array<Object>} - [{ styleNumber, pages, text }]; fewer than two entries means a single-style document
+ */
+export const splitIntoStyles = (text) => {
+  const blocks = [];
+  let page = null;
+  let current = { styleNumber: null, pages: new Set(), lines: [] };
+
+  const startBlock = (firstLines = []) => {
+    blocks.push(current);
+    current = { styleNumber: null, pages: new Set(), lines: firstLines };
+  };
+
+  String(text || "")
+    .split("\n")
+    .forEach((line) => {
+      const trimmed = line.trim();
+      const pageMatch = trimmed.match(PAGE_MARKER);
+
+      if (pageMatch || SHEET_MARKER.test(trimmed)) {
+        startBlock();
+        if (pageMatch) page = parseInt(pageMatch[1]);
+      } else {
+        const styleNumber = styleNumberOf(line);
+        if (styleNumber && current.styleNumber === null) {
+          current.styleNumber = styleNumber;
+        } else if (styleNumber && styleNumber !== current.styleNumber) {
+          // A second style starts mid-page; repeat the page marker so page
+          // references in its text stay right
+          startBlock(page ? [`--- Page ${page} ---`] : []);
+          current.styleNumber = styleNumber;
+        }
+      }
+
+      current.lines.push(line);
+      if (page) current.pages.add(page);
+    });
+  blocks.push(current);
+
+  const shared = [];
+  const styles = new Map();
+  let previous = null;
+
+  blocks.forEach((block) => {
+    const styleNumber = block.styleNumber || previous;
+    if (!styleNumber) {
+      shared.push(...block.lines);
+      return;
+    }
+
+    const style = styles.get(styleNumber) || {
+      styleNumber,
+      pages: new Set(),
+      lines: [],
+    };
+    style.lines.push(...block.lines);
+    block.pages.forEach((p) => style.pages.add(p));
+    styles.set(styleNumber, style);
+    previous = styleNumber;
+  });
+
+  if (styles.size > MAX_STYLES) {
+    console.warn(
+      `⚠️ Document declares ${styles.size} styles, extracting the first ${MAX_STYLES}`
+    );
+  }
+
+  const sharedText = shared.join("\n").trim();
+  return [...styles.values()].slice(0, MAX_STYLES).map((style) => ({
+    styleNumber: style.styleNumber,
+    pages: [...style.pages].sort((a, b) => a - b),
+    text: [sharedText, style.lines.join("\n").trim()]
+      .filter(Boolean)
+      .join("\n\n"),
+  }));
+};
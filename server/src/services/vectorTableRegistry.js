@@ -0,0 +1,62 @@
+import { getRepositories } from "../repositories/index.js";
+
+/**
+ * Tracks which embedding model and dimension each vector table
+ * (documents, chapter_documents) was populated with, so switching
+ * EMBEDDING_PROVIDER can't silently mix incompatible vectors.
+ */
+export class VectorTableRegistry {
+  constructor(repositories = getRepositories()) {
+    this.repositories = repositories;
+    this.verified = new Map();
+  }
+
+  /**
+   * Ensure a vector table can be used with the given embeddings. An empty
+   * or unregistered table is claimed for the model; a populated table
+   * registered for a different model or dimension is rejected.
+   * @param {string} tableName - Vector table name
+   * @param {Object} embeddings - Embeddings exposing modelId and dimensions
+   */
+  async ensureCompatible(tableName, embeddings) {
+    const { modelId, dimensions } = embeddings;
+    const cacheKey = `${tableName}:${modelId}:${dimensions}`;
+    if (this.verified.get(tableName) === cacheKey) {
+      return;
+    }
+
+    const config = await this.repositories.vectorTableConfig.get(tableName);
+    const matches =
+      config &&
+      config.embedding_model === modelId &&
+      config.dimensions === dimensions;
+
+    if (!matches) {
+      if (config && (await this.repositories.forTable(tableName).count()) > 0) {
+        throw new Error(
+          `Vector table ${tableName} holds ${config.dimensions}-dimension embeddings from ${config.embedding_model}, ` +
+            `but the configured model is ${modelId} (${dimensions} dimensions). ` +
+            `Switch EMBEDDING_PROVIDER back or clear ${tableName} and re-ingest the tariff documents.`
+        );
+      }
+
+      await this.register(tableName, modelId, dimensions);
+    }
+
+    this.verified.set(tableName, cacheKey);
+  }
+
+  async register(tableName, modelId, dimensions) {
+    await this.repositories.vectorTableConfig.upsert({
+      table_name: tableName,
+      embedding_model: modelId,
+      dimensions,
+    });
+
+    console.log(
+      `📐 Vector table ${tableName} registered for ${modelId} (${dimensions} dimensions)`
+    );
+  }
+}
+
+export default VectorTableRegistry;
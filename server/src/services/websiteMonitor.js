@@ -1,4 +1,4 @@
-import getSupabaseClient from "../config/supabase.js";
+import { getRepositories } from "../repositories/index.js";
 import axios from "axios";
 import fs from "fs/promises";
 import * as fsSync from "fs";
@@ -8,10 +8,10 @@ import { AILinkExtractor } from "./aiLinkExtractor.js";
 import { PDFProcessor } from "./pdfProcessor.js";
 
 export class WebsiteMonitor {
-  constructor() {
-    this.supabase = getSupabaseClient();
+  constructor({ repositories = getRepositories() } = {}) {
+    this.repositories = repositories;
     this.linkExtractor = new AILinkExtractor();
-    this.pdfProcessor = new PDFProcessor();
+    this.pdfProcessor = new PDFProcessor({ repositories });
   }
 
   async checkForUpdates() {
@@ -52,15 +52,12 @@ export class WebsiteMonitor {
         );
 
         // Check if this document version already exists in metadata
-        const { data: existing } = await this.supabase
-          .from("documents")
-          .select("*")
-          .eq("metadata->>documentType", link.type)
-          .eq("metadata->>version", link.version)
-          .limit(1)
-          .single();
-
-        if (!existing) {
+        const existing = await this.repositories.documents.findByMetadata(
+          { documentType: link.type, version: link.version },
+          { limit: 1 }
+        );
+
+        if (existing.length === 0) {
           const fileHash = await this.generateFileHash(link.url);
 
           newDocuments.push({
@@ -342,14 +339,10 @@ export class WebsiteMonitor {
   async shouldUpdateNBRChapters(currentYear) {
     try {
       // Check if we have any chapters for this year (use version field consistently)
-      const { data: existingChapters } = await this.supabase
-        .from("chapter_documents")
-        .select("id")
-        .eq("metadata->>version", currentYear)
-        .limit(1);
-
       // If no chapters exist for this year, we need to update
-      return !existingChapters || existingChapters.length === 0;
+      return !(await this.repositories.chapterDocuments.hasVersion(
+        currentYear
+      ));
     } catch (error) {
       console.warn("⚠️ Error checking existing NBR chapters:", error);
       return true; // Default to update if check fails